@@ -47,21 +47,18 @@ app.Map("/dragon", async (HttpContext context) =>
         // Convert http(s):// to ws(s):// for WebSocket connection
         var wsUrl = serverUrl.Replace("https://", "wss://").Replace("http://", "ws://").TrimEnd('/') + "/dragon";
 
-        // Extract token if present in query or use config
-        var token = context.Request.Query["token"].ToString();
-        if (string.IsNullOrEmpty(token))
-        {
-            token = authToken;
-        }
-
-        if (!string.IsNullOrEmpty(token))
-        {
-            wsUrl += $"?token={token}";
-        }
+        // Forward session parameters; credentials never travel in the URL
+        wsUrl += BuildForwardedQuery(context.Request.Query);
 
         var clientWs = await context.WebSockets.AcceptWebSocketAsync();
         var serverWs = new ClientWebSocket();
 
+        // Authenticate upstream with the configured token in the Authorization header
+        if (!string.IsNullOrEmpty(authToken))
+        {
+            serverWs.Options.SetRequestHeader("Authorization", $"Bearer {authToken}");
+        }
+
         // Bypass SSL certificate validation for development
         serverWs.Options.RemoteCertificateValidationCallback = (sender, certificate, chain, sslPolicyErrors) => true;
 
@@ -100,21 +97,18 @@ app.Map("/wyvern", async (HttpContext context) =>
         // Convert http(s):// to ws(s):// for WebSocket connection
         var wsUrl = serverUrl.Replace("https://", "wss://").Replace("http://", "ws://").TrimEnd('/') + "/wyvern";
 
-        // Extract token if present in query or use config
-        var token = context.Request.Query["token"].ToString();
-        if (string.IsNullOrEmpty(token))
-        {
-            token = authToken;
-        }
-
-        if (!string.IsNullOrEmpty(token))
-        {
-            wsUrl += $"?token={token}";
-        }
+        // Forward session parameters; credentials never travel in the URL
+        wsUrl += BuildForwardedQuery(context.Request.Query);
 
         var clientWs = await context.WebSockets.AcceptWebSocketAsync();
         var serverWs = new ClientWebSocket();
 
+        // Authenticate upstream with the configured token in the Authorization header
+        if (!string.IsNullOrEmpty(authToken))
+        {
+            serverWs.Options.SetRequestHeader("Authorization", $"Bearer {authToken}");
+        }
+
         // Bypass SSL certificate validation for development
         serverWs.Options.RemoteCertificateValidationCallback = (sender, certificate, chain, sslPolicyErrors) => true;
 
@@ -188,3 +182,13 @@ static async Task RelayWebSocketAsync(WebSocket source, WebSocket destination, C
         // Connection closed or error - silently exit relay
     }
 }
+
+// Query string forwarded to the server, minus credentials (token/ticket are replaced by the Authorization header)
+static string BuildForwardedQuery(IQueryCollection query)
+{
+    var forwarded = query
+        .Where(kvp => kvp.Key != "token" && kvp.Key != "ticket")
+        .Select(kvp => $"{Uri.EscapeDataString(kvp.Key)}={Uri.EscapeDataString(kvp.Value.ToString())}")
+        .ToList();
+    return forwarded.Count > 0 ? "?" + string.Join("&", forwarded) : string.Empty;
+}
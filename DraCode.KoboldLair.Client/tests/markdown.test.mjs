@@ -0,0 +1,66 @@
+// Inline Markdown scanner tests. No dependencies: node --test DraCode.KoboldLair.Client/tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown } from '../wwwroot/markdown.js';
+
+const link = (href, label) => `<a href="${href}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+
+test('link target keeps balanced parentheses', () => {
+    assert.equal(
+        renderMarkdown('[x](https://en.wikipedia.org/wiki/Foo_(bar))'),
+        `<p>${link('https://en.wikipedia.org/wiki/Foo_(bar)', 'x')}</p>`);
+});
+
+test('unsafe link target renders the label only', () => {
+    assert.equal(renderMarkdown('[x](javascript:alert(1))'), '<p>x</p>');
+});
+
+test('link with angle brackets and title', () => {
+    assert.equal(
+        renderMarkdown('[x](<https://a.example/b c> "Title")'),
+        `<p>${link('https://a.example/b c', 'x')}</p>`);
+    assert.equal(
+        renderMarkdown('[x](https://a.example "Title")'),
+        `<p>${link('https://a.example', 'x')}</p>`);
+});
+
+test('unbalanced link target is left as text', () => {
+    assert.equal(renderMarkdown('[x](https://a.example/(b)'), '<p>[x](<a href="https://a.example/" target="_blank" rel="noopener noreferrer">https://a.example/</a>(b)</p>');
+});
+
+test('label emphasis is rendered, link target emphasis is not', () => {
+    assert.equal(
+        renderMarkdown('[**x**](https://a.example/_b_)'),
+        `<p>${link('https://a.example/_b_', '<strong>x</strong>')}</p>`);
+});
+
+test('code spans match backtick runs of the same length', () => {
+    assert.equal(renderMarkdown('`a *b*`'), '<p><code>a *b*</code></p>');
+    assert.equal(renderMarkdown('``a`b``'), '<p><code>a`b</code></p>');
+    assert.equal(renderMarkdown('`a` and `[x](y)`'), '<p><code>a</code> and <code>[x](y)</code></p>');
+    assert.equal(renderMarkdown('``a`'), '<p>``a`</p>');
+});
+
+test('bare URLs drop trailing punctuation', () => {
+    assert.equal(
+        renderMarkdown('see https://a.example/x_y.'),
+        `<p>see ${link('https://a.example/x_y', 'https://a.example/x_y')}.</p>`);
+});
+
+test('raw HTML is escaped', () => {
+    assert.equal(renderMarkdown('<b onclick="x">[y](<z>)</b>'), '<p>&lt;b onclick=&quot;x&quot;&gt;y&lt;/b&gt;</p>');
+});
+
+test('pathological input renders in linear time', () => {
+    for (const input of [
+        '[a]('.repeat(20000),
+        '['.repeat(50000),
+        '[a](<'.repeat(20000),
+        '[a](x "'.repeat(20000),
+        Array.from({ length: 400 }, (_, i) => '`'.repeat(i + 1)).join('x')
+    ]) {
+        const start = Date.now();
+        renderMarkdown(input);
+        assert.ok(Date.now() - start < 2000, `took ${Date.now() - start}ms for ${input.slice(0, 10)}...`);
+    }
+});
@@ -1,11 +1,61 @@
 import { WebSocketClient } from './websocket.js';
+import { serverManager } from './server-manager.js';
+import outboxStore from './outbox-store.js';
+import { log } from './log.js';
+import serverProtocol, { CAPABILITIES } from './protocol.js';
+
+// Mutating commands that go into the persisted outbox while offline instead of failing
+const OUTBOX_COMMANDS = new Set(['update_project_config_full', 'toggle_agent', 'retry_analysis']);
+
+// Servers without push subscriptions are polled with the equivalent command instead
+const TOPIC_COMMANDS = {
+    stats: 'get_stats',
+    projects: 'get_projects',
+    hierarchy: 'get_hierarchy',
+    project_agents: 'get_project_agents',
+    project_detail: 'get_project_detail',
+    project_tasks: 'get_comparison',
+    task_graph: 'get_task_graph',
+    task_timeline: 'get_task_timeline',
+    implementation_summary: 'get_implementation_summary',
+    metrics: 'get_metrics',
+    escalations: 'get_escalations',
+    notifications: 'get_notifications'
+};
+const SUBSCRIPTION_POLL_INTERVAL = 5000;
 
 export class ApiClient {
     constructor() {
         this.ws = null;
         this.pendingRequests = new Map();
+        this.subscriptions = new Map(); // subscriptionId -> { topic, params, handler, pollTimer }
         this.connected = false;
         this.connecting = false;
+        this._replayingOutbox = false;
+        // App-level listeners survive the WebSocketClient being recreated on connect()
+        this.statusHandlers = [];
+        this.reconnectHandlers = [];
+    }
+
+    /**
+     * Listen to connection status ('connecting', 'connected', 'disconnected', 'error').
+     */
+    onStatusChange(handler) {
+        this.statusHandlers.push(handler);
+    }
+
+    /**
+     * Listen to reconnect scheduling: { attempt, nextReconnectAt } or null.
+     */
+    onReconnectChange(handler) {
+        this.reconnectHandlers.push(handler);
+    }
+
+    /**
+     * Skip the reconnect backoff and retry immediately.
+     */
+    reconnectNow() {
+        this.ws?.reconnectNow();
     }
 
     async connect() {
@@ -25,22 +75,29 @@ export class ApiClient {
             this.ws = new WebSocketClient('/wyvern');
 
             this.ws.on('response', (data) => {
-                const request = this.pendingRequests.get(data.id);
+                const request = this._takePendingRequest(data.id);
                 if (request) {
-                    clearTimeout(request.timeout);
                     request.resolve(data.data);
-                    this.pendingRequests.delete(data.id);
                 }
             });
 
             this.ws.on('error', (data) => {
                 // Only handle message-level errors (not WebSocket connection errors)
                 if (data && data.id) {
-                    const request = this.pendingRequests.get(data.id);
+                    const request = this._takePendingRequest(data.id);
                     if (request) {
-                        clearTimeout(request.timeout);
                         request.reject(new Error(data.error || 'Unknown error'));
-                        this.pendingRequests.delete(data.id);
+                    }
+                }
+            });
+
+            this.ws.on('subscription_update', (data) => {
+                const subscription = this.subscriptions.get(data.subscriptionId);
+                if (subscription) {
+                    try {
+                        subscription.handler(data.data);
+                    } catch (error) {
+                        log.error(`Subscription handler for '${subscription.topic}' failed:`, error);
                     }
                 }
             });
@@ -48,13 +105,36 @@ export class ApiClient {
             this.ws.onStatusChange((status) => {
                 const wasConnected = this.connected;
                 this.connected = (status === 'connected');
-                console.log('API WebSocket status:', status);
+                log.info('API WebSocket status:', status);
 
                 // Fail all pending requests immediately on disconnect
                 // (inspired by Birko WebSocketServer OnClientDisconnected pattern)
                 if (wasConnected && !this.connected) {
                     this._failPendingRequests('Connection lost');
                 }
+
+                if (wasConnected && !this.connected) {
+                    this._stopPolling();
+                }
+
+                // Server drops subscriptions with the socket - re-register them on every (re)connect,
+                // once the handshake tells us whether the server can push them
+                if (!wasConnected && this.connected) {
+                    const ws = this.ws;
+                    ws.waitForHandshake().then(() => {
+                        if (this.ws !== ws || !this.connected) return;
+                        this._resubscribeAll();
+                        this._replayOutbox();
+                    }, () => {
+                        // Closed before the handshake - the next connect re-registers
+                    });
+                }
+
+                this.statusHandlers.forEach(handler => handler(status));
+            });
+
+            this.ws.onReconnectChange((info) => {
+                this.reconnectHandlers.forEach(handler => handler(info));
             });
 
             await this.ws.connect();
@@ -69,51 +149,286 @@ export class ApiClient {
      * Prevents requests from hanging for 30s after connection drops.
      */
     _failPendingRequests(reason) {
-        const pending = Array.from(this.pendingRequests.entries());
-        this.pendingRequests.clear();
-        for (const [id, request] of pending) {
-            clearTimeout(request.timeout);
-            request.reject(new Error(reason));
+        const pending = Array.from(this.pendingRequests.keys())
+            .map(id => this._takePendingRequest(id));
+        for (const request of pending) {
+            // Outbox commands that never reached the socket are queued for replay instead of failing.
+            // Sent ones may already have run on the server - replaying could apply them twice.
+            if (OUTBOX_COMMANDS.has(request.command) && !request.fromOutbox && !request.sent) {
+                this._enqueue(request.command, request.data).then(request.resolve, request.reject);
+            } else {
+                const error = new Error(reason);
+                error.mayHaveRun = request.sent;
+                request.reject(error);
+            }
         }
         if (pending.length > 0) {
-            console.warn(`ApiClient: Failed ${pending.length} pending request(s): ${reason}`);
+            log.warn(`ApiClient: Failed ${pending.length} pending request(s): ${reason}`);
         }
     }
 
-    async sendCommand(command, data = null) {
+    /**
+     * Remove a pending request and release its timer and abort listener.
+     * Returns null if the request already settled.
+     */
+    _takePendingRequest(requestId) {
+        const request = this.pendingRequests.get(requestId);
+        if (!request) return null;
+
+        this.pendingRequests.delete(requestId);
+        clearTimeout(request.timeout);
+        request.cleanup?.();
+        return request;
+    }
+
+    /**
+     * Tell the server to stop working on a request nobody is waiting for anymore.
+     */
+    _sendCancel(requestId) {
+        if (!this.connected || !serverProtocol.supports('wyvern', CAPABILITIES.CANCEL)) return;
+        this.ws.send({ command: 'cancel', data: { requestId } }).catch(() => {
+            // Best effort - the response is ignored anyway
+        });
+    }
+
+    /**
+     * Send a command and wait for its response.
+     * @param {string} command - Command name
+     * @param {object|null} data - Command payload
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Aborting rejects with an AbortError and cancels the work on the server
+     * @param {number} [options.timeout=30000] - Milliseconds before the request fails with 'Request timeout'
+     * @param {boolean} [options.fromOutbox] - Internal: replaying an outbox item, never re-queue
+     * @returns {Promise<*>} Response data, or { queued: true, outboxId } if an outbox command was queued while offline
+     */
+    async sendCommand(command, data = null, { signal, timeout = 30000, fromOutbox = false } = {}) {
         // Check if connected
         if (!this.connected) {
+            if (OUTBOX_COMMANDS.has(command) && !fromOutbox) {
+                return this._enqueue(command, data);
+            }
             throw new Error('Not connected. Please connect first.');
         }
 
+        if (signal?.aborted) {
+            throw new DOMException('Request aborted', 'AbortError');
+        }
+
         const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
         return new Promise((resolve, reject) => {
-            // Timeout after 30 seconds (stored so it can be cleared on response/disconnect)
-            const timeout = setTimeout(() => {
-                if (this.pendingRequests.has(requestId)) {
-                    this.pendingRequests.delete(requestId);
+            // Stored so it can be cleared on response/disconnect
+            const timer = setTimeout(() => {
+                if (this._takePendingRequest(requestId)) {
+                    this._sendCancel(requestId);
                     reject(new Error('Request timeout'));
                 }
-            }, 30000);
+            }, timeout);
 
-            this.pendingRequests.set(requestId, { resolve, reject, timeout });
+            const onAbort = () => {
+                if (this._takePendingRequest(requestId)) {
+                    this._sendCancel(requestId);
+                    reject(new DOMException('Request aborted', 'AbortError'));
+                }
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
 
-            // Send the message
+            this.pendingRequests.set(requestId, {
+                command,
+                data,
+                fromOutbox,
+                sent: false,
+                resolve,
+                reject,
+                timeout: timer,
+                cleanup: () => signal?.removeEventListener('abort', onAbort)
+            });
+
+            // Send the message; once written it may run on the server even if the response never arrives
             this.ws.send({
                 id: requestId,
                 command,
                 data
+            }).then(() => {
+                const request = this.pendingRequests.get(requestId);
+                if (request) request.sent = true;
             }).catch(error => {
-                clearTimeout(timeout);
-                this.pendingRequests.delete(requestId);
-                reject(error);
+                if (this._takePendingRequest(requestId)) {
+                    reject(error);
+                }
             });
         });
     }
 
+    async _enqueue(command, data) {
+        const serverId = serverManager.getActiveServer()?.id;
+        const item = await outboxStore.enqueue(serverId, command, data);
+        log.info(`ApiClient: Offline - queued '${command}' in outbox (#${item.id})`);
+        return { queued: true, outboxId: item.id };
+    }
+
+    /**
+     * Replay queued outbox items for the active server, oldest first.
+     * Stops when the connection drops again; items the server rejects are marked failed
+     * and wait for an explicit retry or cancel.
+     */
+    async _replayOutbox() {
+        if (this._replayingOutbox) return;
+        this._replayingOutbox = true;
+
+        try {
+            await outboxStore.ready;
+            const serverId = serverManager.getActiveServer()?.id;
+
+            // Re-read the queue each time: items can be cancelled or retried while others are sending
+            let item;
+            while (this.connected && (item = outboxStore.itemsFor(serverId).find(i => i.state === 'queued'))) {
+                await outboxStore.update(item.id, { state: 'sending', error: null });
+                try {
+                    await this.sendCommand(item.command, item.data, { fromOutbox: true });
+                    await outboxStore.remove(item.id);
+                } catch (error) {
+                    if (!this.connected && !error.mayHaveRun) {
+                        await outboxStore.update(item.id, { state: 'queued' });
+                        break;
+                    }
+                    // Lost after sending: whether it ran is unknown, so leave the retry to the user
+                    await outboxStore.update(item.id, {
+                        state: 'failed',
+                        error: error.mayHaveRun ? `${error.message} after sending - check whether it was applied` : error.message
+                    });
+                    if (!this.connected) break;
+                }
+            }
+        } catch (error) {
+            log.error('ApiClient: Outbox replay failed:', error);
+        } finally {
+            this._replayingOutbox = false;
+        }
+    }
+
+    /**
+     * Put a failed outbox item back in the queue and replay it if connected.
+     */
+    async retryOutboxItem(id) {
+        const item = outboxStore.get(id);
+        if (!item || item.state !== 'failed') return;
+
+        await outboxStore.update(id, { state: 'queued', error: null });
+        if (this.connected) {
+            await this._replayOutbox();
+        }
+    }
+
+    /**
+     * Drop an outbox item. Items already being sent cannot be cancelled.
+     * @returns {Promise<boolean>} Whether the item was removed
+     */
+    async cancelOutboxItem(id) {
+        const item = outboxStore.get(id);
+        if (!item || item.state === 'sending') return false;
+        return outboxStore.remove(id);
+    }
+
+    /**
+     * Subscribe to server-pushed updates for a topic.
+     * The server sends the current snapshot right away and then again only when it changes.
+     * Subscriptions survive reconnects; call the returned function to unsubscribe.
+     * @param {string} topic - stats, projects, hierarchy, project_agents, project_tasks, implementation_summary, metrics, escalations, notifications
+     * @param {object|null} params - Topic parameters, e.g. { projectId }
+     * @param {function} handler - Called with the topic snapshot
+     * @returns {function} Unsubscribe function
+     */
+    subscribe(topic, params, handler) {
+        const subscriptionId = `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.subscriptions.set(subscriptionId, { topic, params: params || null, handler, pollTimer: null });
+
+        // Before the handshake completes, the post-handshake _resubscribeAll() picks it up
+        if (this.connected && this.ws.serverInfo) {
+            this._sendSubscribe(subscriptionId);
+        }
+
+        return () => this.unsubscribe(subscriptionId);
+    }
+
+    unsubscribe(subscriptionId) {
+        const subscription = this.subscriptions.get(subscriptionId);
+        if (!subscription) return;
+        this.subscriptions.delete(subscriptionId);
+
+        if (subscription.pollTimer) {
+            clearInterval(subscription.pollTimer);
+            return;
+        }
+
+        if (this.connected) {
+            this.sendCommand('unsubscribe', { subscriptionId }).catch(() => {
+                // Server cleans up with the socket anyway
+            });
+        }
+    }
+
+    _sendSubscribe(subscriptionId) {
+        const subscription = this.subscriptions.get(subscriptionId);
+        if (!subscription) return;
+
+        if (!serverProtocol.supports('wyvern', CAPABILITIES.SUBSCRIPTIONS)) {
+            this._startPolling(subscription);
+            return;
+        }
+
+        this.sendCommand('subscribe', {
+            subscriptionId,
+            topic: subscription.topic,
+            params: subscription.params
+        }).catch(error => {
+            log.warn(`ApiClient: Failed to subscribe to '${subscription.topic}':`, error.message);
+        });
+    }
+
+    _resubscribeAll() {
+        for (const subscriptionId of this.subscriptions.keys()) {
+            this._sendSubscribe(subscriptionId);
+        }
+    }
+
+    /**
+     * Emulate a subscription by polling the topic's command; the handler only sees changed snapshots.
+     */
+    _startPolling(subscription) {
+        const command = TOPIC_COMMANDS[subscription.topic];
+        if (!command || subscription.pollTimer) return;
+
+        let lastJson = null;
+        const poll = async () => {
+            try {
+                const data = await this.sendCommand(command, subscription.params);
+                const json = JSON.stringify(data);
+                if (json !== lastJson) {
+                    lastJson = json;
+                    subscription.handler(data);
+                }
+            } catch (error) {
+                log.warn(`ApiClient: Polling '${subscription.topic}' failed:`, error.message);
+            }
+        };
+
+        poll();
+        subscription.pollTimer = setInterval(poll, SUBSCRIPTION_POLL_INTERVAL);
+    }
+
+    _stopPolling() {
+        for (const subscription of this.subscriptions.values()) {
+            if (subscription.pollTimer) {
+                clearInterval(subscription.pollTimer);
+                subscription.pollTimer = null;
+            }
+        }
+    }
+
     disconnect() {
         this._failPendingRequests('Client disconnected');
+        this._stopPolling();
         if (this.ws) {
             this.ws.removeAllHandlers();
             this.ws.disconnect();
@@ -121,6 +436,8 @@ export class ApiClient {
         }
         this.connected = false;
         this.connecting = false;
+        this.reconnectHandlers.forEach(handler => handler(null));
+        this.statusHandlers.forEach(handler => handler('disconnected'));
     }
 
     isConnected() {
@@ -131,12 +448,24 @@ export class ApiClient {
         return this.sendCommand('get_stats');
     }
 
-    async getMetrics(timeRangeHours = 24) {
-        return this.sendCommand('get_metrics', { timeRangeHours });
+    async getMetrics(timeRangeHours = 24, options) {
+        return this.sendCommand('get_metrics', { timeRangeHours }, options);
     }
 
-    async getComparison(projectId) {
-        return this.sendCommand('get_comparison', { projectId });
+    async getComparison(projectId, options) {
+        return this.sendCommand('get_comparison', { projectId }, options);
+    }
+
+    async getTaskGraph(projectId) {
+        return this.sendCommand('get_task_graph', { projectId });
+    }
+
+    async getTaskTimeline(projectId) {
+        return this.sendCommand('get_task_timeline', { projectId });
+    }
+
+    async getTaskPlan(projectId, taskId) {
+        return this.sendCommand('get_task_plan', { projectId, taskId });
     }
 
     async getProjects() {
@@ -167,6 +496,10 @@ export class ApiClient {
         return this.sendCommand('get_project_agents', { projectId });
     }
 
+    async getProjectDetail(projectId) {
+        return this.sendCommand('get_project_detail', { projectId });
+    }
+
     async updateProjectProviders(projectId, agentType, providerName, modelOverride) {
         return this.sendCommand('update_project_providers', {
             projectId,
@@ -184,8 +517,8 @@ export class ApiClient {
         return this.sendCommand('get_agent_status', { projectId, agentType });
     }
 
-    async getImplementationSummary(projectId) {
-        return this.sendCommand('get_implementation_summary', { projectId });
+    async getImplementationSummary(projectId, options) {
+        return this.sendCommand('get_implementation_summary', { projectId }, options);
     }
 
     async configureProvider(agentType, providerName, modelOverride) {
@@ -227,4 +560,92 @@ export class ApiClient {
     async retryAnalysis(projectId) {
         return this.sendCommand('retry_analysis', { projectId });
     }
+
+    async pauseProject(project, reason = null) {
+        return this.sendCommand('pause_project', { project, reason });
+    }
+
+    async resumeProject(project) {
+        return this.sendCommand('resume_project', { project });
+    }
+
+    async suspendProject(project, reason = null) {
+        return this.sendCommand('suspend_project', { project, reason });
+    }
+
+    async cancelProject(project) {
+        return this.sendCommand('cancel_project', { project });
+    }
+
+    async retryFailedTask({ taskId = null, projectId = null } = {}) {
+        return this.sendCommand('retry_failed_task', { taskId, projectId });
+    }
+
+    async setTaskPriority(taskId, priority) {
+        return this.sendCommand('set_task_priority', { taskId, priority });
+    }
+
+    async gitMerge(branchName, project = null) {
+        return this.sendCommand('git_merge', { branchName, project });
+    }
+
+    async getSpecification(project) {
+        return this.sendCommand('get_specification', { project });
+    }
+
+    async getSpecificationHistory(project) {
+        return this.sendCommand('get_specification_history', { project });
+    }
+
+    async approveSpecification(project, comment = null) {
+        return this.sendCommand('approve_specification', { project, comment });
+    }
+
+    /**
+     * Escalations from all projects (or one), newest first, with openCount
+     * @param {object|null} params - { projectId, includeClosed }
+     */
+    async getEscalations(params = null) {
+        return this.sendCommand('get_escalations', params || {});
+    }
+
+    /**
+     * Review an escalation
+     * @param {'acknowledge'|'resolve'|'dismiss'|'reopen'} action
+     * @param {string|null} note - Required for resolve
+     */
+    async updateEscalation(projectId, escalationId, action, note = null) {
+        return this.sendCommand('update_escalation', { projectId, escalationId, action, note });
+    }
+
+    /**
+     * Project notifications raised since the server started, across projects, newest first
+     */
+    async getRecentNotifications(limit = null) {
+        return this.sendCommand('get_recent_notifications', limit ? { limit } : {});
+    }
+
+    /**
+     * Project notification history with read state, newest first, and unreadCount
+     * @param {object|null} params - { projectName, limit }
+     */
+    async getNotifications(params = null) {
+        return this.sendCommand('get_notifications', params || {});
+    }
+
+    /**
+     * Mark notifications read or unread
+     * @param {boolean} read
+     * @param {Array<{projectName: string, id: string}>} items
+     */
+    async setNotificationsRead(read, items) {
+        return this.sendCommand('update_notifications', { action: read ? 'read' : 'unread', items });
+    }
+
+    /**
+     * Mark every notification read, or only those of one project
+     */
+    async markAllNotificationsRead(projectName = null) {
+        return this.sendCommand('update_notifications', { action: 'read_all', projectName });
+    }
 }
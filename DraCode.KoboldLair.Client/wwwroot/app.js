@@ -9,9 +9,20 @@ import { ProjectConfigView } from './project-config-view.js';
 import { ImpactView } from './impact-view.js';
 import { MetricsView } from './metrics-view.js';
 import { ComparisonView } from './comparison-view.js';
+import { InspectorView } from './inspector-view.js';
+import { EscalationsView } from './escalations-view.js';
+import { ProjectDetailView } from './project-detail-view.js';
+import notificationStore from './notification-store.js';
+import desktopNotifier from './desktop-notifier.js';
+import { showNotificationSettings } from './notification-settings.js';
+import { NotificationCenter } from './notification-center.js';
 import { ServerSelector } from './server-selector.js';
-import { refreshConfig } from './config.js';
+import { OutboxPanel } from './outbox-panel.js';
+import { refreshConfig, configReady } from './config.js';
 import CONFIG from './config.js';
+import { serverManager } from './server-manager.js';
+import { log } from './log.js';
+import serverProtocol, { PROTOCOL_VERSION, MIN_SERVER_VERSION } from './protocol.js';
 
 class App {
     constructor() {
@@ -20,6 +31,12 @@ class App {
         this.currentView = null;
         this.currentViewName = null;
         this.serverSelector = new ServerSelector();
+        this.outboxPanel = new OutboxPanel(this.api);
+        this.notificationCenter = new NotificationCenter(this.api, {
+            openNotification: notification => this.openNotification(notification),
+            openDragonWithPrompt: prompt => this.openDragonWithPrompt(prompt),
+            openSettings: () => showNotificationSettings(this.api)
+        });
 
         // Create refresh callback that reloads the current view
         const refreshCallback = () => this.refreshCurrentView();
@@ -27,34 +44,106 @@ class App {
         this.views = new Map([
             ['dashboard', new DashboardView(this.api)],
             ['dragon', new DragonView(this.api)],
+            ['escalations', new EscalationsView(this.api, prompt => this.openDragonWithPrompt(prompt))],
             ['hierarchy', new HierarchyView(this.api, refreshCallback)],
             ['projects', new ProjectsView(this.api, refreshCallback)],
+            ['project', new ProjectDetailView(this.api)],
             ['impact', new ImpactView(this.api)],
             ['metrics', new MetricsView(this.api)],
             ['compare', new ComparisonView(this.api)],
             ['providers', new ProvidersView(this.api)],
-            ['settings', new ProjectConfigView(this.api)]
+            ['settings', new ProjectConfigView(this.api)],
+            ['inspector', new InspectorView(this.api)]
         ]);
 
+        notificationStore.connect(this.api);
+        desktopNotifier.connect(this.api, notification => this.openNotification(notification));
+
         this.init();
     }
 
+    /**
+     * Switch to the Dragon view with a prompt prefilled (not sent) in its input
+     */
+    openDragonWithPrompt(prompt) {
+        this.views.get('dragon').setPendingPrompt(prompt);
+        window.location.hash = 'dragon';
+    }
+
+    /**
+     * Deep link from a notification: escalations open in the Escalations view,
+     * everything else opens the project's detail page
+     */
+    openNotification(notification) {
+        let route = notification.projectId ? `projects/${encodeURIComponent(notification.projectId)}` : 'projects';
+        if (notification.type === 'escalation') {
+            route = 'escalations';
+            this.views.get('escalations').focusEscalation(notification.metadata?.escalationId);
+        }
+        this.navigate(route);
+    }
+
+    /**
+     * Go to a route; reloads the view when the route is already shown (no hashchange then)
+     */
+    navigate(route) {
+        if (this.currentRoute === route) {
+            this.loadView(route);
+        } else {
+            window.location.hash = route;
+        }
+    }
+
+    /**
+     * Map a hash route to a view and its parameters.
+     * #projects/{id} and #projects/{id}/{tasks,board,graph,timeline,impact} open the project detail page.
+     */
+    parseRoute(route) {
+        const projectMatch = route.match(/^projects\/([^/]+)(?:\/(tasks|board|graph|timeline|impact))?$/);
+        if (projectMatch) {
+            return {
+                viewName: 'project',
+                navView: 'projects',
+                params: { projectId: decodeURIComponent(projectMatch[1]), tab: projectMatch[2] || 'overview' }
+            };
+        }
+        return { viewName: route, navView: route, params: null };
+    }
+
     async refreshCurrentView() {
-        if (this.currentViewName) {
-            await this.loadView(this.currentViewName);
+        if (this.currentRoute) {
+            await this.loadView(this.currentRoute);
         }
     }
 
     async init() {
-        // Wait a bit for config to load
-        await new Promise(resolve => setTimeout(resolve, 100));
+        // Wait for config to load
+        await configReady;
         
         this.setupServerSelector();
+        this.setupOutboxPanel();
+        this.setupEscalationBadge();
+        this.setupNotificationCenter();
         this.setupNavigation();
         this.setupConnectionControls();
         this.setupRefreshButton();
         this.updateConnectionInfo();
         await this.loadInitialView();
+        await this.autoConnect();
+    }
+
+    /**
+     * Reconnect to the last active server on page load unless the user disconnected explicitly.
+     * A failed first attempt keeps retrying with backoff inside WebSocketClient.
+     */
+    async autoConnect() {
+        if (!CONFIG.serverUrl || !serverManager.getAutoConnect()) return;
+
+        try {
+            await this.api.connect();
+        } catch (error) {
+            log.warn('Auto-connect failed, will keep retrying:', error);
+        }
     }
 
     setupServerSelector() {
@@ -66,19 +155,56 @@ class App {
             
             // Handle server changes
             this.serverSelector.onServerChange = (server) => {
-                console.log('Server changed to:', server.name);
+                log.info('Server changed to:', server.name);
                 refreshConfig();
                 
-                // Disconnect and update connection info
-                if (this.api && this.api.isConnected()) {
-                    this.api.disconnect();
-                }
+                // Disconnect (also stops retrying the previous server) and update connection info
+                this.api.disconnect();
+                serverProtocol.reset();
                 
                 this.updateConnectionInfo();
+                this.outboxPanel.update();
+
+                // Dragon tabs are saved per server - swap to the new server's tabs
+                this.views.get('dragon')?.onServerChange();
             };
         }
     }
 
+    setupOutboxPanel() {
+        const container = document.querySelector('.header-actions');
+        if (container) {
+            const outboxContainer = document.createElement('div');
+            container.prepend(outboxContainer);
+            this.outboxPanel.mount(outboxContainer);
+        }
+    }
+
+    /**
+     * Count of open escalations on the Escalations nav item, following the server state
+     */
+    setupEscalationBadge() {
+        const navItem = document.querySelector('.nav-item[data-view="escalations"]');
+        if (!navItem) return;
+
+        const badge = document.createElement('span');
+        badge.className = 'nav-badge';
+        badge.style.display = 'none';
+        navItem.appendChild(badge);
+
+        notificationStore.onChange(() => {
+            badge.textContent = notificationStore.pendingCount.toString();
+            badge.style.display = notificationStore.pendingCount > 0 ? '' : 'none';
+        });
+    }
+
+    setupNotificationCenter() {
+        const container = document.getElementById('notificationCenter');
+        if (container) {
+            this.notificationCenter.mount(container);
+        }
+    }
+
     setupNavigation() {
         const navItems = document.querySelectorAll('.nav-item');
         
@@ -88,10 +214,7 @@ class App {
                 
                 const viewName = item.dataset.view;
                 if (viewName) {
-                    navItems.forEach(nav => nav.classList.remove('active'));
-                    item.classList.add('active');
-                    
-                    await this.loadView(viewName);
+                    this.navigate(viewName);
                 }
             });
         });
@@ -109,23 +232,16 @@ class App {
         connectBtn.addEventListener('click', async () => {
             if (this.api.isConnected()) {
                 // Disconnect
+                serverManager.setAutoConnect(false);
                 this.api.disconnect();
-                this.updateConnectionStatus('disconnected');
-                connectBtn.textContent = 'Connect';
             } else {
                 // Connect
+                serverManager.setAutoConnect(true);
                 connectBtn.disabled = true;
                 connectBtn.textContent = 'Connecting...';
-                this.updateConnectionStatus('connecting');
                 
                 try {
                     await this.api.connect();
-                    this.updateConnectionStatus('connected');
-                    connectBtn.textContent = 'Disconnect';
-                    
-                    // Reload current view after connection
-                    const currentHash = window.location.hash.slice(1) || 'dashboard';
-                    await this.loadView(currentHash);
                 } catch (error) {
                     console.error('Connection failed:', error);
                     this.updateConnectionStatus('error');
@@ -136,19 +252,94 @@ class App {
             }
         });
 
-        // Listen to WebSocket status changes
-        if (this.api.ws) {
-            this.api.ws.onStatusChange((status) => {
-                this.updateConnectionStatus(status);
-                if (status === 'connected') {
-                    connectBtn.textContent = 'Disconnect';
-                    connectBtn.disabled = false;
-                } else if (status === 'disconnected' || status === 'error') {
-                    connectBtn.textContent = 'Connect';
-                    connectBtn.disabled = false;
+        document.getElementById('retryNowBtn')?.addEventListener('click', () => {
+            this.api.reconnectNow();
+        });
+
+        // Listen to connection status changes (including automatic reconnects)
+        let wasConnected = false;
+        this.api.onStatusChange((status) => {
+            this.updateConnectionStatus(status);
+            if (status === 'connected') {
+                connectBtn.textContent = 'Disconnect';
+                connectBtn.disabled = false;
+            } else if (status === 'disconnected' || status === 'error') {
+                connectBtn.textContent = 'Connect';
+                connectBtn.disabled = false;
+            }
+
+            // Views rendered while offline show errors - reload once the connection is back
+            const isConnected = status === 'connected';
+            if (isConnected && !wasConnected) {
+                if (this.currentView?.onReconnect) {
+                    this.currentView.onReconnect();
+                } else {
+                    this.refreshCurrentView();
                 }
-            });
+            }
+            wasConnected = isConnected;
+        });
+
+        this.api.onReconnectChange((info) => this.updateReconnectCountdown(info));
+        serverProtocol.onChange(() => this.updateProtocolWarning());
+    }
+
+    /**
+     * Warn when the server's protocol version is incompatible with this client.
+     */
+    updateProtocolWarning() {
+        const warning = document.getElementById('protocolWarning');
+        if (!warning) return;
+
+        const incompatible = serverProtocol.incompatibleEndpoints();
+        if (incompatible.length === 0) {
+            warning.style.display = 'none';
+            this._protocolWarningText = null;
+            return;
+        }
+
+        const text = incompatible.map(({ endpoint, protocolVersion, minClientVersion }) =>
+            PROTOCOL_VERSION < minClientVersion
+                ? `/${endpoint}: server needs client protocol v${minClientVersion}+ (this client is v${PROTOCOL_VERSION}) - reload or update the client`
+                : `/${endpoint}: server protocol v${protocolVersion} is too old (needs v${MIN_SERVER_VERSION[endpoint]}+) - update the server`
+        ).join('\n');
+
+        warning.textContent = `⚠️ ${text}`;
+        warning.title = text;
+        warning.style.display = '';
+
+        // Toast once per distinct problem, not on every reconnect
+        if (text !== this._protocolWarningText) {
+            this._protocolWarningText = text;
+            this.serverSelector.showNotification('Incompatible server version - some features are unavailable', 'warning');
+        }
+    }
+
+    /**
+     * Show "Retrying in Ns" with a retry-now action while a reconnect is scheduled.
+     */
+    updateReconnectCountdown(info) {
+        const container = document.getElementById('connectionReconnect');
+        const text = document.getElementById('reconnectText');
+        if (!container || !text) return;
+
+        if (this._reconnectTimer) {
+            clearInterval(this._reconnectTimer);
+            this._reconnectTimer = null;
+        }
+
+        if (!info) {
+            container.style.display = 'none';
+            return;
         }
+
+        const tick = () => {
+            const seconds = Math.max(0, Math.ceil((info.nextReconnectAt - Date.now()) / 1000));
+            text.textContent = `Retrying in ${seconds}s (attempt ${info.attempt})`;
+        };
+        tick();
+        container.style.display = '';
+        this._reconnectTimer = setInterval(tick, 1000);
     }
 
     updateConnectionInfo() {
@@ -203,7 +394,7 @@ class App {
         await this.loadView(hash);
     }
 
-    async loadView(viewName) {
+    async loadView(route) {
         const content = document.getElementById('content');
         const pageTitle = document.getElementById('pageTitle');
 
@@ -213,6 +404,11 @@ class App {
             this.currentView.onUnmount();
         }
 
+        const { viewName, navView, params } = this.parseRoute(route);
+        this.currentRoute = route;
+        document.querySelectorAll('.nav-item').forEach(nav =>
+            nav.classList.toggle('active', nav.dataset.view === navView));
+
         pageTitle.textContent = this.formatTitle(viewName);
         content.innerHTML = '<div class="loading">⏳</div>';
 
@@ -221,6 +417,9 @@ class App {
             if (view) {
                 this.currentView = view;
                 this.currentViewName = viewName;
+                if (params && view.setRoute) {
+                    view.setRoute(params);
+                }
                 const html = await view.render();
                 content.innerHTML = html;
 
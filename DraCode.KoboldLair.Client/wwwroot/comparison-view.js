@@ -5,6 +5,7 @@ export class ComparisonView {
         this.api = api;
         this._refreshTimer = null;
         this._selectedProject = null;
+        this._loadController = null;
         this._sortField = 'status';
         this._sortAsc = true;
     }
@@ -261,13 +262,19 @@ export class ComparisonView {
         const contentEl = container.querySelector('#comparison-content');
         if (!contentEl) return;
 
+        // Only the latest load may render - abort the previous one (also cancels it on the server)
+        this._loadController?.abort();
+        const controller = new AbortController();
+        this._loadController = controller;
+
         contentEl.innerHTML = '<div class="card"><div class="card-body"><p>Loading...</p></div></div>';
 
         try {
-            const data = await this.api.getComparison(projectId);
+            const data = await this.api.getComparison(projectId, { signal: controller.signal });
             this._lastData = data;
             contentEl.innerHTML = this._buildComparisonContent(data);
         } catch (e) {
+            if (e.name === 'AbortError') return;
             contentEl.innerHTML = `<div class="card"><div class="card-body"><p>Error: ${e.message}</p></div></div>`;
         }
     }
@@ -277,6 +284,8 @@ export class ComparisonView {
     }
 
     onUnmount() {
+        this._loadController?.abort();
+        this._loadController = null;
         if (this._refreshTimer) {
             clearInterval(this._refreshTimer);
             this._refreshTimer = null;
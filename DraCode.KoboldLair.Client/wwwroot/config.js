@@ -1,12 +1,12 @@
 import { serverManager } from './server-manager.js';
+import { log } from './log.js';
 
 // Configuration - dynamically loaded from ServerManager
 let CONFIG = {
     apiUrl: window.location.origin,
     wsUrl: '',
     serverUrl: '',
-    authToken: '',
-    refreshInterval: 5000
+    authToken: ''
 };
 
 // Load configuration from active server
@@ -41,7 +41,7 @@ function updateConfigFromActiveServer() {
         CONFIG.wsUrl = activeServer.url;
         CONFIG.serverUrl = activeServer.url;
         CONFIG.authToken = activeServer.token || '';
-        console.log('Active server config:', {
+        log.info('Active server config:', {
             name: activeServer.name,
             url: activeServer.url,
             hasToken: !!activeServer.token
@@ -50,7 +50,7 @@ function updateConfigFromActiveServer() {
 }
 
 // Initialize config on load
-loadConfig();
+export const configReady = loadConfig();
 
 // Export function to refresh config (call after switching servers)
 export function refreshConfig() {
@@ -0,0 +1,35 @@
+/**
+ * Connection tickets keep the auth token out of WebSocket URLs.
+ * The token is sent once in an Authorization header to POST /auth/ticket; the returned
+ * ticket is single-use, bound to the client IP and expires after ~30 seconds.
+ */
+
+/**
+ * Convert a ws(s):// server URL to its http(s):// equivalent.
+ */
+export function toHttpUrl(serverUrl) {
+    return serverUrl.replace(/^ws(s?):\/\//i, 'http$1://').replace(/\/+$/, '');
+}
+
+/**
+ * Exchange an auth token for a connection ticket.
+ * @param {string} serverUrl - Server URL (ws://, wss://, http:// or https://)
+ * @param {string} token - Auth token
+ * @returns {Promise<string>} Ticket for the `?ticket=` query parameter
+ */
+export async function fetchConnectionTicket(serverUrl, token) {
+    const response = await fetch(`${toHttpUrl(serverUrl)}/auth/ticket`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+    });
+
+    if (response.status === 401) {
+        throw new Error('Authentication failed - check the server token');
+    }
+    if (!response.ok) {
+        throw new Error(`Connection ticket request failed (HTTP ${response.status})`);
+    }
+
+    const { ticket } = await response.json();
+    return ticket;
+}
@@ -0,0 +1,179 @@
+import { serverManager } from './server-manager.js';
+import { log } from './log.js';
+
+const PREFS_KEY = 'koboldlair_desktop_notifications';
+
+export const NOTIFICATION_TYPES = [
+    { key: 'escalation', label: 'Escalations', icon: '⚠️' },
+    { key: 'task_failed', label: 'Task failures', icon: '❌' },
+    { key: 'feature_branch_ready', label: 'Feature branch ready', icon: '🔀' },
+    { key: 'project_complete', label: 'Project complete', icon: '🎉' }
+];
+
+const DEFAULT_PREFS = {
+    enabled: false,
+    types: Object.fromEntries(NOTIFICATION_TYPES.map(t => [t.key, true])),
+    mutedProjects: [],
+    sound: false,
+    whenFocused: false, // The in-page toast already covers a focused window
+    quietHours: { enabled: false, start: '22:00', end: '07:00' }
+};
+
+/**
+ * Opt-in browser (desktop) notifications for project notifications - escalations, task failures,
+ * feature branches ready, project completion - from every project, not just the one a Dragon
+ * session is focused on. Follows the server's 'notifications' subscription; the first snapshot
+ * per server only marks what is already there as seen.
+ * Preferences (per type, per project, sound, quiet hours) are kept in localStorage.
+ */
+class DesktopNotifier {
+    constructor() {
+        this._api = null;
+        this._onOpen = () => {};
+        this._seen = new Map(); // serverId -> Set of notification ids
+        this._audio = null;
+    }
+
+    get supported() {
+        return 'Notification' in window;
+    }
+
+    /**
+     * 'granted', 'denied', 'default' or 'unsupported'
+     */
+    get permission() {
+        return this.supported ? Notification.permission : 'unsupported';
+    }
+
+    getPreferences() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PREFS_KEY) || '{}');
+            return {
+                ...DEFAULT_PREFS,
+                ...stored,
+                types: { ...DEFAULT_PREFS.types, ...stored.types },
+                quietHours: { ...DEFAULT_PREFS.quietHours, ...stored.quietHours }
+            };
+        } catch (_) {
+            return structuredClone(DEFAULT_PREFS);
+        }
+    }
+
+    setPreferences(prefs) {
+        localStorage.setItem(PREFS_KEY, JSON.stringify({ ...this.getPreferences(), ...prefs }));
+    }
+
+    /**
+     * Ask for permission (must run from a user gesture) and turn notifications on if granted.
+     * @returns {Promise<string>} Resulting permission
+     */
+    async enable() {
+        if (!this.supported) return 'unsupported';
+        const permission = Notification.permission === 'default'
+            ? await Notification.requestPermission()
+            : Notification.permission;
+        this.setPreferences({ enabled: permission === 'granted' });
+        return permission;
+    }
+
+    /**
+     * @param {Object} api
+     * @param {function(Object): void} onOpen - Called with the notification the user clicked
+     */
+    connect(api, onOpen) {
+        if (this._api) return;
+        this._api = api;
+        this._onOpen = onOpen;
+        api.subscribe('notifications', null, data => this._apply(data?.notifications || []));
+    }
+
+    _apply(notifications) {
+        const serverId = serverManager.getActiveServer()?.id ?? '';
+        const seen = this._seen.get(serverId);
+        if (!seen) {
+            this._seen.set(serverId, new Set(notifications.map(n => n.id)));
+            return;
+        }
+
+        const prefs = this.getPreferences();
+        let shown = false;
+        // Snapshot is newest first - alert in the order they happened
+        for (const notification of [...notifications].reverse()) {
+            if (seen.has(notification.id)) continue;
+            seen.add(notification.id);
+            if (this.shouldShow(notification, prefs)) {
+                this.show(notification);
+                shown = true;
+            }
+        }
+        if (shown && prefs.sound) this.playSound();
+    }
+
+    shouldShow(notification, prefs = this.getPreferences()) {
+        if (!prefs.enabled || this.permission !== 'granted') return false;
+        if (prefs.types[notification.type] === false) return false;
+        if (prefs.mutedProjects.includes(notification.projectName)) return false;
+        if (!prefs.whenFocused && document.visibilityState === 'visible' && document.hasFocus()) return false;
+        return !this.isQuietTime(prefs);
+    }
+
+    /**
+     * Whether now falls in the quiet hours window; the window may span midnight (22:00 - 07:00)
+     */
+    isQuietTime(prefs = this.getPreferences(), now = new Date()) {
+        const { enabled, start, end } = prefs.quietHours;
+        if (!enabled || start === end) return false;
+
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const startMinutes = toMinutes(start);
+        const endMinutes = toMinutes(end);
+        return startMinutes < endMinutes
+            ? minutes >= startMinutes && minutes < endMinutes
+            : minutes >= startMinutes || minutes < endMinutes;
+    }
+
+    show(notification) {
+        const type = NOTIFICATION_TYPES.find(t => t.key === notification.type);
+        const desktop = new Notification(`${type?.icon || '📢'} ${notification.projectName}`, {
+            body: notification.message.replace(/[`*_]/g, ''),
+            // Same tag in several open tabs shows a single notification
+            tag: notification.id
+        });
+        desktop.onclick = () => {
+            window.focus();
+            desktop.close();
+            this._onOpen(notification);
+        };
+    }
+
+    /**
+     * Short two-tone chime, generated so no audio asset has to be served
+     */
+    playSound() {
+        try {
+            this._audio ??= new AudioContext();
+            const ctx = this._audio;
+            [660, 880].forEach((frequency, i) => {
+                const oscillator = ctx.createOscillator();
+                const gain = ctx.createGain();
+                const start = ctx.currentTime + i * 0.15;
+                oscillator.frequency.value = frequency;
+                gain.gain.setValueAtTime(0.15, start);
+                gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+                oscillator.connect(gain).connect(ctx.destination);
+                oscillator.start(start);
+                oscillator.stop(start + 0.3);
+            });
+        } catch (error) {
+            log.warn('DesktopNotifier: Failed to play sound:', error.message);
+        }
+    }
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = (time || '0:0').split(':').map(n => parseInt(n, 10) || 0);
+    return hours * 60 + minutes;
+}
+
+const notifier = new DesktopNotifier();
+export default notifier;
@@ -0,0 +1,200 @@
+/**
+ * Slash commands typed in the Dragon input (/pause, /resume, /retry-task, /priority, /status, /merge).
+ * They run server operations directly over the command socket - no LLM round trip - and their
+ * results are shown as system cards in the chat (never replayed into the Dragon's context).
+ */
+
+export const PRIORITIES = ['critical', 'high', 'normal', 'low'];
+
+/**
+ * Argument kinds: 'project' and 'priority' get value suggestions, the rest only a hint.
+ * A 'rest' argument takes all remaining words.
+ */
+export const SLASH_COMMANDS = [
+    {
+        name: 'pause',
+        description: 'Pause a project (Drake stops picking up tasks)',
+        args: [{ name: 'project', kind: 'project' }, { name: 'reason', optional: true, rest: true }],
+        run: (api, [project, reason]) => api.pauseProject(project, reason)
+    },
+    {
+        name: 'resume',
+        description: 'Resume a paused or suspended project',
+        args: [{ name: 'project', kind: 'project' }],
+        run: (api, [project]) => api.resumeProject(project)
+    },
+    {
+        name: 'retry-task',
+        description: 'Retry a failed task (no id: list failed tasks)',
+        args: [{ name: 'task-id', optional: true }],
+        run: (api, [taskId]) => api.retryFailedTask({ taskId })
+    },
+    {
+        name: 'priority',
+        description: 'Set the priority of a task',
+        args: [{ name: 'task-id' }, { name: 'level', kind: 'priority' }],
+        run: (api, [taskId, level]) => {
+            if (!PRIORITIES.includes(level.toLowerCase())) {
+                throw new Error(`Priority must be one of: ${PRIORITIES.join(', ')}`);
+            }
+            return api.setTaskPriority(taskId, level.toLowerCase());
+        }
+    },
+    {
+        name: 'status',
+        description: 'Show project status (all projects, or one)',
+        args: [{ name: 'project', kind: 'project', optional: true }],
+        run: (api, [project]) => projectStatus(api, project)
+    },
+    {
+        name: 'merge',
+        description: 'Merge a feature branch into main',
+        args: [{ name: 'branch' }, { name: 'project', kind: 'project', optional: true }],
+        run: (api, [branch, project]) => api.gitMerge(branch, project)
+    },
+    {
+        name: 'help',
+        description: 'List slash commands',
+        args: [],
+        run: async () => ({
+            success: true,
+            message: SLASH_COMMANDS.map(cmd => `- \`${usage(cmd)}\` - ${cmd.description}`).join('\n')
+        })
+    }
+];
+
+export function isSlashCommand(text) {
+    return /^\/[a-z]/i.test(text.trim());
+}
+
+export function usage(cmd) {
+    const args = cmd.args.map(arg => arg.optional ? `[${arg.name}]` : `<${arg.name}>`);
+    return [`/${cmd.name}`, ...args].join(' ');
+}
+
+function findCommand(name) {
+    return SLASH_COMMANDS.find(cmd => cmd.name === name.toLowerCase());
+}
+
+/**
+ * Split arguments on whitespace; "double quotes" keep names with spaces together.
+ * An unclosed quote runs to the end (the argument is still being typed).
+ */
+function tokenize(text) {
+    return [...text.matchAll(/"([^"]*)"?|(\S+)/g)].map(match => match[1] ?? match[2]);
+}
+
+/**
+ * @returns {{ cmd: Object, args: string[] }}
+ * @throws {Error} Unknown command or missing arguments, with the usage in the message
+ */
+export function parseSlashCommand(text) {
+    const [head, ...rest] = tokenize(text.trim().slice(1));
+    const cmd = findCommand(head || '');
+    if (!cmd) {
+        throw new Error(`Unknown command /${head || ''} - type /help for the list`);
+    }
+
+    const args = [];
+    cmd.args.forEach((arg, i) => {
+        args.push(arg.rest ? rest.slice(i).join(' ') || undefined : rest[i]);
+    });
+
+    const missing = cmd.args.find((arg, i) => !arg.optional && !args[i]);
+    if (missing) {
+        throw new Error(`Missing ${missing.name} - usage: ${usage(cmd)}`);
+    }
+    return { cmd, args };
+}
+
+/**
+ * Run a slash command.
+ * @returns {Promise<{ success: boolean, message: string }>} Message is Markdown
+ */
+export async function runSlashCommand(api, text) {
+    const { cmd, args } = parseSlashCommand(text);
+    try {
+        return await cmd.run(api, args);
+    } catch (error) {
+        return { success: false, message: `Error: ${error.message}` };
+    }
+}
+
+/**
+ * Autocomplete state for the text typed so far.
+ * @param {string} text - Input value (starts with '/')
+ * @param {Object} context - { projects: string[] } names offered for project arguments
+ * @returns {{ hint: string|null, items: Array<{ value: string, label: string, detail: string }> }}
+ *          value is the whole input text after accepting the item
+ */
+export function getSlashSuggestions(text, { projects = [] } = {}) {
+    const body = text.replace(/^\s*\//, '');
+
+    // Still typing the command name
+    if (!/\s/.test(body)) {
+        const items = SLASH_COMMANDS
+            .filter(cmd => cmd.name.startsWith(body.toLowerCase()))
+            .map(cmd => ({ value: `/${cmd.name} `, label: usage(cmd), detail: cmd.description }));
+        return { hint: null, items };
+    }
+
+    const cmd = findCommand(body.split(/\s+/)[0]);
+    if (!cmd) return { hint: null, items: [] };
+
+    // Index of the argument being typed: the open token, or the next one after a trailing space
+    const argTokens = tokenize(body).slice(1);
+    const inQuote = (body.match(/"/g) || []).length % 2 === 1;
+    const typingNew = /\s$/.test(body) && !inQuote;
+    const index = typingNew ? argTokens.length : argTokens.length - 1;
+    const partial = typingNew ? '' : argTokens[index] ?? '';
+    const arg = cmd.args[Math.min(index, cmd.args.length - 1)];
+
+    const hint = `${usage(cmd)}${arg ? `  ·  ${arg.name}` : ''}`;
+    if (!arg || index >= cmd.args.length && !arg.rest) return { hint, items: [] };
+
+    const values = arg.kind === 'project' ? projects : arg.kind === 'priority' ? PRIORITIES : [];
+    // Text before the token being typed (an unclosed quote belongs to the token)
+    const typed = typingNew ? '' : text.match(inQuote ? /"[^"]*$/ : /\S*$/)[0];
+    const prefix = text.slice(0, text.length - typed.length);
+    const items = values
+        .filter(value => value.toLowerCase().startsWith(partial.toLowerCase()) && value !== partial)
+        .slice(0, 8)
+        .map(value => ({
+            value: `${prefix}${/\s/.test(value) ? `"${value}"` : value} `,
+            label: value,
+            detail: arg.name
+        }));
+    return { hint, items };
+}
+
+async function projectStatus(api, name) {
+    const projects = await api.getProjects();
+    const list = Array.isArray(projects) ? projects : [];
+
+    if (name) {
+        const project = list.find(p => p.id === name || p.name?.toLowerCase() === name.toLowerCase());
+        if (!project) {
+            return { success: false, message: `Error: Project not found: ${name}` };
+        }
+        const agents = await api.getProjectAgents(project.id).catch(() => null);
+        const lines = [
+            `**${project.name}**`,
+            '',
+            `- Status: ${project.status}`,
+            `- Execution: ${project.executionState}`,
+            ...(project.verificationStatus ? [`- Verification: ${project.verificationStatus}`] : []),
+            ...(agents ? [`- Wyverns: ${agents.agents.wyverns}, Drakes: ${agents.agents.drakes}, working Kobolds: ${agents.agents.kobolds}`] : []),
+            `- Id: \`${project.id}\``
+        ];
+        return { success: true, message: lines.join('\n') };
+    }
+
+    if (list.length === 0) {
+        return { success: true, message: 'No projects yet.' };
+    }
+    const rows = list.map(p => `| ${p.name} | ${p.status} | ${p.executionState} |`);
+    return {
+        success: true,
+        message: ['| Project | Status | Execution |', '| --- | --- | --- |', ...rows].join('\n')
+    };
+}
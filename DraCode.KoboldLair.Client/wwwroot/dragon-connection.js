@@ -0,0 +1,289 @@
+import { WebSocketClient } from './websocket.js';
+import { CAPABILITIES } from './protocol.js';
+import { log } from './log.js';
+
+/**
+ * A logical Dragon session carried over the shared /dragon socket.
+ * Created by DragonConnection.openChannel(); every frame sent through it is stamped with its
+ * channel id and sessionId. When the server can't multiplex, the channel opens a
+ * /dragon?sessionId= socket of its own instead (`socket`).
+ *
+ * States: 'closed' (transport down), 'opening' (channel_open sent), 'open'.
+ */
+class DragonChannel {
+    constructor(connection, id, sessionId, handlers) {
+        this.connection = connection;
+        this.id = id;
+        this.sessionId = sessionId;
+        this.handlers = handlers;
+        this.state = 'closed';
+        this.socket = null; // Own socket in per-tab mode
+        this._pending = []; // Frames sent before the channel was open
+    }
+
+    _open() {
+        if (this.connection.mode === 'per-tab') {
+            this._openSocket();
+            return;
+        }
+        this._setState('opening');
+        this.connection._sendRaw({ type: 'channel_open', channel: this.id, sessionId: this.sessionId });
+    }
+
+    _openSocket() {
+        if (this.socket) return;
+
+        this.socket = new WebSocketClient('/dragon');
+        this.socket.onSessionNotFound = (message) => {
+            this.setSessionId(message.newSessionId);
+            this.handlers.onSessionNotFound?.(message);
+        };
+        this.socket.on('message', (message) => this.handlers.onMessage?.(message));
+        this.socket.onStatusChange((status) => {
+            if (status === 'connected') {
+                this._handleOpened({ sessionId: this.sessionId });
+            } else {
+                this._setState(status === 'connecting' ? 'opening' : 'closed');
+            }
+        });
+        this.socket.connect(this.sessionId).catch((error) => {
+            // The socket keeps retrying with backoff; the tab dot shows the state
+            log.warn(`[Dragon] Channel ${this.id} connection failed:`, error?.message || error);
+        });
+    }
+
+    _handleOpened(message) {
+        this.sessionId = message.sessionId;
+        this._setState('open');
+
+        // Per-channel equivalent of the single-socket client_ready handshake
+        // (an own socket already sent it on open)
+        if (!this.socket) {
+            this.connection._sendRaw({ type: 'client_ready', channel: this.id, sessionId: this.sessionId });
+        }
+
+        const pending = this._pending;
+        this._pending = [];
+        pending.forEach(frame => this.send(frame));
+    }
+
+    _setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        this.handlers.onStateChange?.(state);
+    }
+
+    /**
+     * Send a frame on this channel. Queued until the channel is open.
+     */
+    send(message) {
+        if (this.state !== 'open') {
+            this._pending.push(message);
+            return;
+        }
+        if (this.socket) {
+            this.socket.send({ ...message, sessionId: this.sessionId }).catch((error) => {
+                log.warn('[Dragon] Failed to send frame:', message.type, error?.message || error);
+            });
+            return;
+        }
+        this.connection._sendRaw({ ...message, channel: this.id, sessionId: this.sessionId });
+    }
+
+    /**
+     * Send a session replay request to restore conversation context on the server
+     * @param {Array} messages - Array of {role, content} objects to replay
+     * @param {Object} [options]
+     * @param {boolean} [options.reset] - Replace the server context instead of appending to it
+     */
+    sendReplayRequest(messages, { reset = false } = {}) {
+        this.send({ type: 'session_replay', messages, ...(reset && { reset }) });
+    }
+
+    setSessionId(sessionId) {
+        this.sessionId = sessionId;
+        this.socket?.setSessionId(sessionId);
+    }
+
+    /**
+     * Detach the session from the socket. The server keeps the session for later resumption.
+     */
+    close() {
+        if (this.socket) {
+            this._closeSocket();
+        } else if (this.state === 'open') {
+            this.connection._sendRaw({ type: 'channel_close', channel: this.id, sessionId: this.sessionId });
+        }
+        this._pending = [];
+        this.connection.channels.delete(this.id);
+        this._setState('closed');
+    }
+
+    _closeSocket() {
+        this.socket.removeAllHandlers();
+        this.socket.disconnect();
+        this.socket = null;
+    }
+}
+
+/**
+ * Single multiplexed /dragon socket shared by all Dragon tabs.
+ * Each tab opens a channel; the server binds it to a DragonSession and every later frame
+ * carries the channel it belongs to. Channels are re-opened (and their sessions resumed)
+ * whenever the transport reconnects.
+ *
+ * Servers without the multiplex capability (older versions, detected by the handshake) get one
+ * socket per tab instead; `mode` is then 'per-tab' until disconnect().
+ */
+export class DragonConnection {
+    constructor() {
+        this.ws = null;
+        this.channels = new Map(); // channel id -> DragonChannel
+        this.mode = null; // null until negotiated, then 'multiplex' | 'per-tab'
+        this.status = 'disconnected';
+        this.statusHandlers = [];
+        this.nextChannelId = 1;
+    }
+
+    connect() {
+        if (this.mode === 'per-tab') {
+            this.channels.forEach(channel => channel._open());
+            return Promise.resolve();
+        }
+        if (!this.ws) {
+            this.ws = new WebSocketClient('/dragon', { multiplexed: true });
+            this.ws.on('message', (message) => this._route(message));
+            this.ws.onStatusChange((status) => this._handleTransportStatus(status));
+        }
+        return this.ws.connect().catch((error) => {
+            // The socket keeps retrying with backoff; tab dots show the state
+            log.warn('[Dragon] Connection failed:', error?.message || error);
+        });
+    }
+
+    /**
+     * Open a channel for a tab.
+     * @param {string|null} sessionId - Session to resume, or null for a new one
+     * @param {Object} handlers - { onMessage(msg), onStateChange(state), onSessionNotFound(msg) }
+     * @returns {DragonChannel}
+     */
+    openChannel(sessionId, handlers) {
+        const channel = new DragonChannel(this, `c${this.nextChannelId++}`, sessionId, handlers);
+        this.channels.set(channel.id, channel);
+
+        if (this.status === 'connected') {
+            channel._open();
+        } else {
+            this.connect();
+        }
+        return channel;
+    }
+
+    /**
+     * Register a transport status handler ('connecting' | 'connected' | 'disconnected' | 'error').
+     */
+    onStatusChange(handler) {
+        this.statusHandlers.push(handler);
+    }
+
+    disconnect() {
+        this._closeTransport();
+        this.channels.forEach(channel => {
+            if (channel.socket) channel._closeSocket();
+            channel._setState('closed');
+        });
+        this.channels.clear();
+        this.mode = null;
+        this._handleStatus('disconnected');
+    }
+
+    _closeTransport() {
+        if (this.ws) {
+            this.ws.removeAllHandlers();
+            this.ws.disconnect();
+            this.ws = null;
+        }
+    }
+
+    /**
+     * The shared socket is only usable once the handshake confirmed multiplexing; until then
+     * the connection stays 'connecting'.
+     */
+    _handleTransportStatus(status) {
+        if (status !== 'connected') {
+            this._handleStatus(status);
+            return;
+        }
+
+        const ws = this.ws;
+        ws.waitForHandshake().then((info) => {
+            if (this.ws !== ws) return;
+            if (info.capabilities.includes(CAPABILITIES.MULTIPLEX)) {
+                this.mode = 'multiplex';
+                this._handleStatus('connected');
+            } else {
+                this._fallBackToPerTab();
+            }
+        }, () => {
+            // Closed before the handshake - the reconnect negotiates again
+        });
+    }
+
+    /**
+     * Drop the shared socket; every channel (re)opens a socket of its own from now on.
+     */
+    _fallBackToPerTab() {
+        log.info('[Dragon] Server does not support multiplexing - using one socket per tab');
+        this._closeTransport();
+        this.mode = 'per-tab';
+        this._handleStatus('connected');
+    }
+
+    _handleStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+
+        if (status === 'connected') {
+            // New socket - the server has no channels yet, so reopen (and resume) every session
+            this.channels.forEach(channel => channel._open());
+        } else {
+            this.channels.forEach(channel => channel._setState('closed'));
+        }
+
+        this.statusHandlers.forEach(handler => handler(status));
+    }
+
+    _sendRaw(frame) {
+        this.ws?.send(frame).catch((error) => {
+            log.warn('[Dragon] Failed to send frame:', frame.type, error?.message || error);
+        });
+    }
+
+    _route(message) {
+        // Frames answering channel_open or rejecting a channel's frame carry the channel id
+        if (message.channel) {
+            const channel = this.channels.get(message.channel);
+            if (!channel) return;
+
+            if (message.type === 'channel_opened') {
+                channel._handleOpened(message);
+            } else if (message.type === 'session_not_found') {
+                channel.sessionId = message.newSessionId;
+                channel.handlers.onSessionNotFound?.(message);
+            } else {
+                channel.handlers.onMessage?.(message);
+            }
+            return;
+        }
+
+        // Session frames go to every tab that has the session open
+        const channels = message.sessionId
+            ? Array.from(this.channels.values()).filter(c => c.sessionId === message.sessionId)
+            : [];
+        if (channels.length === 0) {
+            log.warn('[Dragon] Dropping frame for unknown session:', message.type, message.sessionId);
+            return;
+        }
+        channels.forEach(channel => channel.handlers.onMessage?.(message));
+    }
+}
@@ -0,0 +1,169 @@
+import { openDatabase, runTransaction } from './idb.js';
+import { log } from './log.js';
+
+const DB_NAME = 'koboldlair-dragon-history';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+const RETENTION_KEY = 'koboldlair_dragon_retention';
+const ACTIVE_TAB_KEY = 'koboldlair_dragon_active_tab';
+
+export const DEFAULT_RETENTION = {
+    maxAgeDays: 30,      // Drop tabs untouched for longer than this (0 = keep forever)
+    maxMessages: 500     // Keep only the newest messages per tab (0 = unlimited)
+};
+
+/**
+ * Persisted Dragon tabs, per server, so a page reload doesn't lose conversations.
+ * DragonView saves a tab whenever its messages or server sessionId change and restores
+ * all tabs of the active server on load. Without IndexedDB nothing is persisted.
+ *
+ * Record: { key, serverId, tabId, name, sessionId, messages, receivedMessageIds, updatedAt }
+ */
+class DragonHistoryStore {
+    constructor() {
+        this._db = null;
+        this.ready = this._open();
+    }
+
+    async _open() {
+        try {
+            this._db = await openDatabase(DB_NAME, DB_VERSION, (db) => {
+                const store = db.createObjectStore(STORE, { keyPath: 'key' });
+                store.createIndex('serverId', 'serverId');
+            });
+        } catch (error) {
+            log.warn('DragonHistoryStore: IndexedDB unavailable, Dragon tabs will not survive reloads:', error.message);
+            this._db = null;
+        }
+    }
+
+    get available() {
+        return !!this._db;
+    }
+
+    getRetention() {
+        try {
+            return { ...DEFAULT_RETENTION, ...JSON.parse(localStorage.getItem(RETENTION_KEY) || '{}') };
+        } catch (_) {
+            return { ...DEFAULT_RETENTION };
+        }
+    }
+
+    setRetention(retention) {
+        localStorage.setItem(RETENTION_KEY, JSON.stringify({ ...this.getRetention(), ...retention }));
+    }
+
+    getActiveTab(serverId) {
+        const tabId = parseInt(localStorage.getItem(`${ACTIVE_TAB_KEY}_${serverId}`), 10);
+        return Number.isNaN(tabId) ? null : tabId;
+    }
+
+    setActiveTab(serverId, tabId) {
+        localStorage.setItem(`${ACTIVE_TAB_KEY}_${serverId}`, String(tabId));
+    }
+
+    /**
+     * Saved tabs for a server, oldest tab first. Tabs past the retention age are deleted.
+     */
+    async loadSessions(serverId) {
+        await this.ready;
+        if (!this._db) return [];
+
+        const records = await runTransaction(this._db, STORE, 'readonly',
+            store => store.index('serverId').getAll(serverId ?? ''));
+
+        const { maxAgeDays } = this.getRetention();
+        const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+        const expired = records.filter(r => new Date(r.updatedAt).getTime() < cutoff);
+        for (const record of expired) {
+            await runTransaction(this._db, STORE, 'readwrite', store => store.delete(record.key));
+        }
+
+        return records
+            .filter(r => !expired.includes(r))
+            .sort((a, b) => a.tabId - b.tabId);
+    }
+
+    /**
+     * Saved tabs of every server, for searching conversations held on other servers.
+     * Tabs past the retention age are skipped; loadSessions deletes them for its server.
+     */
+    async loadAllSessions() {
+        await this.ready;
+        if (!this._db) return [];
+
+        const records = await runTransaction(this._db, STORE, 'readonly', store => store.getAll());
+
+        const { maxAgeDays } = this.getRetention();
+        const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+        return records.filter(r => new Date(r.updatedAt).getTime() >= cutoff);
+    }
+
+    /**
+     * Save a tab. Messages beyond the retention limit are trimmed, oldest first.
+     * @param {string} serverId
+     * @param {Object} tab - { tabId, name, sessionId, messages, receivedMessageIds }
+     */
+    async saveSession(serverId, tab) {
+        await this.ready;
+        if (!this._db) return;
+
+        const { maxMessages } = this.getRetention();
+        const messages = maxMessages > 0 ? tab.messages.slice(-maxMessages) : tab.messages;
+
+        const record = {
+            key: `${serverId ?? ''}|${tab.tabId}`,
+            serverId: serverId ?? '',
+            tabId: tab.tabId,
+            name: tab.name,
+            sessionId: tab.sessionId,
+            messages,
+            receivedMessageIds: tab.receivedMessageIds,
+            updatedAt: new Date().toISOString()
+        };
+
+        try {
+            await runTransaction(this._db, STORE, 'readwrite', store => store.put(record));
+        } catch (error) {
+            log.warn('DragonHistoryStore: Failed to save tab:', error.message);
+        }
+    }
+
+    async removeSession(serverId, tabId) {
+        await this.ready;
+        if (!this._db) return;
+
+        await runTransaction(this._db, STORE, 'readwrite', store => store.delete(`${serverId ?? ''}|${tabId}`));
+    }
+
+    /**
+     * Tab and message counts, for all servers or one.
+     */
+    async stats(serverId = undefined) {
+        await this.ready;
+        if (!this._db) return { sessions: 0, messages: 0 };
+
+        const records = await runTransaction(this._db, STORE, 'readonly', store =>
+            serverId === undefined ? store.getAll() : store.index('serverId').getAll(serverId ?? ''));
+        return {
+            sessions: records.length,
+            messages: records.reduce((sum, r) => sum + r.messages.length, 0)
+        };
+    }
+
+    /**
+     * Delete every saved tab for every server.
+     */
+    async clearAll() {
+        await this.ready;
+        if (this._db) {
+            await runTransaction(this._db, STORE, 'readwrite', store => store.clear());
+        }
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(ACTIVE_TAB_KEY))
+            .forEach(key => localStorage.removeItem(key));
+    }
+}
+
+const store = new DragonHistoryStore();
+export default store;
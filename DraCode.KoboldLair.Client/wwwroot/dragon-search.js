@@ -0,0 +1,116 @@
+import { escapeHtml } from './markdown.js';
+
+/**
+ * Full-text search over the messages of all Dragon tabs (the same data that is persisted in
+ * dragonHistoryStore, so messages that were never rendered are found too).
+ * A query matches a message when every word appears in it, case-insensitively.
+ */
+
+// Filter groups offered in the search panel; context_cleared markers count as system messages
+export const SEARCH_ROLES = {
+    user: { label: '👤 User', roles: ['user'] },
+    assistant: { label: '🐉 Dragon', roles: ['assistant'] },
+    system: { label: 'ℹ️ System', roles: ['system', 'context_cleared'] },
+    error: { label: '⚠️ Error', roles: ['error'] }
+};
+
+const MAX_RESULTS = 200;
+const SNIPPET_CONTEXT = 60; // Characters shown around the first match
+
+export function parseQuery(query) {
+    return [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+}
+
+/**
+ * @param {Iterable<DragonSession|{ id, name, messages, serverId }>} sessions - Live tabs, or saved tabs of another server
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {string[]} [options.groups] - Keys of SEARCH_ROLES to include (default: all)
+ * @returns {{ results: Array<{ sessionId, sessionName, serverId, index, role, timestamp, snippetHtml }>, truncated: boolean }}
+ */
+export function searchSessions(sessions, query, { groups = Object.keys(SEARCH_ROLES) } = {}) {
+    const terms = parseQuery(query);
+    if (terms.length === 0) return { results: [], truncated: false };
+
+    const roles = new Set(groups.flatMap(group => SEARCH_ROLES[group]?.roles || []));
+    const results = [];
+
+    for (const session of sessions) {
+        session.messages.forEach((msg, index) => {
+            if (!roles.has(msg.role) || !msg.content) return;
+
+            const text = msg.role === 'error' && msg.details ? `${msg.content}\n${msg.details}` : msg.content;
+            const lower = text.toLowerCase();
+            if (!terms.every(term => lower.includes(term))) return;
+
+            results.push({
+                sessionId: session.id,
+                sessionName: session.name,
+                serverId: session.serverId ?? null,
+                index,
+                role: msg.role,
+                timestamp: msg.timestamp || null,
+                snippetHtml: snippet(text, terms)
+            });
+        });
+    }
+
+    // Newest first - recent decisions are usually what people look for
+    results.sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+    return { results: results.slice(0, MAX_RESULTS), truncated: results.length > MAX_RESULTS };
+}
+
+/**
+ * Escaped text with every occurrence of the terms wrapped in <mark>.
+ */
+export function highlightHtml(text, terms) {
+    if (terms.length === 0) return escapeHtml(text);
+
+    const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+        html += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(last));
+}
+
+/**
+ * Wrap matches in <mark> inside an already rendered element (a message the search jumped to).
+ * Works on text nodes only, so the element's Markdown structure is left intact.
+ */
+export function highlightInElement(element, terms) {
+    if (terms.length === 0) return;
+
+    const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) {
+        if (!walker.currentNode.parentElement.closest('mark, button')) nodes.push(walker.currentNode);
+    }
+
+    nodes.forEach(node => {
+        const text = node.nodeValue;
+        pattern.lastIndex = 0;
+        if (!pattern.test(text)) return;
+
+        const wrapper = document.createElement('span');
+        wrapper.innerHTML = highlightHtml(text, terms);
+        node.replaceWith(...wrapper.childNodes);
+    });
+}
+
+function snippet(text, terms) {
+    const flat = text.replace(/\s+/g, ' ');
+    const lower = flat.toLowerCase();
+    const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(i => i >= 0));
+
+    const start = Math.max(0, first - SNIPPET_CONTEXT);
+    const end = Math.min(flat.length, first + SNIPPET_CONTEXT * 2);
+    return (start > 0 ? '…' : '') + highlightHtml(flat.slice(start, end), terms) + (end < flat.length ? '…' : '');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,187 @@
+import { escapeHtml } from './markdown.js';
+
+/**
+ * Tool-call timeline for a Dragon response.
+ * Built from the dragon_thinking events (tool_call / tool_result, with the acting agent) received
+ * while a request runs, then attached to the assistant message as msg.timeline and kept in
+ * history and exports.
+ *
+ * Timeline: { startedAt, endedAt, steps: [{ agent, toolName, description, result, category, startedAt, endedAt }] }
+ */
+
+export const AGENT_ICONS = { Dragon: '🐉', Sage: '📜', Seeker: '🔍', Sentinel: '🛡️', Warden: '⚙️' };
+
+// Dragon's tool for handing work to a council member
+const DELEGATION_TOOL = 'delegate_to_council';
+
+/**
+ * Collects steps for the request currently in flight.
+ */
+export class TimelineRecorder {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.startedAt = null;
+        this.steps = [];
+    }
+
+    start() {
+        this.reset();
+        this.startedAt = new Date().toISOString();
+    }
+
+    /**
+     * Record a dragon_thinking frame. Only tool calls, their results and warnings become steps.
+     */
+    record(data) {
+        // Receipt time, so durations share a clock with start() and take()
+        const at = new Date().toISOString();
+        this.startedAt ??= at;
+        const agent = data.agent || 'Dragon';
+
+        if (data.eventType === 'tool_call' && data.toolName) {
+            this.steps.push({
+                agent,
+                toolName: data.toolName,
+                description: data.description || '',
+                result: null,
+                category: data.toolName === DELEGATION_TOOL ? 'delegation' : 'tool',
+                startedAt: at,
+                endedAt: null
+            });
+        } else if (data.eventType === 'tool_result' && data.toolName) {
+            const step = [...this.steps].reverse()
+                .find(s => s.toolName === data.toolName && s.agent === agent && !s.endedAt);
+            if (step) {
+                step.endedAt = at;
+                step.result = data.description || null;
+            }
+        } else if (data.category === 'warning' && data.description) {
+            this.steps.push({
+                agent,
+                toolName: null,
+                description: data.description,
+                result: null,
+                category: 'warning',
+                startedAt: at,
+                endedAt: at
+            });
+        }
+    }
+
+    /**
+     * Finish the request and hand out its timeline (null if no tools were used).
+     */
+    take() {
+        if (this.steps.length === 0) {
+            this.reset();
+            return null;
+        }
+
+        const endedAt = new Date().toISOString();
+        const timeline = {
+            startedAt: this.startedAt,
+            endedAt,
+            // Steps still running when the answer arrived end with it
+            steps: this.steps.map(step => ({ ...step, endedAt: step.endedAt || endedAt }))
+        };
+        this.reset();
+        return timeline;
+    }
+}
+
+export function durationMs(from, to) {
+    const ms = Date.parse(to) - Date.parse(from);
+    return Number.isFinite(ms) && ms >= 0 ? ms : null;
+}
+
+export function formatDuration(ms) {
+    if (ms == null) return '';
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+function summarize(timeline) {
+    const calls = timeline.steps.filter(s => s.category !== 'warning').length;
+    const agents = [...new Set(timeline.steps.map(s => s.agent))];
+    const total = formatDuration(durationMs(timeline.startedAt, timeline.endedAt));
+    return { calls, agents, total };
+}
+
+/**
+ * Collapsible timeline shown under an assistant message.
+ */
+export function renderTimelineHtml(timeline) {
+    if (!timeline?.steps?.length) return '';
+
+    const { calls, agents, total } = summarize(timeline);
+    const agentList = agents.map(a => `${AGENT_ICONS[a] || '🤖'} ${escapeHtml(a)}`).join(', ');
+
+    const steps = timeline.steps.map(step => {
+        const icon = step.category === 'warning' ? '⚠️' : AGENT_ICONS[step.agent] || '🤖';
+        const duration = step.category === 'warning' ? '' : formatDuration(durationMs(step.startedAt, step.endedAt));
+        const offset = formatDuration(durationMs(timeline.startedAt, step.startedAt));
+        return `
+            <li class="tool-timeline-step ${step.category} ${step.agent !== 'Dragon' ? 'council' : ''}">
+                <span class="tool-timeline-offset">+${offset || '0ms'}</span>
+                <span class="tool-timeline-icon" title="${escapeHtml(step.agent)}">${icon}</span>
+                <span class="tool-timeline-body">
+                    ${step.toolName ? `<span class="thinking-tool">${escapeHtml(step.toolName)}</span>` : ''}
+                    ${escapeHtml(step.description)}
+                    ${step.result ? `<span class="tool-timeline-result">→ ${escapeHtml(step.result)}</span>` : ''}
+                </span>
+                <span class="tool-timeline-duration">${duration}</span>
+            </li>
+        `;
+    }).join('');
+
+    return `
+        <details class="tool-timeline">
+            <summary>🔧 ${calls} tool call${calls === 1 ? '' : 's'} · ${agentList} · ${total}</summary>
+            <ol class="tool-timeline-steps">${steps}</ol>
+        </details>
+    `;
+}
+
+/**
+ * Timeline as a Markdown list, for conversation exports.
+ */
+export function timelineToMarkdown(timeline) {
+    if (!timeline?.steps?.length) return '';
+
+    const { calls, total } = summarize(timeline);
+    const lines = [`**Timeline** - ${calls} tool call${calls === 1 ? '' : 's'}, ${total}`, ''];
+    timeline.steps.forEach(step => {
+        const indent = step.agent !== 'Dragon' ? '  ' : '';
+        const tool = step.toolName ? `\`${step.toolName}\` ` : '';
+        const duration = step.category === 'warning' ? '' : ` (${formatDuration(durationMs(step.startedAt, step.endedAt))})`;
+        const result = step.result ? ` → ${step.result}` : '';
+        lines.push(`${indent}- ${step.category === 'warning' ? '⚠️' : step.agent}: ${tool}${step.description}${result}${duration}`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Validate a timeline read from an imported file, keeping only known fields.
+ */
+export function sanitizeTimeline(raw) {
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.steps)) return null;
+
+    const str = value => typeof value === 'string' ? value : null;
+    const steps = raw.steps
+        .filter(step => step && typeof step === 'object')
+        .map(step => ({
+            agent: str(step.agent) || 'Dragon',
+            toolName: str(step.toolName),
+            description: str(step.description) || '',
+            result: str(step.result),
+            category: ['tool', 'delegation', 'warning'].includes(step.category) ? step.category : 'tool',
+            startedAt: str(step.startedAt),
+            endedAt: str(step.endedAt)
+        }));
+
+    return { startedAt: str(raw.startedAt), endedAt: str(raw.endedAt), steps };
+}
@@ -0,0 +1,139 @@
+import { timelineToMarkdown, sanitizeTimeline } from './dragon-timeline.js';
+
+/**
+ * Dragon conversation export (Markdown, JSON) and JSON import.
+ * The JSON format is the portable one: it can be imported into a new tab on any client
+ * and replayed into a server session, so requirements conversations can move between machines.
+ */
+
+export const TRANSCRIPT_FORMAT = 'koboldlair-dragon-conversation';
+export const TRANSCRIPT_VERSION = 1;
+
+const ROLES = ['user', 'assistant', 'system', 'error', 'context_cleared'];
+
+const ROLE_LABELS = {
+    user: '👤 User',
+    assistant: '🐉 Dragon',
+    system: 'ℹ️ System',
+    error: '⚠️ Error',
+    context_cleared: '🧹 Context cleared'
+};
+
+/**
+ * Build the JSON export of a tab.
+ * @param {Object} session - DragonSession
+ * @param {Object} meta - { provider, server }
+ */
+export function toTranscript(session, { provider = null, server = null } = {}) {
+    return {
+        format: TRANSCRIPT_FORMAT,
+        version: TRANSCRIPT_VERSION,
+        exportedAt: new Date().toISOString(),
+        name: session.name,
+        sessionId: session.sessionId,
+        provider,
+        server,
+        messages: session.messages.map(msg => {
+            const entry = { role: msg.role, content: msg.content };
+            if (msg.messageId) entry.messageId = msg.messageId;
+            if (msg.timestamp) entry.timestamp = msg.timestamp;
+            if (msg.timeline) entry.timeline = msg.timeline;
+            if (msg.interrupted) entry.interrupted = true;
+            if (msg.slash) entry.slash = msg.slash;
+            if (msg.role === 'error') {
+                entry.errorType = msg.errorType || 'general';
+                if (msg.details) entry.details = msg.details;
+            }
+            return entry;
+        })
+    };
+}
+
+/**
+ * Render a tab as a Markdown document. Message bodies are already Markdown and are kept as-is.
+ */
+export function toMarkdown(session, { provider = null, server = null } = {}) {
+    const lines = [
+        `# Dragon Conversation - ${session.name}`,
+        '',
+        `- Exported: ${new Date().toISOString()}`,
+        ...(server ? [`- Server: ${server}`] : []),
+        ...(provider ? [`- Provider: ${provider}`] : []),
+        ...(session.sessionId ? [`- Session: \`${session.sessionId}\``] : []),
+        ''
+    ];
+
+    session.messages.forEach(msg => {
+        const when = msg.timestamp ? ` · ${new Date(msg.timestamp).toLocaleString()}` : '';
+        lines.push('---', '', `### ${ROLE_LABELS[msg.role] || msg.role}${when}`, '');
+
+        if (msg.role === 'error') {
+            lines.push(`**${msg.errorType || 'general'}**: ${msg.content}`);
+            if (msg.details) lines.push('', '```', msg.details, '```');
+        } else if (msg.role === 'context_cleared') {
+            lines.push(`_${msg.content}_`);
+        } else if (msg.slash) {
+            lines.push(`\`${msg.slash.command}\` ${msg.slash.success ? '✅' : '❌'}`, '', msg.content);
+        } else {
+            lines.push(msg.content);
+        }
+        if (msg.interrupted) {
+            lines.push('', '_(interrupted - stopped before the response was complete)_');
+        }
+        if (msg.timeline) {
+            lines.push('', timelineToMarkdown(msg.timeline));
+        }
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Parse and validate a JSON export.
+ * @param {string} text - File contents
+ * @returns {{ name: string, sessionId: string|null, provider: string|null, messages: Array }}
+ * @throws {Error} If the file isn't a Dragon conversation export
+ */
+export function parseTranscript(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (_) {
+        throw new Error('File is not valid JSON');
+    }
+
+    if (data?.format !== TRANSCRIPT_FORMAT || !Array.isArray(data.messages)) {
+        throw new Error('File is not a Dragon conversation export');
+    }
+    if (data.version > TRANSCRIPT_VERSION) {
+        throw new Error(`Export version ${data.version} is newer than this client supports`);
+    }
+
+    // Only keep known fields - the file may come from anywhere
+    const messages = data.messages
+        .filter(msg => ROLES.includes(msg?.role) && typeof msg.content === 'string')
+        .map(msg => {
+            const entry = { role: msg.role, content: msg.content };
+            if (typeof msg.messageId === 'string') entry.messageId = msg.messageId;
+            if (typeof msg.timestamp === 'string') entry.timestamp = msg.timestamp;
+            const timeline = sanitizeTimeline(msg.timeline);
+            if (timeline) entry.timeline = timeline;
+            if (msg.interrupted === true) entry.interrupted = true;
+            if (typeof msg.slash?.command === 'string') {
+                entry.slash = { command: msg.slash.command, success: msg.slash.success === true };
+            }
+            if (msg.role === 'error') {
+                entry.errorType = typeof msg.errorType === 'string' ? msg.errorType : 'general';
+                entry.details = typeof msg.details === 'string' ? msg.details : '';
+            }
+            return entry;
+        });
+
+    return {
+        name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Imported conversation',
+        sessionId: typeof data.sessionId === 'string' ? data.sessionId : null,
+        provider: typeof data.provider === 'string' ? data.provider : null,
+        messages
+    };
+}
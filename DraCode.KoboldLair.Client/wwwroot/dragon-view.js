@@ -1,50 +1,115 @@
-import { WebSocketClient } from './websocket.js';
+import { DragonConnection } from './dragon-connection.js';
 import notificationStore from './notification-store.js';
+import { log } from './log.js';
+import { renderMarkdown, MarkdownStream, copyCodeBlock, escapeHtml } from './markdown.js';
+import serverProtocol, { CAPABILITIES } from './protocol.js';
+import dragonHistoryStore from './dragon-history-store.js';
+import { toTranscript, toMarkdown, parseTranscript } from './dragon-transcript.js';
+import { TimelineRecorder, renderTimelineHtml, AGENT_ICONS } from './dragon-timeline.js';
+import { isSlashCommand, parseSlashCommand, runSlashCommand, getSlashSuggestions } from './dragon-commands.js';
+import { SEARCH_ROLES, searchSessions, parseQuery, highlightInElement } from './dragon-search.js';
+import { SpecificationPanel } from './spec-panel.js';
+import { serverManager } from './server-manager.js';
+
+// Debounce for saving a tab to IndexedDB after its messages change
+const PERSIST_DELAY = 300;
+
+// How long project names offered by slash command autocomplete are reused
+const SLASH_PROJECTS_TTL = 30000;
+
+const INPUT_PLACEHOLDER = 'Type your message here... (/ for commands)';
+
+// Search runs as you type, after this pause
+const SEARCH_DELAY = 150;
+
+// Frames that still arrive for a stopped request while the server winds it down
+const STOPPED_REQUEST_FRAMES = new Set(['dragon_stream', 'dragon_thinking', 'dragon_status', 'dragon_typing', 'dragon_message', 'error']);
+
+// A request's last frame is a dragon_status with one of these types
+const TERMINAL_STATUSES = new Set(['complete', 'error']);
+const isTerminalStatus = (data) => data.type === 'dragon_status' && TERMINAL_STATUSES.has(data.statusType);
+
+// Servers without the Dragon cancel capability can't stop a request, so they get no Stop button
+function stopButton() {
+    return serverProtocol.supports('dragon', CAPABILITIES.CANCEL)
+        ? '<button class="dragon-stop-btn" title="Stop this request">⏹️ Stop</button>'
+        : '';
+}
 
 /**
- * Represents a single Dragon session with its own WebSocket connection
+ * Represents a single Dragon session (tab), carried as a channel on the view's shared connection
  */
 class DragonSession {
-    constructor(id, view) {
+    /**
+     * @param {number} id - Tab id
+     * @param {DragonView} view
+     * @param {Object|null} saved - Tab restored from dragonHistoryStore
+     */
+    constructor(id, view, saved = null) {
         this.id = id;
         this.view = view;
-        this.ws = null;
-        this.messages = [];
-        this.sessionId = null;
-        this.receivedMessageIds = new Set();
+        this.ws = null; // DragonChannel
+        this.messages = saved?.messages || [];
+        this.sessionId = saved?.sessionId || null;
+        // Restored ids keep the server's history replay on resume from duplicating saved messages
+        this.receivedMessageIds = new Set(saved?.receivedMessageIds || []);
+        this.channelState = 'closed';
         this.isConnected = false;
         this.isProcessing = false;
-        this.name = `Session ${id}`;
+        this.timeline = new TimelineRecorder(); // Tool calls of the request in flight
+        this.streamedText = ''; // Chunks of the request in flight, kept if it is stopped
+        this.requestId = null; // Request in flight; the server echoes it on the request's frames
+        this.stoppedRequestIds = new Set(); // Stopped requests whose terminal dragon_status hasn't arrived
+        this.stopping = false; // Servers that don't echo request ids: drop untagged frames until it ends
+        this.pendingRewind = null; // { messages, text } while a reset replay awaits the server's answer
+        this.name = saved?.name || `Session ${id}`;
     }
 
-    connect() {
-        // Clean up previous WebSocket handlers to prevent accumulation on reconnect
-        // (Birko WebSocketServer pattern: OnClientDisconnected cleans up before new connection)
-        if (this.ws) {
-            this.ws.removeAllHandlers();
-            this.ws.disconnect();
-            this.ws = null;
-        }
-
-        this.ws = new WebSocketClient('/dragon');
-
-        // Set up session not found handler before connecting
-        this.ws.onSessionNotFound = (data) => this.handleSessionNotFound(data);
+    /**
+     * Save this tab (debounced) so it survives a page reload.
+     */
+    persist() {
+        this.view.schedulePersist(this);
+    }
 
-        this.ws.connect(this.sessionId);
+    toRecord() {
+        return {
+            tabId: this.id,
+            name: this.name,
+            sessionId: this.sessionId,
+            messages: this.messages,
+            receivedMessageIds: Array.from(this.receivedMessageIds)
+        };
+    }
 
-        this.ws.on('message', (data) => this.handleMessage(data));
-        this.ws.onStatusChange((status) => {
-            this.isConnected = status === 'connected';
-            this.view.updateTabStatus(this.id, this.isConnected);
+    /**
+     * Open this session's channel on the shared connection. No-op if already open;
+     * the connection re-opens channels by itself after a transport reconnect.
+     */
+    connect() {
+        if (this.ws) return;
+
+        this.ws = this.view.connection.openChannel(this.sessionId, {
+            onMessage: (data) => this.handleMessage(data),
+            onSessionNotFound: (data) => this.handleSessionNotFound(data),
+            onStateChange: (state) => {
+                this.channelState = state;
+                this.isConnected = state === 'open';
+                this.view.updateTabStatus(this.id);
+            }
         });
     }
 
+    setProcessing(processing) {
+        this.isProcessing = processing;
+        this.view.updateTabStatus(this.id);
+    }
+
     /**
      * Handle session not found notification from server
      */
     handleSessionNotFound(data) {
-        console.log(`[Session ${this.id}] Session not found:`, data);
+        log.debug(`[Session ${this.id}] Session not found:`, data);
 
         // If we have local messages, show recovery modal
         if (this.messages.length > 0) {
@@ -63,19 +128,34 @@ class DragonSession {
         this.ws.setSessionId(newSessionId);
         this.messages = [];
         this.receivedMessageIds.clear();
-        console.log(`[Session ${this.id}] Accepted new session:`, newSessionId);
+        this.persist();
+        log.debug(`[Session ${this.id}] Accepted new session:`, newSessionId);
     }
 
     /**
      * Replay local messages to restore server context
+     * @param {Object} [options]
+     * @param {boolean} [options.reset] - Replace the server context instead of appending to it
      */
-    replayMessages() {
+    replayMessages({ reset = false } = {}) {
         const msgs = this.messages
             .filter(m => m.role === 'user' || m.role === 'assistant')
             .map(m => ({ role: m.role, content: m.content }));
 
-        console.log(`[Session ${this.id}] Replaying ${msgs.length} messages to server`);
-        this.ws.sendReplayRequest(msgs);
+        log.debug(`[Session ${this.id}] Replaying ${msgs.length} messages to server (reset: ${reset})`);
+        this.ws.sendReplayRequest(msgs, { reset });
+    }
+
+    /**
+     * Rewind the conversation to just before the message at index and send text in its place.
+     * The server context is replaced with the remaining turns, so the Dragon answers as if
+     * nothing after that point had been said. The text is only sent once the server confirmed
+     * the reset; if it refuses (a request is still running), the conversation is put back.
+     */
+    rewindAndSend(index, text) {
+        this.pendingRewind = { messages: this.messages, text };
+        this.messages = this.messages.slice(0, index);
+        this.replayMessages({ reset: true });
     }
 
     handleMessage(data) {
@@ -83,14 +163,15 @@ class DragonSession {
         const isTransient = !data.messageId;
 
         if (!isTransient) {
-            console.log(`[Session ${this.id}] Received:`, data.type, data.messageId);
+            log.debug(`[Session ${this.id}] Received:`, data.type, data.messageId);
         }
 
         // Track sessionId from server (skip for transient messages that don't carry session context)
         if (data.sessionId && data.sessionId !== this.sessionId) {
-            console.log(`[Session ${this.id}] Session ID changed: ${this.sessionId} -> ${data.sessionId}`);
+            log.debug(`[Session ${this.id}] Session ID changed: ${this.sessionId} -> ${data.sessionId}`);
             this.sessionId = data.sessionId;
             this.ws.setSessionId(this.sessionId);
+            this.persist();
         }
 
         // Deduplicate only tracked messages (those with messageId)
@@ -112,47 +193,90 @@ class DragonSession {
             }
         }
 
+        // A stopped request's frames are dropped - its answer was already kept as interrupted.
+        // The request is over only once its terminal dragon_status arrives (after its error).
+        if (data.requestId && this.stoppedRequestIds.has(data.requestId)) {
+            if (isTerminalStatus(data)) {
+                this.stoppedRequestIds.delete(data.requestId);
+                this.stopping = false;
+            }
+            return;
+        }
+        if (this.stopping && data.requestId !== this.requestId && STOPPED_REQUEST_FRAMES.has(data.type)) {
+            if (isTerminalStatus(data)) this.stopping = false;
+            return;
+        }
+
         switch (data.type) {
             // --- Session lifecycle ---
             case 'session_resumed':
-                console.log(`[Session ${this.id}] Resumed, ${data.messageCount} messages on server`);
+                log.debug(`[Session ${this.id}] Resumed, ${data.messageCount} messages on server`);
                 return;
 
             case 'session_replay_complete':
-                this.view.showNotification(`Conversation restored (${data.messagesProcessed} messages)`, 'success');
+                // A reset replay is part of an edit or regenerate, which has its own feedback
+                if (data.reset && this.pendingRewind) {
+                    const { text } = this.pendingRewind;
+                    this.pendingRewind = null;
+                    this.sendMessage(text);
+                } else if (!data.reset) {
+                    this.view.showNotification(`Conversation restored (${data.messagesProcessed} messages)`, 'success');
+                }
                 return;
 
             case 'session_replay_error':
                 console.error(`[Session ${this.id}] Replay error:`, data.error);
+                if (data.reset && this.pendingRewind) {
+                    this.messages = this.pendingRewind.messages;
+                    this.pendingRewind = null;
+                    this.persist();
+                    this.setProcessing(false);
+                    if (this.view.activeSessionId === this.id) {
+                        this.view.renderActiveSessionMessages();
+                        this.view.hideThinkingIndicator();
+                        this.view.setInputEnabled(true);
+                    }
+                    this.view.showNotification(`Could not rewrite the conversation: ${data.error}`, 'warning');
+                    return;
+                }
                 this.view.showNotification(`Failed to restore conversation: ${data.error}`, 'error');
                 return;
 
             // --- Dragon response (final message) ---
             case 'dragon_message': {
                 const streamingElementExists = this.view.hasStreamingElement();
+                // Replayed history has no live tool calls behind it
+                const timeline = data.isReplay ? null : this.timeline.take();
+                this.streamedText = '';
 
+                let streamedElement = null;
                 if (data.isStreamed && streamingElementExists) {
                     // Finalize the streaming display with the complete content
-                    this.view.finalizeStreamingMessage(data.message ?? data.content ?? '');
+                    streamedElement = this.view.finalizeStreamingMessage(data.message ?? data.content ?? '', timeline);
                 }
 
                 const content = data.message ?? data.content ?? '';
                 if (content) {
                     if (data.isStreamed && streamingElementExists) {
                         // Streamed: save to history only (UI already shows it)
-                        const msg = { role: 'assistant', content };
+                        const msg = { role: 'assistant', content, timestamp: data.timestamp || new Date().toISOString() };
                         if (data.messageId) msg.messageId = data.messageId;
+                        if (timeline) msg.timeline = timeline;
                         this.messages.push(msg);
+                        this.persist();
+                        if (streamedElement) {
+                            this.view.addMessageActions(streamedElement, msg, this.messages.length - 1);
+                        }
                     } else {
                         // Non-streamed or no chunks arrived: render to UI
-                        this.addMessage('assistant', content, data.messageId);
+                        this.addMessage('assistant', content, data.messageId, data.timestamp, timeline ? { timeline } : null);
                     }
                 } else {
                     console.warn(`[Session ${this.id}] dragon_message with no content`);
                 }
 
                 // Response complete — reset processing state
-                this.isProcessing = false;
+                this.setProcessing(false);
                 this.view.hideThinkingIndicator();
                 this.view.setInputEnabled(true);
                 return;
@@ -164,18 +288,19 @@ class DragonSession {
                 if (!this.view.hasStreamingElement()) {
                     this.view.hideThinkingIndicator();
                 }
+                this.streamedText += data.chunk ?? '';
                 this.view.appendStreamingChunk(data.chunk);
                 return;
 
             // --- Agent reloaded ---
             case 'dragon_reloaded':
-                this.isProcessing = false;
+                this.setProcessing(false);
                 this.view.hideThinkingIndicator();
                 this.view.setInputEnabled(true);
                 this.clearMessages();
                 this.sessionId = data.sessionId;
                 this.ws.setSessionId(this.sessionId);
-                this.addMessage('system', data.message, data.messageId);
+                this.addMessage('system', data.message, data.messageId, data.timestamp); // Also persists the new sessionId
                 return;
 
             // --- Processing indicators (transient, no messageId) ---
@@ -183,19 +308,20 @@ class DragonSession {
                 // Server confirmed it received our message — only act if we haven't already
                 // (sendMessage() already shows indicator optimistically)
                 if (!this.isProcessing) {
-                    this.isProcessing = true;
+                    this.setProcessing(true);
                     this.view.showThinkingIndicator();
                     this.view.setInputEnabled(false);
                 }
                 return;
 
             case 'dragon_thinking':
+                this.timeline.record(data);
                 this.view.updateThinkingIndicator(data.description, data.toolName, data.category, data.agent);
                 return;
 
             case 'dragon_status':
-                // When status is complete, hide the thinking indicator
-                if (data.statusType === 'complete') {
+                // The request ended (the answer or error came just before) - hide the thinking indicator
+                if (TERMINAL_STATUSES.has(data.statusType)) {
                     this.view.hideThinkingIndicator();
                 } else {
                     this.view.updateThinkingIndicator(data.message, null, 'status', null);
@@ -203,8 +329,12 @@ class DragonSession {
                 return;
 
             // --- System notifications ---
+            case 'request_cancelled':
+                log.debug(`[Session ${this.id}] Request ${data.requestId} cancelled: ${data.cancelled}`);
+                return;
+
             case 'context_cleared':
-                this.addMessage('context_cleared', data.message || 'Conversation context cleared.', data.messageId);
+                this.addMessage('context_cleared', data.message || 'Conversation context cleared.', data.messageId, data.timestamp);
                 return;
 
             case 'specification_created': {
@@ -220,8 +350,9 @@ class DragonSession {
                     message += `\n\n🔀 **Git initialized** - Automatic version control is enabled for this project.`;
                 }
 
-                this.addMessage('system', message, data.messageId);
+                this.addMessage('system', message, data.messageId, data.timestamp);
                 this.view.showNotification(`Specification created: ${projectName}`, 'success');
+                this.view.openSpecification(projectName);
                 return;
             }
 
@@ -230,6 +361,7 @@ class DragonSession {
                 const isEscalation = data.notificationType === 'escalation';
                 const notifIcon = data.notificationType === 'feature_branch_ready' ? '🔀' :
                                   data.notificationType === 'project_complete' ? '🎉' :
+                                  data.notificationType === 'task_failed' ? '❌' :
                                   isEscalation ? '⚠️' : '📢';
 
                 if (isEscalation) {
@@ -239,7 +371,7 @@ class DragonSession {
                     this.addMessage('system',
                         `${notifIcon} **ESCALATION: ${escalationType}**\n${data.message}` +
                         (resolution ? `\n_Resolution: ${resolution}_` : ''),
-                        data.messageId);
+                        data.messageId, data.timestamp);
                     this.view.showNotification(`⚠️ Escalation: ${data.message}`, 'warning');
                     this.view.incrementNotificationBadge({
                         type: escalationType,
@@ -249,7 +381,7 @@ class DragonSession {
                         timestamp: data.timestamp || new Date().toISOString()
                     });
                 } else {
-                    this.addMessage('system', `${notifIcon} ${data.message}`, data.messageId);
+                    this.addMessage('system', `${notifIcon} ${data.message}`, data.messageId, data.timestamp);
                     this.view.showNotification(data.message, 'info');
                 }
                 return;
@@ -257,7 +389,9 @@ class DragonSession {
 
             // --- Errors ---
             case 'error':
-                this.isProcessing = false;
+                this.timeline.reset();
+                this.streamedText = '';
+                this.setProcessing(false);
                 this.view.hideThinkingIndicator();
                 this.view.setInputEnabled(true);
                 this.addErrorMessage(data);
@@ -270,27 +404,28 @@ class DragonSession {
             // --- Unknown types ---
             default:
                 if (data.content) {
-                    this.addMessage('assistant', data.content, data.messageId);
+                    this.addMessage('assistant', data.content, data.messageId, data.timestamp);
                 } else {
                     console.warn(`[Session ${this.id}] Unknown message type:`, data.type);
                 }
         }
     }
 
-    addMessage(role, content, messageId = null) {
-        console.log(`[Session ${this.id}] addMessage called:`, { role, contentLength: content?.length, messageId });
-        const msg = { role, content };
+    addMessage(role, content, messageId = null, timestamp = null, extra = null) {
+        log.debug(`[Session ${this.id}] addMessage called:`, { role, contentLength: content?.length, messageId });
+        const msg = { role, content, timestamp: timestamp || new Date().toISOString(), ...extra };
         if (messageId) {
             msg.messageId = messageId;
         }
         this.messages.push(msg);
+        this.persist();
 
         // Only update UI if this is the active session
         if (this.view.activeSessionId === this.id) {
-            console.log(`[Session ${this.id}] Calling appendMessageToUI (active session)`);
+            log.debug(`[Session ${this.id}] Calling appendMessageToUI (active session)`);
             this.view.appendMessageToUI(msg, role);
         } else {
-            console.log(`[Session ${this.id}] Not active session (active: ${this.view.activeSessionId}), skipping UI update`);
+            log.debug(`[Session ${this.id}] Not active session (active: ${this.view.activeSessionId}), skipping UI update`);
         }
     }
 
@@ -299,7 +434,10 @@ class DragonSession {
         const message = errorData.message || 'An error occurred';
         const details = errorData.details || '';
 
-        this.messages.push({ role: 'error', content: message, details, errorType });
+        const msg = { role: 'error', content: message, details, errorType, timestamp: errorData.timestamp || new Date().toISOString() };
+        if (errorData.messageId) msg.messageId = errorData.messageId;
+        this.messages.push(msg);
+        this.persist();
 
         if (this.view.activeSessionId === this.id) {
             this.view.appendErrorToUI(errorData);
@@ -307,21 +445,63 @@ class DragonSession {
     }
 
     clearMessages() {
-        console.log(`[Session ${this.id}] Clearing messages and receivedMessageIds (had ${this.messages.length} messages, ${this.receivedMessageIds.size} IDs)`);
+        log.debug(`[Session ${this.id}] Clearing messages and receivedMessageIds (had ${this.messages.length} messages, ${this.receivedMessageIds.size} IDs)`);
         this.messages = [];
         this.receivedMessageIds.clear();
+        this.persist();
     }
 
     sendMessage(message) {
         if (message && this.ws) {
             this.addMessage('user', message);
+            this.timeline.start();
+            // A stopped request the server never started sends nothing more
+            this.stopping = false;
+            this.streamedText = '';
+            this.requestId = `dragon_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
             this.ws.send({
                 message: message,
-                sessionId: this.sessionId
+                sessionId: this.sessionId,
+                requestId: this.requestId
             });
         }
     }
 
+    /**
+     * Stop the request in flight with a cancel_request on the session's own channel (queued
+     * there while it reconnects). Text streamed so far is kept as an interrupted answer; the
+     * server session and its context stay as they are.
+     */
+    stop() {
+        if (!this.isProcessing || !this.ws || !serverProtocol.supports('dragon', CAPABILITIES.CANCEL)) return;
+
+        this.ws.send({ type: 'cancel_request', ...(this.requestId && { requestId: this.requestId }) });
+        this.stopping = true;
+        if (this.requestId) {
+            this.stoppedRequestIds.add(this.requestId);
+            this.requestId = null;
+        }
+
+        const partial = this.streamedText;
+        const timeline = this.timeline.take();
+        this.streamedText = '';
+
+        if (this.view.activeSessionId === this.id) {
+            this.view.discardStreamingMessage();
+            this.view.hideThinkingIndicator();
+        }
+        if (partial) {
+            this.addMessage('assistant', partial, null, null, { interrupted: true, ...(timeline && { timeline }) });
+        } else {
+            this.addMessage('system', '⏹️ Stopped before the Dragon replied.');
+        }
+
+        this.setProcessing(false);
+        if (this.view.activeSessionId === this.id) {
+            this.view.setInputEnabled(true);
+        }
+    }
+
     reloadAgent(provider) {
         if (this.ws && this.sessionId) {
             this.ws.send({
@@ -348,10 +528,10 @@ class DragonSession {
 
     disconnect() {
         if (this.ws) {
-            this.ws.removeAllHandlers();
-            this.ws.disconnect();
+            this.ws.close();
             this.ws = null;
         }
+        this.channelState = 'closed';
         this.isConnected = false;
     }
 
@@ -360,21 +540,118 @@ class DragonSession {
 export class DragonView {
     constructor(api) {
         this.api = api;
+        this.connection = new DragonConnection(); // One socket shared by all tabs
+        this.connection.onStatusChange(() => this.sessions.forEach(session => this.updateTabStatus(session.id)));
         this.sessions = new Map(); // id -> DragonSession
         this.activeSessionId = null;
         this.nextSessionId = 1;
         this.providers = [];
         this.selectedProvider = null;
         this.pendingEscalations = []; // Track unread escalation notifications
+        this.pendingPrompt = null; // Prompt to prefill on next mount (e.g. "Open in Dragon" from Escalations)
+        this.markdownStream = null; // Incremental renderer for the message currently streaming
+        this.persistTimers = new Map(); // tab id -> pending save timeout
+        this.pendingRecoveries = []; // Session recovery prompts waiting for the open one to be answered
+        this.slashSuggestions = null; // Open slash command menu: { text, items, selected, navigated }
+        this.slashProjects = null; // Project names for slash command autocomplete: { names, loadedAt }
+        this.searchTimer = null;
+        this.searchRun = 0;
+        this.lastSpecProject = null; // Project of the latest specification_created, for the Spec button
+        this.specPanel = new SpecificationPanel(api, {
+            notify: (message, type) => this.showNotification(message, type),
+            onApproved: (project, comment) => {
+                const note = comment ? `\n\n> ${comment.replace(/\n/g, '\n> ')}` : '';
+                this.sessions.get(this.activeSessionId)?.addMessage('system', `✅ Specification approved for project: ${project}${note}`);
+            }
+        });
 
-        // Create initial session (server replays history on connect)
-        this.createNewSession();
+        // Restore saved tabs of the active server (each resumes its server session on connect)
+        this.restored = this.restoreSessions();
 
         // Setup cleanup for page unload (not view switching)
         this._cleanupOnUnload = () => this.cleanup();
         window.addEventListener('beforeunload', this._cleanupOnUnload);
     }
 
+    /**
+     * Load the active server's saved tabs, or start with one empty tab.
+     */
+    async restoreSessions() {
+        this.serverId = serverManager.getActiveServer()?.id ?? '';
+        this.sessions.clear();
+        this.nextSessionId = 1;
+
+        let saved = [];
+        try {
+            saved = await dragonHistoryStore.loadSessions(this.serverId);
+        } catch (error) {
+            log.warn('[DragonView] Failed to restore saved tabs:', error.message);
+        }
+
+        saved.forEach(record => {
+            this.sessions.set(record.tabId, new DragonSession(record.tabId, this, record));
+            this.nextSessionId = Math.max(this.nextSessionId, record.tabId + 1);
+        });
+
+        if (this.sessions.size === 0) {
+            this.createNewSession();
+            return;
+        }
+
+        const activeTab = dragonHistoryStore.getActiveTab(this.serverId);
+        this.activeSessionId = this.sessions.has(activeTab) ? activeTab : this.sessions.keys().next().value;
+        log.debug(`[DragonView] Restored ${saved.length} tab(s) for server ${this.serverId}`);
+    }
+
+    /**
+     * Save a tab shortly after it changes; bursts of messages result in one write.
+     */
+    schedulePersist(session) {
+        clearTimeout(this.persistTimers.get(session.id));
+        this.persistTimers.set(session.id, setTimeout(() => {
+            this.persistTimers.delete(session.id);
+            if (this.sessions.get(session.id) === session) {
+                dragonHistoryStore.saveSession(this.serverId, session.toRecord());
+            }
+        }, PERSIST_DELAY));
+    }
+
+    /**
+     * Write all pending tab saves now (page unload, server switch).
+     */
+    flushPersist() {
+        this.persistTimers.forEach((timer, id) => {
+            clearTimeout(timer);
+            const session = this.sessions.get(id);
+            if (session) {
+                dragonHistoryStore.saveSession(this.serverId, session.toRecord());
+            }
+        });
+        this.persistTimers.clear();
+    }
+
+    /**
+     * Switch to the tabs saved for the newly selected server.
+     */
+    async onServerChange() {
+        this.flushPersist();
+        this.pendingRecoveries = [];
+        document.querySelector('.modal.session-recovery')?.remove();
+        this.sessions.forEach(session => session.disconnect());
+        this.connection.disconnect();
+
+        this.restored = this.restoreSessions();
+        await this.restored;
+
+        // Re-render only if the Dragon view is on screen; onMount connects otherwise
+        if (document.getElementById('dragonMessages')) {
+            this.renderTabs();
+            this.renderActiveSessionMessages();
+            this.connection.connect();
+            this.sessions.forEach(session => session.connect());
+        }
+    }
+
     /**
      * Create a new session
      */
@@ -383,6 +660,8 @@ export class DragonView {
         const session = new DragonSession(id, this);
         this.sessions.set(id, session);
         this.activeSessionId = id;
+        dragonHistoryStore.setActiveTab(this.serverId, id);
+        session.persist();
         return session;
     }
 
@@ -395,11 +674,15 @@ export class DragonView {
 
         session.disconnect();
         this.sessions.delete(id);
+        clearTimeout(this.persistTimers.get(id));
+        this.persistTimers.delete(id);
+        dragonHistoryStore.removeSession(this.serverId, id);
 
         // If we closed the active session, switch to another
         if (this.activeSessionId === id) {
             if (this.sessions.size > 0) {
                 this.activeSessionId = this.sessions.keys().next().value;
+                dragonHistoryStore.setActiveTab(this.serverId, this.activeSessionId);
             } else {
                 // Create a new session if all closed
                 this.createNewSession();
@@ -421,6 +704,7 @@ export class DragonView {
         this.hideThinkingIndicator();
 
         this.activeSessionId = id;
+        dragonHistoryStore.setActiveTab(this.serverId, id);
         this.renderTabs();
         this.renderActiveSessionMessages();
 
@@ -432,20 +716,38 @@ export class DragonView {
         }
     }
 
+    /**
+     * Tab indicator state, combining the shared transport with the session's channel.
+     */
+    getTabStatus(session) {
+        if (this.connection.status !== 'connected') {
+            return { state: 'disconnected', title: 'Disconnected - waiting for the server' };
+        }
+        if (session.channelState !== 'open') {
+            return { state: 'connecting', title: 'Opening session...' };
+        }
+        if (session.isProcessing) {
+            return { state: 'busy', title: 'Dragon is working...' };
+        }
+        return { state: 'connected', title: 'Connected' };
+    }
+
     /**
      * Update tab connection status indicator
      */
-    updateTabStatus(sessionId, isConnected) {
-        const tab = document.querySelector(`.dragon-tab[data-session-id="${sessionId}"]`);
-        if (tab) {
-            const statusDot = tab.querySelector('.tab-status-dot');
-            if (statusDot) {
-                statusDot.className = `tab-status-dot ${isConnected ? 'connected' : 'disconnected'}`;
-            }
+    updateTabStatus(sessionId) {
+        const session = this.sessions.get(sessionId);
+        const statusDot = document.querySelector(`.dragon-tab[data-session-id="${sessionId}"] .tab-status-dot`);
+        if (session && statusDot) {
+            const { state, title } = this.getTabStatus(session);
+            statusDot.className = `tab-status-dot ${state}`;
+            statusDot.title = title;
         }
     }
 
     async render() {
+        await this.restored;
+
         // Load available providers
         try {
             const providersData = await this.api.getProvidersForAgent('Dragon');
@@ -457,6 +759,7 @@ export class DragonView {
         }
 
         return `
+            <div class="dragon-layout">
             <div class="chat-container">
                 <div class="chat-header">
                     <h2>🐉 Dragon Requirements Agent</h2>
@@ -468,15 +771,34 @@ export class DragonView {
                                 </option>
                             `).join('')}
                         </select>
+                        <button class="btn btn-secondary" id="dragonSpecBtn" title="Review the latest specification">
+                            <span>📋 Spec</span>
+                        </button>
+                        <button class="btn btn-secondary" id="dragonSearchBtn" title="Search all conversations">
+                            <span>🔎 Search</span>
+                        </button>
                         <button class="btn btn-secondary" id="dragonClearBtn" title="Clear conversation context (keeps agent loaded)">
                             <span>🧹 Clear Context</span>
                         </button>
-                        <button class="btn btn-secondary" id="dragonDownloadBtn" title="Download conversation as text file">
-                            <span>📥 Download</span>
+                        <div class="dragon-export">
+                            <button class="btn btn-secondary" id="dragonDownloadBtn" title="Export conversation">
+                                <span>📥 Export ▾</span>
+                            </button>
+                            <div class="dragon-export-menu" id="dragonExportMenu" style="display: none;">
+                                <button class="dragon-export-item" data-format="markdown">Markdown (.md)</button>
+                                <button class="dragon-export-item" data-format="json">JSON (.json, re-importable)</button>
+                            </div>
+                        </div>
+                        <button class="btn btn-secondary" id="dragonImportBtn" title="Open a JSON export in a new tab">
+                            <span>📂 Import</span>
                         </button>
+                        <input type="file" id="dragonImportFile" accept=".json,application/json" style="display: none;">
                         <button class="btn btn-secondary" id="dragonReloadBtn" title="Reload agent (clear context and reload provider)">
                             <span>🔄 Reload Agent</span>
                         </button>
+                        <button class="btn btn-secondary" id="dragonHistoryBtn" title="Local conversation history settings">
+                            <span>🗄️ History</span>
+                        </button>
                     </div>
                 </div>
                 <div class="dragon-tabs-container">
@@ -485,14 +807,27 @@ export class DragonView {
                     </div>
                     <button class="dragon-tab-add" id="dragonAddTab" title="New Session">+</button>
                 </div>
+                <div class="dragon-search" id="dragonSearch" style="display: none;">
+                    <div class="dragon-search-bar">
+                        <input type="search" class="form-control" id="dragonSearchInput" placeholder="Search all conversations...">
+                        <div class="dragon-search-roles">
+                            ${Object.entries(SEARCH_ROLES).map(([key, group]) => `
+                                <label><input type="checkbox" data-search-role="${key}" checked> ${group.label}</label>
+                            `).join('')}
+                        </div>
+                        <button class="dragon-search-close" id="dragonSearchClose" title="Close search">×</button>
+                    </div>
+                    <div class="dragon-search-results" id="dragonSearchResults"></div>
+                </div>
                 <div class="chat-messages" id="dragonMessages">
                     ${this.renderMessagesHtml()}
                 </div>
                 <div class="chat-input-container">
+                    <div class="slash-menu" id="dragonSlashMenu" style="display: none;"></div>
                     <textarea
                         class="chat-input"
                         id="dragonInput"
-                        placeholder="Type your message here..."
+                        placeholder="${INPUT_PLACEHOLDER}"
                         rows="3"
                     ></textarea>
                     <button class="btn btn-primary" id="dragonSendBtn">
@@ -501,20 +836,25 @@ export class DragonView {
                     </button>
                 </div>
             </div>
+            <aside class="spec-panel" id="dragonSpecPanel" style="display: none;"></aside>
+            </div>
         `;
     }
 
     renderTabsHtml() {
-        return Array.from(this.sessions.values()).map(session => `
+        return Array.from(this.sessions.values()).map(session => {
+            const status = this.getTabStatus(session);
+            return `
             <div class="dragon-tab ${session.id === this.activeSessionId ? 'active' : ''}"
                  data-session-id="${session.id}">
-                <span class="tab-status-dot ${session.isConnected ? 'connected' : 'disconnected'}"></span>
+                <span class="tab-status-dot ${status.state}" title="${status.title}"></span>
                 <span class="tab-name">${this.escapeHtml(session.name)}</span>
                 ${this.sessions.size > 1 ? `
                     <button class="tab-close" data-session-id="${session.id}" title="Close Session">×</button>
                 ` : ''}
             </div>
-        `).join('');
+        `;
+        }).join('');
     }
 
     renderMessagesHtml() {
@@ -528,28 +868,93 @@ export class DragonView {
             `;
         }
 
-        return session.messages.filter(msg => msg.content).map(msg => {
+        const lastTurn = session.messages.findLastIndex(m => m.role === 'user' || m.role === 'assistant');
+
+        return session.messages.map((msg, index) => {
+            if (!msg.content) return '';
             if (msg.role === 'error') {
-                return this.renderErrorMessageHtml(msg);
+                return this.renderErrorMessageHtml(msg, index);
             }
             if (msg.role === 'context_cleared') {
-                return this.renderContextClearedHtml(msg);
+                return this.renderContextClearedHtml(msg, index);
             }
             return `
-                <div class="chat-message ${msg.role}">
+                <div class="chat-message ${msg.role} ${this.getSlashCardClass(msg)}" data-index="${index}">
                     <div class="chat-message-icon">${msg.role === 'user' ? '👤' : msg.role === 'system' ? 'ℹ️' : '🐉'}</div>
                     <div class="chat-message-content">
-                        <div class="chat-message-role">${msg.role}</div>
-                        <div class="chat-message-text">${this.escapeHtml(msg.content)}</div>
+                        ${this.renderMessageActionsHtml(msg, index === lastTurn)}
+                        ${this.renderMessageRoleHtml(msg)}
+                        ${this.renderMessageTextHtml(msg.role, msg.content)}
+                        ${this.renderInterruptedHtml(msg)}
+                        ${renderTimelineHtml(msg.timeline)}
                     </div>
                 </div>
             `;
         }).join('');
     }
 
-    renderContextClearedHtml(msg) {
+    /**
+     * Message body: Dragon and system output is Markdown, user input is shown as typed.
+     */
+    renderMessageTextHtml(role, content) {
+        if (role === 'user') {
+            return `<div class="chat-message-text">${this.escapeHtml(content)}</div>`;
+        }
+        return `<div class="chat-message-text markdown-body">${renderMarkdown(content)}</div>`;
+    }
+
+    /**
+     * Hover toolbar on user and Dragon messages: edit, regenerate (last reply only), fork.
+     */
+    renderMessageActionsHtml(msg, isLastTurn) {
+        if (msg.role !== 'user' && msg.role !== 'assistant') return '';
         return `
-            <div class="chat-message context-cleared" style="background: linear-gradient(135deg, #dbeafe 0%, #bfdbfe 100%); border: 1px solid #60a5fa; border-left: 4px solid #3b82f6; justify-content: center;">
+            <div class="chat-message-actions">
+                ${msg.role === 'user' ? '<button data-action="edit" title="Edit and resend (later messages are removed)">✏️</button>' : ''}
+                ${msg.role === 'assistant' && isLastTurn ? '<button data-action="regenerate" title="Regenerate this reply">🔄</button>' : ''}
+                <button data-action="fork" title="Fork the conversation here into a new tab">🔀</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Give a message element appended after the initial render its index and toolbar.
+     * Only the newest reply can be regenerated, so older regenerate buttons go away.
+     */
+    addMessageActions(element, msg, index) {
+        if (msg.role !== 'user' && msg.role !== 'assistant') return;
+        document.querySelectorAll('#dragonMessages [data-action="regenerate"]').forEach(btn => btn.remove());
+        element.dataset.index = index;
+        element.querySelector('.chat-message-content')?.insertAdjacentHTML('afterbegin', this.renderMessageActionsHtml(msg, true));
+    }
+
+    /**
+     * Role line; slash command results show the command and its outcome instead
+     */
+    renderMessageRoleHtml(msg) {
+        if (!msg.slash) {
+            return `<div class="chat-message-role">${msg.role}</div>`;
+        }
+        return `
+            <div class="chat-message-role slash-card-command">
+                <code>${this.escapeHtml(msg.slash.command)}</code> ${msg.slash.success ? '✅' : '❌'}
+            </div>
+        `;
+    }
+
+    getSlashCardClass(msg) {
+        return msg.slash ? `slash-card ${msg.slash.success ? 'succeeded' : 'failed'}` : '';
+    }
+
+    renderInterruptedHtml(msg) {
+        return msg.interrupted
+            ? '<div class="chat-message-interrupted">⏹️ Interrupted - stopped before the response was complete</div>'
+            : '';
+    }
+
+    renderContextClearedHtml(msg, index = null) {
+        return `
+            <div class="chat-message context-cleared" ${index !== null ? `data-index="${index}"` : ''} style="background: linear-gradient(135deg, #dbeafe 0%, #bfdbfe 100%); border: 1px solid #60a5fa; border-left: 4px solid #3b82f6; justify-content: center;">
                 <div class="chat-message-icon" style="color: #3b82f6;">🧹</div>
                 <div class="chat-message-content" style="text-align: center;">
                     <div class="chat-message-text" style="color: #1e40af; font-style: italic;">${this.escapeHtml(msg.content)}</div>
@@ -567,10 +972,10 @@ export class DragonView {
         return { icon: icons[errorType] || '⚠️', title: titles[errorType] || 'Error' };
     }
 
-    renderErrorMessageHtml(msg) {
+    renderErrorMessageHtml(msg, index = null) {
         const { icon, title } = this.getErrorMeta(msg.errorType || 'general');
         return `
-            <div class="chat-message error" style="background: linear-gradient(135deg, #fee2e2 0%, #fecaca 100%); border: 1px solid #f87171; border-left: 4px solid #dc2626;">
+            <div class="chat-message error" ${index !== null ? `data-index="${index}"` : ''} style="background: linear-gradient(135deg, #fee2e2 0%, #fecaca 100%); border: 1px solid #f87171; border-left: 4px solid #dc2626;">
                 <div class="chat-message-icon" style="color: #dc2626;">${icon}</div>
                 <div class="chat-message-content">
                     <div class="chat-message-role" style="color: #dc2626; font-weight: bold;">${title}</div>
@@ -600,7 +1005,8 @@ export class DragonView {
     }
 
     onMount() {
-        // Connect all sessions
+        // Open the shared socket and a channel per session (no-op for ones already open)
+        this.connection.connect();
         this.sessions.forEach(session => {
             session.connect();
         });
@@ -608,6 +1014,7 @@ export class DragonView {
         this.detachEventListeners();
         this.attachEventListeners();
         this.attachTabEventListeners();
+        this.specPanel.mount(document.getElementById('dragonSpecPanel'));
 
         // Scroll to last message
         const messagesContainer = document.getElementById('dragonMessages');
@@ -621,6 +1028,27 @@ export class DragonView {
             this.setInputEnabled(false);
             this.showThinkingIndicator();
         }
+
+        const input = document.getElementById('dragonInput');
+        if (this.pendingPrompt !== null && input) {
+            input.value = this.pendingPrompt;
+            input.focus();
+            this.pendingPrompt = null;
+        }
+    }
+
+    /**
+     * Prefill the input with a prompt (now, or the next time the view is shown); the user reviews and sends it
+     */
+    setPendingPrompt(prompt) {
+        // Already showing - no mount will follow
+        const input = document.getElementById('dragonInput');
+        if (input) {
+            input.value = prompt;
+            input.focus();
+            return;
+        }
+        this.pendingPrompt = prompt;
     }
 
     attachEventListeners() {
@@ -628,19 +1056,84 @@ export class DragonView {
         this._handlers = {
             send: () => this.sendMessage(),
             keydown: (e) => {
+                if (this.handleSlashMenuKey(e)) return;
                 if (e.key === 'Enter' && !e.shiftKey) {
                     e.preventDefault();
                     this.sendMessage();
                 }
             },
+            inputChange: () => this.updateSlashMenu(),
+            slashMenuClick: (e) => {
+                e.preventDefault(); // Keep focus in the input
+                const item = e.target.closest('[data-slash-index]');
+                if (item) this.acceptSlashSuggestion(parseInt(item.dataset.slashIndex, 10));
+            },
             reload: () => this.reloadAgent(),
             clear: () => this.clearContext(),
-            download: () => this.downloadConversation(),
+            download: (e) => {
+                e.stopPropagation();
+                const menu = document.getElementById('dragonExportMenu');
+                if (menu) menu.style.display = menu.style.display === 'block' ? 'none' : 'block';
+            },
+            exportFormat: (e) => {
+                const format = e.target.closest('[data-format]')?.dataset.format;
+                if (!format) return;
+                e.currentTarget.style.display = 'none';
+                this.downloadConversation(format);
+            },
+            closeExportMenu: (e) => {
+                if (!e.target.closest('.dragon-export')) {
+                    const menu = document.getElementById('dragonExportMenu');
+                    if (menu) menu.style.display = 'none';
+                }
+            },
+            import: () => document.getElementById('dragonImportFile')?.click(),
+            importFile: (e) => {
+                const file = e.target.files?.[0];
+                e.target.value = ''; // Allow importing the same file again
+                if (file) this.importConversation(file);
+            },
+            history: () => this.showHistorySettingsModal(),
             providerChange: (e) => {
                 this.selectedProvider = e.target.value;
                 this.reloadAgent();
             },
-            addTab: () => this.addNewTab()
+            addTab: () => this.addNewTab(),
+            searchToggle: () => this.toggleSearch(),
+            specToggle: () => this.toggleSpecPanel(),
+            searchClose: () => this.toggleSearch(false),
+            searchInput: () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.runSearch(), SEARCH_DELAY);
+            },
+            searchKeydown: (e) => {
+                if (e.key === 'Escape') {
+                    this.toggleSearch(false);
+                } else if (e.key === 'Enter') {
+                    document.querySelector('#dragonSearchResults .dragon-search-result')?.click();
+                }
+            },
+            searchResultsClick: (e) => {
+                const result = e.target.closest('.dragon-search-result');
+                if (result && !result.dataset.serverId) {
+                    this.jumpToMessage(parseInt(result.dataset.sessionId, 10), parseInt(result.dataset.index, 10));
+                }
+            },
+            messagesClick: (e) => {
+                const copyBtn = e.target.closest('.md-copy-btn');
+                if (copyBtn) copyCodeBlock(copyBtn);
+                if (e.target.closest('.dragon-stop-btn')) this.stopRequest();
+
+                const actionBtn = e.target.closest('[data-action]');
+                const index = parseInt(actionBtn?.closest('[data-index]')?.dataset.index, 10);
+                switch (actionBtn?.dataset.action) {
+                    case 'edit': this.startEditMessage(index); break;
+                    case 'edit-save': this.saveEditedMessage(index); break;
+                    case 'edit-cancel': this.renderActiveSessionMessages(); break;
+                    case 'regenerate': this.regenerateLastReply(); break;
+                    case 'fork': this.forkAt(index); break;
+                }
+            }
         };
 
         const sendBtn = document.getElementById('dragonSendBtn');
@@ -653,11 +1146,27 @@ export class DragonView {
 
         sendBtn?.addEventListener('click', this._handlers.send);
         input?.addEventListener('keydown', this._handlers.keydown);
+        input?.addEventListener('input', this._handlers.inputChange);
+        input?.addEventListener('blur', this._handlers.inputChange);
+        document.getElementById('dragonSlashMenu')?.addEventListener('mousedown', this._handlers.slashMenuClick);
         reloadBtn?.addEventListener('click', this._handlers.reload);
         clearBtn?.addEventListener('click', this._handlers.clear);
         downloadBtn?.addEventListener('click', this._handlers.download);
+        document.getElementById('dragonExportMenu')?.addEventListener('click', this._handlers.exportFormat);
+        document.addEventListener('click', this._handlers.closeExportMenu);
+        document.getElementById('dragonImportBtn')?.addEventListener('click', this._handlers.import);
+        document.getElementById('dragonImportFile')?.addEventListener('change', this._handlers.importFile);
+        document.getElementById('dragonHistoryBtn')?.addEventListener('click', this._handlers.history);
         providerSelect?.addEventListener('change', this._handlers.providerChange);
         addTabBtn?.addEventListener('click', this._handlers.addTab);
+        document.getElementById('dragonSearchBtn')?.addEventListener('click', this._handlers.searchToggle);
+        document.getElementById('dragonSpecBtn')?.addEventListener('click', this._handlers.specToggle);
+        document.getElementById('dragonSearchClose')?.addEventListener('click', this._handlers.searchClose);
+        document.getElementById('dragonSearchInput')?.addEventListener('input', this._handlers.searchInput);
+        document.getElementById('dragonSearchInput')?.addEventListener('keydown', this._handlers.searchKeydown);
+        document.querySelector('.dragon-search-roles')?.addEventListener('change', this._handlers.searchInput);
+        document.getElementById('dragonSearchResults')?.addEventListener('click', this._handlers.searchResultsClick);
+        document.getElementById('dragonMessages')?.addEventListener('click', this._handlers.messagesClick);
     }
 
     detachEventListeners() {
@@ -665,11 +1174,28 @@ export class DragonView {
 
         document.getElementById('dragonSendBtn')?.removeEventListener('click', this._handlers.send);
         document.getElementById('dragonInput')?.removeEventListener('keydown', this._handlers.keydown);
+        document.getElementById('dragonInput')?.removeEventListener('input', this._handlers.inputChange);
+        document.getElementById('dragonInput')?.removeEventListener('blur', this._handlers.inputChange);
+        document.getElementById('dragonSlashMenu')?.removeEventListener('mousedown', this._handlers.slashMenuClick);
         document.getElementById('dragonReloadBtn')?.removeEventListener('click', this._handlers.reload);
         document.getElementById('dragonClearBtn')?.removeEventListener('click', this._handlers.clear);
         document.getElementById('dragonDownloadBtn')?.removeEventListener('click', this._handlers.download);
+        document.getElementById('dragonExportMenu')?.removeEventListener('click', this._handlers.exportFormat);
+        document.removeEventListener('click', this._handlers.closeExportMenu);
+        document.getElementById('dragonImportBtn')?.removeEventListener('click', this._handlers.import);
+        document.getElementById('dragonImportFile')?.removeEventListener('change', this._handlers.importFile);
+        document.getElementById('dragonHistoryBtn')?.removeEventListener('click', this._handlers.history);
         document.getElementById('dragonProviderSelect')?.removeEventListener('change', this._handlers.providerChange);
         document.getElementById('dragonAddTab')?.removeEventListener('click', this._handlers.addTab);
+        document.getElementById('dragonSearchBtn')?.removeEventListener('click', this._handlers.searchToggle);
+        document.getElementById('dragonSpecBtn')?.removeEventListener('click', this._handlers.specToggle);
+        document.getElementById('dragonSearchClose')?.removeEventListener('click', this._handlers.searchClose);
+        document.getElementById('dragonSearchInput')?.removeEventListener('input', this._handlers.searchInput);
+        document.getElementById('dragonSearchInput')?.removeEventListener('keydown', this._handlers.searchKeydown);
+        document.querySelector('.dragon-search-roles')?.removeEventListener('change', this._handlers.searchInput);
+        document.getElementById('dragonSearchResults')?.removeEventListener('click', this._handlers.searchResultsClick);
+        clearTimeout(this.searchTimer);
+        document.getElementById('dragonMessages')?.removeEventListener('click', this._handlers.messagesClick);
 
         this._handlers = null;
     }
@@ -727,6 +1253,11 @@ export class DragonView {
         // WebSocket will be properly cleaned up on page unload
     }
 
+    onReconnect() {
+        // Dragon sessions run on their own socket and reconnect independently -
+        // re-rendering here would tear down in-flight requests
+    }
+
     async refresh() {
         // DragonView uses real-time WebSocket updates, so manual refresh is not needed
         // But we can re-render messages and scroll to bottom as a convenience
@@ -743,10 +1274,12 @@ export class DragonView {
      */
     cleanup() {
         window.removeEventListener('beforeunload', this._cleanupOnUnload);
+        this.flushPersist();
         this.sessions.forEach(session => {
             session.disconnect();
         });
         this.sessions.clear();
+        this.connection.disconnect();
     }
 
     sendMessage() {
@@ -755,17 +1288,380 @@ export class DragonView {
 
         if (message) {
             const session = this.sessions.get(this.activeSessionId);
-            if (session && !session.isProcessing) {
+            if (session && isSlashCommand(message)) {
+                input.value = '';
+                this.updateSlashMenu();
+                this.executeSlashCommand(session, message);
+            } else if (session && !session.isProcessing) {
                 session.sendMessage(message);
                 input.value = '';
-                // Disable input immediately while waiting for response
-                session.isProcessing = true;
-                this.setInputEnabled(false);
-                this.showThinkingIndicator();
+                this.markProcessing(session);
             }
         }
     }
 
+    /**
+     * Open the specification panel on a project (reloads it if already showing that project)
+     */
+    openSpecification(project) {
+        this.lastSpecProject = project;
+        this.specPanel.open(project);
+    }
+
+    toggleSpecPanel() {
+        if (this.specPanel.isOpen) {
+            this.specPanel.close();
+        } else if (this.lastSpecProject) {
+            this.specPanel.open(this.lastSpecProject);
+        } else {
+            this.showNotification('No specification yet - the panel opens when the Dragon writes one', 'info');
+        }
+    }
+
+    /**
+     * Show or hide the search panel
+     * @param {boolean} [open] - Defaults to toggling
+     */
+    toggleSearch(open = undefined) {
+        const panel = document.getElementById('dragonSearch');
+        if (!panel) return;
+
+        const show = open ?? panel.style.display === 'none';
+        panel.style.display = show ? 'block' : 'none';
+        if (show) {
+            const input = document.getElementById('dragonSearchInput');
+            input?.focus();
+            input?.select();
+            this.runSearch();
+        }
+    }
+
+    /**
+     * Search every tab's messages (not just what is rendered) and list the hits.
+     * Tabs saved for other servers are searched too; their hits can't be opened from here.
+     */
+    async runSearch() {
+        const resultsEl = document.getElementById('dragonSearchResults');
+        const query = document.getElementById('dragonSearchInput')?.value || '';
+        if (!resultsEl) return;
+
+        if (!query.trim()) {
+            resultsEl.innerHTML = '';
+            return;
+        }
+
+        const groups = Array.from(document.querySelectorAll('[data-search-role]:checked'))
+            .map(checkbox => checkbox.dataset.searchRole);
+        const run = ++this.searchRun;
+        const otherServers = (await dragonHistoryStore.loadAllSessions())
+            .filter(record => record.serverId !== this.serverId)
+            .map(record => ({ id: record.tabId, name: record.name, serverId: record.serverId, messages: record.messages }));
+        // A newer keystroke started another search while the saved tabs loaded
+        if (run !== this.searchRun) return;
+
+        const { results, truncated } = searchSessions([...this.sessions.values(), ...otherServers], query, { groups });
+
+        if (results.length === 0) {
+            resultsEl.innerHTML = '<div class="dragon-search-empty">No messages found</div>';
+            return;
+        }
+
+        const roleLabel = role => Object.values(SEARCH_ROLES).find(group => group.roles.includes(role))?.label || role;
+        const serverName = serverId => serverManager.getServerById(serverId)?.name || 'another server';
+        resultsEl.innerHTML = `
+            <div class="dragon-search-count">${results.length}${truncated ? '+' : ''} match${results.length === 1 ? '' : 'es'}</div>
+            ${results.map(result => `
+                <div class="dragon-search-result ${result.serverId ? 'other-server' : ''}" data-session-id="${result.sessionId}" data-index="${result.index}"
+                     ${result.serverId ? `data-server-id="${escapeHtml(result.serverId)}" title="Connect to ${escapeHtml(serverName(result.serverId))} to open this conversation"` : ''}>
+                    <div class="dragon-search-result-meta">
+                        ${result.serverId ? `🖥️ ${this.escapeHtml(serverName(result.serverId))} · ` : ''}${this.escapeHtml(result.sessionName)} · ${roleLabel(result.role)}
+                        ${result.timestamp ? ` · ${new Date(result.timestamp).toLocaleString()}` : ''}
+                    </div>
+                    <div class="dragon-search-result-snippet">${result.snippetHtml}</div>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Switch to the tab holding a message, scroll it into view and highlight the search terms in it
+     */
+    jumpToMessage(sessionId, index) {
+        if (!this.sessions.has(sessionId)) return;
+        this.switchToSession(sessionId);
+
+        const selector = `#dragonMessages .chat-message[data-index="${index}"]`;
+        // Messages appended live may not carry their index yet - a re-render gives every message one
+        if (!document.querySelector(selector) && !this.hasStreamingElement()) {
+            this.renderActiveSessionMessages();
+        }
+
+        const messageEl = document.querySelector(selector);
+        if (!messageEl) return;
+
+        document.querySelectorAll('#dragonMessages .search-hit').forEach(el => el.classList.remove('search-hit'));
+        messageEl.classList.add('search-hit');
+        const terms = parseQuery(document.getElementById('dragonSearchInput')?.value || '');
+        messageEl.querySelectorAll('.chat-message-text').forEach(textEl => highlightInElement(textEl, terms));
+        messageEl.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+
+    /**
+     * Run a slash command against the server and show the result as a system card.
+     * Cards are local only - replay never sends them to the Dragon.
+     */
+    async executeSlashCommand(session, text) {
+        let result;
+        try {
+            result = await runSlashCommand(this.api, text);
+        } catch (error) {
+            // Unknown command or missing arguments
+            result = { success: false, message: error.message };
+        }
+        session.addMessage('system', result.message || '(no output)', null, null, {
+            slash: { command: text, success: !!result.success }
+        });
+    }
+
+    /**
+     * Show command / argument suggestions while the input starts with '/'.
+     */
+    updateSlashMenu() {
+        const input = document.getElementById('dragonInput');
+        const menu = document.getElementById('dragonSlashMenu');
+        if (!input || !menu) return;
+
+        const text = input.value;
+        if (document.activeElement !== input || !text.startsWith('/') || text.includes('\n')) {
+            menu.style.display = 'none';
+            this.slashSuggestions = null;
+            return;
+        }
+
+        this.loadSlashProjects();
+        const { hint, items } = getSlashSuggestions(text, { projects: this.slashProjects?.names || [] });
+        if (!hint && items.length === 0) {
+            menu.style.display = 'none';
+            this.slashSuggestions = null;
+            return;
+        }
+
+        // Keep the selection while the text is unchanged (arrow keys re-render the menu)
+        const previous = this.slashSuggestions?.text === text ? this.slashSuggestions : null;
+        const selected = Math.min(previous?.selected ?? 0, Math.max(items.length - 1, 0));
+        this.slashSuggestions = { text, items, selected, navigated: previous?.navigated ?? false };
+        menu.innerHTML = `
+            ${hint ? `<div class="slash-menu-hint">${this.escapeHtml(hint)}</div>` : ''}
+            ${items.map((item, i) => `
+                <div class="slash-menu-item ${i === selected ? 'selected' : ''}" data-slash-index="${i}">
+                    <span class="slash-menu-label">${this.escapeHtml(item.label)}</span>
+                    <span class="slash-menu-detail">${this.escapeHtml(item.detail)}</span>
+                </div>
+            `).join('')}
+        `;
+        menu.style.display = 'block';
+    }
+
+    /**
+     * Arrow keys move through suggestions, Tab accepts, Escape closes. Enter accepts too, unless the
+     * command is already complete and no suggestion was picked with the arrows - then it runs.
+     * @returns {boolean} Whether the key was handled by the menu
+     */
+    handleSlashMenuKey(e) {
+        const state = this.slashSuggestions;
+        if (!state) return false;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            document.getElementById('dragonSlashMenu').style.display = 'none';
+            this.slashSuggestions = null;
+            return true;
+        }
+        if (state.items.length === 0) return false;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            state.selected = (state.selected + step + state.items.length) % state.items.length;
+            state.navigated = true;
+            this.updateSlashMenu();
+            return true;
+        }
+        if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey && (state.navigated || !this.isCompleteSlashCommand(state.text)))) {
+            e.preventDefault();
+            this.acceptSlashSuggestion(state.selected);
+            return true;
+        }
+        return false;
+    }
+
+    acceptSlashSuggestion(index) {
+        const item = this.slashSuggestions?.items[index];
+        const input = document.getElementById('dragonInput');
+        if (!item || !input) return;
+
+        input.value = item.value;
+        input.focus();
+        this.updateSlashMenu();
+    }
+
+    isCompleteSlashCommand(text) {
+        try {
+            parseSlashCommand(text);
+            return true;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    /**
+     * Project names for autocomplete, fetched in the background and reused for a while
+     */
+    loadSlashProjects() {
+        if (this.slashProjects && Date.now() - this.slashProjects.loadedAt < SLASH_PROJECTS_TTL) return;
+
+        this.slashProjects = { names: this.slashProjects?.names || [], loadedAt: Date.now() };
+        this.api.getProjects()
+            .then(projects => {
+                this.slashProjects.names = (Array.isArray(projects) ? projects : []).map(p => p.name).filter(Boolean);
+                this.updateSlashMenu();
+            })
+            .catch(error => log.debug('[DragonView] Could not load projects for slash commands:', error.message));
+    }
+
+    /**
+     * Disable input immediately while waiting for the response to a message just sent
+     */
+    markProcessing(session) {
+        session.setProcessing(true);
+        this.setInputEnabled(false);
+        this.showThinkingIndicator();
+    }
+
+    /**
+     * Edit, regenerate and fork rewrite the server context through session replay.
+     * @returns {DragonSession|null} The active session, if it can be rewritten now
+     */
+    getRewritableSession() {
+        const session = this.sessions.get(this.activeSessionId);
+        if (!session) return null;
+        if (session.isProcessing) {
+            this.showNotification('Wait for the Dragon to finish (or stop it) first', 'warning');
+            return null;
+        }
+        // Stop re-enables the input at once, but the server may still be winding the request down
+        if (session.stopping) {
+            this.showNotification('The stopped request is still ending on the server - try again in a moment', 'warning');
+            return null;
+        }
+        if (!serverProtocol.supports('dragon', CAPABILITIES.REPLAY)) {
+            this.showNotification('This server cannot rewrite the Dragon\'s memory (no session replay support)', 'warning');
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * Turn an earlier user message into an inline editor. Saving rewinds the conversation
+     * to that message and sends the edited text.
+     */
+    startEditMessage(index) {
+        const session = this.getRewritableSession();
+        const msg = session?.messages[index];
+        if (!msg || msg.role !== 'user') return;
+
+        const messageEl = document.querySelector(`#dragonMessages .chat-message[data-index="${index}"]`);
+        const textEl = messageEl?.querySelector('.chat-message-text');
+        if (!textEl) return;
+
+        messageEl.classList.add('editing');
+        textEl.innerHTML = `
+            <textarea class="chat-message-edit" rows="3">${this.escapeHtml(msg.content)}</textarea>
+            <div class="chat-message-edit-actions">
+                <button class="btn btn-secondary btn-sm" data-action="edit-cancel">Cancel</button>
+                <button class="btn btn-primary btn-sm" data-action="edit-save" data-index="${index}">Save &amp; send</button>
+            </div>
+        `;
+        const textarea = textEl.querySelector('textarea');
+        textarea.focus();
+        textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+    }
+
+    saveEditedMessage(index) {
+        const textarea = document.querySelector(`#dragonMessages .chat-message[data-index="${index}"] .chat-message-edit`);
+        const text = textarea?.value.trim();
+        const session = this.getRewritableSession();
+        if (!text || !session) return;
+
+        const dropped = session.messages.length - index - 1;
+        session.rewindAndSend(index, text);
+        this.renderActiveSessionMessages();
+        this.markProcessing(session);
+        if (dropped > 0) {
+            this.showNotification(`Edited message resent (${dropped} later message${dropped === 1 ? '' : 's'} removed)`, 'info');
+        }
+    }
+
+    /**
+     * Ask again for the last Dragon reply: rewind to the user message before it and resend it.
+     */
+    regenerateLastReply() {
+        const session = this.getRewritableSession();
+        if (!session) return;
+
+        const userIndex = session.messages.findLastIndex(m => m.role === 'user');
+        if (userIndex < 0) return;
+
+        session.rewindAndSend(userIndex, session.messages[userIndex].content);
+        this.renderActiveSessionMessages();
+        this.markProcessing(session);
+    }
+
+    /**
+     * Copy the conversation up to a message into a new tab and replay it into a new server session,
+     * so an alternative can be explored without touching the original thread. Forking at a user
+     * message leaves that message in the input box to be reworded.
+     */
+    forkAt(index) {
+        const source = this.sessions.get(this.activeSessionId);
+        const msg = source?.messages[index];
+        if (!msg) return;
+
+        const upTo = msg.role === 'user' ? index : index + 1;
+        const session = this.createNewSession();
+        session.name = `${source.name} (fork)`;
+        session.messages = source.messages.slice(0, upTo).map(m => ({ ...m }));
+        session.persist();
+        session.connect();
+        this.renderTabs();
+        this.renderActiveSessionMessages();
+        this.hideThinkingIndicator();
+        this.setInputEnabled(true);
+
+        const input = document.getElementById('dragonInput');
+        if (input && msg.role === 'user') {
+            input.value = msg.content;
+            input.focus();
+        }
+
+        const turns = session.messages.filter(m => m.role === 'user' || m.role === 'assistant').length;
+        if (turns === 0) return;
+        if (serverProtocol.supports('dragon', CAPABILITIES.REPLAY)) {
+            // Queued on the channel until the new server session is open
+            session.replayMessages();
+            this.showNotification('Forked - restoring the branch into the Dragon\'s memory...', 'info');
+        } else {
+            this.showNotification('Forked (this server cannot restore the branch into the Dragon\'s memory)', 'warning');
+        }
+    }
+
+    /**
+     * Stop the active session's request in flight
+     */
+    stopRequest() {
+        this.sessions.get(this.activeSessionId)?.stop();
+    }
+
     reloadAgent() {
         const session = this.sessions.get(this.activeSessionId);
         if (session) {
@@ -786,49 +1682,32 @@ export class DragonView {
     }
 
     /**
-     * Download the conversation as a text file
+     * Download the active tab as Markdown or as a JSON export that can be imported again
+     * @param {'markdown'|'json'} format
      */
-    downloadConversation() {
+    downloadConversation(format) {
         const session = this.sessions.get(this.activeSessionId);
         if (!session || session.messages.length === 0) {
             this.showNotification('No messages to download', 'error');
             return;
         }
 
-        // Format messages as text
-        const lines = [];
-        lines.push(`Dragon Conversation - ${session.name}`);
-        lines.push(`Exported: ${new Date().toLocaleString()}`);
-        lines.push('='.repeat(50));
-        lines.push('');
-
-        session.messages.forEach(msg => {
-            const role = msg.role.charAt(0).toUpperCase() + msg.role.slice(1);
-            const icon = msg.role === 'user' ? '[User]' :
-                         msg.role === 'assistant' ? '[Dragon]' :
-                         msg.role === 'system' ? '[System]' :
-                         msg.role === 'error' ? '[Error]' : `[${role}]`;
-
-            lines.push(icon);
-            lines.push(msg.content);
-            if (msg.details) {
-                lines.push(`Details: ${msg.details}`);
-            }
-            lines.push('');
-            lines.push('-'.repeat(50));
-            lines.push('');
-        });
-
-        const content = lines.join('\n');
+        const meta = {
+            provider: this.selectedProvider,
+            server: serverManager.getActiveServer()?.name || null
+        };
+        const [content, type, extension] = format === 'json'
+            ? [JSON.stringify(toTranscript(session, meta), null, 2), 'application/json', 'json']
+            : [toMarkdown(session, meta), 'text/markdown', 'md'];
 
         // Create and trigger download
-        const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
+        const blob = new Blob([content], { type: `${type};charset=utf-8` });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
         const safeName = session.name.replace(/[^a-z0-9]/gi, '_');
-        a.download = `dragon-${safeName}-${timestamp}.txt`;
+        a.download = `dragon-${safeName}-${timestamp}.${extension}`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -837,18 +1716,50 @@ export class DragonView {
         this.showNotification('Conversation downloaded', 'success');
     }
 
+    /**
+     * Open a JSON export in a new tab, optionally restoring it into the new server session.
+     * @param {File} file
+     */
+    async importConversation(file) {
+        let transcript;
+        try {
+            transcript = parseTranscript(await file.text());
+        } catch (error) {
+            this.showNotification(`Import failed: ${error.message}`, 'error');
+            return;
+        }
+
+        const session = this.createNewSession();
+        session.name = `${transcript.name} (imported)`;
+        session.messages = transcript.messages;
+        session.persist();
+        session.connect();
+        this.renderTabs();
+        this.renderActiveSessionMessages();
+
+        const turns = transcript.messages.filter(m => m.role === 'user' || m.role === 'assistant').length;
+        if (turns > 0 && serverProtocol.supports('dragon', CAPABILITIES.REPLAY) &&
+            confirm(`Imported ${transcript.messages.length} messages. Restore the conversation into Dragon's memory on this server?`)) {
+            // Queued on the channel until the new server session is open
+            session.replayMessages();
+            this.showNotification('Restoring conversation...', 'info');
+        } else {
+            this.showNotification(`Imported ${transcript.messages.length} messages (Dragon has no memory of them)`, 'info');
+        }
+    }
+
     appendMessageToUI(msg, role) {
         const messagesContainer = document.getElementById('dragonMessages');
         if (!messagesContainer) {
             console.warn('[DragonView] appendMessageToUI: dragonMessages container NOT FOUND!');
             return;
         }
-        console.log('[DragonView] appendMessageToUI: container found, appending message');
+        log.debug('[DragonView] appendMessageToUI: container found, appending message');
 
         // Clear empty state if present
         const emptyState = messagesContainer.querySelector('.empty-state');
         if (emptyState) {
-            console.log('[DragonView] Removing empty state');
+            log.debug('[DragonView] Removing empty state');
             emptyState.remove();
         }
 
@@ -874,17 +1785,22 @@ export class DragonView {
                 </div>
             `;
         } else {
-            messageEl.className = `chat-message ${role}`;
+            messageEl.className = `chat-message ${role} ${this.getSlashCardClass(msg)}`;
             const icon = role === 'user' ? '👤' : role === 'system' ? 'ℹ️' : '🐉';
             messageEl.innerHTML = `
                 <div class="chat-message-icon">${icon}</div>
                 <div class="chat-message-content">
-                    <div class="chat-message-role">${role}</div>
-                    <div class="chat-message-text">${this.escapeHtml(msg.content)}</div>
+                    ${this.renderMessageRoleHtml(msg)}
+                    ${this.renderMessageTextHtml(role, msg.content)}
+                    ${this.renderInterruptedHtml(msg)}
+                    ${renderTimelineHtml(msg.timeline)}
                 </div>
             `;
         }
 
+        const session = this.sessions.get(this.activeSessionId);
+        this.addMessageActions(messageEl, msg, session ? session.messages.indexOf(msg) : -1);
+
         messagesContainer.appendChild(messageEl);
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
     }
@@ -895,7 +1811,7 @@ export class DragonView {
      */
     appendStreamingChunk(chunk) {
         const messagesContainer = document.getElementById('dragonMessages');
-        console.log('[DragonView] appendStreamingChunk:', { chunk, hasContainer: !!messagesContainer });
+        log.debug('[DragonView] appendStreamingChunk:', { chunk, hasContainer: !!messagesContainer });
         if (!messagesContainer) {
             console.warn('[DragonView] appendStreamingChunk: NO CONTAINER FOUND');
             return;
@@ -904,13 +1820,13 @@ export class DragonView {
         // Clear empty state if present
         const emptyState = messagesContainer.querySelector('.empty-state');
         if (emptyState) {
-            console.log('[DragonView] Removing empty state for streaming');
+            log.debug('[DragonView] Removing empty state for streaming');
             emptyState.remove();
         }
 
         // Look for an existing streaming message (marked with data-streaming attribute)
         let streamingMessage = messagesContainer.querySelector('.chat-message[data-streaming="true"]');
-        console.log('[DragonView] Existing streaming message:', !!streamingMessage);
+        log.debug('[DragonView] Existing streaming message:', !!streamingMessage);
 
         if (!streamingMessage) {
             // Create new streaming message element
@@ -921,18 +1837,22 @@ export class DragonView {
                 <div class="chat-message-icon">🐉</div>
                 <div class="chat-message-content">
                     <div class="chat-message-role">assistant</div>
-                    <div class="chat-message-text"></div>
+                    <div class="chat-message-text markdown-body"></div>
                     <div class="streaming-cursor">▊</div>
+                    ${stopButton()}
                 </div>
             `;
             messagesContainer.appendChild(streamingMessage);
         }
 
-        // Append chunk to the message text
+        // Append chunk to the message text - only the unfinished trailing block is re-rendered
         const textElement = streamingMessage.querySelector('.chat-message-text');
         if (textElement) {
-            textElement.textContent += chunk;
-            console.log('[DragonView] Appended chunk, current length:', textElement.textContent.length);
+            if (this.markdownStream?.container !== textElement) {
+                this.markdownStream = new MarkdownStream(textElement);
+            }
+            this.markdownStream.append(chunk);
+            log.debug('[DragonView] Appended chunk, current length:', this.markdownStream.source.length);
         } else {
             console.warn('[DragonView] No text element found in streaming message');
         }
@@ -956,21 +1876,28 @@ export class DragonView {
      * If finalContent is provided, updates the text element to ensure complete content is displayed.
      * Note: Message saving is handled by handleMessage to ensure it works even when not on view.
      * @param {string|null} finalContent - The final message content from server (optional)
+     * @param {Object|null} timeline - Tool-call timeline to show under the message (optional)
+     * @returns {HTMLElement|null} The finalized message element
      */
-    finalizeStreamingMessage(finalContent = null) {
+    finalizeStreamingMessage(finalContent = null, timeline = null) {
         const messagesContainer = document.getElementById('dragonMessages');
-        if (!messagesContainer) return;
+        if (!messagesContainer) return null;
 
         const streamingMessage = messagesContainer.querySelector('.chat-message[data-streaming="true"]');
         if (streamingMessage) {
-            // Update content if final content provided - ensures complete message is displayed
+            // Render the final content in one pass - ensures the complete message is displayed
             // even if streaming chunks were incomplete or not rendered properly
-            if (finalContent) {
-                const textElement = streamingMessage.querySelector('.chat-message-text');
-                if (textElement) {
-                    console.log('[DragonView] Updating streaming content with final message, length:', finalContent.length);
-                    textElement.textContent = finalContent;
-                }
+            const textElement = streamingMessage.querySelector('.chat-message-text');
+            if (textElement && this.markdownStream?.container === textElement) {
+                log.debug('[DragonView] Rendering final streamed message, length:', (finalContent || this.markdownStream.source).length);
+                this.markdownStream.finish(finalContent);
+            } else if (textElement && finalContent) {
+                textElement.innerHTML = renderMarkdown(finalContent);
+            }
+            this.markdownStream = null;
+
+            if (timeline) {
+                streamingMessage.querySelector('.chat-message-content')?.insertAdjacentHTML('beforeend', renderTimelineHtml(timeline));
             }
 
             // Remove streaming indicator
@@ -979,8 +1906,18 @@ export class DragonView {
             if (cursor) {
                 cursor.remove();
             }
+            streamingMessage.querySelector('.dragon-stop-btn')?.remove();
             // Message is saved by handleMessage, not here - ensures it works when not on view
         }
+        return streamingMessage;
+    }
+
+    /**
+     * Drop the streaming message element; a stopped request's partial text is re-added as a message.
+     */
+    discardStreamingMessage() {
+        document.querySelector('#dragonMessages .chat-message[data-streaming="true"]')?.remove();
+        this.markdownStream = null;
     }
 
     appendErrorToUI(errorData) {
@@ -1044,7 +1981,8 @@ export class DragonView {
     incrementNotificationBadge(escalation) {
         if (escalation) {
             this.pendingEscalations.push(escalation);
-            notificationStore.addEscalation(escalation);
+            // The alert is already stored on the server - pull it in now instead of waiting for the next push
+            notificationStore.refresh();
         }
 
         const dragonNav = document.querySelector('.nav-item[data-view="dragon"]');
@@ -1067,7 +2005,6 @@ export class DragonView {
      */
     clearNotificationBadge() {
         this.pendingEscalations = [];
-        notificationStore.clearEscalations();
         const badge = document.querySelector('.nav-item[data-view="dragon"] .nav-badge');
         if (badge) {
             badge.textContent = '0';
@@ -1103,6 +2040,7 @@ export class DragonView {
                 <div class="thinking-details" id="thinkingDetails"></div>
                 <div class="thinking-activity-log" id="thinkingActivityLog"></div>
             </div>
+            ${stopButton()}
         `;
         messagesContainer.appendChild(indicator);
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
@@ -1124,8 +2062,7 @@ export class DragonView {
         // Update the main label with agent name
         const labelEl = document.getElementById('thinkingLabel');
         if (labelEl && agent) {
-            const agentIcons = { Dragon: '🐉', Sage: '📜', Seeker: '🔍', Sentinel: '🛡️', Warden: '⚙️' };
-            const icon = agentIcons[agent] || '';
+            const icon = AGENT_ICONS[agent] || '';
             labelEl.textContent = `${icon} ${agent} is working...`;
         }
 
@@ -1185,7 +2122,7 @@ export class DragonView {
         if (input) {
             input.disabled = !enabled;
             input.placeholder = enabled
-                ? 'Type your message here...'
+                ? INPUT_PLACEHOLDER
                 : 'Dragon is thinking...';
         }
         if (sendBtn) {
@@ -1199,10 +2136,10 @@ export class DragonView {
      * @param {Object} data - Server response with newSessionId and reason
      */
     showSessionRecoveryModal(session, data) {
-        // Remove any existing modal
-        const existingModal = document.querySelector('.modal.session-recovery');
-        if (existingModal) {
-            existingModal.remove();
+        // One prompt at a time - after a reload several restored tabs can miss their server session at once
+        if (document.querySelector('.modal.session-recovery')) {
+            this.pendingRecoveries.push({ session, data });
+            return;
         }
 
         const reasonText = data.reason === 'expired'
@@ -1210,13 +2147,15 @@ export class DragonView {
             : 'The server may have restarted or the session was cleared.';
 
         const messageCount = session.messages.filter(m => m.role === 'user' || m.role === 'assistant').length;
+        // Servers without session replay can't restore the conversation - don't offer it
+        const canReplay = serverProtocol.supports('dragon', CAPABILITIES.REPLAY);
 
         const modal = document.createElement('div');
         modal.className = 'modal session-recovery';
         modal.innerHTML = `
             <div class="modal-content session-recovery-modal">
                 <div class="modal-header">
-                    <h3>Session Recovery</h3>
+                    <h3>Session Recovery - ${this.escapeHtml(session.name)}</h3>
                     <button class="modal-close" data-action="dismiss">×</button>
                 </div>
                 <div class="modal-body">
@@ -1229,10 +2168,12 @@ export class DragonView {
                         Choose how to proceed:
                     </p>
                     <div class="recovery-options">
+                        ${canReplay ? `
                         <button class="btn btn-primary" data-action="replay">
                             Restore Conversation
                             <span style="font-size: 10px; opacity: 0.8; display: block;">AI will remember your conversation</span>
                         </button>
+                        ` : ''}
                         <button class="btn btn-secondary" data-action="fresh">
                             Start Fresh
                             <span style="font-size: 10px; opacity: 0.8; display: block;">Clear local history, begin new conversation</span>
@@ -1248,11 +2189,7 @@ export class DragonView {
 
         document.body.appendChild(modal);
 
-        // Handle button clicks
-        modal.addEventListener('click', (e) => {
-            const action = e.target.closest('[data-action]')?.dataset.action;
-            if (!action) return;
-
+        const resolve = (action) => {
             modal.remove();
 
             switch (action) {
@@ -1260,6 +2197,7 @@ export class DragonView {
                     // Update to new session ID and replay messages
                     session.sessionId = data.newSessionId;
                     session.ws.setSessionId(data.newSessionId);
+                    session.persist();
                     session.replayMessages();
                     this.showNotification('Restoring conversation...', 'info');
                     break;
@@ -1267,36 +2205,151 @@ export class DragonView {
                 case 'fresh':
                     // Accept new session and clear local messages
                     session.acceptNewSession(data.newSessionId);
-                    this.renderActiveSessionMessages();
+                    if (session.id === this.activeSessionId) {
+                        this.renderActiveSessionMessages();
+                    }
                     this.showNotification('Started fresh conversation', 'info');
                     break;
 
                 case 'keep':
+                case 'dismiss':
                     // Keep local history but use new session (AI won't have context)
                     session.sessionId = data.newSessionId;
                     session.ws.setSessionId(data.newSessionId);
                     session.receivedMessageIds.clear();
-                    this.showNotification('Local history preserved (AI has no memory of it)', 'info');
+                    session.persist();
+                    if (action === 'keep') {
+                        this.showNotification('Local history preserved (AI has no memory of it)', 'info');
+                    }
                     break;
+            }
 
-                case 'dismiss':
-                    // Same as 'keep' - just dismiss the modal
-                    session.sessionId = data.newSessionId;
-                    session.ws.setSessionId(data.newSessionId);
-                    session.receivedMessageIds.clear();
-                    break;
+            const next = this.pendingRecoveries.shift();
+            if (next && this.sessions.get(next.session.id) === next.session) {
+                this.showSessionRecoveryModal(next.session, next.data);
             }
-        });
+        };
 
-        // Close on backdrop click
+        // Handle button clicks; a backdrop click counts as dismiss
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
-                // Treat as dismiss
-                modal.remove();
-                session.sessionId = data.newSessionId;
-                session.ws.setSessionId(data.newSessionId);
-                session.receivedMessageIds.clear();
+                resolve('dismiss');
+                return;
+            }
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action) {
+                resolve(action);
+            }
+        });
+    }
+
+    /**
+     * Retention settings and "clear all" for conversations saved in this browser
+     */
+    async showHistorySettingsModal() {
+        document.querySelector('.modal.dragon-history-settings')?.remove();
+
+        const retention = dragonHistoryStore.getRetention();
+        const [serverStats, allStats] = await Promise.all([
+            dragonHistoryStore.stats(this.serverId),
+            dragonHistoryStore.stats()
+        ]);
+        const ageOptions = [[7, '7 days'], [30, '30 days'], [90, '90 days'], [365, '1 year'], [0, 'Forever']];
+        const messageOptions = [[100, '100'], [500, '500'], [2000, '2000'], [0, 'Unlimited']];
+
+        const modal = document.createElement('div');
+        modal.className = 'modal dragon-history-settings';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>🗄️ Local Conversation History</h3>
+                    <button class="modal-close" data-action="close">×</button>
+                </div>
+                <div class="modal-body">
+                    ${dragonHistoryStore.available ? '' : `
+                        <div class="recovery-warning">
+                            <strong>Browser storage unavailable</strong>
+                            <p>Conversations will not survive a page reload.</p>
+                        </div>
+                    `}
+                    <p style="margin-bottom: var(--spacing-md); font-size: 12px; color: var(--text-secondary);">
+                        Dragon tabs are saved in this browser and restored on reload.
+                        This server: ${serverStats.sessions} tab(s), ${serverStats.messages} message(s).
+                        All servers: ${allStats.sessions} tab(s), ${allStats.messages} message(s).
+                    </p>
+                    <div class="form-group">
+                        <label for="dragonRetentionAge">Keep tabs unused for</label>
+                        <select class="form-select" id="dragonRetentionAge">
+                            ${ageOptions.map(([value, label]) => `
+                                <option value="${value}" ${value === retention.maxAgeDays ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                        <small>Older tabs are removed the next time the page loads</small>
+                    </div>
+                    <div class="form-group">
+                        <label for="dragonRetentionMessages">Messages kept per tab</label>
+                        <select class="form-select" id="dragonRetentionMessages">
+                            ${messageOptions.map(([value, label]) => `
+                                <option value="${value}" ${value === retention.maxMessages ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                        <small>Oldest messages are dropped from saved tabs first</small>
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" data-action="clear" style="margin-right: auto; color: var(--accent-error);">
+                        Clear all local history
+                    </button>
+                    <button class="btn btn-secondary" data-action="close">Cancel</button>
+                    <button class="btn btn-primary" data-action="save">Save</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        modal.addEventListener('click', async (e) => {
+            const action = e.target === modal ? 'close' : e.target.closest('[data-action]')?.dataset.action;
+            if (!action) return;
+
+            if (action === 'save') {
+                dragonHistoryStore.setRetention({
+                    maxAgeDays: parseInt(modal.querySelector('#dragonRetentionAge').value, 10),
+                    maxMessages: parseInt(modal.querySelector('#dragonRetentionMessages').value, 10)
+                });
+                // Re-save open tabs so the message limit applies right away
+                this.sessions.forEach(session => session.persist());
+                this.showNotification('History settings saved', 'success');
+            } else if (action === 'clear') {
+                if (!confirm('Delete all Dragon conversations saved in this browser, for every server? Open tabs will be closed.')) {
+                    return;
+                }
+                await this.clearLocalHistory();
+                this.showNotification('Local conversation history cleared', 'success');
             }
+            modal.remove();
         });
     }
+
+    /**
+     * Delete every saved conversation and start over with one empty tab.
+     * Server-side sessions are left to expire on their own.
+     */
+    async clearLocalHistory() {
+        this.persistTimers.forEach(timer => clearTimeout(timer));
+        this.persistTimers.clear();
+        this.pendingRecoveries = [];
+        this.sessions.forEach(session => session.disconnect());
+        this.sessions.clear();
+
+        await dragonHistoryStore.clearAll();
+
+        this.hideThinkingIndicator();
+        this.setInputEnabled(true);
+        this.nextSessionId = 1;
+        const session = this.createNewSession();
+        session.connect();
+        this.renderTabs();
+        this.renderActiveSessionMessages();
+    }
 }
@@ -0,0 +1,263 @@
+import notificationStore from './notification-store.js';
+import { escapeHtml } from './markdown.js';
+import { formatAge } from './format.js';
+
+const REVIEW_FILTERS = [
+    { key: 'active', label: 'Needs attention', reviews: ['Open', 'Acknowledged'] },
+    { key: 'open', label: 'Open', reviews: ['Open'] },
+    { key: 'closed', label: 'Resolved / dismissed', reviews: ['Resolved', 'Dismissed'] },
+    { key: 'all', label: 'All', reviews: null }
+];
+
+const REVIEW_BADGES = {
+    Open: 'error',
+    Acknowledged: 'warning',
+    Resolved: 'success',
+    Dismissed: 'info'
+};
+
+// Drake routing state (EscalationStatus)
+const STATUS_BADGES = {
+    Pending: 'warning',
+    InProgress: 'info',
+    Resolved: 'success',
+    Failed: 'error'
+};
+
+/**
+ * Escalation inbox: every escalation raised by Kobolds or the reasoning monitor, with the
+ * Drake's automatic handling and the user's review (acknowledge, resolve with a note, dismiss).
+ * Reviews are stored on the server, so they survive reloads and are shared by all clients.
+ */
+export class EscalationsView {
+    /**
+     * @param {Object} api
+     * @param {function(string): void} openInDragon - Opens the Dragon view with a prefilled prompt
+     */
+    constructor(api, openInDragon) {
+        this.api = api;
+        this.openInDragon = openInDragon;
+        this.filter = 'active';
+        this.projectFilter = '';
+        this.resolvingId = null; // Escalation with the resolve note editor open
+        this.focusId = null; // Escalation to scroll to on next mount (notification deep link)
+        this._onChange = null;
+    }
+
+    async render() {
+        await notificationStore.refresh();
+        return `
+            <div class="card">
+                <div class="card-header escalations-header">
+                    <h2 class="card-title">Escalations</h2>
+                    <div class="escalations-filters">
+                        <select class="form-select" id="escalationReviewFilter">
+                            ${REVIEW_FILTERS.map(f => `
+                                <option value="${f.key}" ${f.key === this.filter ? 'selected' : ''}>${f.label}</option>
+                            `).join('')}
+                        </select>
+                        <select class="form-select" id="escalationProjectFilter"></select>
+                    </div>
+                </div>
+                <div class="card-body" id="escalationsList">
+                    ${this.renderList()}
+                </div>
+            </div>
+        `;
+    }
+
+    renderProjectOptions() {
+        const projects = [...new Set(notificationStore.escalations.map(e => e.projectName))].sort();
+        return `
+            <option value="">All projects</option>
+            ${projects.map(name => `
+                <option value="${escapeHtml(name)}" ${name === this.projectFilter ? 'selected' : ''}>${escapeHtml(name)}</option>
+            `).join('')}
+        `;
+    }
+
+    renderList() {
+        const reviews = REVIEW_FILTERS.find(f => f.key === this.filter)?.reviews;
+        const escalations = notificationStore.escalations.filter(e =>
+            (!reviews || reviews.includes(e.review)) && (!this.projectFilter || e.projectName === this.projectFilter));
+
+        if (escalations.length === 0) {
+            return `
+                <div class="empty-state">
+                    <div class="empty-state-icon">✅</div>
+                    <div>No escalations</div>
+                </div>
+            `;
+        }
+
+        return `<div class="list">${escalations.map(e => this.renderEscalation(e)).join('')}</div>`;
+    }
+
+    renderEscalation(e) {
+        const closed = e.review === 'Resolved' || e.review === 'Dismissed';
+        return `
+            <div class="list-item escalation-item ${closed ? 'closed' : ''}" data-escalation-id="${e.id}">
+                <div class="list-item-main">
+                    <span class="list-item-icon">⚠️</span>
+                    <div class="list-item-content">
+                        <div class="list-item-title">
+                            ${escapeHtml(e.type)}
+                            <span class="badge badge-${REVIEW_BADGES[e.review] || 'info'}">${e.review}</span>
+                        </div>
+                        <div class="escalation-summary">${escapeHtml(e.summary)}</div>
+                        <div class="list-item-subtitle">
+                            📁 ${escapeHtml(e.projectName)}
+                            ${e.taskId ? ` • 📋 ${escapeHtml(e.taskDescription || e.taskId)}` : ''}
+                            • ${e.source === 'ReasoningMonitor' ? '🔍 Reasoning monitor' : `🤖 ${escapeHtml(e.agentType || 'Kobold')}`}
+                            • <span title="${new Date(e.createdAt).toLocaleString()}">${formatAge(e.createdAt)}</span>
+                        </div>
+                        <div class="list-item-subtitle">💡 Suggested: ${escapeHtml(e.suggestedResolution)}</div>
+                        <div class="list-item-subtitle">
+                            Drake: <span class="badge badge-${STATUS_BADGES[e.status] || 'info'}">${e.status}</span>
+                            ${e.resolution ? escapeHtml(e.resolution) : ''}
+                        </div>
+                        ${e.reviewNote ? `<div class="escalation-note">📝 ${escapeHtml(e.reviewNote)}</div>` : ''}
+                        ${this.resolvingId === e.id ? `
+                            <div class="escalation-resolve">
+                                <textarea class="form-control" rows="2" data-resolve-note placeholder="How was this resolved?"></textarea>
+                                <div class="escalation-resolve-actions">
+                                    <button class="btn btn-primary btn-sm" data-action="resolve-save">Resolve</button>
+                                    <button class="btn btn-secondary btn-sm" data-action="resolve-cancel">Cancel</button>
+                                </div>
+                            </div>
+                        ` : ''}
+                    </div>
+                </div>
+                <div class="list-item-actions">
+                    ${e.review === 'Open' ? '<button class="btn btn-secondary btn-sm" data-action="acknowledge">👀 Acknowledge</button>' : ''}
+                    ${!closed ? `
+                        <button class="btn btn-secondary btn-sm" data-action="resolve">✅ Resolve</button>
+                        <button class="btn btn-secondary btn-sm" data-action="dismiss">🚫 Dismiss</button>
+                    ` : '<button class="btn btn-secondary btn-sm" data-action="reopen">↩️ Reopen</button>'}
+                    <button class="btn btn-secondary btn-sm" data-action="dragon">🐉 Open in Dragon</button>
+                </div>
+            </div>
+        `;
+    }
+
+    attachEventListeners(container) {
+        container.querySelector('#escalationReviewFilter')?.addEventListener('change', (e) => {
+            this.filter = e.target.value;
+            this.update();
+        });
+        container.querySelector('#escalationProjectFilter')?.addEventListener('change', (e) => {
+            this.projectFilter = e.target.value;
+            this.update();
+        });
+        container.querySelector('#escalationsList')?.addEventListener('click', (e) => this.handleAction(e));
+    }
+
+    onMount() {
+        this.updateProjectFilter();
+        this._onChange = () => this.update();
+        notificationStore.onChange(this._onChange);
+
+        if (this.focusId) {
+            const item = document.querySelector(`[data-escalation-id="${this.focusId}"]`);
+            item?.scrollIntoView({ block: 'center' });
+            item?.classList.add('search-hit');
+            this.focusId = null;
+        }
+    }
+
+    /**
+     * Highlight an escalation the next time the view is shown, whatever its review state
+     */
+    focusEscalation(escalationId) {
+        this.focusId = escalationId;
+        this.filter = 'all';
+        this.projectFilter = '';
+    }
+
+    onUnmount() {
+        if (this._onChange) {
+            notificationStore.offChange(this._onChange);
+            this._onChange = null;
+        }
+    }
+
+    async refresh() {
+        await notificationStore.refresh();
+    }
+
+    update() {
+        const list = document.getElementById('escalationsList');
+        if (!list) return;
+
+        // A push arriving while a note is being typed must not wipe it
+        const note = list.querySelector('[data-resolve-note]')?.value;
+        list.innerHTML = this.renderList();
+        const noteInput = list.querySelector('[data-resolve-note]');
+        if (noteInput && note) noteInput.value = note;
+
+        this.updateProjectFilter();
+    }
+
+    updateProjectFilter() {
+        const select = document.getElementById('escalationProjectFilter');
+        if (select) select.innerHTML = this.renderProjectOptions();
+    }
+
+    async handleAction(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        const item = button.closest('[data-escalation-id]');
+        const escalation = notificationStore.escalations.find(e => e.id === item?.dataset.escalationId);
+        if (!escalation) return;
+
+        switch (button.dataset.action) {
+            case 'resolve':
+                this.resolvingId = escalation.id;
+                this.update();
+                item.ownerDocument.querySelector(`[data-escalation-id="${escalation.id}"] [data-resolve-note]`)?.focus();
+                return;
+            case 'resolve-cancel':
+                this.resolvingId = null;
+                this.update();
+                return;
+            case 'dragon':
+                this.openInDragon(this.dragonPrompt(escalation));
+                return;
+        }
+
+        let action = button.dataset.action;
+        let note = null;
+        if (action === 'resolve-save') {
+            note = item.querySelector('[data-resolve-note]')?.value.trim();
+            if (!note) {
+                item.querySelector('[data-resolve-note]')?.focus();
+                return;
+            }
+            action = 'resolve';
+        } else if (action === 'dismiss' && !confirm('Dismiss this escalation?')) {
+            return;
+        }
+
+        button.disabled = true;
+        try {
+            await notificationStore.review(escalation, action, note);
+            if (action === 'resolve') this.resolvingId = null;
+            this.update();
+        } catch (error) {
+            alert(`Failed to update escalation: ${error.message}`);
+            button.disabled = false;
+        }
+    }
+
+    dragonPrompt(e) {
+        return [
+            `Escalation in project "${e.projectName}": ${e.type}`,
+            e.taskId ? `Task: ${e.taskDescription || e.taskId} (id: ${e.taskId})` : null,
+            `Summary: ${e.summary}`,
+            e.resolution ? `Drake action so far: ${e.resolution}` : null,
+            '',
+            'How should we handle this?'
+        ].filter(line => line !== null).join('\n');
+    }
+}
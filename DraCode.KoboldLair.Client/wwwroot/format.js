@@ -0,0 +1,16 @@
+/**
+ * Display formatting shared by the list views.
+ */
+
+/**
+ * Relative age of a timestamp: "just now", "5m ago", "3h ago", "2d ago"
+ * @param {string|number|Date} timestamp
+ * @returns {string}
+ */
+export function formatAge(timestamp) {
+    const seconds = Math.max(0, Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000));
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+}
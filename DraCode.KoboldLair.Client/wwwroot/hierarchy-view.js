@@ -1,11 +1,11 @@
 import { ApiClient } from './api.js';
-import CONFIG from './config.js';
 
 export class HierarchyView {
     constructor(api, onRefresh) {
         this.api = api;
         this.onRefresh = onRefresh;
-        this._refreshTimer = null;
+        this._unsubscribe = null;
+        this.projectsData = {};
         this._lastTreeHtml = '';
     }
 
@@ -70,7 +70,7 @@ export class HierarchyView {
             <div class="tree-node">
                 <div class="tree-node-content">
                     <span class="tree-node-icon">${project.icon}</span>
-                    <span>${project.name}</span>
+                    <a href="#projects/${encodeURIComponent(project.id)}" class="project-link">${project.name}</a>
                     <span class="badge badge-${this.getStatusBadge(project.status)}">${project.status}</span>
                     ${isFailed ? `<button class="btn btn-sm btn-warning retry-btn" data-project-id="${project.id}" title="Retry analysis">🔄 Retry</button>` : ''}
                 </div>
@@ -112,7 +112,11 @@ export class HierarchyView {
                 btn.disabled = true;
                 btn.textContent = '⏳ Retrying...';
                 try {
-                    await this.api.retryAnalysis(projectId);
+                    const result = await this.api.retryAnalysis(projectId);
+                    if (result?.queued) {
+                        btn.textContent = '📤 Queued';
+                        return;
+                    }
                     if (this.onRefresh) {
                         this.onRefresh();
                     }
@@ -127,48 +131,47 @@ export class HierarchyView {
     }
 
     onMount() {
-        this._refreshTimer = setInterval(() => this._autoRefresh(), CONFIG.refreshInterval);
+        // Server pushes a fresh hierarchy only when it changes
+        this._unsubscribe = this.api.subscribe('hierarchy', null, data => this._applyHierarchy(data));
     }
 
     onUnmount() {
-        if (this._refreshTimer) {
-            clearInterval(this._refreshTimer);
-            this._refreshTimer = null;
+        if (this._unsubscribe) {
+            this._unsubscribe();
+            this._unsubscribe = null;
         }
     }
 
     async refresh() {
         if (!this.api.isConnected()) return;
-        await this._autoRefresh();
+        try {
+            this._applyHierarchy(await this.api.getHierarchy());
+        } catch (e) {
+            // Silent
+        }
     }
 
-    async _autoRefresh() {
-        if (!this.api.isConnected()) return;
-        try {
-            const data = await this.api.getHierarchy();
-            if (data.projects) {
-                for (const p of data.projects) {
-                    this.projectsData[p.id] = p;
-                }
+    _applyHierarchy(data) {
+        if (data.projects) {
+            for (const p of data.projects) {
+                this.projectsData[p.id] = p;
             }
+        }
 
-            // Build new tree HTML and compare
-            const newTreeHtml = `
-                ${this.renderDragon(data.hierarchy.dragon)}
-                ${data.hierarchy.projects.map(p => this.renderProject(p)).join('')}
-            `;
+        // Build new tree HTML and compare
+        const newTreeHtml = `
+            ${this.renderDragon(data.hierarchy.dragon)}
+            ${data.hierarchy.projects.map(p => this.renderProject(p)).join('')}
+        `;
 
-            if (newTreeHtml !== this._lastTreeHtml) {
-                this._lastTreeHtml = newTreeHtml;
-                const tree = document.querySelector('.tree');
-                if (tree) {
-                    tree.innerHTML = newTreeHtml;
-                    // Re-attach retry button listeners
-                    this.attachEventListeners(tree);
-                }
+        if (newTreeHtml !== this._lastTreeHtml) {
+            this._lastTreeHtml = newTreeHtml;
+            const tree = document.querySelector('.tree');
+            if (tree) {
+                tree.innerHTML = newTreeHtml;
+                // Re-attach retry button listeners
+                this.attachEventListeners(tree);
             }
-        } catch (e) {
-            // Silent
         }
     }
 }
@@ -0,0 +1,52 @@
+/**
+ * Minimal promise wrappers around IndexedDB.
+ * Used by client-side stores that must survive page reloads.
+ */
+
+const openDatabases = new Map(); // name -> Promise<IDBDatabase>
+
+/**
+ * Open (and cache) a database.
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {function(IDBDatabase, number): void} upgrade - Called with the db and old version on upgrade
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase(name, version, upgrade) {
+    if (!openDatabases.has(name)) {
+        const promise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(name, version);
+            request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed
+        promise.catch(() => openDatabases.delete(name));
+        openDatabases.set(name, promise);
+    }
+    return openDatabases.get(name);
+}
+
+/**
+ * Run a single request inside a transaction and resolve with its result once the transaction commits.
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {'readonly'|'readwrite'} mode
+ * @param {function(IDBObjectStore): IDBRequest|void} operation
+ * @returns {Promise<*>}
+ */
+export function runTransaction(db, storeName, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
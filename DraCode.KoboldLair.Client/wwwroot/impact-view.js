@@ -1,12 +1,12 @@
 import { ApiClient } from './api.js';
-import CONFIG from './config.js';
 
 export class ImpactView {
     constructor(api) {
         this.api = api;
         this.currentProject = null;
         this.impactData = null;
-        this._refreshTimer = null;
+        this._unsubscribe = null;
+        this._loadController = null;
         this._selectedProjectId = null;
     }
 
@@ -54,6 +54,7 @@ export class ImpactView {
         projectSelect?.addEventListener('change', async () => {
             const projectId = projectSelect.value;
             this._selectedProjectId = projectId || null;
+            this._subscribeToProject(this._selectedProjectId);
             if (projectId) {
                 await this.loadImpactData(projectId);
             } else {
@@ -70,17 +71,34 @@ export class ImpactView {
     }
 
     onMount() {
-        this._refreshTimer = setInterval(() => this._autoRefresh(), CONFIG.refreshInterval);
+        this._subscribeToProject(this._selectedProjectId);
+    }
+
+    _subscribeToProject(projectId) {
+        if (this._unsubscribe) {
+            this._unsubscribe();
+            this._unsubscribe = null;
+        }
+        if (projectId) {
+            // Server pushes the summary only when the project's tasks change
+            this._unsubscribe = this.api.subscribe('implementation_summary', { projectId },
+                summary => this._applySummary(summary));
+        }
     }
 
     async loadImpactData(projectId) {
         const content = document.getElementById('impactContent');
         if (!content) return;
 
+        // Only the latest load may render - abort the previous one (also cancels it on the server)
+        this._loadController?.abort();
+        const controller = new AbortController();
+        this._loadController = controller;
+
         content.innerHTML = '<div class="loading">⏳ Loading impact data...</div>';
 
         try {
-            const summary = await this.api.getImplementationSummary(projectId);
+            const summary = await this.api.getImplementationSummary(projectId, { signal: controller.signal });
 
             if (!summary) {
                 content.innerHTML = `
@@ -99,6 +117,7 @@ export class ImpactView {
             this.currentProject = summary;
             this.renderImpactSummary(summary, content);
         } catch (error) {
+            if (error.name === 'AbortError') return;
             console.error('Error loading impact data:', error);
             content.innerHTML = `
                 <div class="error-state">
@@ -367,41 +386,38 @@ export class ImpactView {
     }
 
     onUnmount() {
-        if (this._refreshTimer) {
-            clearInterval(this._refreshTimer);
-            this._refreshTimer = null;
-        }
+        this._loadController?.abort();
+        this._loadController = null;
+        this._subscribeToProject(null);
         this._selectedProjectId = null;
     }
 
     async refresh() {
-        if (!this.api.isConnected()) return;
-        await this._autoRefresh();
-    }
-
-    async _autoRefresh() {
         if (!this.api.isConnected() || !this._selectedProjectId) return;
         try {
-            const summary = await this.api.getImplementationSummary(this._selectedProjectId);
-            if (!summary) return;
-
-            // Compare key metrics to decide if update needed
-            const prev = this.currentProject;
-            const changed = !prev
-                || prev.overallProgress !== summary.overallProgress
-                || prev.completedTasks !== summary.completedTasks
-                || prev.totalTasks !== summary.totalTasks
-                || Object.keys(summary.fileImpacts || {}).length !== Object.keys(prev.fileImpacts || {}).length;
-
-            if (changed) {
-                this.currentProject = summary;
-                const content = document.getElementById('impactContent');
-                if (content) {
-                    this.renderImpactSummary(summary, content);
-                }
-            }
+            this._applySummary(await this.api.getImplementationSummary(this._selectedProjectId));
         } catch (e) {
             // Silent
         }
     }
+
+    _applySummary(summary) {
+        if (!summary) return;
+
+        // Compare key metrics to decide if update needed
+        const prev = this.currentProject;
+        const changed = !prev
+            || prev.overallProgress !== summary.overallProgress
+            || prev.completedTasks !== summary.completedTasks
+            || prev.totalTasks !== summary.totalTasks
+            || Object.keys(summary.fileImpacts || {}).length !== Object.keys(prev.fileImpacts || {}).length;
+
+        if (changed) {
+            this.currentProject = summary;
+            const content = document.getElementById('impactContent');
+            if (content) {
+                this.renderImpactSummary(summary, content);
+            }
+        }
+    }
 }
@@ -0,0 +1,279 @@
+import trafficStore from './traffic-store.js';
+import serverProtocol from './protocol.js';
+import CONFIG from './config.js';
+import { LOG_LEVELS, getLogLevel, setLogLevel } from './log.js';
+import { escapeHtml } from './markdown.js';
+
+const HEARTBEAT_TYPES = new Set(['ping', 'pong']);
+const MAX_ROWS = 500;
+
+/**
+ * Network inspector: lists WebSocket frames captured by trafficStore per socket
+ * (wyvern, and each Dragon session on the shared dragon socket) with timing,
+ * request/response correlation, size and filtering. Traces can be exported for bug reports.
+ */
+export class InspectorView {
+    constructor(api) {
+        this.api = api;
+        this.filters = {
+            socket: 'all',     // 'all' | 'wyvern' | 'dragon' | 'dragon:<sessionId>'
+            direction: 'all',  // 'all' | 'sent' | 'received'
+            text: '',
+            hideHeartbeats: true
+        };
+        this.selectedSeq = null;
+        this._onTraffic = () => this.updateFrames();
+    }
+
+    render() {
+        return `
+            <div class="inspector-view">
+                <div class="inspector-toolbar">
+                    <select class="form-select" id="inspectorSocket">${this.renderSocketOptions()}</select>
+                    <select class="form-select" id="inspectorDirection">
+                        <option value="all" ${this.filters.direction === 'all' ? 'selected' : ''}>Sent &amp; received</option>
+                        <option value="sent" ${this.filters.direction === 'sent' ? 'selected' : ''}>↑ Sent</option>
+                        <option value="received" ${this.filters.direction === 'received' ? 'selected' : ''}>↓ Received</option>
+                    </select>
+                    <input type="text" class="form-control" id="inspectorText" placeholder="Filter by type, id or content..."
+                           value="${escapeHtml(this.filters.text)}">
+                    <label class="inspector-checkbox">
+                        <input type="checkbox" id="inspectorHeartbeats" ${this.filters.hideHeartbeats ? 'checked' : ''}>
+                        Hide ping/pong
+                    </label>
+                    <div class="inspector-toolbar-actions">
+                        <button class="btn btn-secondary btn-sm" id="inspectorCapture"></button>
+                        <button class="btn btn-secondary btn-sm" id="inspectorClear">🧹 Clear</button>
+                        <button class="btn btn-primary btn-sm" id="inspectorExport">📥 Export trace</button>
+                        <label class="inspector-log-level" title="Browser console verbosity">
+                            Console
+                            <select class="form-select" id="inspectorLogLevel">
+                                ${LOG_LEVELS.map(level => `
+                                    <option value="${level}" ${level === getLogLevel() ? 'selected' : ''}>${level}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    </div>
+                </div>
+                <div class="inspector-summary" id="inspectorSummary"></div>
+                <div class="inspector-body">
+                    <div class="files-table-container inspector-frames">
+                        <table class="files-table">
+                            <thead><tr>
+                                <th>Time</th><th>Socket</th><th></th><th>Type</th><th>Id</th><th>Size</th><th>Latency</th>
+                            </tr></thead>
+                            <tbody id="inspectorFrames"></tbody>
+                        </table>
+                    </div>
+                    <div class="inspector-detail" id="inspectorDetail"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderSocketOptions() {
+        const options = [
+            { value: 'all', label: 'All sockets' },
+            { value: 'wyvern', label: 'Wyvern' },
+            { value: 'dragon', label: 'Dragon (all sessions)' },
+            ...trafficStore.sessionIds().map(id => ({ value: `dragon:${id}`, label: `Dragon · ${id.slice(0, 8)}` }))
+        ];
+        return options.map(o => `
+            <option value="${escapeHtml(o.value)}" ${o.value === this.filters.socket ? 'selected' : ''}>${escapeHtml(o.label)}</option>
+        `).join('');
+    }
+
+    attachEventListeners(container) {
+        container.querySelector('#inspectorSocket')?.addEventListener('change', (e) => {
+            this.filters.socket = e.target.value;
+            this.updateFrames();
+        });
+        container.querySelector('#inspectorDirection')?.addEventListener('change', (e) => {
+            this.filters.direction = e.target.value;
+            this.updateFrames();
+        });
+        container.querySelector('#inspectorText')?.addEventListener('input', (e) => {
+            this.filters.text = e.target.value.trim().toLowerCase();
+            this.updateFrames();
+        });
+        container.querySelector('#inspectorHeartbeats')?.addEventListener('change', (e) => {
+            this.filters.hideHeartbeats = e.target.checked;
+            this.updateFrames();
+        });
+        container.querySelector('#inspectorCapture')?.addEventListener('click', () => {
+            trafficStore.setCapturing(!trafficStore.capturing);
+        });
+        container.querySelector('#inspectorClear')?.addEventListener('click', () => {
+            trafficStore.clear();
+            this.selectedSeq = null;
+            this.updateDetail();
+        });
+        container.querySelector('#inspectorExport')?.addEventListener('click', () => this.exportTrace());
+        container.querySelector('#inspectorLogLevel')?.addEventListener('change', (e) => {
+            setLogLevel(e.target.value);
+        });
+
+        container.querySelector('#inspectorFrames')?.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-seq]');
+            if (row) this.select(Number(row.dataset.seq));
+        });
+        container.querySelector('#inspectorDetail')?.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-jump-seq]');
+            if (link) this.select(Number(link.dataset.jumpSeq));
+        });
+    }
+
+    onMount() {
+        trafficStore.onChange(this._onTraffic);
+        this.updateFrames();
+        this.updateDetail();
+    }
+
+    onUnmount() {
+        trafficStore.offChange(this._onTraffic);
+    }
+
+    async refresh() {
+        this.updateFrames();
+    }
+
+    onReconnect() {
+        // Capture is independent of the connection - keep the current trace on screen
+    }
+
+    matches(frame) {
+        const f = this.filters;
+        if (f.hideHeartbeats && HEARTBEAT_TYPES.has(frame.type)) return false;
+        if (f.direction !== 'all' && frame.direction !== f.direction) return false;
+
+        if (f.socket.startsWith('dragon:')) {
+            if (frame.socket !== 'dragon' || frame.sessionId !== f.socket.slice('dragon:'.length)) return false;
+        } else if (f.socket !== 'all' && frame.socket !== f.socket) {
+            return false;
+        }
+
+        if (f.text) {
+            const haystack = `${frame.type} ${frame.id || ''} ${JSON.stringify(frame.payload)}`.toLowerCase();
+            if (!haystack.includes(f.text)) return false;
+        }
+        return true;
+    }
+
+    filteredFrames() {
+        return trafficStore.frames.filter(frame => this.matches(frame));
+    }
+
+    updateFrames() {
+        const tbody = document.getElementById('inspectorFrames');
+        if (!tbody) return;
+
+        const frames = this.filteredFrames();
+        const visible = frames.slice(-MAX_ROWS).reverse(); // Newest first
+
+        tbody.innerHTML = visible.length === 0
+            ? `<tr><td colspan="7" class="inspector-empty">No frames captured${trafficStore.capturing ? ' yet' : ' (capture paused)'}</td></tr>`
+            : visible.map(frame => this.renderRow(frame)).join('');
+
+        const socketSelect = document.getElementById('inspectorSocket');
+        if (socketSelect) {
+            socketSelect.innerHTML = this.renderSocketOptions();
+        }
+
+        const captureBtn = document.getElementById('inspectorCapture');
+        if (captureBtn) {
+            captureBtn.textContent = trafficStore.capturing ? '⏸ Pause' : '▶ Resume';
+        }
+
+        const summary = document.getElementById('inspectorSummary');
+        if (summary) {
+            const bytes = frames.reduce((sum, f) => sum + f.size, 0);
+            const shown = frames.length > MAX_ROWS ? ` (showing newest ${MAX_ROWS})` : '';
+            summary.textContent = `${frames.length} of ${trafficStore.frames.length} frames · ${this.formatSize(bytes)}${shown}`;
+        }
+    }
+
+    renderRow(frame) {
+        const socket = frame.socket === 'dragon' && frame.sessionId
+            ? `dragon · ${frame.sessionId.slice(0, 8)}`
+            : frame.socket;
+        const isError = frame.type === 'error' || frame.payload?.success === false;
+
+        return `
+            <tr class="file-row inspector-row ${frame.seq === this.selectedSeq ? 'selected' : ''} ${isError ? 'inspector-row-error' : ''}"
+                data-seq="${frame.seq}">
+                <td class="inspector-mono">${this.formatTime(frame.timestamp)}</td>
+                <td>${escapeHtml(socket)}</td>
+                <td class="inspector-direction ${frame.direction}">${frame.direction === 'sent' ? '↑' : '↓'}</td>
+                <td>${escapeHtml(frame.type)}</td>
+                <td class="inspector-mono">${frame.id ? escapeHtml(frame.id) : ''}</td>
+                <td>${this.formatSize(frame.size)}</td>
+                <td>${frame.latencyMs != null ? `${frame.latencyMs} ms` : ''}</td>
+            </tr>
+        `;
+    }
+
+    select(seq) {
+        this.selectedSeq = seq;
+        document.querySelectorAll('.inspector-row.selected').forEach(row => row.classList.remove('selected'));
+        document.querySelector(`.inspector-row[data-seq="${seq}"]`)?.classList.add('selected');
+        this.updateDetail();
+    }
+
+    updateDetail() {
+        const detail = document.getElementById('inspectorDetail');
+        if (!detail) return;
+
+        const frame = this.selectedSeq != null ? trafficStore.get(this.selectedSeq) : null;
+        if (!frame) {
+            detail.innerHTML = '<div class="inspector-empty">Select a frame to see its payload</div>';
+            return;
+        }
+
+        const related = frame.correlatedSeq != null
+            ? `<a href="javascript:void(0)" data-jump-seq="${frame.correlatedSeq}">
+                   ${frame.direction === 'sent' ? 'Go to response' : 'Go to request'} (#${frame.correlatedSeq})
+               </a> · ${frame.latencyMs} ms`
+            : (frame.id && frame.direction === 'sent' ? 'No response yet' : '');
+
+        detail.innerHTML = `
+            <div class="inspector-detail-header">
+                <strong>#${frame.seq} ${frame.direction === 'sent' ? '↑' : '↓'} ${escapeHtml(frame.type)}</strong>
+                <span>${new Date(frame.timestamp).toISOString()} · ${this.formatSize(frame.size)}</span>
+                ${related ? `<span>${related}</span>` : ''}
+            </div>
+            <pre class="inspector-payload">${escapeHtml(JSON.stringify(frame.payload, null, 2))}</pre>
+        `;
+    }
+
+    exportTrace() {
+        const frames = this.filteredFrames();
+        const content = trafficStore.exportTrace(frames, {
+            // Server URL only - credentials never appear in frames or this header
+            server: CONFIG.serverUrl,
+            filters: this.filters,
+            protocol: Object.fromEntries(serverProtocol.endpoints)
+        });
+
+        const blob = new Blob([content], { type: 'application/json;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        a.download = `koboldlair-trace-${timestamp}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    formatTime(timestamp) {
+        const d = new Date(timestamp);
+        return `${d.toLocaleTimeString([], { hour12: false })}.${String(d.getMilliseconds()).padStart(3, '0')}`;
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * Leveled console logging for the client.
+ * Frame-level chatter goes through log.debug() so production consoles stay quiet;
+ * the level is chosen in the Inspector view and persisted in localStorage.
+ */
+
+const STORAGE_KEY = 'koboldlair_log_level';
+
+export const LOG_LEVELS = ['off', 'error', 'warn', 'info', 'debug'];
+
+let currentLevel = localStorage.getItem(STORAGE_KEY);
+if (!LOG_LEVELS.includes(currentLevel)) {
+    currentLevel = 'warn';
+}
+
+function enabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(currentLevel);
+}
+
+export function getLogLevel() {
+    return currentLevel;
+}
+
+export function setLogLevel(level) {
+    if (!LOG_LEVELS.includes(level)) return;
+    currentLevel = level;
+    localStorage.setItem(STORAGE_KEY, level);
+}
+
+export const log = {
+    error: (...args) => enabled('error') && console.error(...args),
+    warn: (...args) => enabled('warn') && console.warn(...args),
+    info: (...args) => enabled('info') && console.info(...args),
+    debug: (...args) => enabled('debug') && console.debug(...args)
+};
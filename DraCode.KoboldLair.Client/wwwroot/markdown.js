@@ -0,0 +1,651 @@
+/**
+ * Small, safe Markdown renderer for chat output.
+ *
+ * Safe by construction: raw HTML in the source is never passed through - every piece of
+ * text is escaped before it is wrapped in one of a fixed set of tags, and link targets are
+ * limited to http(s), mailto and relative URLs. The result can be assigned to innerHTML.
+ *
+ * Supports headings, paragraphs (single newlines become line breaks), emphasis, strikethrough,
+ * inline code, links and bare URLs, ordered/unordered/task lists, blockquotes, rules,
+ * GFM tables and fenced code blocks with lightweight syntax highlighting and a copy button.
+ */
+
+// ---------------------------------------------------------------------------
+// Escaping and URL sanitizing
+// ---------------------------------------------------------------------------
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+function sanitizeUrl(url) {
+    const trimmed = url.trim();
+    if (/^(https?:|mailto:)/i.test(trimmed)) return trimmed;
+    // Relative links have no scheme; anything else with a scheme (javascript:, data:, ...) is dropped
+    if (/^[/#.]/.test(trimmed) && !/^[^/#?]*:/.test(trimmed)) return trimmed;
+    return null;
+}
+
+function renderLink(label, url) {
+    const href = sanitizeUrl(url);
+    if (!href) return label;
+    return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+}
+
+// ---------------------------------------------------------------------------
+// Syntax highlighting
+// ---------------------------------------------------------------------------
+
+// Matches only at the very end of the input (the highlighter runs with the 'm' flag)
+const EOF = '(?![\\s\\S])';
+const C_LIKE_STRINGS = ['"(?:\\\\.|[^"\\\\\\n])*"?', "'(?:\\\\.|[^'\\\\\\n])*'?"];
+
+const LANGUAGES = {
+    js: {
+        keywords: 'async await break case catch class const continue default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while yield interface type enum implements private public protected readonly',
+        literals: 'true false null undefined NaN Infinity',
+        comments: ['//[^\\n]*', '/\\*[\\s\\S]*?(?:\\*/|' + EOF + ')'],
+        strings: [...C_LIKE_STRINGS, '`(?:\\\\[\\s\\S]|[^`\\\\])*`?']
+    },
+    cs: {
+        keywords: 'abstract as async await base break case catch class const continue default delegate do else enum event explicit extern finally fixed for foreach get if implicit in init interface internal is lock namespace new operator out override params private protected public readonly record ref required return sealed set sizeof static struct switch this throw try typeof unchecked unsafe using var virtual void volatile when where while yield bool byte char decimal double float int long object sbyte short string uint ulong ushort',
+        literals: 'true false null',
+        comments: ['//[^\\n]*', '/\\*[\\s\\S]*?(?:\\*/|' + EOF + ')'],
+        strings: ['@"(?:""|[^"])*"?', '\\$?' + C_LIKE_STRINGS[0], "'(?:\\\\.|[^'\\\\\\n])'"]
+    },
+    python: {
+        keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield self',
+        literals: 'True False None',
+        comments: ['#[^\\n]*'],
+        strings: ['[rbfu]{0,2}"""[\\s\\S]*?(?:"""|' + EOF + ')', "[rbfu]{0,2}'''[\\s\\S]*?(?:'''|" + EOF + ")", ...C_LIKE_STRINGS]
+    },
+    bash: {
+        keywords: 'if then else elif fi for while until do done case esac in function return exit export local readonly echo cd set unset source',
+        literals: 'true false',
+        comments: ['(?:^|(?<=\\s))#[^\\n]*'],
+        strings: C_LIKE_STRINGS
+    },
+    sql: {
+        keywords: 'select from where and or not insert into values update set delete create table alter drop index view join left right inner outer full on as group by order having limit offset distinct union all case when then else end is null like in exists primary key foreign references default',
+        literals: 'true false null',
+        comments: ['--[^\\n]*', '/\\*[\\s\\S]*?(?:\\*/|' + EOF + ')'],
+        strings: ["'(?:''|[^'])*'?"],
+        ignoreCase: true
+    },
+    json: {
+        keywords: '',
+        literals: 'true false null',
+        comments: [],
+        strings: [C_LIKE_STRINGS[0]]
+    },
+    css: {
+        keywords: 'important media import from to',
+        literals: '',
+        comments: ['/\\*[\\s\\S]*?(?:\\*/|' + EOF + ')'],
+        strings: C_LIKE_STRINGS
+    },
+    markup: {
+        keywords: '',
+        literals: '',
+        comments: ['<!--[\\s\\S]*?(?:-->|' + EOF + ')'],
+        strings: C_LIKE_STRINGS,
+        extra: [['tag', '</?[A-Za-z][\\w:-]*|/?>']]
+    }
+};
+
+const LANGUAGE_ALIASES = {
+    javascript: 'js', jsx: 'js', ts: 'js', typescript: 'js', tsx: 'js', mjs: 'js',
+    csharp: 'cs', 'c#': 'cs', java: 'cs', c: 'cs', cpp: 'cs', 'c++': 'cs', go: 'cs', rust: 'cs', kotlin: 'cs',
+    py: 'python',
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash', powershell: 'bash', ps1: 'bash',
+    html: 'markup', xml: 'markup', svg: 'markup', xaml: 'markup', csproj: 'markup',
+    scss: 'css', less: 'css'
+};
+
+const compiledLanguages = new Map();
+
+function compileLanguage(name) {
+    if (compiledLanguages.has(name)) return compiledLanguages.get(name);
+
+    const def = LANGUAGES[name];
+    const rules = [
+        ...def.comments.map(src => ['comment', src]),
+        ...def.strings.map(src => ['string', src]),
+        ...(def.extra || []),
+        ['number', '\\b(?:0x[\\da-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b'],
+        ['word', '[A-Za-z_$][\\w$]*']
+    ];
+    const normalize = def.ignoreCase ? w => w.toLowerCase() : w => w;
+    const compiled = {
+        rules,
+        pattern: new RegExp(rules.map(([, src]) => `(${src})`).join('|'), 'gm'),
+        keywords: new Set(def.keywords.split(' ').filter(Boolean).map(normalize)),
+        literals: new Set(def.literals.split(' ').filter(Boolean).map(normalize)),
+        normalize
+    };
+    compiledLanguages.set(name, compiled);
+    return compiled;
+}
+
+/**
+ * Highlight source code. Unknown languages are returned escaped without highlighting.
+ * @param {string} code - Raw code
+ * @param {string} lang - Fence info string (e.g. 'js', 'csharp')
+ * @returns {string} Escaped HTML with <span class="hl-*"> tokens
+ */
+export function highlightCode(code, lang) {
+    const key = (lang || '').toLowerCase();
+    const name = LANGUAGES[key] ? key : LANGUAGE_ALIASES[key];
+    if (!name) return escapeHtml(code);
+
+    const { rules, pattern, keywords, literals, normalize } = compileLanguage(name);
+    pattern.lastIndex = 0;
+
+    let html = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+        if (match[0] === '') {
+            pattern.lastIndex++;
+            continue;
+        }
+        const ruleIndex = match.findIndex((group, i) => i > 0 && group !== undefined) - 1;
+        let cls = rules[ruleIndex][0];
+        if (cls === 'word') {
+            const word = normalize(match[0]);
+            cls = keywords.has(word) ? 'keyword' : literals.has(word) ? 'literal' : null;
+        }
+
+        html += escapeHtml(code.slice(last, match.index));
+        html += cls ? `<span class="hl-${cls}">${escapeHtml(match[0])}</span>` : escapeHtml(match[0]);
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(code.slice(last));
+}
+
+// ---------------------------------------------------------------------------
+// Inline rendering
+// ---------------------------------------------------------------------------
+
+const BARE_URL = /https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"*_~]/y;
+const MAX_LINK_PAREN_DEPTH = 32;
+
+/**
+ * Start offsets of every backtick run, grouped by run length. nextRun(length, from) returns
+ * the first run of exactly that length at or after from; from only ever grows during a scan,
+ * so each list is walked once.
+ */
+function backtickRuns(text) {
+    const runs = new Map();
+    for (const match of text.matchAll(/`+/g)) {
+        const length = match[0].length;
+        if (!runs.has(length)) runs.set(length, { starts: [], next: 0 });
+        runs.get(length).starts.push(match.index);
+    }
+    return {
+        nextRun(length, from) {
+            const run = runs.get(length);
+            if (!run) return -1;
+            while (run.next < run.starts.length && run.starts[run.next] < from) run.next++;
+            return run.next < run.starts.length ? run.starts[run.next] : -1;
+        }
+    };
+}
+
+/**
+ * Parse `[label](url "title")` at text[start] === '['. The URL may be wrapped in <...> or
+ * contain balanced parentheses, e.g. Wikipedia links. Every loop stops at the next bracket,
+ * quote or whitespace, so failed attempts don't rescan the rest of the line.
+ * @returns {{label: string, url: string, end: number}|null}
+ */
+function parseLink(text, start) {
+    let i = start + 1;
+    while (i < text.length && text[i] !== ']') {
+        if (text[i] === '[' || text[i] === '\n') return null;
+        i++;
+    }
+    if (i === start + 1 || text[i] !== ']' || text[i + 1] !== '(') return null;
+    const label = text.slice(start + 1, i);
+
+    i += 2;
+    while (/\s/.test(text[i] ?? '')) i++;
+
+    let url;
+    if (text[i] === '<') {
+        const from = ++i;
+        while (i < text.length && text[i] !== '>') {
+            if (text[i] === '<' || text[i] === '\n') return null;
+            i++;
+        }
+        if (text[i] !== '>') return null;
+        url = text.slice(from, i++);
+    } else {
+        const from = i;
+        let depth = 0;
+        for (; i < text.length && !/\s/.test(text[i]); i++) {
+            if (text[i] === '(') {
+                if (++depth > MAX_LINK_PAREN_DEPTH) return null;
+            } else if (text[i] === ')') {
+                if (depth === 0) break;
+                depth--;
+            }
+        }
+        if (depth > 0) return null;
+        url = text.slice(from, i);
+    }
+    if (!url) return null;
+
+    while (/\s/.test(text[i] ?? '')) i++;
+    if (text[i] === '"') {
+        const close = text.indexOf('"', i + 1);
+        if (close === -1) return null;
+        i = close + 1;
+        while (/\s/.test(text[i] ?? '')) i++;
+    }
+    if (text[i] !== ')') return null;
+
+    return { label, url, end: i + 1 };
+}
+
+/**
+ * Render one line (or table cell) of inline Markdown.
+ * Code spans, [text](url) links and bare URLs are replaced by placeholders before escaping
+ * so emphasis markers inside them are left alone. They are found by a single left-to-right
+ * scan rather than a regex, which keeps the cost linear on pathological input.
+ */
+function renderInline(text, allowLinks = true) {
+    const placeholders = [];
+    const hold = (html) => `\u0000${placeholders.push(html) - 1}\u0000`;
+
+    // NUL delimits placeholders, so it can't be allowed through from the source
+    text = text.replace(/\u0000/g, '');
+    const ticks = backtickRuns(text);
+
+    let source = '';
+    let plain = 0; // Start of the text not yet copied to source
+    const emit = (from, to, html) => {
+        source += text.slice(plain, from) + html;
+        plain = to;
+    };
+
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (ch === '`') {
+            let run = 1;
+            while (text[i + run] === '`') run++;
+            const close = ticks.nextRun(run, i + run);
+            if (close !== -1) {
+                const code = text.slice(i + run, close);
+                emit(i, close + run, hold(`<code>${escapeHtml(code.trim() || code)}</code>`));
+                i = close + run;
+            } else {
+                i += run;
+            }
+            continue;
+        }
+
+        if (allowLinks && ch === '[') {
+            const link = parseLink(text, i);
+            if (link) {
+                emit(i, link.end, hold(renderLink(renderInline(link.label, false), link.url)));
+                i = link.end;
+                continue;
+            }
+        }
+
+        if (allowLinks && ch === 'h' && (i === 0 || !/\w/.test(text[i - 1]))) {
+            BARE_URL.lastIndex = i;
+            const match = BARE_URL.exec(text);
+            if (match) {
+                emit(i, i + match[0].length, hold(renderLink(escapeHtml(match[0]), match[0])));
+                i += match[0].length;
+                continue;
+            }
+        }
+
+        i++;
+    }
+    source += text.slice(plain);
+
+    source = escapeHtml(source)
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+    return source.replace(/\u0000(\d+)\u0000/g, (_, i) => placeholders[Number(i)]);
+}
+
+// ---------------------------------------------------------------------------
+// Block parsing
+// ---------------------------------------------------------------------------
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([\w#+.-]*)[^\n]*$/;
+const HEADING_RE = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE_RE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_RE = /^ {0,3}>\s?/;
+const LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER_RE = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const isBlank = line => line.trim() === '';
+const indentOf = line => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+function isTableStart(lines, i) {
+    return lines[i].includes('|') && i + 1 < lines.length && TABLE_DIVIDER_RE.test(lines[i + 1]) && lines[i + 1].includes('-');
+}
+
+function startsBlock(lines, i) {
+    const line = lines[i];
+    return FENCE_RE.test(line) || HEADING_RE.test(line) || RULE_RE.test(line) ||
+        QUOTE_RE.test(line) || LIST_RE.test(line) || isTableStart(lines, i);
+}
+
+function splitRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+    return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function renderCodeBlock(code, lang) {
+    const language = escapeHtml(lang);
+    return `<div class="md-code-block">` +
+        `<div class="md-code-header"><span class="md-code-lang">${language || 'text'}</span>` +
+        `<button type="button" class="md-copy-btn" title="Copy to clipboard">Copy</button></div>` +
+        `<pre><code${language ? ` class="language-${language}"` : ''}>${highlightCode(code, lang)}</code></pre>` +
+        `</div>`;
+}
+
+function parseFence(lines, i) {
+    const [, fence, lang] = FENCE_RE.exec(lines[i]);
+    const close = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}\\s*$`);
+    const code = [];
+    let j = i + 1;
+    while (j < lines.length && !close.test(lines[j])) {
+        code.push(lines[j]);
+        j++;
+    }
+    // An unclosed fence (e.g. still streaming) runs to the end of the text
+    return { html: renderCodeBlock(code.join('\n'), lang), next: Math.min(j + 1, lines.length) };
+}
+
+function parseTable(lines, i) {
+    const header = splitRow(lines[i]);
+    const aligns = splitRow(lines[i + 1]).map(cell =>
+        cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : cell.startsWith(':') ? 'left' : null);
+    const cell = (tag, text, col) =>
+        `<${tag}${aligns[col] ? ` style="text-align: ${aligns[col]}"` : ''}>${renderInline(text)}</${tag}>`;
+
+    let j = i + 2;
+    const rows = [];
+    while (j < lines.length && !isBlank(lines[j]) && lines[j].includes('|')) {
+        const cells = splitRow(lines[j]);
+        rows.push(`<tr>${header.map((_, col) => cell('td', cells[col] ?? '', col)).join('')}</tr>`);
+        j++;
+    }
+
+    return {
+        html: `<div class="md-table-wrapper"><table><thead><tr>${header.map((text, col) => cell('th', text, col)).join('')}</tr></thead>` +
+            `<tbody>${rows.join('')}</tbody></table></div>`,
+        next: j
+    };
+}
+
+function parseList(lines, i) {
+    const first = LIST_RE.exec(lines[i]);
+    const indent = indentOf(first[1]);
+    const ordered = /\d/.test(first[2]);
+    const sameList = m => m && indentOf(m[1]) === indent && /\d/.test(m[2]) === ordered;
+
+    const items = [];
+    let j = i;
+    while (j < lines.length) {
+        const m = LIST_RE.exec(lines[j]);
+        if (!sameList(m)) break;
+
+        const contentIndent = indent + m[2].length + 1;
+        const itemLines = [m[3]];
+        let loose = false;
+        j++;
+
+        while (j < lines.length) {
+            const line = lines[j];
+            if (isBlank(line)) {
+                let k = j + 1;
+                while (k < lines.length && isBlank(lines[k])) k++;
+                if (k < lines.length && indentOf(lines[k]) > indent && !sameList(LIST_RE.exec(lines[k]))) {
+                    // Indented content after a blank line still belongs to this item
+                    for (; j < k; j++) itemLines.push('');
+                    loose = true;
+                    continue;
+                }
+                if (k < lines.length && sameList(LIST_RE.exec(lines[k]))) {
+                    j = k; // Blank line between items - same list continues
+                }
+                break;
+            }
+            const marker = LIST_RE.exec(line);
+            if (marker && indentOf(marker[1]) <= indent) break;
+            if (!marker && indentOf(line) <= indent && startsBlock(lines, j)) break;
+
+            itemLines.push(line.replace(new RegExp(`^ {0,${contentIndent}}`), ''));
+            j++;
+        }
+        items.push({ lines: itemLines, loose });
+    }
+
+    const html = items.map(({ lines: itemLines, loose }) => {
+        const task = /^\[([ xX])\]\s+/.exec(itemLines[0]);
+        if (task) itemLines[0] = itemLines[0].slice(task[0].length);
+
+        const checkbox = task ? `<input type="checkbox" disabled${task[1] !== ' ' ? ' checked' : ''}> ` : '';
+        return `<li${task ? ' class="md-task"' : ''}>${checkbox}${renderBlocks(itemLines, !loose)}</li>`;
+    }).join('');
+
+    const start = ordered ? parseInt(first[2], 10) : 1;
+    const tag = ordered ? 'ol' : 'ul';
+    return { html: `<${tag}${ordered && start !== 1 ? ` start="${start}"` : ''}>${html}</${tag}>`, next: j };
+}
+
+/**
+ * Render a list of source lines as block HTML.
+ * @param {string[]} lines
+ * @param {boolean} tight - Inside tight list items paragraphs are not wrapped in <p>
+ */
+function renderBlocks(lines, tight = false) {
+    const out = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            i++;
+            continue;
+        }
+
+        if (FENCE_RE.test(line)) {
+            const block = parseFence(lines, i);
+            out.push(block.html);
+            i = block.next;
+            continue;
+        }
+
+        const heading = HEADING_RE.exec(line);
+        if (heading) {
+            const level = heading[1].length;
+            out.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (RULE_RE.test(line)) {
+            out.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (QUOTE_RE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && QUOTE_RE.test(lines[i])) {
+                quoted.push(lines[i].replace(QUOTE_RE, ''));
+                i++;
+            }
+            out.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+            continue;
+        }
+
+        if (isTableStart(lines, i)) {
+            const block = parseTable(lines, i);
+            out.push(block.html);
+            i = block.next;
+            continue;
+        }
+
+        if (LIST_RE.test(line)) {
+            const block = parseList(lines, i);
+            out.push(block.html);
+            i = block.next;
+            continue;
+        }
+
+        const paragraph = [line.trim()];
+        i++;
+        while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i)) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        const text = paragraph.map(p => renderInline(p)).join('<br>');
+        out.push(tight ? text : `<p>${text}</p>`);
+    }
+
+    return out.join('');
+}
+
+/**
+ * Render Markdown to sanitized HTML.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function renderMarkdown(markdown) {
+    if (!markdown) return '';
+    return renderBlocks(String(markdown).replace(/\r\n?/g, '\n').split('\n'));
+}
+
+// ---------------------------------------------------------------------------
+// Incremental rendering
+// ---------------------------------------------------------------------------
+
+/**
+ * Offset up to which `text` (scanned from `from`, itself a block boundary) consists of
+ * finished top-level blocks that later chunks can no longer change: a blank line followed
+ * by a complete unindented line that doesn't continue a list, or the line after a closed fence.
+ */
+function findStableBoundary(text, from) {
+    let boundary = from;
+    let fence = null;
+    let afterBlank = false;
+    let pos = from;
+
+    while (true) {
+        const end = text.indexOf('\n', pos);
+        if (end === -1) break; // Last line is still incomplete
+        const line = text.slice(pos, end);
+
+        if (fence) {
+            if (new RegExp(`^${fence[0] === '`' ? '`' : '~'}{${fence.length},}\\s*$`).test(line)) {
+                fence = null;
+                boundary = end + 1;
+            }
+        } else if (isBlank(line)) {
+            afterBlank = true;
+        } else {
+            if (afterBlank && !/^\s/.test(line) && !LIST_RE.test(line)) {
+                boundary = pos;
+            }
+            afterBlank = false;
+            const open = /^(`{3,}|~{3,})/.exec(line);
+            if (open) {
+                boundary = pos;
+                fence = open[1];
+            }
+        }
+        pos = end + 1;
+    }
+    return boundary;
+}
+
+/**
+ * Renders a Markdown message into a container while it streams in.
+ * Finished blocks are rendered once and kept; only the trailing, still-growing block is
+ * re-rendered on each chunk, so long replies don't get re-parsed from the start.
+ */
+export class MarkdownStream {
+    constructor(container) {
+        this.container = container;
+        this.source = '';
+        this.committed = 0;
+
+        this.container.innerHTML = '';
+        this.tail = document.createElement('div');
+        this.tail.className = 'md-tail';
+        this.container.appendChild(this.tail);
+    }
+
+    append(chunk) {
+        this.source += chunk;
+
+        const boundary = findStableBoundary(this.source, this.committed);
+        if (boundary > this.committed) {
+            this.tail.insertAdjacentHTML('beforebegin', renderMarkdown(this.source.slice(this.committed, boundary)));
+            this.committed = boundary;
+        }
+        this.tail.innerHTML = renderMarkdown(this.source.slice(this.committed));
+    }
+
+    /**
+     * Replace the incremental rendering with one full render of the final content,
+     * so constructs split across committed blocks come out exactly as in history.
+     */
+    finish(finalContent = null) {
+        this.source = finalContent || this.source;
+        this.container.innerHTML = renderMarkdown(this.source);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Copy button
+// ---------------------------------------------------------------------------
+
+/**
+ * Copy the code of the block a .md-copy-btn belongs to. Intended for a delegated click handler.
+ */
+export async function copyCodeBlock(button) {
+    const code = button.closest('.md-code-block')?.querySelector('code')?.textContent ?? '';
+
+    try {
+        await navigator.clipboard.writeText(code);
+    } catch (_) {
+        // Clipboard API needs a secure context - fall back to a hidden textarea
+        const textarea = document.createElement('textarea');
+        textarea.value = code;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        document.body.removeChild(textarea);
+    }
+
+    button.textContent = 'Copied';
+    button.classList.add('copied');
+    setTimeout(() => {
+        button.textContent = 'Copy';
+        button.classList.remove('copied');
+    }, 1500);
+}
@@ -1,9 +1,7 @@
-import CONFIG from './config.js';
-
 export class MetricsView {
     constructor(api) {
         this.api = api;
-        this._refreshTimer = null;
+        this._unsubscribe = null;
         this._lastData = null;
     }
 
@@ -234,37 +232,36 @@ export class MetricsView {
     }
 
     onMount() {
-        this._refreshTimer = setInterval(() => this._autoRefresh(), CONFIG.refreshInterval);
+        // Server pushes metrics only when they change
+        this._unsubscribe = this.api.subscribe('metrics', { timeRangeHours: 24 }, data => this._applyMetrics(data));
     }
 
     onUnmount() {
-        if (this._refreshTimer) {
-            clearInterval(this._refreshTimer);
-            this._refreshTimer = null;
+        if (this._unsubscribe) {
+            this._unsubscribe();
+            this._unsubscribe = null;
         }
     }
 
     async refresh() {
         if (!this.api.isConnected()) return;
-        await this._autoRefresh();
+        try {
+            this._applyMetrics(await this.api.getMetrics(24));
+        } catch (e) {
+            // Silent fail on refresh
+        }
     }
 
-    async _autoRefresh() {
-        if (!this.api.isConnected()) return;
-        try {
-            const data = await this.api.getMetrics(24);
-            if (!data || !data.summary) return;
+    _applyMetrics(data) {
+        if (!data || !data.summary) return;
 
-            const s = data.summary;
-            this._updateStat('total-requests', this._fmt(s.totalRequests));
-            this._updateStat('total-tokens', this._fmt(s.totalTokens));
-            this._updateStat('avg-tokens', this._fmt(s.avgTokensPerRequest));
-            this._updateStat('total-cost', `$${this._cost(s.totalCost)}`);
+        const s = data.summary;
+        this._updateStat('total-requests', this._fmt(s.totalRequests));
+        this._updateStat('total-tokens', this._fmt(s.totalTokens));
+        this._updateStat('avg-tokens', this._fmt(s.avgTokensPerRequest));
+        this._updateStat('total-cost', `$${this._cost(s.totalCost)}`);
 
-            this._lastData = data;
-        } catch (e) {
-            // Silent fail on auto-refresh
-        }
+        this._lastData = data;
     }
 
     _updateStat(name, value) {
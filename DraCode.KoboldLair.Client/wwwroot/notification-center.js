@@ -0,0 +1,252 @@
+import { NOTIFICATION_TYPES } from './desktop-notifier.js';
+import { escapeHtml } from './markdown.js';
+import { formatAge } from './format.js';
+
+/**
+ * Header bell with the notification center: every project notification from the server's
+ * history (notifications.json per project), read/unread state shared by all clients,
+ * filters by project and type, and per-type actions (open escalation, view/merge branch,
+ * retry task, open project).
+ */
+export class NotificationCenter {
+    /**
+     * @param {Object} api
+     * @param {Object} callbacks - { openNotification(notification), openDragonWithPrompt(prompt), openSettings() }
+     */
+    constructor(api, { openNotification = () => {}, openDragonWithPrompt = () => {}, openSettings = () => {} } = {}) {
+        this.api = api;
+        this.openNotification = openNotification;
+        this.openDragonWithPrompt = openDragonWithPrompt;
+        this.openSettings = openSettings;
+        this.container = null;
+        this.notifications = [];
+        this.unreadCount = 0;
+        this.filters = { project: '', type: '', unreadOnly: false };
+        this.status = null; // { text, type } - result of the last action
+        this._open = false;
+
+        api.subscribe('notifications', null, data => this._apply(data));
+
+        document.addEventListener('click', (e) => {
+            if (this._open && !e.target.closest('.notification-center')) {
+                this._open = false;
+                this.update();
+            }
+        });
+    }
+
+    mount(container) {
+        this.container = container;
+        container.addEventListener('click', (e) => this.handleClick(e));
+        container.addEventListener('change', (e) => {
+            const filter = e.target.dataset.filter;
+            if (!filter) return;
+            this.filters[filter] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+            this.update();
+        });
+        this.update();
+    }
+
+    _apply(data) {
+        this.notifications = data?.notifications || [];
+        this.unreadCount = data?.unreadCount || 0;
+        this.update();
+    }
+
+    update() {
+        if (!this.container) return;
+        const scrollTop = this.container.querySelector('.notification-center-list')?.scrollTop ?? 0;
+        this.container.innerHTML = this.render();
+        const list = this.container.querySelector('.notification-center-list');
+        if (list) list.scrollTop = scrollTop;
+    }
+
+    render() {
+        return `
+            <div class="notification-center">
+                <button class="btn-icon notification-bell" data-action="toggle" title="Notifications">
+                    <span>🔔</span>
+                    ${this.unreadCount > 0 ? `<span class="notification-bell-count">${this.unreadCount > 99 ? '99+' : this.unreadCount}</span>` : ''}
+                </button>
+                ${this._open ? this.renderDropdown() : ''}
+            </div>
+        `;
+    }
+
+    renderDropdown() {
+        const projects = [...new Set(this.notifications.map(n => n.projectName))].sort();
+        const items = this.notifications.filter(n =>
+            (!this.filters.project || n.projectName === this.filters.project) &&
+            (!this.filters.type || n.type === this.filters.type) &&
+            (!this.filters.unreadOnly || !n.read));
+
+        return `
+            <div class="notification-center-dropdown">
+                <div class="notification-center-header">
+                    <span>Notifications${this.unreadCount > 0 ? ` (${this.unreadCount} unread)` : ''}</span>
+                    <div class="notification-center-header-actions">
+                        ${this.unreadCount > 0 ? '<button class="btn btn-secondary btn-sm" data-action="read-all">Mark all read</button>' : ''}
+                        <button class="btn-icon" data-action="settings" title="Desktop notification settings">⚙️</button>
+                    </div>
+                </div>
+                <div class="notification-center-filters">
+                    <select class="form-select" data-filter="project">
+                        <option value="">All projects</option>
+                        ${projects.map(name => `
+                            <option value="${escapeHtml(name)}" ${name === this.filters.project ? 'selected' : ''}>${escapeHtml(name)}</option>
+                        `).join('')}
+                    </select>
+                    <select class="form-select" data-filter="type">
+                        <option value="">All types</option>
+                        ${NOTIFICATION_TYPES.map(t => `
+                            <option value="${t.key}" ${t.key === this.filters.type ? 'selected' : ''}>${t.icon} ${t.label}</option>
+                        `).join('')}
+                    </select>
+                    <label class="notification-center-unread">
+                        <input type="checkbox" data-filter="unreadOnly" ${this.filters.unreadOnly ? 'checked' : ''}> Unread
+                    </label>
+                </div>
+                ${this.status ? `<div class="notification-center-status ${this.status.type}">${escapeHtml(this.status.text)}</div>` : ''}
+                <div class="notification-center-list">
+                    ${items.length === 0
+                        ? '<div class="notification-center-empty">No notifications</div>'
+                        : items.map(n => this.renderItem(n)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderItem(n) {
+        const type = NOTIFICATION_TYPES.find(t => t.key === n.type);
+        return `
+            <div class="notification-item ${n.read ? '' : 'unread'}" data-notification-id="${n.id}">
+                <span class="notification-item-icon">${type?.icon || '📢'}</span>
+                <div class="notification-item-content">
+                    <div class="notification-item-meta">
+                        ${escapeHtml(n.projectName)} • <span title="${new Date(n.createdAt).toLocaleString()}">${formatAge(n.createdAt)}</span>
+                    </div>
+                    <div class="notification-item-message">${escapeHtml(n.message.replace(/`/g, ''))}</div>
+                    <div class="notification-item-actions">
+                        ${this.actionsFor(n).map(([action, label]) => `
+                            <button class="btn btn-secondary btn-sm" data-action="${action}">${label}</button>
+                        `).join('')}
+                    </div>
+                </div>
+                <button class="btn-icon notification-item-read" data-action="toggle-read"
+                        title="${n.read ? 'Mark as unread' : 'Mark as read'}">${n.read ? '○' : '●'}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * @returns {Array<[string, string]>} [action, label] pairs for the notification type
+     */
+    actionsFor(n) {
+        switch (n.type) {
+            case 'escalation':
+                return [['open', '⚠️ Open escalation']];
+            case 'feature_branch_ready':
+                return n.metadata?.branchName
+                    ? [['view-branch', '🔀 View branch'], ['merge', '✅ Merge'], ['open', '📁 Open project']]
+                    : [['open', '📁 Open project']];
+            case 'task_failed':
+                return n.metadata?.taskId
+                    ? [['retry', '🔄 Retry'], ['open', '📁 Open project']]
+                    : [['open', '📁 Open project']];
+            default:
+                return [['open', '📁 Open project']];
+        }
+    }
+
+    async handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        e.stopPropagation();
+
+        const action = button.dataset.action;
+        if (action === 'toggle') {
+            this._open = !this._open;
+            this.status = null;
+            this.update();
+            return;
+        }
+        if (action === 'settings') {
+            this._open = false;
+            this.update();
+            this.openSettings();
+            return;
+        }
+        if (action === 'read-all') {
+            await this.run(() => this.api.markAllNotificationsRead(this.filters.project || null));
+            return;
+        }
+
+        const id = button.closest('[data-notification-id]')?.dataset.notificationId;
+        const notification = this.notifications.find(n => n.id === id);
+        if (!notification) return;
+
+        if (action === 'toggle-read') {
+            await this.setRead(notification, !notification.read);
+            return;
+        }
+
+        // Acting on a notification reads it
+        if (!notification.read) this.setRead(notification, true);
+
+        switch (action) {
+            case 'open':
+                this._open = false;
+                this.update();
+                this.openNotification(notification);
+                break;
+            case 'view-branch':
+                this._open = false;
+                this.update();
+                this.openDragonWithPrompt(
+                    `Show me what changed on branch \`${notification.metadata.branchName}\` of project "${notification.projectName}" compared to main.`);
+                break;
+            case 'merge':
+                if (!confirm(`Merge branch ${notification.metadata.branchName} into main for ${notification.projectName}?`)) return;
+                button.disabled = true;
+                await this.run(() => this.api.gitMerge(notification.metadata.branchName, notification.projectName), true);
+                break;
+            case 'retry':
+                button.disabled = true;
+                await this.run(() => this.api.retryFailedTask({ taskId: notification.metadata.taskId }), true);
+                break;
+        }
+    }
+
+    async setRead(notification, read) {
+        // Optimistic; the next subscription push carries the server state
+        notification.read = read;
+        this.unreadCount = Math.max(0, this.unreadCount + (read ? -1 : 1));
+        this.update();
+        try {
+            await this.api.setNotificationsRead(read, [{ projectName: notification.projectName, id: notification.id }]);
+        } catch (error) {
+            notification.read = !read;
+            this.unreadCount = Math.max(0, this.unreadCount + (read ? 1 : -1));
+            this.status = { text: `Failed to update notification: ${error.message}`, type: 'error' };
+            this.update();
+        }
+    }
+
+    /**
+     * Run a command and show its outcome in the center
+     * @param {boolean} showMessage - Show the command's result message on success
+     */
+    async run(command, showMessage = false) {
+        try {
+            const result = await command();
+            if (result?.success === false) {
+                this.status = { text: (result.message || 'Failed').replace(/^Error:\s*/i, ''), type: 'error' };
+            } else {
+                this.status = showMessage && result?.message ? { text: result.message, type: 'success' } : null;
+            }
+        } catch (error) {
+            this.status = { text: error.message, type: 'error' };
+        }
+        this.update();
+    }
+}
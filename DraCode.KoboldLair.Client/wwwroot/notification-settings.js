@@ -0,0 +1,148 @@
+import desktopNotifier, { NOTIFICATION_TYPES } from './desktop-notifier.js';
+import { log } from './log.js';
+import { escapeHtml } from './markdown.js';
+
+const PERMISSION_TEXT = {
+    granted: 'Allowed by the browser',
+    denied: 'Blocked by the browser - allow notifications for this site in the browser settings',
+    default: 'The browser will ask for permission when you enable them',
+    unsupported: 'This browser does not support desktop notifications'
+};
+
+/**
+ * Modal for desktop notification preferences: on/off, per type, per project, sound, quiet hours
+ */
+export async function showNotificationSettings(api) {
+    document.querySelector('.modal.notification-settings')?.remove();
+
+    const prefs = desktopNotifier.getPreferences();
+    let projectNames = [];
+    if (api.isConnected()) {
+        try {
+            projectNames = (await api.getProjects()).map(p => p.name);
+        } catch (error) {
+            log.warn('Failed to load projects for notification settings:', error.message);
+        }
+    }
+    // Muted projects stay listed even when they are not on the current server
+    projectNames = [...new Set([...projectNames, ...prefs.mutedProjects])].sort();
+
+    const modal = document.createElement('div');
+    modal.className = 'modal notification-settings';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3>🔔 Desktop Notifications</h3>
+                <button class="modal-close" data-action="close">×</button>
+            </div>
+            <div class="modal-body">
+                <div class="form-group">
+                    <label class="notification-settings-toggle">
+                        <input type="checkbox" id="desktopNotifEnabled"
+                               ${prefs.enabled && desktopNotifier.permission === 'granted' ? 'checked' : ''}
+                               ${desktopNotifier.permission === 'unsupported' || desktopNotifier.permission === 'denied' ? 'disabled' : ''}>
+                        Show desktop notifications
+                    </label>
+                    <small id="desktopNotifPermission">${PERMISSION_TEXT[desktopNotifier.permission]}</small>
+                </div>
+                <div class="form-group">
+                    <label>Notify me about</label>
+                    ${NOTIFICATION_TYPES.map(t => `
+                        <label class="notification-settings-toggle">
+                            <input type="checkbox" data-type="${t.key}" ${prefs.types[t.key] !== false ? 'checked' : ''}>
+                            ${t.icon} ${t.label}
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="form-group">
+                    <label>Projects</label>
+                    ${projectNames.length === 0 ? '<small>Connect to a server to choose projects</small>' : `
+                        <div class="notification-settings-projects">
+                            ${projectNames.map(name => `
+                                <label class="notification-settings-toggle">
+                                    <input type="checkbox" data-project="${escapeHtml(name)}" ${prefs.mutedProjects.includes(name) ? '' : 'checked'}>
+                                    ${escapeHtml(name)}
+                                </label>
+                            `).join('')}
+                        </div>
+                    `}
+                </div>
+                <div class="form-group">
+                    <label class="notification-settings-toggle">
+                        <input type="checkbox" id="desktopNotifSound" ${prefs.sound ? 'checked' : ''}>
+                        Play a sound
+                    </label>
+                    <label class="notification-settings-toggle">
+                        <input type="checkbox" id="desktopNotifFocused" ${prefs.whenFocused ? 'checked' : ''}>
+                        Also while this window is focused
+                    </label>
+                </div>
+                <div class="form-group">
+                    <label class="notification-settings-toggle">
+                        <input type="checkbox" id="desktopNotifQuiet" ${prefs.quietHours.enabled ? 'checked' : ''}>
+                        Quiet hours
+                    </label>
+                    <div class="notification-settings-quiet">
+                        <input type="time" class="form-control" id="desktopNotifQuietStart" value="${prefs.quietHours.start}">
+                        <span>to</span>
+                        <input type="time" class="form-control" id="desktopNotifQuietEnd" value="${prefs.quietHours.end}">
+                    </div>
+                    <small>No desktop notifications or sounds during this time</small>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" data-action="test" style="margin-right: auto;">Send test</button>
+                <button class="btn btn-secondary" data-action="close">Cancel</button>
+                <button class="btn btn-primary" data-action="save">Save</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const enabledInput = modal.querySelector('#desktopNotifEnabled');
+    enabledInput.addEventListener('change', async () => {
+        if (!enabledInput.checked || desktopNotifier.permission === 'granted') return;
+        // Permission prompts need the user gesture, so ask right away instead of on save
+        const permission = await desktopNotifier.enable();
+        enabledInput.checked = permission === 'granted';
+        enabledInput.disabled = permission === 'denied';
+        modal.querySelector('#desktopNotifPermission').textContent = PERMISSION_TEXT[permission];
+    });
+
+    modal.addEventListener('click', (e) => {
+        const action = e.target === modal ? 'close' : e.target.closest('[data-action]')?.dataset.action;
+        if (!action) return;
+
+        if (action === 'test') {
+            if (desktopNotifier.permission !== 'granted') {
+                modal.querySelector('#desktopNotifPermission').textContent = PERMISSION_TEXT[desktopNotifier.permission];
+                return;
+            }
+            desktopNotifier.show({
+                id: `test_${Date.now()}`,
+                type: 'project_complete',
+                projectName: 'KoboldLair',
+                message: 'Desktop notifications are working.'
+            });
+            if (modal.querySelector('#desktopNotifSound').checked) desktopNotifier.playSound();
+            return;
+        }
+
+        if (action === 'save') {
+            desktopNotifier.setPreferences({
+                enabled: enabledInput.checked,
+                types: Object.fromEntries([...modal.querySelectorAll('[data-type]')].map(input => [input.dataset.type, input.checked])),
+                mutedProjects: [...modal.querySelectorAll('[data-project]')].filter(input => !input.checked).map(input => input.dataset.project),
+                sound: modal.querySelector('#desktopNotifSound').checked,
+                whenFocused: modal.querySelector('#desktopNotifFocused').checked,
+                quietHours: {
+                    enabled: modal.querySelector('#desktopNotifQuiet').checked,
+                    start: modal.querySelector('#desktopNotifQuietStart').value || '22:00',
+                    end: modal.querySelector('#desktopNotifQuietEnd').value || '07:00'
+                }
+            });
+        }
+        modal.remove();
+    });
+}
@@ -1,38 +1,74 @@
+import { log } from './log.js';
+
 /**
- * Shared notification store for cross-view escalation awareness.
- * DragonView pushes escalations here; Dashboard and Projects views read from it.
+ * Shared escalation state, synced from the server (escalations are stored with the Kobold plans).
+ * The app connects it once; it follows the 'escalations' subscription, so the Dashboard banner,
+ * the Escalations view and every open client see the same alerts and review states.
  */
 class NotificationStore {
     constructor() {
         this.escalations = [];
-        this._seenIds = new Set();
+        this.openCount = 0;
+        this._api = null;
         this._listeners = [];
     }
 
-    addEscalation(escalation) {
-        // Deduplicate by taskId + type + message to prevent replay duplicates
-        const dedupKey = `${escalation.taskId || ''}_${escalation.type || ''}_${escalation.message || ''}`;
-        if (this._seenIds.has(dedupKey)) return;
-        this._seenIds.add(dedupKey);
+    /**
+     * Start following the server's escalations (subscriptions survive reconnects and server switches)
+     */
+    connect(api) {
+        if (this._api) return;
+        this._api = api;
+        api.subscribe('escalations', null, data => this._apply(data));
+    }
 
-        this.escalations.push(escalation);
-        this._notify();
+    /**
+     * Fetch now instead of waiting for the next push (e.g. right after an escalation notification)
+     */
+    async refresh() {
+        if (!this._api?.isConnected()) return;
+        try {
+            this._apply(await this._api.getEscalations());
+        } catch (error) {
+            log.warn('NotificationStore: Failed to load escalations:', error.message);
+        }
     }
 
-    clearEscalations() {
-        this.escalations = [];
-        this._seenIds.clear();
+    /**
+     * Apply a review action on the server.
+     * @param {Object} escalation - Escalation from this store
+     * @param {'acknowledge'|'resolve'|'dismiss'|'reopen'} action
+     * @param {string} [note] - Required for resolve
+     */
+    async review(escalation, action, note = null) {
+        const result = await this._api.updateEscalation(escalation.projectId, escalation.id, action, note);
+        const wasOpen = escalation.review === 'Open';
+        const isOpen = result.escalation.review === 'Open';
+
+        this.escalations = this.escalations.map(e => e.id === escalation.id ? result.escalation : e);
+        this.openCount += (isOpen ? 1 : 0) - (wasOpen ? 1 : 0);
         this._notify();
+        return result.escalation;
     }
 
     get pendingCount() {
-        return this.escalations.length;
+        return this.openCount;
     }
 
     onChange(callback) {
         this._listeners.push(callback);
     }
 
+    offChange(callback) {
+        this._listeners = this._listeners.filter(cb => cb !== callback);
+    }
+
+    _apply(data) {
+        this.escalations = data?.escalations || [];
+        this.openCount = data?.openCount || 0;
+        this._notify();
+    }
+
     _notify() {
         for (const cb of this._listeners) {
             try { cb(this.escalations); } catch (_) {}
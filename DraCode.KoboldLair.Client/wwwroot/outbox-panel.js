@@ -0,0 +1,116 @@
+import { serverManager } from './server-manager.js';
+import outboxStore from './outbox-store.js';
+import { escapeHtml } from './markdown.js';
+
+const COMMAND_LABELS = {
+    update_project_config_full: 'Save project configuration',
+    toggle_agent: 'Toggle agent',
+    retry_analysis: 'Retry analysis'
+};
+
+const STATE_LABELS = {
+    queued: { text: 'Queued', badge: 'info' },
+    sending: { text: 'Sending...', badge: 'warning' },
+    failed: { text: 'Failed', badge: 'error' }
+};
+
+/**
+ * Header indicator for the offline command outbox.
+ * Shows how many commands are waiting for the active server and lets the user
+ * retry failed items or cancel anything not yet sent.
+ */
+export class OutboxPanel {
+    constructor(api) {
+        this.api = api;
+        this.container = null;
+        this._open = false;
+
+        outboxStore.onChange(() => this.update());
+
+        document.addEventListener('click', (e) => {
+            if (this._open && !e.target.closest('.outbox-panel')) {
+                this._open = false;
+                this.update();
+            }
+        });
+    }
+
+    mount(container) {
+        this.container = container;
+        this.update();
+    }
+
+    update() {
+        if (!this.container) return;
+        this.container.innerHTML = this.render();
+        this.attachEventListeners();
+    }
+
+    render() {
+        const items = outboxStore.itemsFor(serverManager.getActiveServer()?.id);
+        if (items.length === 0) return '';
+
+        const hasFailed = items.some(item => item.state === 'failed');
+
+        return `
+            <div class="outbox-panel">
+                <button class="outbox-button ${hasFailed ? 'has-failed' : ''}" id="outboxBtn"
+                        title="Commands waiting to be sent">
+                    <span>📤</span>
+                    <span class="outbox-count">${items.length}</span>
+                </button>
+                ${this._open ? `
+                    <div class="outbox-dropdown">
+                        <div class="outbox-header">Pending commands</div>
+                        <div class="outbox-list">
+                            ${items.map(item => this.renderItem(item)).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderItem(item) {
+        const state = STATE_LABELS[item.state] || STATE_LABELS.queued;
+        const label = COMMAND_LABELS[item.command] || item.command;
+        const projectId = item.data?.projectId ? escapeHtml(item.data.projectId) : '';
+        const time = new Date(item.createdAt).toLocaleTimeString();
+
+        return `
+            <div class="outbox-item" data-outbox-id="${item.id}">
+                <div class="outbox-item-info">
+                    <div class="outbox-item-title">${escapeHtml(label)}</div>
+                    <div class="outbox-item-meta">${projectId}${projectId ? ' • ' : ''}${time}</div>
+                    ${item.error ? `<div class="outbox-item-error">${escapeHtml(item.error)}</div>` : ''}
+                </div>
+                <span class="badge badge-${state.badge}">${state.text}</span>
+                <div class="outbox-item-actions">
+                    ${item.state === 'failed' ? `<button class="btn-icon" data-action="retry" title="Retry">🔄</button>` : ''}
+                    ${item.state !== 'sending' ? `<button class="btn-icon" data-action="cancel" title="Cancel">✕</button>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    attachEventListeners() {
+        this.container.querySelector('#outboxBtn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this._open = !this._open;
+            this.update();
+        });
+
+        this.container.querySelectorAll('.outbox-item [data-action]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const id = Number(btn.closest('.outbox-item').dataset.outboxId);
+                btn.disabled = true;
+                if (btn.dataset.action === 'retry') {
+                    await this.api.retryOutboxItem(id);
+                } else {
+                    await this.api.cancelOutboxItem(id);
+                }
+            });
+        });
+    }
+}
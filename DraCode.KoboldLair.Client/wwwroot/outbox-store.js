@@ -0,0 +1,116 @@
+import { openDatabase, runTransaction } from './idb.js';
+import { log } from './log.js';
+
+const DB_NAME = 'koboldlair-outbox';
+const DB_VERSION = 1;
+const STORE = 'commands';
+
+/**
+ * Persisted outbox for mutating commands issued while the /wyvern socket is down.
+ * ApiClient enqueues here and replays items in order after reconnect.
+ * Items are kept in memory for synchronous reads and mirrored to IndexedDB so
+ * queued edits survive a page reload. Falls back to memory only if IndexedDB is unavailable.
+ *
+ * Item: { id, serverId, command, data, state: 'queued'|'sending'|'failed', error, createdAt }
+ */
+class OutboxStore {
+    constructor() {
+        this.items = [];
+        this._listeners = [];
+        this._db = null;
+        this.ready = this._load();
+    }
+
+    async _load() {
+        try {
+            this._db = await openDatabase(DB_NAME, DB_VERSION, (db) => {
+                db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            });
+            const stored = await runTransaction(this._db, STORE, 'readonly', store => store.getAll());
+
+            // An item still 'sending' was interrupted by a reload - it never got a response
+            this.items = stored.map(item => item.state === 'sending' ? { ...item, state: 'queued' } : item);
+            this._notify();
+        } catch (error) {
+            log.warn('OutboxStore: IndexedDB unavailable, outbox will not survive reloads:', error.message);
+            this._db = null;
+        }
+    }
+
+    /**
+     * Items queued for a server, oldest first.
+     */
+    itemsFor(serverId) {
+        return this.items
+            .filter(item => item.serverId === serverId)
+            .sort((a, b) => a.id - b.id);
+    }
+
+    get(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    async enqueue(serverId, command, data) {
+        await this.ready;
+
+        const item = {
+            serverId,
+            command,
+            data,
+            state: 'queued',
+            error: null,
+            createdAt: new Date().toISOString()
+        };
+
+        if (this._db) {
+            item.id = await runTransaction(this._db, STORE, 'readwrite', store => store.add(item));
+        } else {
+            item.id = (this.items.reduce((max, i) => Math.max(max, i.id), 0)) + 1;
+        }
+
+        this.items.push(item);
+        this._notify();
+        return item;
+    }
+
+    async update(id, changes) {
+        const item = this.get(id);
+        if (!item) return null;
+
+        Object.assign(item, changes);
+        if (this._db) {
+            await runTransaction(this._db, STORE, 'readwrite', store => store.put(item));
+        }
+        this._notify();
+        return item;
+    }
+
+    async remove(id) {
+        const before = this.items.length;
+        this.items = this.items.filter(item => item.id !== id);
+        if (this.items.length === before) return false;
+
+        if (this._db) {
+            await runTransaction(this._db, STORE, 'readwrite', store => store.delete(id));
+        }
+        this._notify();
+        return true;
+    }
+
+    onChange(callback) {
+        this._listeners.push(callback);
+    }
+
+    offChange(callback) {
+        this._listeners = this._listeners.filter(cb => cb !== callback);
+    }
+
+    _notify() {
+        for (const cb of this._listeners) {
+            try { cb(this.items); } catch (_) {}
+        }
+    }
+}
+
+const store = new OutboxStore();
+export default store;
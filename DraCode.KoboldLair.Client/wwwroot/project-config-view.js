@@ -284,7 +284,14 @@ export class ProjectConfigView {
         };
 
         try {
-            await this.api.updateProjectConfigFull(this.selectedProjectId, config);
+            const result = await this.api.updateProjectConfigFull(this.selectedProjectId, config);
+            if (result?.queued) {
+                this.showNotification('Offline - configuration queued and will be saved on reconnect', 'info');
+                const modal = document.getElementById('editConfigModal');
+                if (modal) modal.remove();
+                this.selectedProjectId = null;
+                return;
+            }
             this.showNotification('Configuration saved successfully', 'success');
 
             const modal = document.getElementById('editConfigModal');
@@ -0,0 +1,457 @@
+import { ImpactView } from './impact-view.js';
+import { NOTIFICATION_TYPES } from './desktop-notifier.js';
+import { renderLifecycleControls, handleLifecycleButton } from './project-lifecycle.js';
+import { TaskBoard } from './task-board.js';
+import { TaskGraph } from './task-graph.js';
+import { TaskTimeline } from './task-timeline.js';
+import { escapeHtml } from './markdown.js';
+
+const TABS = [
+    { key: 'overview', label: '📋 Overview' },
+    { key: 'tasks', label: '📝 Tasks' },
+    { key: 'board', label: '🗂️ Board' },
+    { key: 'graph', label: '🕸️ Graph' },
+    { key: 'timeline', label: '📊 Timeline' },
+    { key: 'impact', label: '🎯 Impact' }
+];
+
+const TASK_STATUS_BADGES = {
+    'Done': 'badge-success',
+    'Failed': 'badge-error',
+    'Working': 'badge-warning',
+    'Unassigned': 'badge-info',
+    'BlockedByFailure': 'badge-error',
+    'NotInitialized': 'badge-info'
+};
+
+const FEATURE_STATUS_ICONS = {
+    'NotStarted': '⏳',
+    'InProgress': '🔨',
+    'Completed': '✅',
+    'Failed': '❌',
+    'Blocked': '🚫'
+};
+
+/**
+ * Single project page behind #projects/{id} and its #projects/{id}/{tab} routes (tasks, board,
+ * graph, timeline, impact): status, configuration, paths, agents and task counts, features, recent
+ * notifications, the task list, the task board, the dependency graph, the execution timeline and
+ * the impact summary. Every section follows its server subscription.
+ */
+export class ProjectDetailView {
+    constructor(api) {
+        this.api = api;
+        this.projectId = null;
+        this.tab = 'overview';
+        this.detail = null;
+        this.summary = null;
+        this.tasks = null;
+        this.graph = null;
+        this.timeline = null;
+        this.notifications = [];
+        // Impact tab reuses the Impact view's rendering
+        this._impact = new ImpactView(api);
+        this._board = new TaskBoard(api);
+        this._graph = new TaskGraph(api);
+        this._timeline = new TaskTimeline(api);
+        this._unsubscribers = [];
+        this._lastHtml = new Map(); // elementId -> last rendered html
+    }
+
+    /**
+     * @param {{ projectId: string, tab: string }} params - From the #projects/{id}[/{tab}] route
+     */
+    setRoute({ projectId, tab }) {
+        if (projectId !== this.projectId) {
+            this.detail = null;
+            this.summary = null;
+            this.tasks = null;
+            this.graph = null;
+            this.timeline = null;
+            this.notifications = [];
+        }
+        this.projectId = projectId;
+        this.tab = TABS.some(t => t.key === tab) ? tab : 'overview';
+    }
+
+    async render() {
+        this._lastHtml.clear();
+        try {
+            this.detail = await this.api.getProjectDetail(this.projectId);
+        } catch (error) {
+            return `<div class="empty-state">
+                <div class="empty-state-icon">📁</div>
+                <div class="empty-state-title">Project not available</div>
+                <div class="empty-state-error">${escapeHtml(error.message || error.toString())}</div>
+                <a href="#projects" class="btn btn-secondary btn-sm">← All projects</a>
+            </div>`;
+        }
+
+        await this._loadTabData();
+
+        return `
+            <div class="project-detail">
+                <div class="project-detail-header" id="projectDetailHeader">${this.renderHeader()}</div>
+                <div class="project-detail-tabs">
+                    ${TABS.map(t => `
+                        <a href="#projects/${encodeURIComponent(this.projectId)}${t.key === 'overview' ? '' : `/${t.key}`}"
+                           class="project-detail-tab ${t.key === this.tab ? 'active' : ''}">${t.label}</a>
+                    `).join('')}
+                </div>
+                <div id="projectDetailBody">${this.renderBody()}</div>
+            </div>
+        `;
+    }
+
+    async _loadTabData() {
+        // Missing summaries/notifications only leave their section empty
+        const loads = [];
+        if (this.tab === 'tasks' || this.tab === 'board') {
+            loads.push(this.api.getComparison(this.projectId)
+                .then(data => { this.tasks = data?.tasks || []; })
+                .catch(() => { this.tasks = []; }));
+        } else if (this.tab === 'graph') {
+            loads.push(this.api.getTaskGraph(this.projectId)
+                .then(graph => { this.graph = graph; })
+                .catch(() => { this.graph = null; }));
+        } else if (this.tab === 'timeline') {
+            loads.push(this.api.getTaskTimeline(this.projectId)
+                .then(timeline => { this.timeline = timeline; })
+                .catch(() => { this.timeline = null; }));
+        } else {
+            loads.push(this.api.getImplementationSummary(this.projectId)
+                .then(summary => { this.summary = summary; })
+                .catch(() => { this.summary = null; }));
+        }
+        if (this.tab === 'overview') {
+            loads.push(this.api.getNotifications({ projectName: this.detail.name, limit: 10 })
+                .then(data => { this.notifications = data?.notifications || []; })
+                .catch(() => { this.notifications = []; }));
+        }
+        await Promise.all(loads);
+    }
+
+    renderHeader() {
+        const d = this.detail;
+        return `
+            <div class="project-detail-title">
+                <a href="#projects" class="project-detail-back" title="All projects">←</a>
+                <span>📁 ${escapeHtml(d.name)}</span>
+                <span class="badge badge-${this.getStatusBadge(d.status)}">${d.status}</span>
+            </div>
+            <div class="project-lifecycle">${renderLifecycleControls(d)}</div>
+            ${d.errorMessage ? `<div class="project-detail-error">⚠️ ${escapeHtml(d.errorMessage)}</div>` : ''}
+        `;
+    }
+
+    renderBody() {
+        switch (this.tab) {
+            case 'tasks':
+                return this.renderTasks();
+            case 'board':
+                return '<div id="projectDetailBoard"></div>';
+            case 'graph':
+                return '<div id="projectDetailGraph" class="task-graph"></div>';
+            case 'timeline':
+                return '<div id="projectDetailTimeline"></div>';
+            case 'impact':
+                return '<div id="projectDetailImpact" class="impact-content"></div>';
+            default:
+                return this.renderOverview();
+        }
+    }
+
+    renderOverview() {
+        const d = this.detail;
+        const taskFiles = Object.entries(d.taskFiles || {});
+
+        return `
+            <div class="stats-grid">
+                ${[
+                    ['📝', d.tasks.total, 'Tasks'],
+                    ['🔨', d.tasks.working, 'Working'],
+                    ['✅', d.tasks.done, 'Done'],
+                    ['❌', d.tasks.failed, 'Failed'],
+                    ['🚫', d.tasks.blocked, 'Blocked'],
+                    ['🐲', d.agents.wyverns, 'Wyverns'],
+                    ['🐉', d.agents.drakes, 'Drakes'],
+                    ['👺', `${d.agents.kobolds}/${d.maxParallelKobolds}`, 'Kobolds Working']
+                ].map(([icon, value, label]) => `
+                    <div class="stat-card">
+                        <div class="stat-card-icon">${icon}</div>
+                        <div class="stat-card-value">${value}</div>
+                        <div class="stat-card-label">${label}</div>
+                    </div>
+                `).join('')}
+            </div>
+
+            <div class="project-detail-grid">
+                <div class="card">
+                    <div class="card-header"><h2 class="card-title">Project</h2></div>
+                    <div class="card-body">
+                        <dl class="project-detail-fields">
+                            <dt>Specification</dt><dd><code>${escapeHtml(d.specificationPath || '-')}</code></dd>
+                            <dt>Output</dt><dd><code>${escapeHtml(d.outputPath || '-')}</code></dd>
+                            <dt>Task files</dt><dd>${taskFiles.length === 0 ? '-' : taskFiles.map(([area, path]) =>
+                                `<div title="${escapeHtml(path)}">${escapeHtml(area)}</div>`).join('')}</dd>
+                            <dt>Verification</dt><dd>${d.verificationStatus}</dd>
+                            <dt>Created</dt><dd>${this.formatDate(d.createdAt)}</dd>
+                            <dt>Analyzed</dt><dd>${this.formatDate(d.analyzedAt)}</dd>
+                            <dt>Last processed</dt><dd>${this.formatDate(d.lastProcessedAt)}</dd>
+                        </dl>
+                    </div>
+                </div>
+
+                <div class="card">
+                    <div class="card-header">
+                        <h2 class="card-title">Configuration</h2>
+                        <a href="#settings" class="btn btn-secondary btn-sm">⚙️ Edit</a>
+                    </div>
+                    <div class="card-body">
+                        <table class="files-table">
+                            <thead><tr><th>Agent</th><th>Provider</th><th>Model</th><th>Parallel</th><th>Timeout</th></tr></thead>
+                            <tbody>
+                                ${d.config.map(c => `
+                                    <tr class="${c.enabled ? '' : 'project-detail-disabled'}">
+                                        <td>${c.agentType}</td>
+                                        <td>${escapeHtml(c.provider || 'default')}</td>
+                                        <td>${escapeHtml(c.model || 'default')}</td>
+                                        <td>${c.maxParallel}</td>
+                                        <td>${c.timeout > 0 ? `${c.timeout}s` : '-'}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+
+            <div class="project-detail-grid">
+                <div class="card">
+                    <div class="card-header">
+                        <h2 class="card-title">Features</h2>
+                        <a href="#projects/${encodeURIComponent(this.projectId)}/impact" class="btn btn-secondary btn-sm">🎯 Impact</a>
+                    </div>
+                    <div class="card-body">${this.renderFeatures()}</div>
+                </div>
+
+                <div class="card">
+                    <div class="card-header"><h2 class="card-title">Recent Notifications</h2></div>
+                    <div class="card-body">${this.renderNotifications()}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderFeatures() {
+        const features = Object.values(this.summary?.featureImplementations || {});
+        if (features.length === 0) {
+            return '<div class="project-detail-empty">No features tracked yet</div>';
+        }
+        return `<div class="list">
+            ${features.map(f => `
+                <div class="list-item">
+                    <div class="list-item-main">
+                        <span class="list-item-icon">${FEATURE_STATUS_ICONS[f.status] || '❓'}</span>
+                        <div class="list-item-content">
+                            <div class="list-item-title">${escapeHtml(f.featureName || f.featureId)}</div>
+                            <div class="list-item-subtitle">${f.completedSteps || 0}/${f.totalSteps || 0} steps</div>
+                        </div>
+                    </div>
+                    <span class="badge badge-info">${(f.progressPercentage || 0).toFixed(0)}%</span>
+                </div>
+            `).join('')}
+        </div>`;
+    }
+
+    renderNotifications() {
+        if (this.notifications.length === 0) {
+            return '<div class="project-detail-empty">No notifications</div>';
+        }
+        return `<div class="list">
+            ${this.notifications.map(n => `
+                <div class="list-item">
+                    <div class="list-item-main">
+                        <span class="list-item-icon">${NOTIFICATION_TYPES.find(t => t.key === n.type)?.icon || '📢'}</span>
+                        <div class="list-item-content">
+                            <div class="list-item-title">${escapeHtml(n.message.replace(/`/g, ''))}</div>
+                            <div class="list-item-subtitle">${this.formatDate(n.createdAt)}</div>
+                        </div>
+                    </div>
+                    ${n.read ? '' : '<span class="badge badge-warning">unread</span>'}
+                </div>
+            `).join('')}
+        </div>`;
+    }
+
+    renderTasks() {
+        const tasks = this.tasks || [];
+        if (tasks.length === 0) {
+            return `<div class="empty-state">
+                <div class="empty-state-icon">📝</div>
+                <div>No tasks yet</div>
+            </div>`;
+        }
+
+        return `
+            <div class="card">
+                <div class="card-body">
+                    <div class="files-table-container">
+                        <table class="files-table">
+                            <thead><tr>
+                                <th>Task</th><th>Status</th><th>Agent</th><th>Provider</th><th>Priority</th><th>Files</th><th>Error</th>
+                            </tr></thead>
+                            <tbody>
+                                ${tasks.map(t => `
+                                    <tr class="file-row" title="${escapeHtml(t.description)}">
+                                        <td class="project-detail-task">${escapeHtml(t.description)}</td>
+                                        <td>
+                                            <span class="badge ${TASK_STATUS_BADGES[t.status] || 'badge-info'}">${t.status}</span>
+                                            ${t.retryCount > 0 ? `<span class="badge badge-warning">${t.retryCount}x</span>` : ''}
+                                        </td>
+                                        <td><span class="badge badge-info">${t.agentType}</span></td>
+                                        <td>${escapeHtml(t.provider)}</td>
+                                        <td>${t.priority}</td>
+                                        <td>${t.outputFileCount > 0 ? t.outputFileCount : '-'}</td>
+                                        <td class="project-detail-task" title="${escapeHtml(t.errorMessage || '')}">${escapeHtml(t.errorMessage || '')}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    attachEventListeners(container) {
+        container.querySelector('#projectDetailHeader')?.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-lifecycle]');
+            if (!button) return;
+            const result = await handleLifecycleButton(this.api, button);
+            if (result?.success) {
+                // Show the new state right away instead of waiting for the next push
+                this.api.getProjectDetail(this.projectId)
+                    .then(detail => this._applyDetail(detail))
+                    .catch(() => { /* the subscription catches up */ });
+            }
+        });
+    }
+
+    onMount() {
+        if (!this.detail) return;
+
+        this._renderImpact();
+        if (this.tab === 'board') {
+            this._board.mount(document.getElementById('projectDetailBoard'), this.projectId, this.tasks);
+        } else if (this.tab === 'graph') {
+            this._graph.mount(document.getElementById('projectDetailGraph'), this.projectId, this.graph);
+        } else if (this.tab === 'timeline') {
+            this._timeline.mount(document.getElementById('projectDetailTimeline'), this.projectId, this.timeline);
+        }
+
+        // Server pushes each snapshot only when it changes
+        this._unsubscribers.push(this.api.subscribe('project_detail', { projectId: this.projectId },
+            detail => this._applyDetail(detail)));
+        if (this.tab === 'tasks' || this.tab === 'board') {
+            this._unsubscribers.push(this.api.subscribe('project_tasks', { projectId: this.projectId }, data => {
+                this.tasks = data?.tasks || [];
+                if (this.tab === 'board') this._board.update(this.tasks);
+                else this._updateBody();
+            }));
+        } else if (this.tab === 'graph') {
+            this._unsubscribers.push(this.api.subscribe('task_graph', { projectId: this.projectId }, graph => {
+                this.graph = graph;
+                this._graph.update(graph);
+            }));
+        } else if (this.tab === 'timeline') {
+            this._unsubscribers.push(this.api.subscribe('task_timeline', { projectId: this.projectId }, timeline => {
+                this.timeline = timeline;
+                this._timeline.update(timeline);
+            }));
+        } else {
+            this._unsubscribers.push(this.api.subscribe('implementation_summary', { projectId: this.projectId }, summary => {
+                this.summary = summary;
+                if (this.tab === 'impact') this._renderImpact();
+                else this._updateBody();
+            }));
+        }
+        if (this.tab === 'overview') {
+            this._unsubscribers.push(this.api.subscribe('notifications', { projectName: this.detail.name, limit: 10 }, data => {
+                this.notifications = data?.notifications || [];
+                this._updateBody();
+            }));
+        }
+    }
+
+    onUnmount() {
+        this._unsubscribers.forEach(unsubscribe => unsubscribe());
+        this._unsubscribers = [];
+        this._timeline.unmount();
+    }
+
+    async refresh() {
+        if (!this.api.isConnected() || !this.projectId) return;
+        try {
+            this.detail = await this.api.getProjectDetail(this.projectId);
+            await this._loadTabData();
+            this._update('projectDetailHeader', this.renderHeader());
+            if (this.tab === 'impact') this._renderImpact();
+            else if (this.tab === 'board') this._board.update(this.tasks);
+            else if (this.tab === 'graph') this._graph.update(this.graph);
+            else if (this.tab === 'timeline') this._timeline.update(this.timeline);
+            else this._updateBody();
+        } catch (e) {
+            // Silent
+        }
+    }
+
+    _applyDetail(detail) {
+        this.detail = detail;
+        this._update('projectDetailHeader', this.renderHeader());
+        if (this.tab === 'overview') this._updateBody();
+    }
+
+    _renderImpact() {
+        const container = document.getElementById('projectDetailImpact');
+        if (!container) return;
+        if (this.summary) {
+            this._impact.renderImpactSummary(this.summary, container);
+        } else {
+            container.innerHTML = `<div class="empty-state">
+                <div class="empty-state-icon">📭</div>
+                <div class="empty-state-title">No impact data available</div>
+                <div class="empty-state-description">Complete some tasks to generate impact tracking data.</div>
+            </div>`;
+        }
+    }
+
+    _updateBody() {
+        // Impact, board, graph and timeline render into their own containers
+        if (!['impact', 'board', 'graph', 'timeline'].includes(this.tab)) this._update('projectDetailBody', this.renderBody());
+    }
+
+    _update(elementId, html) {
+        const el = document.getElementById(elementId);
+        // Only touch the DOM when something changed (no flicker, keeps scroll position)
+        if (el && this._lastHtml.get(elementId) !== html) {
+            this._lastHtml.set(elementId, html);
+            el.innerHTML = html;
+        }
+    }
+
+    getStatusBadge(status) {
+        const map = {
+            'Analyzed': 'success',
+            'InProgress': 'warning',
+            'Verified': 'success',
+            'Completed': 'success',
+            'Failed': 'error'
+        };
+        return map[status] || 'info';
+    }
+
+    formatDate(value) {
+        return value ? new Date(value).toLocaleString() : '-';
+    }
+}
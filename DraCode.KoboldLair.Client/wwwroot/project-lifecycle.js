@@ -0,0 +1,99 @@
+import { log } from './log.js';
+import { escapeHtml } from './markdown.js';
+
+/**
+ * Project lifecycle controls (pause / resume / suspend / cancel) shared by the Projects list
+ * and the project detail page. Valid transitions mirror ProjectService.SetExecutionState:
+ * Cancelled is terminal, and Completed or Failed projects cannot be paused or suspended.
+ */
+
+export const EXECUTION_STATE_BADGES = {
+    'Running': 'success',
+    'Paused': 'warning',
+    'Suspended': 'info',
+    'Cancelled': 'error'
+};
+
+export const LIFECYCLE_ACTIONS = [
+    { key: 'pause', icon: '⏸️', label: 'Pause', from: ['Running'] },
+    { key: 'resume', icon: '▶️', label: 'Resume', from: ['Paused', 'Suspended'] },
+    { key: 'suspend', icon: '⏹️', label: 'Suspend', from: ['Running', 'Paused'] },
+    { key: 'cancel', icon: '🚫', label: 'Cancel', from: ['Running', 'Paused', 'Suspended'] }
+];
+
+/**
+ * @returns {string|null} Why the action is not possible, or null when it is
+ */
+export function blockedReason(action, executionState, status) {
+    const definition = LIFECYCLE_ACTIONS.find(a => a.key === action);
+    if (executionState === 'Cancelled') return 'Cancelled projects cannot be changed';
+    if (!definition.from.includes(executionState)) return `Not possible while ${executionState.toLowerCase()}`;
+    if ((action === 'pause' || action === 'suspend') && (status === 'Completed' || status === 'Failed')) {
+        return `${status} projects cannot be ${action === 'pause' ? 'paused' : 'suspended'}`;
+    }
+    return null;
+}
+
+/**
+ * Execution state badge and one button per action; buttons carry data-lifecycle and data-project
+ * for a delegated click handler.
+ * @param {{ name: string, executionState: string, status: string }} project
+ */
+export function renderLifecycleControls(project) {
+    const state = project.executionState || 'Running';
+    return `
+        <span class="badge badge-${EXECUTION_STATE_BADGES[state] || 'info'}" title="Execution state">${state}</span>
+        ${LIFECYCLE_ACTIONS.map(a => {
+            const reason = blockedReason(a.key, state, project.status);
+            return `<button class="btn btn-secondary btn-sm" data-lifecycle="${a.key}" data-project="${escapeHtml(project.name)}"
+                        ${reason ? 'disabled' : ''} title="${reason ? escapeHtml(reason) : a.label}">${a.icon} ${a.label}</button>`;
+        }).join('')}
+    `;
+}
+
+/**
+ * Confirm with the user and run the action
+ * @returns {Promise<Object|null>} Command result, or null when the user backed out
+ */
+export async function runLifecycleAction(api, action, projectName) {
+    switch (action) {
+        case 'pause': {
+            const reason = prompt(`Pause "${projectName}"?\n\nThe Drake stops processing its tasks until the project is resumed.\n\nReason (optional):`, '');
+            return reason === null ? null : api.pauseProject(projectName, reason || null);
+        }
+        case 'suspend': {
+            const reason = prompt(`Suspend "${projectName}"?\n\nA long-term hold - the project stays stopped until it is resumed explicitly.\n\nReason (optional):`, '');
+            return reason === null ? null : api.suspendProject(projectName, reason || null);
+        }
+        case 'resume':
+            return confirm(`Resume "${projectName}"?`) ? api.resumeProject(projectName) : null;
+        case 'cancel':
+            return confirm(`Cancel "${projectName}" permanently?\n\nCancelled projects can never be resumed. The project files stay on disk.`)
+                ? api.cancelProject(projectName)
+                : null;
+        default:
+            throw new Error(`Unknown lifecycle action: ${action}`);
+    }
+}
+
+/**
+ * Click handler body for a lifecycle button: confirm, run, report failures
+ * @returns {Promise<Object|null>} Command result, or null when backed out or failed
+ */
+export async function handleLifecycleButton(api, button) {
+    const action = LIFECYCLE_ACTIONS.find(a => a.key === button.dataset.lifecycle);
+    button.disabled = true;
+    try {
+        const result = await runLifecycleAction(api, action.key, button.dataset.project);
+        if (result?.success === false) {
+            alert((result.message || `${action.label} failed`).replace(/^Error:\s*/i, ''));
+        }
+        return result;
+    } catch (error) {
+        log.error(`${action.label} failed:`, error);
+        alert(`${action.label} failed: ${error.message}`);
+        return null;
+    } finally {
+        button.disabled = false;
+    }
+}
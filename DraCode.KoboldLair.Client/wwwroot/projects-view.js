@@ -1,35 +1,21 @@
 import { ApiClient } from './api.js';
-import CONFIG from './config.js';
+import { renderLifecycleControls, handleLifecycleButton } from './project-lifecycle.js';
 
 export class ProjectsView {
     constructor(api, onRefresh) {
         this.api = api;
         this.onRefresh = onRefresh;
-        this.agentStats = new Map(); // Cache agent statistics
-        this._refreshTimer = null;
+        this.container = null;
+        this._unsubscribers = [];
+        this._lifecycleHtml = new Map(); // projectId -> rendered lifecycle controls
     }
 
     async render() {
+        this._lifecycleHtml.clear();
         try {
+            // The list snapshot carries agent counts and execution state for every project
             const projects = await this.api.getProjects();
 
-            // Fetch agent statistics for all projects in parallel
-            const statsPromises = projects.map(p => 
-                this.api.getProjectAgents(p.id)
-                    .then(stats => ({ id: p.id, stats }))
-                    .catch(err => {
-                        console.warn(`Failed to fetch agent stats for ${p.name}:`, err);
-                        return { id: p.id, stats: null };
-                    })
-            );
-            
-            const statsResults = await Promise.all(statsPromises);
-            statsResults.forEach(result => {
-                if (result.stats) {
-                    this.agentStats.set(result.id, result.stats.agents);
-                }
-            });
-
             return `
                 <div class="card">
                     <div class="card-header">
@@ -61,14 +47,14 @@ export class ProjectsView {
 
     renderProject(project) {
         const isFailed = project.status === 'Failed';
-        const agentStats = this.agentStats.get(project.id);
-        
+        const agentStats = project.agents;
+
         return `
-            <div class="list-item">
+            <div class="list-item" data-project-id="${project.id}">
                 <div class="list-item-main">
                     <span class="list-item-icon">📁</span>
                     <div class="list-item-content">
-                        <div class="list-item-title">${project.name}</div>
+                        <div class="list-item-title"><a href="#projects/${encodeURIComponent(project.id)}" class="project-link">${project.name}</a></div>
                         <div class="list-item-subtitle">
                             Created: ${new Date(project.createdAt).toLocaleString()}
                             ${project.analyzedAt ? ` • Analyzed: ${new Date(project.analyzedAt).toLocaleString()}` : ''}
@@ -100,6 +86,7 @@ export class ProjectsView {
                                 Tasks: ${project.taskFiles.length} files
                             </div>
                         ` : ''}
+                        <div class="project-lifecycle">${renderLifecycleControls(project)}</div>
                     </div>
                 </div>
                 <div class="list-item-actions">
@@ -126,6 +113,18 @@ export class ProjectsView {
     }
 
     attachEventListeners(container) {
+        this.container = container;
+        container.querySelector('.list')?.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-lifecycle]');
+            if (!button) return;
+            e.stopPropagation();
+            const result = await handleLifecycleButton(this.api, button);
+            if (result?.success) {
+                // Show the new state right away instead of waiting for the next push
+                this.refresh();
+            }
+        });
+
         const retryButtons = container.querySelectorAll('.retry-btn');
         retryButtons.forEach(btn => {
             btn.addEventListener('click', async (e) => {
@@ -134,7 +133,11 @@ export class ProjectsView {
                 btn.disabled = true;
                 btn.textContent = '⏳ Retrying...';
                 try {
-                    await this.api.retryAnalysis(projectId);
+                    const result = await this.api.retryAnalysis(projectId);
+                    if (result?.queued) {
+                        btn.textContent = '📤 Queued';
+                        return;
+                    }
                     if (this.onRefresh) {
                         this.onRefresh();
                     }
@@ -149,78 +152,75 @@ export class ProjectsView {
     }
 
     onMount() {
-        this._refreshTimer = setInterval(() => this._autoRefresh(), CONFIG.refreshInterval);
+        // Server pushes project and agent snapshots only when they change
+        this._unsubscribers.push(
+            this.api.subscribe('projects', null, projects => this._applyProjects(projects))
+        );
     }
 
     onUnmount() {
-        if (this._refreshTimer) {
-            clearInterval(this._refreshTimer);
-            this._refreshTimer = null;
-        }
+        this._unsubscribers.forEach(unsubscribe => unsubscribe());
+        this._unsubscribers = [];
+        this.container = null;
     }
 
     async refresh() {
         if (!this.api.isConnected()) return;
-        await this._autoRefresh();
+        try {
+            this._applyProjects(await this.api.getProjects());
+        } catch (e) {
+            // Silent
+        }
     }
-}
 
-    async _autoRefresh() {
-        if (!this.api.isConnected()) return;
-        try {
-            const projects = await this.api.getProjects();
+    _findProjectItem(projectId) {
+        return this.container?.querySelector(`.list-item[data-project-id="${projectId}"]`) || null;
+    }
 
-            // Update each project's status and agent stats in-place
-            for (const p of projects) {
-                // Update status badge
-                const badge = document.querySelector(`.list-item [data-project-id="${p.id}"]`)
-                    ?.closest('.list-item')
-                    ?.querySelector('.badge:last-child');
-
-                // Find project list item by retry button or by matching title
-                const items = document.querySelectorAll('.list-item');
-                for (const item of items) {
-                    const title = item.querySelector('.list-item-title');
-                    if (title && title.textContent === p.name) {
-                        // Update status badge
-                        const statusBadge = item.querySelector('.list-item-actions .badge:last-child');
-                        if (statusBadge) {
-                            const newClass = `badge badge-${this.getStatusBadge(p.status)}`;
-                            if (statusBadge.className !== newClass || statusBadge.textContent !== p.status) {
-                                statusBadge.className = newClass;
-                                statusBadge.textContent = p.status;
-                            }
-                        }
-
-                        // Update agent stats
-                        try {
-                            const agentData = await this.api.getProjectAgents(p.id);
-                            if (agentData?.agents) {
-                                const statsEl = item.querySelector('.agent-stats');
-                                const newStats = `🐲 Wyverns: ${agentData.agents.wyverns} • 🐉 Drakes: ${agentData.agents.drakes} • 👺 Kobolds: ${agentData.agents.kobolds}`;
-                                if (statsEl) {
-                                    if (statsEl.textContent.trim() !== newStats.trim()) {
-                                        statsEl.innerHTML = newStats;
-                                    }
-                                } else {
-                                    // Add agent stats if not present yet
-                                    const subtitle = item.querySelector('.list-item-content');
-                                    if (subtitle) {
-                                        const div = document.createElement('div');
-                                        div.className = 'list-item-subtitle agent-stats';
-                                        div.innerHTML = newStats;
-                                        subtitle.appendChild(div);
-                                    }
-                                }
-                            }
-                        } catch (e) { /* silent */ }
-
-                        break;
-                    }
+    _applyProjects(projects) {
+        for (const p of projects) {
+            const item = this._findProjectItem(p.id);
+            if (!item) continue;
+
+            // Update each project's status badge in-place
+            const statusBadge = item.querySelector('.list-item-actions .badge:last-child');
+            if (statusBadge) {
+                const newClass = `badge badge-${this.getStatusBadge(p.status)}`;
+                if (statusBadge.className !== newClass || statusBadge.textContent !== p.status) {
+                    statusBadge.className = newClass;
+                    statusBadge.textContent = p.status;
                 }
             }
-        } catch (e) {
-            // Silent
+
+            this._applyAgentStats(item, p.agents);
+
+            const lifecycle = item.querySelector('.project-lifecycle');
+            const html = renderLifecycleControls(p);
+            if (lifecycle && this._lifecycleHtml.get(p.id) !== html) {
+                this._lifecycleHtml.set(p.id, html);
+                lifecycle.innerHTML = html;
+            }
+        }
+    }
+
+    _applyAgentStats(item, agents) {
+        if (!agents) return;
+
+        const statsEl = item.querySelector('.agent-stats');
+        const newStats = `🐲 Wyverns: ${agents.wyverns} • 🐉 Drakes: ${agents.drakes} • 👺 Kobolds: ${agents.kobolds}`;
+        if (statsEl) {
+            if (statsEl.textContent.trim() !== newStats.trim()) {
+                statsEl.innerHTML = newStats;
+            }
+        } else {
+            // Add agent stats if not present yet
+            const subtitle = item.querySelector('.list-item-content');
+            if (subtitle) {
+                const div = document.createElement('div');
+                div.className = 'list-item-subtitle agent-stats';
+                div.innerHTML = newStats;
+                subtitle.appendChild(div);
+            }
         }
     }
 }
@@ -0,0 +1,124 @@
+/**
+ * Protocol version and capability negotiation.
+ * Every socket sends its version and capabilities in client_ready; the server answers with
+ * server_hello. Servers that predate the handshake never answer and are treated as version 1
+ * with the legacy capability set. Views check supports() to hide features the connected
+ * server doesn't have.
+ */
+
+export const PROTOCOL_VERSION = 2;
+
+// Oldest server protocol version this client still works with, per endpoint
+// (Dragon falls back to a socket per tab on servers without the multiplex capability)
+export const MIN_SERVER_VERSION = {
+    wyvern: 1,
+    dragon: 1
+};
+
+export const CAPABILITIES = {
+    STREAMING: 'streaming',
+    REPLAY: 'replay',
+    SUBSCRIPTIONS: 'subscriptions',
+    COUNCIL_TOOLS: 'council_tools',
+    MULTIPLEX: 'multiplex',
+    CANCEL: 'cancel'
+};
+
+export const CLIENT_CAPABILITIES = Object.values(CAPABILITIES);
+
+// What pre-handshake servers are known to support, per endpoint
+const LEGACY_CAPABILITIES = {
+    wyvern: [],
+    dragon: [CAPABILITIES.STREAMING, CAPABILITIES.COUNCIL_TOOLS]
+};
+
+/**
+ * Negotiated server info per endpoint ('wyvern', 'dragon').
+ * Info: { protocolVersion, minClientVersion, capabilities: string[], legacy: boolean, compatible: boolean }
+ */
+class ServerProtocol {
+    constructor() {
+        this.endpoints = new Map();
+        this._listeners = [];
+    }
+
+    /**
+     * Record a server_hello frame.
+     */
+    setHello(endpoint, hello) {
+        const protocolVersion = hello.protocolVersion ?? 1;
+        const minClientVersion = hello.minClientVersion ?? 1;
+        this._set(endpoint, {
+            protocolVersion,
+            minClientVersion,
+            capabilities: hello.capabilities || [],
+            legacy: false,
+            compatible: protocolVersion >= (MIN_SERVER_VERSION[endpoint] ?? 1) && PROTOCOL_VERSION >= minClientVersion
+        });
+    }
+
+    /**
+     * The server never answered client_ready - it predates the handshake.
+     */
+    setLegacy(endpoint) {
+        this._set(endpoint, {
+            protocolVersion: 1,
+            minClientVersion: 1,
+            capabilities: LEGACY_CAPABILITIES[endpoint] || [],
+            legacy: true,
+            compatible: 1 >= (MIN_SERVER_VERSION[endpoint] ?? 1)
+        });
+    }
+
+    get(endpoint) {
+        return this.endpoints.get(endpoint) || null;
+    }
+
+    /**
+     * Whether the server supports a capability on an endpoint.
+     * Unknown until negotiated - optimistic so nothing flickers while the handshake is in flight.
+     */
+    supports(endpoint, capability) {
+        const info = this.endpoints.get(endpoint);
+        return !info || info.capabilities.includes(capability);
+    }
+
+    /**
+     * Endpoints whose negotiated version is incompatible with this client.
+     */
+    incompatibleEndpoints() {
+        return Array.from(this.endpoints.entries())
+            .filter(([, info]) => !info.compatible)
+            .map(([endpoint, info]) => ({ endpoint, ...info }));
+    }
+
+    /**
+     * Forget everything, e.g. after switching servers.
+     */
+    reset() {
+        this.endpoints.clear();
+        this._notify();
+    }
+
+    onChange(callback) {
+        this._listeners.push(callback);
+    }
+
+    offChange(callback) {
+        this._listeners = this._listeners.filter(cb => cb !== callback);
+    }
+
+    _set(endpoint, info) {
+        this.endpoints.set(endpoint, info);
+        this._notify();
+    }
+
+    _notify() {
+        for (const cb of this._listeners) {
+            try { cb(this.endpoints); } catch (_) {}
+        }
+    }
+}
+
+const serverProtocol = new ServerProtocol();
+export default serverProtocol;
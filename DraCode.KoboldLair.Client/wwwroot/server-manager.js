@@ -98,6 +98,18 @@ export class ServerManager {
         return false;
     }
 
+    /**
+     * Whether the app should connect to the active server on page load.
+     * Cleared when the user disconnects explicitly so a reload doesn't override that choice.
+     */
+    getAutoConnect() {
+        return localStorage.getItem('koboldlair_auto_connect') !== 'false';
+    }
+
+    setAutoConnect(enabled) {
+        localStorage.setItem('koboldlair_auto_connect', enabled ? 'true' : 'false');
+    }
+
     getAllServers() {
         return this.servers;
     }
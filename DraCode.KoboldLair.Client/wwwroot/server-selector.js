@@ -1,4 +1,5 @@
 import { serverManager } from './server-manager.js';
+import { fetchConnectionTicket } from './connection-ticket.js';
 
 export class ServerSelector {
     constructor() {
@@ -243,7 +244,9 @@ export class ServerSelector {
         this.showNotification('Testing connection...');
 
         try {
-            const ws = new WebSocket(server.url + '/wyvern' + (server.token ? `?token=${server.token}` : ''));
+            // Token goes in a header to get a one-time ticket - never in the socket URL
+            const ticket = server.token ? await fetchConnectionTicket(server.url, server.token) : null;
+            const ws = new WebSocket(server.url.replace(/\/+$/, '') + '/wyvern' + (ticket ? `?ticket=${encodeURIComponent(ticket)}` : ''));
 
             ws.onopen = () => {
                 this.showNotification('✅ Connection successful!', 'success');
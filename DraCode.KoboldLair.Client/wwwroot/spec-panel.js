@@ -0,0 +1,366 @@
+import { serverManager } from './server-manager.js';
+import { renderMarkdown, escapeHtml } from './markdown.js';
+import specSnapshotStore from './spec-snapshot-store.js';
+
+const TABS = [
+    { key: 'spec', label: '📄 Specification' },
+    { key: 'history', label: '🕓 History' },
+    { key: 'diff', label: '↔️ Compare' }
+];
+
+// LCS diff is quadratic - beyond this many line pairs only a notice is shown
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Side panel in DragonView for reviewing a generated specification: rendered Markdown,
+ * version history (view_specification_history), a diff between any two versions seen by
+ * this client, and approval (approve_specification) with an optional comment.
+ */
+export class SpecificationPanel {
+    /**
+     * @param {Object} api
+     * @param {Object} callbacks - { onApproved(projectName, comment), notify(message, type) }
+     */
+    constructor(api, { onApproved = () => {}, notify = () => {} } = {}) {
+        this.api = api;
+        this.onApproved = onApproved;
+        this.notify = notify;
+        this.container = null;
+        this.project = null;
+        this.reset();
+    }
+
+    reset() {
+        this.tab = 'spec';
+        this.spec = null;
+        this.history = null;
+        this.snapshots = [];
+        this.diffFrom = null;
+        this.diffTo = null;
+        this.loading = false;
+        this.error = null;
+        this.approving = false;
+    }
+
+    get isOpen() {
+        return !!this.project;
+    }
+
+    mount(container) {
+        if (container === this.container) {
+            this.update();
+            return;
+        }
+        this.container = container;
+        container.addEventListener('click', (e) => this.handleClick(e));
+        container.addEventListener('change', (e) => {
+            if (e.target.matches('[data-diff]')) {
+                this[e.target.dataset.diff === 'from' ? 'diffFrom' : 'diffTo'] = e.target.value;
+                this.update();
+            }
+        });
+        this.update();
+    }
+
+    /**
+     * Open the panel on a project, or reload it when it is already showing that project
+     * (a specification_created for an update).
+     */
+    async open(project) {
+        if (project !== this.project) {
+            this.project = project;
+            this.reset();
+        }
+        await this.load();
+    }
+
+    close() {
+        this.project = null;
+        this.reset();
+        this.update();
+    }
+
+    async load() {
+        const project = this.project;
+        this.loading = true;
+        this.error = null;
+        this.history = null;
+        this.update();
+
+        try {
+            const spec = await this.api.getSpecification(project);
+            if (project !== this.project) return;
+
+            const serverId = serverManager.getActiveServer()?.id;
+            await specSnapshotStore.add(serverId, project, spec);
+            this.spec = spec;
+            this.snapshots = await specSnapshotStore.list(serverId, project);
+            this.defaultDiffRange();
+        } catch (error) {
+            if (project !== this.project) return;
+            this.error = error.message;
+        } finally {
+            if (project === this.project) {
+                this.loading = false;
+                this.update();
+            }
+        }
+
+        if (this.tab === 'history') this.loadHistory();
+    }
+
+    async loadHistory() {
+        const project = this.project;
+        try {
+            const result = await this.api.getSpecificationHistory(project);
+            if (project !== this.project) return;
+            this.history = result.message;
+        } catch (error) {
+            if (project !== this.project) return;
+            this.history = `Error: ${error.message}`;
+        }
+        this.update();
+    }
+
+    /**
+     * Compare the previous version with the current one unless the user picked other versions
+     */
+    defaultDiffRange() {
+        const hashes = this.snapshots.map(s => s.contentHash);
+        if (!hashes.includes(this.diffTo)) this.diffTo = this.spec?.contentHash ?? hashes.at(-1) ?? null;
+        if (!hashes.includes(this.diffFrom)) {
+            const toIndex = hashes.indexOf(this.diffTo);
+            this.diffFrom = hashes[Math.max(0, toIndex - 1)] ?? null;
+        }
+    }
+
+    async approve() {
+        const comment = this.container.querySelector('#specApproveComment')?.value.trim() || null;
+        const project = this.spec?.projectName || this.project;
+
+        this.approving = true;
+        this.update();
+        try {
+            const result = await this.api.approveSpecification(project, comment);
+            if (result.success) {
+                this.notify(`Specification approved: ${project}`, 'success');
+                this.onApproved(project, comment);
+            } else {
+                this.notify(result.message.replace(/^Error:\s*/i, ''), 'error');
+            }
+        } catch (error) {
+            this.notify(`Approval failed: ${error.message}`, 'error');
+        } finally {
+            this.approving = false;
+        }
+        await this.load();
+    }
+
+    handleClick(e) {
+        const tab = e.target.closest('[data-spec-tab]');
+        if (tab) {
+            this.tab = tab.dataset.specTab;
+            if (this.tab === 'history' && this.history === null) this.loadHistory();
+            this.update();
+            return;
+        }
+
+        const action = e.target.closest('[data-spec-action]')?.dataset.specAction;
+        if (action === 'close') this.close();
+        else if (action === 'reload') this.load();
+        else if (action === 'approve') this.approve();
+        else if (action === 'compare') {
+            this.diffTo = this.spec?.contentHash ?? null;
+            this.diffFrom = e.target.closest('[data-hash]').dataset.hash;
+            this.tab = 'diff';
+            this.update();
+        }
+    }
+
+    update() {
+        if (!this.container) return;
+        this.container.style.display = this.isOpen ? 'flex' : 'none';
+        if (!this.isOpen) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        // Keep a half-typed approval comment across re-renders
+        const comment = this.container.querySelector('#specApproveComment')?.value || '';
+        this.container.innerHTML = this.render();
+        const commentInput = this.container.querySelector('#specApproveComment');
+        if (commentInput) commentInput.value = comment;
+    }
+
+    render() {
+        const spec = this.spec;
+        return `
+            <div class="spec-panel-header">
+                <div class="spec-panel-title">
+                    <strong>📋 ${escapeHtml(spec?.projectName || this.project)}</strong>
+                    ${spec ? `
+                        <span class="spec-panel-meta">
+                            v${spec.version}${spec.status ? ` · <span class="badge badge-${spec.canApprove ? 'warning' : 'success'}">${spec.status}</span>` : ''}
+                            · ${spec.features} feature${spec.features === 1 ? '' : 's'}
+                        </span>
+                    ` : ''}
+                </div>
+                <div class="spec-panel-header-actions">
+                    <button class="btn-icon" data-spec-action="reload" title="Reload">🔄</button>
+                    <button class="btn-icon" data-spec-action="close" title="Close">✕</button>
+                </div>
+            </div>
+            <div class="spec-panel-tabs">
+                ${TABS.map(t => `
+                    <button class="spec-panel-tab ${t.key === this.tab ? 'active' : ''}" data-spec-tab="${t.key}">${t.label}</button>
+                `).join('')}
+            </div>
+            <div class="spec-panel-body">
+                ${this.renderBody()}
+            </div>
+            ${spec ? this.renderApproval() : ''}
+        `;
+    }
+
+    renderBody() {
+        if (this.loading && !this.spec) {
+            return '<div class="spec-panel-empty">Loading specification...</div>';
+        }
+        if (this.error) {
+            return `<div class="spec-panel-empty">⚠️ ${escapeHtml(this.error)}</div>`;
+        }
+
+        switch (this.tab) {
+            case 'history': return this.renderHistory();
+            case 'diff': return this.renderDiff();
+            default: return `<div class="markdown-body">${renderMarkdown(this.spec.content)}</div>`;
+        }
+    }
+
+    renderHistory() {
+        const serverHistory = this.history === null
+            ? '<div class="spec-panel-empty">Loading history...</div>'
+            : `<div class="markdown-body">${renderMarkdown(this.history)}</div>`;
+
+        return `
+            ${serverHistory}
+            <h4 class="spec-panel-section">Versions seen by this client</h4>
+            ${this.snapshots.length === 0 ? `
+                <div class="spec-panel-empty">${specSnapshotStore.available ? 'None yet' : 'Not available (no IndexedDB)'}</div>
+            ` : `
+                <div class="spec-versions">
+                    ${[...this.snapshots].reverse().map(s => `
+                        <div class="spec-version" data-hash="${s.contentHash}">
+                            <span>${this.snapshotLabel(s)}</span>
+                            ${s.contentHash === this.spec.contentHash
+                                ? '<span class="badge badge-info">current</span>'
+                                : '<button class="btn btn-secondary btn-sm" data-spec-action="compare">Compare with current</button>'}
+                        </div>
+                    `).join('')}
+                </div>
+            `}
+        `;
+    }
+
+    renderDiff() {
+        if (this.snapshots.length < 2) {
+            return '<div class="spec-panel-empty">Only one version seen so far - versions are recorded each time the Dragon writes the specification.</div>';
+        }
+
+        const options = selected => [...this.snapshots].reverse().map(s => `
+            <option value="${s.contentHash}" ${s.contentHash === selected ? 'selected' : ''}>${this.snapshotLabel(s)}</option>
+        `).join('');
+        const from = this.snapshots.find(s => s.contentHash === this.diffFrom);
+        const to = this.snapshots.find(s => s.contentHash === this.diffTo);
+
+        return `
+            <div class="spec-diff-range">
+                <select class="form-select" data-diff="from">${options(this.diffFrom)}</select>
+                <span>→</span>
+                <select class="form-select" data-diff="to">${options(this.diffTo)}</select>
+            </div>
+            ${from && to ? this.renderDiffLines(from.content, to.content) : ''}
+        `;
+    }
+
+    renderDiffLines(before, after) {
+        if (before === after) {
+            return '<div class="spec-panel-empty">No differences</div>';
+        }
+
+        const lines = diffLines(before, after);
+        if (!lines) {
+            return '<div class="spec-panel-empty">Specification is too large to compare here.</div>';
+        }
+
+        const added = lines.filter(l => l.type === 'add').length;
+        const removed = lines.filter(l => l.type === 'del').length;
+        return `
+            <div class="spec-diff-stats"><span class="spec-diff-add">+${added}</span> <span class="spec-diff-del">-${removed}</span></div>
+            <pre class="spec-diff">${lines.map(l => `<div class="spec-diff-line ${l.type}">${l.type === 'add' ? '+' : l.type === 'del' ? '-' : ' '} ${escapeHtml(l.text)}</div>`).join('')}</pre>
+        `;
+    }
+
+    renderApproval() {
+        const spec = this.spec;
+        if (!spec.canApprove) {
+            if (!spec.approvedAt) return '';
+            return `
+                <div class="spec-panel-footer">
+                    <div>✅ Approved ${new Date(spec.approvedAt).toLocaleString()}</div>
+                    ${spec.approvalComment ? `<div class="spec-approval-comment">${escapeHtml(spec.approvalComment)}</div>` : ''}
+                </div>
+            `;
+        }
+
+        return `
+            <div class="spec-panel-footer">
+                <textarea class="form-control" id="specApproveComment" rows="2"
+                          placeholder="Optional comment for the approval..." ${this.approving ? 'disabled' : ''}></textarea>
+                <button class="btn btn-primary" data-spec-action="approve" ${this.approving ? 'disabled' : ''}>
+                    ${this.approving ? 'Approving...' : '✅ Approve specification'}
+                </button>
+            </div>
+        `;
+    }
+
+    snapshotLabel(snapshot) {
+        return `v${snapshot.version ?? '?'} · ${new Date(snapshot.seenAt).toLocaleString()} · ${snapshot.contentHash.slice(0, 8)}`;
+    }
+}
+
+/**
+ * Line diff via longest common subsequence.
+ * @returns {Array<{ type: 'same'|'add'|'del', text: string }>|null} null when the input is too large
+ */
+function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    if (a.length * b.length > MAX_DIFF_CELLS) return null;
+
+    // lcs[i][j] = LCS length of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: 'same', text: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            result.push({ type: 'del', text: a[i++] });
+        } else {
+            result.push({ type: 'add', text: b[j++] });
+        }
+    }
+    while (i < a.length) result.push({ type: 'del', text: a[i++] });
+    while (j < b.length) result.push({ type: 'add', text: b[j++] });
+    return result;
+}
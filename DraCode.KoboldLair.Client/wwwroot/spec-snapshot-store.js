@@ -0,0 +1,84 @@
+import { openDatabase, runTransaction } from './idb.js';
+import { log } from './log.js';
+
+const DB_NAME = 'koboldlair-spec-snapshots';
+const DB_VERSION = 1;
+const STORE = 'snapshots';
+const MAX_SNAPSHOTS = 50; // Per project, oldest dropped first
+
+/**
+ * Every specification version the client has seen, per server and project, so the
+ * specification panel can diff any two of them. The server keeps only the current file
+ * (its history has hashes and change notes, not content).
+ *
+ * Record: { key, serverId, project, contentHash, version, content, seenAt }
+ */
+class SpecSnapshotStore {
+    constructor() {
+        this._db = null;
+        this.ready = this._open();
+    }
+
+    async _open() {
+        try {
+            this._db = await openDatabase(DB_NAME, DB_VERSION, (db) => {
+                const store = db.createObjectStore(STORE, { keyPath: 'key' });
+                store.createIndex('project', ['serverId', 'project']);
+            });
+        } catch (error) {
+            log.warn('SpecSnapshotStore: IndexedDB unavailable, only the current specification can be compared:', error.message);
+            this._db = null;
+        }
+    }
+
+    get available() {
+        return !!this._db;
+    }
+
+    /**
+     * Snapshots of a project, oldest first.
+     */
+    async list(serverId, project) {
+        await this.ready;
+        if (!this._db) return [];
+
+        const records = await runTransaction(this._db, STORE, 'readonly',
+            store => store.index('project').getAll([serverId ?? '', project]));
+        return records.sort((a, b) => a.seenAt.localeCompare(b.seenAt));
+    }
+
+    /**
+     * Record a version unless the same content was already seen.
+     * @param {Object} spec - { content, contentHash, version }
+     */
+    async add(serverId, project, { content, contentHash, version }) {
+        await this.ready;
+        if (!this._db) return;
+
+        const key = `${serverId ?? ''}|${project}|${contentHash}`;
+        try {
+            const existing = await runTransaction(this._db, STORE, 'readonly', store => store.get(key));
+            if (existing) return;
+
+            await runTransaction(this._db, STORE, 'readwrite', store => store.put({
+                key,
+                serverId: serverId ?? '',
+                project,
+                contentHash,
+                version,
+                content,
+                seenAt: new Date().toISOString()
+            }));
+
+            const snapshots = await this.list(serverId, project);
+            for (const old of snapshots.slice(0, Math.max(0, snapshots.length - MAX_SNAPSHOTS))) {
+                await runTransaction(this._db, STORE, 'readwrite', store => store.delete(old.key));
+            }
+        } catch (error) {
+            log.warn('SpecSnapshotStore: Failed to save snapshot:', error.message);
+        }
+    }
+}
+
+const store = new SpecSnapshotStore();
+export default store;
@@ -0,0 +1,222 @@
+import { showTaskPlan } from './task-plan.js';
+import { escapeHtml } from './markdown.js';
+
+const COLUMNS = [
+    { status: 'Unassigned', label: '📥 Queue' },
+    { status: 'NotInitialized', label: '⏳ Not Initialized' },
+    { status: 'Working', label: '🔨 Working' },
+    { status: 'Done', label: '✅ Done' },
+    { status: 'Failed', label: '❌ Failed' },
+    { status: 'BlockedByFailure', label: '🚫 Blocked by Failure' }
+];
+
+// Highest first - the order the Drake picks up ready tasks
+const PRIORITIES = [
+    { key: 'Critical', badge: 'error' },
+    { key: 'High', badge: 'warning' },
+    { key: 'Normal', badge: 'info' },
+    { key: 'Low', badge: 'info' }
+];
+
+/**
+ * Kanban board of a project's tasks, one column per TaskStatus. Queued cards are grouped by
+ * priority; dragging a card to another priority group runs set_task_priority. Cards offer
+ * retry (failed tasks) and open plan.
+ */
+export class TaskBoard {
+    constructor(api) {
+        this.api = api;
+        this.container = null;
+        this.projectId = null;
+        this.tasks = [];
+        this.status = null; // { text, type } - result of the last action
+        this._dragTaskId = null;
+        this._pendingTasks = null; // Update received while dragging, applied on drop
+    }
+
+    mount(container, projectId, tasks) {
+        this.container = container;
+        this.projectId = projectId;
+        this.tasks = tasks || [];
+        this.status = null;
+
+        container.addEventListener('click', (e) => this.handleClick(e));
+        container.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('[data-task-id]');
+            if (!card) return;
+            this._dragTaskId = card.dataset.taskId;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this._dragTaskId);
+            card.classList.add('dragging');
+        });
+        container.addEventListener('dragend', () => {
+            // Dropped outside a priority group (a drop already ended the drag)
+            if (!this._dragTaskId) return;
+            this._endDrag();
+            this.render();
+        });
+        container.addEventListener('dragover', (e) => {
+            const zone = e.target.closest('[data-drop-priority]');
+            if (!zone || !this._dragTaskId) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            this.container.querySelectorAll('.drop-target').forEach(el => el !== zone && el.classList.remove('drop-target'));
+            zone.classList.add('drop-target');
+        });
+        container.addEventListener('drop', (e) => {
+            const zone = e.target.closest('[data-drop-priority]');
+            if (!zone || !this._dragTaskId) return;
+            e.preventDefault();
+            const taskId = this._dragTaskId;
+            // The board re-renders below, so the dragged card never sees its dragend
+            this._endDrag();
+            this.setPriority(taskId, zone.dataset.dropPriority);
+        });
+
+        this.render();
+    }
+
+    /**
+     * New task snapshot (project_tasks push); deferred while a card is being dragged
+     */
+    update(tasks) {
+        if (this._dragTaskId) {
+            this._pendingTasks = tasks;
+            return;
+        }
+        this._pendingTasks = null;
+        this.tasks = tasks || [];
+        this.render();
+    }
+
+    _endDrag() {
+        this._dragTaskId = null;
+        if (this._pendingTasks) {
+            this.tasks = this._pendingTasks;
+            this._pendingTasks = null;
+        }
+    }
+
+    render() {
+        if (!this.container) return;
+        const scrollTops = [...this.container.querySelectorAll('.task-board-cards')].map(el => el.scrollTop);
+
+        this.container.innerHTML = `
+            ${this.status ? `<div class="task-board-status ${this.status.type}">${escapeHtml(this.status.text)}</div>` : ''}
+            <div class="task-board">
+                ${COLUMNS.map(column => this.renderColumn(column)).join('')}
+            </div>
+        `;
+
+        this.container.querySelectorAll('.task-board-cards').forEach((el, i) => { el.scrollTop = scrollTops[i] ?? 0; });
+    }
+
+    renderColumn(column) {
+        const tasks = this.tasks
+            .filter(t => t.status === column.status)
+            .sort((a, b) => this.priorityRank(a.priority) - this.priorityRank(b.priority));
+
+        const body = column.status === 'Unassigned'
+            ? PRIORITIES.map(p => `
+                <div class="task-board-priority" data-drop-priority="${p.key}">
+                    <div class="task-board-priority-label">${p.key}</div>
+                    ${tasks.filter(t => t.priority === p.key).map(t => this.renderCard(t, true)).join('')}
+                </div>
+            `).join('')
+            : tasks.map(t => this.renderCard(t, false)).join('') || '<div class="task-board-empty">No tasks</div>';
+
+        return `
+            <div class="task-board-column" data-status="${column.status}">
+                <div class="task-board-column-header">
+                    <span>${column.label}</span>
+                    <span class="badge badge-info">${tasks.length}</span>
+                </div>
+                <div class="task-board-cards">${body}</div>
+            </div>
+        `;
+    }
+
+    renderCard(task, draggable) {
+        const priority = PRIORITIES.find(p => p.key === task.priority);
+        const plan = task.plan;
+
+        return `
+            <div class="task-card" data-task-id="${task.id}" ${draggable ? 'draggable="true"' : ''}
+                 title="${escapeHtml(task.description)}">
+                <div class="task-card-title">${escapeHtml(task.description)}</div>
+                <div class="task-card-badges">
+                    <span class="badge badge-info">${escapeHtml(task.agentType)}</span>
+                    <span class="badge badge-info">${escapeHtml(task.provider)}</span>
+                    <span class="badge badge-${priority?.badge || 'info'}">${task.priority}</span>
+                    ${task.retryCount > 0 ? `<span class="badge badge-warning" title="Retries">🔁 ${task.retryCount}</span>` : ''}
+                    ${plan ? `<span class="task-card-meta">${plan.completedSteps}/${plan.totalSteps} steps</span>` : ''}
+                </div>
+                ${task.errorMessage ? `<div class="task-card-error" title="${escapeHtml(task.errorMessage)}">${escapeHtml(task.errorMessage)}</div>` : ''}
+                <div class="task-card-actions">
+                    ${task.status === 'Failed' ? '<button class="btn btn-secondary btn-sm" data-action="retry">🔄 Retry</button>' : ''}
+                    <button class="btn btn-secondary btn-sm" data-action="plan">📋 Plan</button>
+                </div>
+            </div>
+        `;
+    }
+
+    async handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const task = this.tasks.find(t => t.id === button.closest('[data-task-id]')?.dataset.taskId);
+        if (!task) return;
+
+        if (button.dataset.action === 'plan') {
+            showTaskPlan(this.api, this.projectId, task);
+            return;
+        }
+        if (button.dataset.action === 'retry') {
+            button.disabled = true;
+            await this.run(() => this.api.retryFailedTask({ taskId: task.id }));
+        }
+    }
+
+    async setPriority(taskId, priority) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || task.priority === priority) {
+            this.render();
+            return;
+        }
+
+        // Optimistic; the next project_tasks push carries the server state
+        const previous = task.priority;
+        task.priority = priority;
+        this.render();
+
+        const ok = await this.run(() => this.api.setTaskPriority(taskId, priority.toLowerCase()));
+        if (!ok) {
+            task.priority = previous;
+            this.render();
+        }
+    }
+
+    /**
+     * Run a command and show its outcome above the board
+     * @returns {Promise<boolean>} Whether the command succeeded
+     */
+    async run(command) {
+        let ok = false;
+        try {
+            const result = await command();
+            ok = result?.success !== false;
+            this.status = {
+                text: (result?.message || (ok ? 'Done' : 'Failed')).replace(/^Error:\s*/i, '').replace(/\*\*/g, '').split('\n')[0],
+                type: ok ? 'success' : 'error'
+            };
+        } catch (error) {
+            this.status = { text: error.message, type: 'error' };
+        }
+        this.render();
+        return ok;
+    }
+
+    priorityRank(priority) {
+        const index = PRIORITIES.findIndex(p => p.key === priority);
+        return index === -1 ? PRIORITIES.length : index;
+    }
+}
@@ -0,0 +1,489 @@
+import { showTaskPlan } from './task-plan.js';
+import { escapeHtml } from './markdown.js';
+
+const NODE_WIDTH = 190;
+const NODE_HEIGHT = 44;
+const GAP_X = 60;
+const GAP_Y = 12;
+const GROUP_LABEL_HEIGHT = 22;
+const GROUP_GAP = 16;
+const MARGIN = 20;
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 3;
+
+const GROUP_BY = [
+    { key: 'none', label: 'No grouping' },
+    { key: 'area', label: 'Area' },
+    { key: 'feature', label: 'Feature' }
+];
+
+const STATUS_LEGEND = ['Unassigned', 'NotInitialized', 'Working', 'Done', 'Failed', 'BlockedByFailure'];
+
+/**
+ * Interactive dependency graph (DAG) of a project's tasks, laid out in columns by dependency
+ * depth, optionally in one band per area or feature. Highlights the critical path (longest chain
+ * of unfinished tasks) and, for a selected failed task, every task it blocks. Pan by dragging,
+ * zoom with the wheel; clicking a node shows its details.
+ */
+export class TaskGraph {
+    constructor(api) {
+        this.api = api;
+        this.container = null;
+        this.projectId = null;
+        this.graph = { nodes: [], edges: [], unresolved: [] };
+        this.groupBy = 'none';
+        this.showCriticalPath = true;
+        this.selectedId = null;
+        this.view = { x: 0, y: 0, k: 1 };
+        this.status = null; // { text, type } - result of the last action
+        this._pan = null; // { pointerId, startX, startY, viewX, viewY, moved }
+    }
+
+    mount(container, projectId, graph) {
+        this.container = container;
+        this.projectId = projectId;
+        this.selectedId = null;
+        this.status = null;
+
+        container.addEventListener('click', (e) => this.handleClick(e));
+        container.addEventListener('change', (e) => {
+            if (e.target.dataset.control === 'groupBy') {
+                this.groupBy = e.target.value;
+                this._layout();
+                this.render();
+                this.fit();
+            } else if (e.target.dataset.control === 'criticalPath') {
+                this.showCriticalPath = e.target.checked;
+                this.render();
+            }
+        });
+        container.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        container.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        container.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        container.addEventListener('pointerup', () => this.handlePointerUp());
+        container.addEventListener('pointercancel', () => this.handlePointerUp());
+
+        this.update(graph);
+        this.fit();
+    }
+
+    /**
+     * New graph snapshot (task_graph push); keeps selection, grouping and the pan/zoom position
+     */
+    update(graph) {
+        this.graph = {
+            nodes: graph?.nodes || [],
+            edges: graph?.edges || [],
+            unresolved: graph?.unresolved || []
+        };
+        this._index();
+        if (this.selectedId && !this.nodesById.has(this.selectedId)) this.selectedId = null;
+        this._layout();
+        this.render();
+    }
+
+    _index() {
+        this.nodesById = new Map(this.graph.nodes.map(n => [n.id, n]));
+        this.predecessors = new Map(this.graph.nodes.map(n => [n.id, []]));
+        this.successors = new Map(this.graph.nodes.map(n => [n.id, []]));
+        for (const edge of this.graph.edges) {
+            if (!this.nodesById.has(edge.from) || !this.nodesById.has(edge.to)) continue;
+            this.predecessors.get(edge.to).push(edge.from);
+            this.successors.get(edge.from).push(edge.to);
+        }
+        this.order = this._topologicalOrder();
+        this.critical = this._criticalPath();
+    }
+
+    /**
+     * Kahn's algorithm; nodes on a cycle (bad dependency data) are appended at the end
+     */
+    _topologicalOrder() {
+        const inDegree = new Map([...this.predecessors].map(([id, preds]) => [id, preds.length]));
+        const queue = [...inDegree].filter(([, degree]) => degree === 0).map(([id]) => id);
+        const order = [];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            order.push(id);
+            for (const next of this.successors.get(id)) {
+                inDegree.set(next, inDegree.get(next) - 1);
+                if (inDegree.get(next) === 0) queue.push(next);
+            }
+        }
+        const placed = new Set(order);
+        return [...order, ...this.graph.nodes.map(n => n.id).filter(id => !placed.has(id))];
+    }
+
+    /**
+     * Longest chain of unfinished tasks - the minimum number of task runs that still have to
+     * happen one after another
+     * @returns {{ nodes: Set<string>, edges: Set<string> }}
+     */
+    _criticalPath() {
+        const length = new Map();
+        const previous = new Map();
+        let end = null;
+
+        for (const id of this.order) {
+            if (this.nodesById.get(id).status === 'Done') continue;
+            let best = 0;
+            for (const pred of this.predecessors.get(id)) {
+                if ((length.get(pred) ?? 0) > best) {
+                    best = length.get(pred);
+                    previous.set(id, pred);
+                }
+            }
+            length.set(id, best + 1);
+            if (end === null || length.get(id) > length.get(end)) end = id;
+        }
+
+        const nodes = new Set();
+        const edges = new Set();
+        // A single unfinished task is no path
+        if (end === null || length.get(end) < 2) return { nodes, edges };
+        for (let id = end; id; id = previous.get(id)) {
+            nodes.add(id);
+            if (previous.has(id)) edges.add(`${previous.get(id)}>${id}`);
+        }
+        return { nodes, edges };
+    }
+
+    /**
+     * Every task downstream of the given one
+     */
+    _dependents(id) {
+        const result = new Set();
+        const queue = [...this.successors.get(id)];
+        while (queue.length > 0) {
+            const next = queue.shift();
+            if (result.has(next)) continue;
+            result.add(next);
+            queue.push(...this.successors.get(next));
+        }
+        return result;
+    }
+
+    _groupOf(node) {
+        if (this.groupBy === 'area') return node.area || 'No area';
+        if (this.groupBy === 'feature') return node.featureId || 'No feature';
+        return '';
+    }
+
+    /**
+     * Columns by dependency depth; rows per group band, ordered by the average row of each
+     * node's dependencies to keep edges short
+     */
+    _layout() {
+        const depth = new Map();
+        for (const id of this.order) {
+            const preds = this.predecessors.get(id).filter(p => depth.has(p));
+            depth.set(id, preds.length === 0 ? 0 : Math.max(...preds.map(p => depth.get(p))) + 1);
+        }
+
+        const groups = [...new Set(this.graph.nodes.map(n => this._groupOf(n)))].sort();
+        const maxDepth = Math.max(0, ...depth.values());
+        this.positions = new Map();
+        this.groupBoxes = [];
+
+        let top = MARGIN;
+        for (const group of groups) {
+            const labelHeight = group ? GROUP_LABEL_HEIGHT : 0;
+            let rows = 0;
+            for (let column = 0; column <= maxDepth; column++) {
+                const nodes = this.graph.nodes
+                    .filter(n => depth.get(n.id) === column && this._groupOf(n) === group)
+                    .map(n => ({ node: n, weight: this._barycenter(n.id) }))
+                    .sort((a, b) => a.weight - b.weight || (a.node.key || '').localeCompare(b.node.key || ''));
+
+                nodes.forEach(({ node }, row) => {
+                    this.positions.set(node.id, {
+                        x: MARGIN + column * (NODE_WIDTH + GAP_X),
+                        y: top + labelHeight + row * (NODE_HEIGHT + GAP_Y)
+                    });
+                });
+                rows = Math.max(rows, nodes.length);
+            }
+
+            const height = labelHeight + rows * (NODE_HEIGHT + GAP_Y);
+            if (group) this.groupBoxes.push({ label: group, y: top - GAP_Y / 2, height });
+            top += height + (group ? GROUP_GAP : 0);
+        }
+
+        this.width = MARGIN * 2 + (maxDepth + 1) * (NODE_WIDTH + GAP_X) - GAP_X;
+        this.height = top + MARGIN;
+    }
+
+    _barycenter(id) {
+        const ys = this.predecessors.get(id).map(p => this.positions.get(p)?.y).filter(y => y !== undefined);
+        return ys.length === 0 ? Number.MAX_SAFE_INTEGER : ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const selected = this.selectedId ? this.nodesById.get(this.selectedId) : null;
+        const blocked = selected?.status === 'Failed' ? this._dependents(selected.id) : new Set();
+        const critical = this.showCriticalPath ? this.critical : { nodes: new Set(), edges: new Set() };
+
+        this.container.innerHTML = `
+            <div class="task-graph-toolbar">
+                <select class="form-select" data-control="groupBy" title="Group by">
+                    ${GROUP_BY.map(g => `<option value="${g.key}" ${g.key === this.groupBy ? 'selected' : ''}>${g.label}</option>`).join('')}
+                </select>
+                <label class="task-graph-toggle">
+                    <input type="checkbox" data-control="criticalPath" ${this.showCriticalPath ? 'checked' : ''}>
+                    Critical path${this.critical.nodes.size > 0 ? ` (${this.critical.nodes.size} tasks)` : ''}
+                </label>
+                <div class="task-graph-legend">
+                    ${STATUS_LEGEND.map(s => `<span class="task-graph-legend-item status-${s}">${s}</span>`).join('')}
+                </div>
+                <div class="task-graph-zoom">
+                    <button class="btn-icon" data-action="zoom-out" title="Zoom out">➖</button>
+                    <button class="btn-icon" data-action="zoom-in" title="Zoom in">➕</button>
+                    <button class="btn btn-secondary btn-sm" data-action="fit">Fit</button>
+                </div>
+            </div>
+            ${this.status ? `<div class="task-graph-status ${this.status.type}">${escapeHtml(this.status.text)}</div>` : ''}
+            ${this.graph.unresolved.length > 0 ? `
+                <div class="task-graph-warning">⚠️ ${this.graph.unresolved.length} dependency reference(s) do not match any task</div>
+            ` : ''}
+            <div class="task-graph-body">
+                ${this.graph.nodes.length === 0 ? `
+                    <div class="empty-state">
+                        <div class="empty-state-icon">🕸️</div>
+                        <div>No tasks yet</div>
+                    </div>
+                ` : `
+                    <svg class="task-graph-svg ${blocked.size > 0 ? 'focus' : ''}">
+                        <defs>
+                            <marker id="taskGraphArrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                                <path d="M 0 0 L 10 5 L 0 10 z" class="task-graph-arrow"></path>
+                            </marker>
+                        </defs>
+                        <g class="task-graph-viewport" transform="${this._transform()}">
+                            ${this.groupBoxes.map(g => `
+                                <rect class="task-graph-group" x="${MARGIN / 2}" y="${g.y}" width="${this.width - MARGIN}" height="${g.height}" rx="6"></rect>
+                                <text class="task-graph-group-label" x="${MARGIN}" y="${g.y + 15}">${escapeHtml(g.label)}</text>
+                            `).join('')}
+                            ${this.graph.edges.map(e => this.renderEdge(e, critical, blocked)).join('')}
+                            ${this.graph.nodes.map(n => this.renderNode(n, critical, blocked)).join('')}
+                        </g>
+                    </svg>
+                `}
+                ${selected ? this.renderDetails(selected, blocked) : ''}
+            </div>
+        `;
+    }
+
+    renderEdge(edge, critical, blocked) {
+        const from = this.positions.get(edge.from);
+        const to = this.positions.get(edge.to);
+        if (!from || !to) return '';
+
+        const x1 = from.x + NODE_WIDTH;
+        const y1 = from.y + NODE_HEIGHT / 2;
+        const x2 = to.x;
+        const y2 = to.y + NODE_HEIGHT / 2;
+        const classes = [
+            'task-graph-edge',
+            critical.edges.has(`${edge.from}>${edge.to}`) ? 'critical' : '',
+            (edge.from === this.selectedId || blocked.has(edge.from)) && blocked.has(edge.to) ? 'blocked' : ''
+        ].join(' ');
+
+        return `<path class="${classes}" marker-end="url(#taskGraphArrow)"
+                      d="M ${x1} ${y1} C ${x1 + GAP_X / 2} ${y1}, ${x2 - GAP_X / 2} ${y2}, ${x2} ${y2}"></path>`;
+    }
+
+    renderNode(node, critical, blocked) {
+        const position = this.positions.get(node.id);
+        const classes = [
+            'task-graph-node',
+            `status-${node.status}`,
+            critical.nodes.has(node.id) ? 'critical' : '',
+            blocked.has(node.id) ? 'blocked' : '',
+            node.id === this.selectedId ? 'selected' : ''
+        ].join(' ');
+
+        return `
+            <g class="${classes}" data-node-id="${node.id}" transform="translate(${position.x}, ${position.y})">
+                <title>${escapeHtml(node.description)}</title>
+                <rect width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="5"></rect>
+                <text class="task-graph-node-key" x="8" y="17">${escapeHtml(node.key || node.id.slice(0, 8))}${node.retryCount > 0 ? ` 🔁${node.retryCount}` : ''}</text>
+                <text class="task-graph-node-text" x="8" y="34">${escapeHtml(this.truncate(this.stripKey(node.description), 28))}</text>
+            </g>
+        `;
+    }
+
+    renderDetails(node, blocked) {
+        const link = id => {
+            const other = this.nodesById.get(id);
+            return `<a href="#" data-select-node="${id}" class="task-graph-link status-${other.status}">${escapeHtml(other.key || other.id.slice(0, 8))}</a>`;
+        };
+        const unresolved = this.graph.unresolved.filter(u => u.taskId === node.id).map(u => u.dependency);
+
+        return `
+            <div class="task-graph-details">
+                <div class="task-graph-details-header">
+                    <strong>${escapeHtml(node.key || node.id.slice(0, 8))}</strong>
+                    <button class="btn-icon" data-action="close-details" title="Close">×</button>
+                </div>
+                <div class="task-graph-details-description">${escapeHtml(this.stripKey(node.description))}</div>
+                <dl class="project-detail-fields">
+                    <dt>Status</dt><dd>${node.status}</dd>
+                    <dt>Priority</dt><dd>${node.priority}</dd>
+                    <dt>Agent</dt><dd>${escapeHtml(node.agentType || '-')}</dd>
+                    <dt>Provider</dt><dd>${escapeHtml(node.provider || '-')}</dd>
+                    <dt>Area</dt><dd>${escapeHtml(node.area || '-')}</dd>
+                    <dt>Feature</dt><dd>${escapeHtml(node.featureId || '-')}</dd>
+                    <dt>Retries</dt><dd>${node.retryCount}</dd>
+                    <dt>Depends on</dt><dd>${this.predecessors.get(node.id).map(link).join(' ') || '-'}${unresolved.length > 0 ? ` <span class="task-graph-unresolved" title="No task with this key">${unresolved.map(d => escapeHtml(d)).join(', ')}</span>` : ''}</dd>
+                    <dt>Needed by</dt><dd>${this.successors.get(node.id).map(link).join(' ') || '-'}</dd>
+                </dl>
+                ${node.errorMessage ? `<div class="task-card-error" title="${escapeHtml(node.errorMessage)}">${escapeHtml(node.errorMessage)}</div>` : ''}
+                ${blocked.size > 0 ? `<div class="task-graph-blocked-note">🚫 This failure blocks ${blocked.size} task(s)</div>` : ''}
+                <div class="task-card-actions">
+                    ${node.status === 'Failed' ? '<button class="btn btn-secondary btn-sm" data-action="retry">🔄 Retry</button>' : ''}
+                    <button class="btn btn-secondary btn-sm" data-action="plan">📋 Plan</button>
+                </div>
+            </div>
+        `;
+    }
+
+    async handleClick(e) {
+        if (this._pan?.moved) return;
+
+        const selectLink = e.target.closest('[data-select-node]');
+        if (selectLink) {
+            e.preventDefault();
+            this.select(selectLink.dataset.selectNode);
+            return;
+        }
+
+        const nodeEl = e.target.closest('[data-node-id]');
+        if (nodeEl) {
+            this.select(nodeEl.dataset.nodeId);
+            return;
+        }
+
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        const node = this.selectedId ? this.nodesById.get(this.selectedId) : null;
+        switch (action) {
+            case 'zoom-in':
+                this.zoom(1.25);
+                break;
+            case 'zoom-out':
+                this.zoom(0.8);
+                break;
+            case 'fit':
+                this.fit();
+                break;
+            case 'close-details':
+                this.select(null);
+                break;
+            case 'plan':
+                showTaskPlan(this.api, this.projectId, node);
+                break;
+            case 'retry':
+                e.target.closest('button').disabled = true;
+                await this.run(() => this.api.retryFailedTask({ taskId: node.id }));
+                break;
+        }
+    }
+
+    select(id) {
+        this.selectedId = id;
+        this.render();
+    }
+
+    handleWheel(e) {
+        const svg = e.target.closest('.task-graph-svg');
+        if (!svg) return;
+        e.preventDefault();
+        const rect = svg.getBoundingClientRect();
+        this.zoom(e.deltaY < 0 ? 1.1 : 1 / 1.1, e.clientX - rect.left, e.clientY - rect.top);
+    }
+
+    handlePointerDown(e) {
+        // Pan from the background; nodes stay clickable
+        if (!e.target.closest('.task-graph-svg') || e.target.closest('[data-node-id]') || e.button !== 0) return;
+        this._pan = { pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, viewX: this.view.x, viewY: this.view.y, moved: false };
+        this.container.setPointerCapture(e.pointerId);
+    }
+
+    handlePointerMove(e) {
+        if (!this._pan || e.pointerId !== this._pan.pointerId) return;
+        const dx = e.clientX - this._pan.startX;
+        const dy = e.clientY - this._pan.startY;
+        if (Math.abs(dx) + Math.abs(dy) > 3) this._pan.moved = true;
+        this.view.x = this._pan.viewX + dx;
+        this.view.y = this._pan.viewY + dy;
+        this._applyTransform();
+    }
+
+    handlePointerUp() {
+        if (!this._pan) return;
+        // Let the click that ends a drag through the moved check first
+        const pan = this._pan;
+        setTimeout(() => { if (this._pan === pan) this._pan = null; });
+    }
+
+    /**
+     * Zoom by factor around a point of the SVG (default: its center)
+     */
+    zoom(factor, px, py) {
+        const svg = this.container?.querySelector('.task-graph-svg');
+        if (!svg) return;
+        px ??= svg.clientWidth / 2;
+        py ??= svg.clientHeight / 2;
+        const k = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, this.view.k * factor));
+        this.view.x = px - (px - this.view.x) * (k / this.view.k);
+        this.view.y = py - (py - this.view.y) * (k / this.view.k);
+        this.view.k = k;
+        this._applyTransform();
+    }
+
+    fit() {
+        const svg = this.container?.querySelector('.task-graph-svg');
+        if (!svg || !this.width || !this.height) return;
+        const k = Math.min(1, svg.clientWidth / this.width, svg.clientHeight / this.height);
+        this.view = {
+            k: Math.max(MIN_ZOOM, k),
+            x: (svg.clientWidth - this.width * k) / 2,
+            y: Math.max(0, (svg.clientHeight - this.height * k) / 2)
+        };
+        this._applyTransform();
+    }
+
+    _transform() {
+        return `translate(${this.view.x}, ${this.view.y}) scale(${this.view.k})`;
+    }
+
+    _applyTransform() {
+        this.container?.querySelector('.task-graph-viewport')?.setAttribute('transform', this._transform());
+    }
+
+    /**
+     * Run a command and show its outcome above the graph
+     */
+    async run(command) {
+        try {
+            const result = await command();
+            const ok = result?.success !== false;
+            this.status = {
+                text: (result?.message || (ok ? 'Done' : 'Failed')).replace(/^Error:\s*/i, '').replace(/\*\*/g, '').split('\n')[0],
+                type: ok ? 'success' : 'error'
+            };
+        } catch (error) {
+            this.status = { text: error.message, type: 'error' };
+        }
+        this.render();
+    }
+
+    stripKey(description) {
+        return (description || '').replace(/^\s*\[[^\]]+\]\s*/, '');
+    }
+
+    truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+}
@@ -0,0 +1,98 @@
+import { escapeHtml } from './markdown.js';
+
+const STEP_STATUS_ICONS = {
+    'Pending': '⏳',
+    'InProgress': '🔨',
+    'Completed': '✅',
+    'Skipped': '⏭️',
+    'Failed': '❌'
+};
+
+/**
+ * Modal with a task's implementation plan: steps with status, files and errors, plus the
+ * most recent execution log entries
+ * @param {Object} api
+ * @param {string} projectId
+ * @param {{ id: string, description: string }} task
+ */
+export async function showTaskPlan(api, projectId, task) {
+    document.querySelector('.modal.task-plan')?.remove();
+
+    const modal = document.createElement('div');
+    modal.className = 'modal task-plan';
+    modal.innerHTML = `
+        <div class="modal-content modal-large">
+            <div class="modal-header">
+                <h3>📋 ${escapeHtml(task.description)}</h3>
+                <button class="modal-close" data-action="close">×</button>
+            </div>
+            <div class="modal-body"><div class="loading">⏳ Loading plan...</div></div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal || e.target.closest('[data-action="close"]')) {
+            modal.remove();
+        }
+    });
+
+    const body = modal.querySelector('.modal-body');
+    try {
+        const { plan } = await api.getTaskPlan(projectId, task.id);
+        body.innerHTML = plan ? renderPlan(plan) : `
+            <div class="empty-state">
+                <div class="empty-state-icon">📭</div>
+                <div>This task has no implementation plan yet</div>
+            </div>
+        `;
+    } catch (error) {
+        body.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">⚠️</div>
+                <div class="empty-state-title">Failed to load plan</div>
+                <div class="empty-state-error">${escapeHtml(error.message)}</div>
+            </div>
+        `;
+    }
+}
+
+function renderPlan(plan) {
+    return `
+        <div class="task-plan-summary">
+            <span class="badge badge-info">${plan.status}</span>
+            ${plan.featureName ? `<span class="badge badge-info">🎯 ${escapeHtml(plan.featureName)}</span>` : ''}
+            <span>${plan.progressPercentage}% • ${plan.steps.length} steps</span>
+            ${plan.escalationCount > 0 ? `<span class="badge badge-error">${plan.escalationCount} escalation(s)</span>` : ''}
+        </div>
+        ${plan.errorMessage ? `<div class="task-plan-error">⚠️ ${escapeHtml(plan.errorMessage)}</div>` : ''}
+        <ol class="task-plan-steps">
+            ${plan.steps.map(step => `
+                <li class="task-plan-step ${step.index === plan.currentStepIndex ? 'current' : ''}">
+                    <div class="task-plan-step-title">
+                        <span>${STEP_STATUS_ICONS[step.status] || '❓'}</span>
+                        <span>${escapeHtml(step.title)}</span>
+                        ${step.retryCount > 0 ? `<span class="badge badge-warning">${step.retryCount}x</span>` : ''}
+                        ${step.durationSeconds > 0 ? `<span class="task-plan-step-meta">${Math.round(step.durationSeconds)}s</span>` : ''}
+                    </div>
+                    ${step.description ? `<div class="task-plan-step-description">${escapeHtml(step.description)}</div>` : ''}
+                    ${step.filesToCreate.length + step.filesToModify.length > 0 ? `
+                        <div class="task-plan-step-files">
+                            ${step.filesToCreate.map(f => `<span class="file-badge file-created">+ ${escapeHtml(f)}</span>`).join('')}
+                            ${step.filesToModify.map(f => `<span class="file-badge file-modified">~ ${escapeHtml(f)}</span>`).join('')}
+                        </div>
+                    ` : ''}
+                    ${step.lastErrorMessage ? `<div class="task-plan-error">${escapeHtml(step.lastErrorMessage)}</div>` : ''}
+                </li>
+            `).join('')}
+        </ol>
+        ${plan.recentLog.length > 0 ? `
+            <details class="task-plan-log">
+                <summary>Execution log (last ${plan.recentLog.length})</summary>
+                ${plan.recentLog.map(entry => `
+                    <div><span class="task-plan-step-meta">${new Date(entry.timestamp).toLocaleTimeString()}</span> ${escapeHtml(entry.message)}</div>
+                `).join('')}
+            </details>
+        ` : ''}
+    `;
+}
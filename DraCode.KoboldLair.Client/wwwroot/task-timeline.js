@@ -0,0 +1,298 @@
+import { showTaskPlan } from './task-plan.js';
+import { escapeHtml } from './markdown.js';
+
+const ZOOM_LEVELS = [1, 2, 4, 8];
+const AXIS_TICKS = 6;
+const ONGOING_REDRAW_INTERVAL = 5000;
+
+const MARKER_ICONS = {
+    'retry': '🔁',
+    'escalation': '⚠️'
+};
+
+/**
+ * Gantt chart of a project's task executions. Each Drake (area) gets lanes for the runs that
+ * overlapped - inferred here by packing each run into the first free lane, the server doesn't track
+ * which Kobold slot ran it - with plan steps under each run and retries and escalations as markers.
+ * A utilization strip shows how many Kobolds ran at once against the project's maxParallelKobolds.
+ * Ongoing runs end at "now", so the chart is redrawn every few seconds while one is running.
+ */
+export class TaskTimeline {
+    constructor(api) {
+        this.api = api;
+        this.container = null;
+        this.projectId = null;
+        this.timeline = null;
+        this.zoom = 1;
+        this._redrawTimer = null;
+    }
+
+    mount(container, projectId, timeline) {
+        this.container = container;
+        this.projectId = projectId;
+
+        container.addEventListener('click', (e) => {
+            const zoom = e.target.closest('[data-zoom]');
+            if (zoom) {
+                this.zoom = Number(zoom.dataset.zoom);
+                this.render();
+                return;
+            }
+            const bar = e.target.closest('[data-task-id]');
+            const task = this.timeline?.tasks.find(t => t.id === bar?.dataset.taskId);
+            if (task) showTaskPlan(this.api, this.projectId, task);
+        });
+
+        this.update(timeline);
+    }
+
+    unmount() {
+        this._setRedraw(false);
+        this.container = null;
+    }
+
+    /**
+     * New timeline snapshot (task_timeline push); keeps zoom and scroll position
+     */
+    update(timeline) {
+        this.timeline = timeline;
+        this.render();
+    }
+
+    render() {
+        if (!this.container?.isConnected) {
+            this.unmount();
+            return;
+        }
+        const tasks = this.timeline?.tasks || [];
+        const notStarted = this.timeline?.notStarted || 0;
+
+        if (tasks.length === 0) {
+            this._setRedraw(false);
+            this.container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">📊</div>
+                    <div>No task has run yet${notStarted > 0 ? ` (${notStarted} waiting)` : ''}</div>
+                </div>
+            `;
+            return;
+        }
+
+        const now = Date.now();
+        const runs = this._runs(tasks, now);
+        this._setRedraw(runs.some(r => r.ongoing));
+        const start = Math.min(...runs.map(r => r.start));
+        const end = Math.max(start + 1000, ...runs.map(r => r.end));
+        const position = (time) => ((time - start) / (end - start)) * 100;
+
+        const lanes = this._lanes(runs);
+        const max = Math.max(1, this.timeline.maxParallelKobolds || 1);
+        const usage = this._utilization(runs, start, end, max);
+
+        const scroller = this.container.querySelector('.task-timeline-chart');
+        const scrollLeft = scroller?.scrollLeft ?? 0;
+
+        this.container.innerHTML = `
+            <div class="task-timeline-toolbar">
+                <div class="task-timeline-stats">
+                    <span title="Average Kobolds running over the whole timeline, against the limit">📈 Utilization <strong>${Math.round(usage.average * 100)}%</strong></span>
+                    <span title="Most Kobolds running at once">⛰️ Peak <strong>${usage.peak}/${max}</strong></span>
+                    <span title="Share of the time with at least one Kobold running that all slots were busy">🚦 At limit <strong>${Math.round(usage.atLimit * 100)}%</strong></span>
+                    <span>⏱️ ${this.formatDuration(end - start)}</span>
+                    <span>📝 ${tasks.length} ran${notStarted > 0 ? `, ${notStarted} waiting` : ''}</span>
+                </div>
+                <div class="task-timeline-zoom">
+                    ${ZOOM_LEVELS.map(z => `
+                        <button class="btn btn-secondary btn-sm ${z === this.zoom ? 'active' : ''}" data-zoom="${z}">${z}×</button>
+                    `).join('')}
+                    <a href="#settings" class="btn btn-secondary btn-sm" title="Change maxParallelKobolds">⚙️ Concurrency</a>
+                </div>
+            </div>
+            <div class="task-timeline-hint">${escapeHtml(this._hint(usage, max))} Lanes are inferred: each run is drawn in the first free lane of its Drake.</div>
+            <div class="task-timeline-chart">
+                <div class="task-timeline-rows" style="width: ${this.zoom * 100}%">
+                    <div class="task-timeline-row task-timeline-axis">
+                        <div class="task-timeline-label"></div>
+                        <div class="task-timeline-track">
+                            ${Array.from({ length: AXIS_TICKS + 1 }, (_, i) => start + (i / AXIS_TICKS) * (end - start)).map(time => `
+                                <span class="task-timeline-tick" style="left: ${position(time)}%">${this.formatTime(time, end - start)}</span>
+                            `).join('')}
+                        </div>
+                    </div>
+                    ${lanes.map(lane => `
+                        <div class="task-timeline-row">
+                            <div class="task-timeline-label" title="${escapeHtml(lane.area)}, lane ${lane.slot} (inferred from overlapping runs; hover a bar for its Kobold)">
+                                ${lane.slot === 1 ? `🐉 ${escapeHtml(lane.area)}` : ''}<span class="task-timeline-slot">#${lane.slot}</span>
+                            </div>
+                            <div class="task-timeline-track">
+                                ${lane.runs.map(run => this.renderRun(run, position)).join('')}
+                            </div>
+                        </div>
+                    `).join('')}
+                    <div class="task-timeline-row task-timeline-usage">
+                        <div class="task-timeline-label" title="Kobolds running at once; the line is maxParallelKobolds">👺 Kobolds</div>
+                        <div class="task-timeline-track">
+                            ${usage.segments.filter(s => s.count > 0).map(s => `
+                                <div class="task-timeline-usage-bar ${s.count >= max ? 'at-limit' : ''}"
+                                     style="left: ${position(s.from)}%; width: ${position(s.to) - position(s.from)}%; height: ${Math.min(100, (s.count / max) * 100)}%"
+                                     title="${s.count}/${max} Kobolds"></div>
+                            `).join('')}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.container.querySelector('.task-timeline-chart').scrollLeft = scrollLeft;
+    }
+
+    renderRun(run, position) {
+        const { task } = run;
+        const left = position(run.start);
+        const title = [
+            task.description,
+            `${task.status}${run.index > 0 ? ` • run ${run.index + 1}` : ''}${run.koboldId ? ` • Kobold ${run.koboldId}` : ''}`,
+            `${new Date(run.start).toLocaleString()} - ${run.ongoing ? 'now' : new Date(run.end).toLocaleString()} (${this.formatDuration(run.end - run.start)})`
+        ].join('\n');
+
+        return `
+            <div class="task-timeline-bar status-${task.status} ${run.ongoing ? 'ongoing' : ''}" data-task-id="${task.id}"
+                 style="left: ${left}%; width: ${Math.max(position(run.end) - left, 0.2)}%" title="${escapeHtml(title)}">
+                <span>${escapeHtml(task.key || task.description)}</span>
+            </div>
+            ${run.steps.map(step => {
+                const stepLeft = position(new Date(step.startedAt).getTime());
+                const stepEnd = step.completedAt ? new Date(step.completedAt).getTime() : run.end;
+                return `<div class="task-timeline-step step-${step.status}" data-task-id="${task.id}"
+                             style="left: ${stepLeft}%; width: ${Math.max(position(stepEnd) - stepLeft, 0.1)}%"
+                             title="${escapeHtml(`Step ${step.index}: ${step.title} (${step.status})`)}"></div>`;
+            }).join('')}
+            ${run.markers.map(marker => `
+                <span class="task-timeline-marker marker-${marker.type}" style="left: ${position(new Date(marker.at).getTime())}%"
+                      title="${escapeHtml(`${new Date(marker.at).toLocaleString()}\n${marker.label}`)}">${MARKER_ICONS[marker.type] || '•'}</span>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * One entry per Kobold run, with the steps and markers that happened before the task's next run
+     */
+    _runs(tasks, now) {
+        return tasks.flatMap(task => task.runs.map((run, index) => {
+            const start = new Date(run.startedAt).getTime();
+            const next = index + 1 < task.runs.length ? new Date(task.runs[index + 1].startedAt).getTime() : Infinity;
+            const during = (value) => {
+                const time = new Date(value).getTime();
+                return time >= start && time < next;
+            };
+            return {
+                task,
+                index,
+                koboldId: run.koboldId,
+                start,
+                end: run.endedAt ? Math.max(start, new Date(run.endedAt).getTime()) : now,
+                ongoing: !run.endedAt,
+                steps: task.steps.filter(step => during(step.startedAt)),
+                markers: task.markers.filter(marker => during(marker.at))
+            };
+        }));
+    }
+
+    /**
+     * Per area, put each run into the first lane that is free at its start. The lanes are not the
+     * Kobold slots that actually ran them - the server only reports the Kobold per run.
+     */
+    _lanes(runs) {
+        const lanes = [];
+        const areas = [...new Set(runs.map(r => r.task.area || 'unknown'))].sort();
+        for (const area of areas) {
+            const slots = [];
+            runs.filter(r => (r.task.area || 'unknown') === area)
+                .sort((a, b) => a.start - b.start)
+                .forEach(run => {
+                    let slot = slots.find(s => s.end <= run.start);
+                    if (!slot) {
+                        slot = { area, slot: slots.length + 1, end: 0, runs: [] };
+                        slots.push(slot);
+                    }
+                    slot.runs.push(run);
+                    slot.end = run.end;
+                });
+            lanes.push(...slots);
+        }
+        return lanes;
+    }
+
+    /**
+     * Redraw on a timer while a run is ongoing, so its bar keeps growing between pushes
+     */
+    _setRedraw(enabled) {
+        if (enabled && !this._redrawTimer) {
+            this._redrawTimer = setInterval(() => this.render(), ONGOING_REDRAW_INTERVAL);
+        } else if (!enabled && this._redrawTimer) {
+            clearInterval(this._redrawTimer);
+            this._redrawTimer = null;
+        }
+    }
+
+    /**
+     * Concurrent runs over time against the Kobold limit
+     * @returns {{ segments: Array<{from: number, to: number, count: number}>, peak: number, average: number, atLimit: number }}
+     */
+    _utilization(runs, start, end, max) {
+        const events = runs.flatMap(r => [{ time: r.start, delta: 1 }, { time: r.end, delta: -1 }])
+            .sort((a, b) => a.time - b.time || a.delta - b.delta);
+
+        const segments = [];
+        let count = 0;
+        let peak = 0;
+        let busy = 0;
+        let active = 0;
+        let limited = 0;
+        let previous = start;
+        for (const event of events) {
+            if (event.time > previous) {
+                const span = event.time - previous;
+                segments.push({ from: previous, to: event.time, count });
+                busy += Math.min(count, max) * span;
+                if (count > 0) active += span;
+                if (count >= max) limited += span;
+                previous = event.time;
+            }
+            count += event.delta;
+            peak = Math.max(peak, count);
+        }
+
+        return {
+            segments,
+            peak,
+            average: busy / (max * (end - start)),
+            atLimit: active > 0 ? limited / active : 0
+        };
+    }
+
+    _hint(usage, max) {
+        if (usage.peak < max) {
+            return `At most ${usage.peak} of ${max} Kobold slots were used at once - the Kobold limit was not the bottleneck; dependencies or the Drake's pace were.`;
+        }
+        if (usage.atLimit >= 0.5) {
+            return `All ${max} Kobold slots were busy ${Math.round(usage.atLimit * 100)}% of the active time - raising maxParallelKobolds could shorten the run, if providers and rate limits allow.`;
+        }
+        return `The Kobold limit of ${max} was reached ${Math.round(usage.atLimit * 100)}% of the active time.`;
+    }
+
+    formatTime(time, span) {
+        const date = new Date(time);
+        return span > 24 * 60 * 60 * 1000
+            ? date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+            : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * Captures WebSocket frames for the Inspector view.
+ * WebSocketClient records every frame it sends and receives; frames carrying an `id`
+ * are correlated so a response knows its request and round-trip time.
+ * Kept in memory only, capped at MAX_FRAMES (oldest dropped first).
+ *
+ * Frame: { seq, socket, sessionId, direction: 'sent'|'received', type, id, size, timestamp,
+ *          payload, correlatedSeq, latencyMs }
+ */
+
+const MAX_FRAMES = 2000;
+
+class TrafficStore {
+    constructor() {
+        this.frames = [];
+        this.capturing = true;
+        this._seq = 0;
+        this._pendingById = new Map(); // `${socket}|${id}` -> sent frame
+        this._listeners = [];
+        this._notifyScheduled = false;
+    }
+
+    /**
+     * Record a frame.
+     * @param {string} socket - Endpoint name ('wyvern', 'dragon')
+     * @param {'sent'|'received'} direction
+     * @param {string} raw - Frame text as sent over the wire
+     * @param {object|null} payload - Parsed frame
+     */
+    record(socket, direction, raw, payload) {
+        if (!this.capturing) return;
+
+        const frame = {
+            seq: ++this._seq,
+            socket,
+            sessionId: payload?.sessionId || null,
+            direction,
+            type: payload?.type || payload?.command || payload?.action || '(unknown)',
+            id: payload?.id || null,
+            size: new Blob([raw]).size,
+            timestamp: Date.now(),
+            payload: payload ?? raw,
+            correlatedSeq: null,
+            latencyMs: null
+        };
+
+        if (frame.id) {
+            const key = `${socket}|${frame.id}`;
+            if (direction === 'sent') {
+                this._pendingById.set(key, frame);
+            } else {
+                const request = this._pendingById.get(key);
+                if (request) {
+                    this._pendingById.delete(key);
+                    frame.correlatedSeq = request.seq;
+                    frame.latencyMs = frame.timestamp - request.timestamp;
+                    request.correlatedSeq = frame.seq;
+                    request.latencyMs = frame.latencyMs;
+                }
+            }
+        }
+
+        this.frames.push(frame);
+        if (this.frames.length > MAX_FRAMES) {
+            const dropped = this.frames.splice(0, this.frames.length - MAX_FRAMES);
+            dropped.forEach(f => f.id && f.direction === 'sent' && this._pendingById.delete(`${f.socket}|${f.id}`));
+        }
+        this._scheduleNotify();
+    }
+
+    get(seq) {
+        return this.frames.find(f => f.seq === seq) || null;
+    }
+
+    /**
+     * Socket labels seen so far: 'wyvern', 'dragon' and one entry per Dragon session.
+     */
+    sockets() {
+        const labels = new Set();
+        for (const frame of this.frames) {
+            labels.add(frame.socket);
+        }
+        return Array.from(labels);
+    }
+
+    sessionIds() {
+        const ids = new Set();
+        for (const frame of this.frames) {
+            if (frame.socket === 'dragon' && frame.sessionId) ids.add(frame.sessionId);
+        }
+        return Array.from(ids);
+    }
+
+    setCapturing(capturing) {
+        this.capturing = capturing;
+        this._scheduleNotify();
+    }
+
+    clear() {
+        this.frames = [];
+        this._pendingById.clear();
+        this._scheduleNotify();
+    }
+
+    /**
+     * Serialize the captured trace for a bug report.
+     * @param {object[]} frames - Frames to export (defaults to everything captured)
+     * @param {object} meta - Extra context (server, protocol info, ...)
+     */
+    exportTrace(frames = this.frames, meta = {}) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            ...meta,
+            frameCount: frames.length,
+            frames: frames.map(f => ({ ...f, time: new Date(f.timestamp).toISOString() }))
+        }, null, 2);
+    }
+
+    onChange(callback) {
+        this._listeners.push(callback);
+    }
+
+    offChange(callback) {
+        this._listeners = this._listeners.filter(cb => cb !== callback);
+    }
+
+    // Bursts of frames (streaming chunks) notify once per animation frame
+    _scheduleNotify() {
+        if (this._notifyScheduled) return;
+        this._notifyScheduled = true;
+        requestAnimationFrame(() => {
+            this._notifyScheduled = false;
+            for (const cb of this._listeners) {
+                try { cb(this.frames); } catch (_) {}
+            }
+        });
+    }
+}
+
+const store = new TrafficStore();
+export default store;
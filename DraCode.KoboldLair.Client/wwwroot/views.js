@@ -1,11 +1,10 @@
 import { ApiClient } from './api.js';
-import CONFIG from './config.js';
 import notificationStore from './notification-store.js';
 
 export class DashboardView {
     constructor(api) {
         this.api = api;
-        this._refreshTimer = null;
+        this._unsubscribers = [];
         this._lastProjectsHtml = '';
     }
 
@@ -20,7 +19,7 @@ export class DashboardView {
                     <span class="escalation-banner-icon">⚠️</span>
                     <span class="escalation-banner-text">
                         <strong>${notificationStore.pendingCount} escalation(s)</strong> require attention.
-                        Open <a href="#dragon" class="escalation-link">Dragon</a> to review.
+                        Open <a href="#escalations" class="escalation-link">Escalations</a> to review.
                     </span>
                   </div>`
                 : '';
@@ -87,7 +86,7 @@ export class DashboardView {
                     <div class="list-item-main">
                         <span class="list-item-icon">📁</span>
                         <div class="list-item-content">
-                            <div class="list-item-title">${p.name}</div>
+                            <div class="list-item-title"><a href="#projects/${encodeURIComponent(p.id)}" class="project-link">${p.name}</a></div>
                             <div class="list-item-subtitle">Created: ${new Date(p.createdAt).toLocaleString()}</div>
                         </div>
                     </div>
@@ -98,53 +97,50 @@ export class DashboardView {
     }
 
     onMount() {
-        this._refreshTimer = setInterval(() => this._autoRefresh(), CONFIG.refreshInterval);
+        // Server pushes a fresh snapshot only when something changed
+        this._unsubscribers = [
+            this.api.subscribe('stats', null, stats => this._applyStats(stats)),
+            this.api.subscribe('projects', null, projects => this._applyProjects(projects))
+        ];
+        this._onEscalationsChanged = () => this._updateEscalationBanner();
+        notificationStore.onChange(this._onEscalationsChanged);
     }
 
     onUnmount() {
-        if (this._refreshTimer) {
-            clearInterval(this._refreshTimer);
-            this._refreshTimer = null;
+        this._unsubscribers.forEach(unsubscribe => unsubscribe());
+        this._unsubscribers = [];
+        if (this._onEscalationsChanged) {
+            notificationStore.offChange(this._onEscalationsChanged);
+            this._onEscalationsChanged = null;
         }
     }
 
-    async _autoRefresh() {
-        if (!this.api.isConnected()) return;
-        try {
-            const [stats, projects] = await Promise.all([
-                this.api.getStats(),
-                this.api.getProjects()
-            ]);
-
-            // Update stat values in-place (no flicker)
-            const updates = {
-                dragonSessions: stats.dragon.activeSessions,
-                projects: stats.projects.totalProjects || 0,
-                wyrms: stats.wyrms,
-                drakes: stats.drakes,
-                kobolds: stats.koboldsWorking
-            };
-            for (const [key, value] of Object.entries(updates)) {
-                const el = document.querySelector(`[data-stat="${key}"]`);
-                if (el && el.textContent !== String(value)) {
-                    el.textContent = value;
-                    el.classList.add('stat-updated');
-                    setTimeout(() => el.classList.remove('stat-updated'), 600);
-                }
-            }
-
-            // Update projects list only if changed
-            const newProjectsHtml = this._renderProjectsList(projects);
-            if (newProjectsHtml !== this._lastProjectsHtml) {
-                this._lastProjectsHtml = newProjectsHtml;
-                const container = document.getElementById('dashboardProjects');
-                if (container) container.innerHTML = newProjectsHtml;
+    _applyStats(stats) {
+        // Update stat values in-place (no flicker)
+        const updates = {
+            dragonSessions: stats.dragon.activeSessions,
+            projects: stats.projects.totalProjects || 0,
+            wyrms: stats.wyrms,
+            drakes: stats.drakes,
+            kobolds: stats.koboldsWorking
+        };
+        for (const [key, value] of Object.entries(updates)) {
+            const el = document.querySelector(`[data-stat="${key}"]`);
+            if (el && el.textContent !== String(value)) {
+                el.textContent = value;
+                el.classList.add('stat-updated');
+                setTimeout(() => el.classList.remove('stat-updated'), 600);
             }
+        }
+    }
 
-            // Update escalation banner
-            this._updateEscalationBanner();
-        } catch (e) {
-            // Silent - don't disrupt UI on background refresh failure
+    _applyProjects(projects) {
+        // Update projects list only if changed
+        const newProjectsHtml = this._renderProjectsList(projects);
+        if (newProjectsHtml !== this._lastProjectsHtml) {
+            this._lastProjectsHtml = newProjectsHtml;
+            const container = document.getElementById('dashboardProjects');
+            if (container) container.innerHTML = newProjectsHtml;
         }
     }
 
@@ -169,7 +165,7 @@ export class DashboardView {
             const html = `<span class="escalation-banner-icon">⚠️</span>
                 <span class="escalation-banner-text">
                     <strong>${count} escalation(s)</strong> require attention.
-                    Open <a href="#dragon" class="escalation-link">Dragon</a> to review.
+                    Open <a href="#escalations" class="escalation-link">Escalations</a> to review.
                 </span>`;
 
             if (banner) {
@@ -187,6 +183,16 @@ export class DashboardView {
 
     async refresh() {
         if (!this.api.isConnected()) return;
-        await this._autoRefresh();
+        try {
+            const [stats, projects] = await Promise.all([
+                this.api.getStats(),
+                this.api.getProjects()
+            ]);
+            this._applyStats(stats);
+            this._applyProjects(projects);
+            this._updateEscalationBanner();
+        } catch (e) {
+            // Silent - don't disrupt UI on refresh failure
+        }
     }
 }
@@ -1,14 +1,32 @@
 import CONFIG from './config.js';
+import { fetchConnectionTicket } from './connection-ticket.js';
+import serverProtocol, { PROTOCOL_VERSION, CLIENT_CAPABILITIES } from './protocol.js';
+import trafficStore from './traffic-store.js';
+import { log } from './log.js';
+
+// Servers that don't answer client_ready within this time predate the handshake
+const HANDSHAKE_TIMEOUT = 5000;
 
 export class WebSocketClient {
-    constructor(endpoint) {
+    /**
+     * @param {string} endpoint - Server endpoint, e.g. '/wyvern'
+     * @param {Object} [options]
+     * @param {boolean} [options.multiplexed=false] - Socket carries several sessions (?mux=1).
+     *   Session tracking, client_ready and session_not_found are then left to the caller.
+     */
+    constructor(endpoint, { multiplexed = false } = {}) {
         this.endpoint = endpoint;
+        this.multiplexed = multiplexed;
         this.ws = null;
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
-        this.reconnectDelay = 3000;
+        this.reconnectBaseDelay = 1000;
+        this.reconnectMaxDelay = 30000;
+        this.reconnectTimer = null;
+        this.nextReconnectAt = null;
+        this.manualDisconnect = false;
         this.messageHandlers = new Map();
         this.statusChangeHandlers = [];
+        this.reconnectChangeHandlers = [];
         this.currentStatus = 'disconnected';
         this.connectPromise = null;
         this.pingInterval = null;
@@ -19,6 +37,17 @@ export class WebSocketClient {
         this.lastPongSequence = 0;     // Tracks which ping was acknowledged
         this.sessionId = null;
         this.onSessionNotFound = null;
+        this.serverInfo = null;
+        this.handshakeTimer = null;
+        this.handshakeWaiters = [];
+
+        // Network comes back or the tab becomes visible - don't wait out the backoff
+        this._onNetworkHint = () => {
+            if (document.visibilityState === 'hidden') return;
+            if (this.reconnectTimer) {
+                this.reconnectNow();
+            }
+        };
     }
 
     /**
@@ -34,59 +63,112 @@ export class WebSocketClient {
             return this.connectPromise;
         }
 
+        this.manualDisconnect = false;
+
         // Store sessionId for reconnection attempts
         if (sessionId) {
             this.sessionId = sessionId;
         }
 
-        this.connectPromise = new Promise((resolve, reject) => {
-            // Connect directly to backend server using serverUrl from CONFIG
-            const serverUrl = CONFIG.serverUrl;
-            const token = CONFIG.authToken;
+        this.setStatus('connecting');
+        this.connectPromise = this.buildUrl().then(
+            (url) => this.open(url),
+            (error) => {
+                log.error('Failed to prepare connection:', error.message);
+                this.connectPromise = null;
+                this.setStatus('error');
+                this.attemptReconnect();
+                throw error;
+            });
 
-            // Normalize endpoint - remove leading slash
-            const endpoint = this.endpoint.replace(/^\/+/, '');
+        return this.connectPromise;
+    }
+
+    /**
+     * Build the socket URL. The auth token is exchanged for a single-use connection ticket
+     * first, so the token itself never appears in the URL (server logs, proxies, history).
+     */
+    async buildUrl() {
+        // Connect directly to backend server using serverUrl from CONFIG
+        const serverUrl = CONFIG.serverUrl;
+        const token = CONFIG.authToken;
+
+        // Normalize endpoint - remove leading slash
+        const endpoint = this.endpoint.replace(/^\/+/, '');
+
+        // Build full URL: serverUrl + endpoint
+        const baseUrl = serverUrl.replace(/\/+$/, ''); // Remove trailing slashes
+        const fullUrl = `${baseUrl}/${endpoint}`;
+
+        // Build query string with ticket and sessionId
+        const params = new URLSearchParams();
+        if (token) params.set('ticket', await fetchConnectionTicket(serverUrl, token));
+        if (this.multiplexed) {
+            params.set('mux', '1');
+        } else if (this.sessionId) {
+            params.set('sessionId', this.sessionId);
+        }
 
-            // Build full URL: serverUrl + endpoint
-            const baseUrl = serverUrl.replace(/\/+$/, ''); // Remove trailing slashes
-            const fullUrl = `${baseUrl}/${endpoint}`;
+        const queryString = params.toString();
+        return queryString ? `${fullUrl}?${queryString}` : fullUrl;
+    }
 
-            // Build query string with token and sessionId
-            const params = new URLSearchParams();
-            if (token) params.set('token', token);
-            if (this.sessionId) params.set('sessionId', this.sessionId);
+    open(url) {
+        // disconnect() was called while the ticket was being fetched
+        if (this.manualDisconnect) {
+            this.connectPromise = null;
+            return Promise.reject(new Error('Disconnected'));
+        }
 
-            const queryString = params.toString();
-            this.url = queryString ? `${fullUrl}?${queryString}` : fullUrl;
+        return new Promise((resolve, reject) => {
+            this.url = url;
 
-            console.log('Connecting to backend:', this.url);
+            // Ticket is single-use - keep it out of the console too
+            log.info('Connecting to backend:', this.url.replace(/ticket=[^&]+/, 'ticket=***'));
 
-            this.setStatus('connecting');
             this.ws = new WebSocket(this.url);
 
             const timeout = setTimeout(() => {
-                reject(new Error('Connection timeout'));
+                // Drop the stalled socket so a late open can't run next to the retry; with its
+                // handlers detached no onclose follows, so the next attempt is scheduled here
+                const ws = this.ws;
+                ws.onopen = ws.onclose = ws.onerror = ws.onmessage = null;
+                ws.close();
+                this.ws = null;
                 this.connectPromise = null;
+                this.setStatus('error');
+                reject(new Error('Connection timeout'));
+                this.attemptReconnect();
             }, 10000);
 
             this.ws.onopen = () => {
                 clearTimeout(timeout);
-                console.log('WebSocket connected');
+                log.info('WebSocket connected');
                 this.reconnectAttempts = 0;
+                this.cancelReconnect();
+                // Before announcing the connection, so status listeners wait for this handshake
+                this.startHandshake();
                 this.setStatus('connected');
                 this.connectPromise = null;
                 this.startHeartbeat();
 
                 // Send ready message to server so it knows we're prepared to receive messages
                 // This fixes race condition where server sends welcome before client handlers are ready
-                this.ws.send(JSON.stringify({ type: 'client_ready', sessionId: this.sessionId }));
+                // (multiplexed sockets only negotiate here - sessions get client_ready per channel)
+                this.sendRaw({
+                    type: 'client_ready',
+                    ...(this.multiplexed ? {} : { sessionId: this.sessionId }),
+                    protocolVersion: PROTOCOL_VERSION,
+                    capabilities: CLIENT_CAPABILITIES
+                });
 
                 resolve();
             };
 
             this.ws.onclose = () => {
                 clearTimeout(timeout);
-                console.log('WebSocket closed');
+                this.failHandshake(new Error('WebSocket closed before the handshake completed'));
+                log.info('WebSocket closed');
                 this.stopHeartbeat();
                 this.setStatus('disconnected');
                 this.connectPromise = null;
@@ -95,7 +177,7 @@ export class WebSocketClient {
 
             this.ws.onerror = (error) => {
                 clearTimeout(timeout);
-                console.error('WebSocket error:', error);
+                log.error('WebSocket error:', error);
                 this.stopHeartbeat();
                 this.setStatus('error');
                 this.connectPromise = null;
@@ -105,7 +187,8 @@ export class WebSocketClient {
             this.ws.onmessage = (event) => {
                 try {
                     const message = JSON.parse(event.data);
-                    console.log('[WebSocket] Received raw message:', message.type, message.messageId || '(no id)');
+                    trafficStore.record(this.endpoint.replace(/^\/+/, ''), 'received', event.data, message);
+                    log.debug('[WebSocket] Received:', message.type, message.messageId || '(no id)');
 
                     // Handle pong responses
                     if (message.type === 'pong') {
@@ -116,9 +199,20 @@ export class WebSocketClient {
                         return;
                     }
 
+                    if (message.type === 'server_hello') {
+                        this.completeHandshake(message);
+                        return;
+                    }
+
+                    // Multiplexed frames belong to different sessions - the caller routes them
+                    if (this.multiplexed) {
+                        this.handleMessage(message);
+                        return;
+                    }
+
                     // Handle session not found - client's session was not on server
                     if (message.type === 'session_not_found') {
-                        console.log('Session not found on server:', message);
+                        log.info('Session not found on server:', message);
                         if (this.onSessionNotFound) {
                             this.onSessionNotFound(message);
                         }
@@ -128,18 +222,16 @@ export class WebSocketClient {
                     // Track sessionId from server messages
                     if (message.sessionId && !this.sessionId) {
                         this.sessionId = message.sessionId;
-                        console.log('Session ID received:', this.sessionId);
+                        log.debug('Session ID received:', this.sessionId);
                     }
 
-                    console.log('[WebSocket] Dispatching to handlers:', message.type);
+                    log.debug('[WebSocket] Dispatching to handlers:', message.type);
                     this.handleMessage(message);
                 } catch (error) {
-                    console.error('[WebSocket] Failed to parse message:', error, event.data?.substring?.(0, 200));
+                    log.error('[WebSocket] Failed to parse message:', error, event.data?.substring?.(0, 200));
                 }
             };
         });
-
-        return this.connectPromise;
     }
 
     /**
@@ -156,9 +248,58 @@ export class WebSocketClient {
         this.sessionId = sessionId;
     }
 
+    /**
+     * Resolves with the negotiated server info once the server answered client_ready
+     * (or was detected as a pre-handshake server). Rejects if the socket closes first.
+     */
+    waitForHandshake() {
+        if (this.serverInfo) return Promise.resolve(this.serverInfo);
+        return new Promise((resolve, reject) => this.handshakeWaiters.push({ resolve, reject }));
+    }
+
+    startHandshake() {
+        clearTimeout(this.handshakeTimer);
+        this.serverInfo = null;
+        this.handshakeTimer = setTimeout(() => this.completeHandshake(null), HANDSHAKE_TIMEOUT);
+    }
+
+    completeHandshake(hello) {
+        clearTimeout(this.handshakeTimer);
+        this.handshakeTimer = null;
+
+        const endpoint = this.endpoint.replace(/^\/+/, '');
+        if (hello) {
+            serverProtocol.setHello(endpoint, hello);
+        } else {
+            log.warn(`[WebSocket] No server_hello on /${endpoint} - assuming a pre-handshake server`);
+            serverProtocol.setLegacy(endpoint);
+        }
+        this.serverInfo = serverProtocol.get(endpoint);
+
+        const waiters = this.handshakeWaiters;
+        this.handshakeWaiters = [];
+        waiters.forEach(waiter => waiter.resolve(this.serverInfo));
+    }
+
+    /**
+     * The connection ended: forget the negotiated info (the next connection negotiates again)
+     * and reject everyone still waiting, so nothing runs for a connection that is gone.
+     */
+    failHandshake(error) {
+        clearTimeout(this.handshakeTimer);
+        this.handshakeTimer = null;
+        this.serverInfo = null;
+
+        const waiters = this.handshakeWaiters;
+        this.handshakeWaiters = [];
+        waiters.forEach(waiter => waiter.reject(error));
+    }
+
     disconnect() {
-        this.reconnectAttempts = this.maxReconnectAttempts;
+        this.manualDisconnect = true;
+        this.cancelReconnect();
         this.stopHeartbeat();
+        this.failHandshake(new Error('Disconnected'));
         if (this.ws) {
             this.ws.close();
             this.ws = null;
@@ -181,7 +322,7 @@ export class WebSocketClient {
                     this.pingSequence++;
                     const expectedSequence = this.pingSequence;
 
-                    this.ws.send(JSON.stringify({ action: 'ping' }));
+                    this.sendRaw({ action: 'ping' });
 
                     // Set timeout for pong response (5 seconds)
                     this.pongTimeout = setTimeout(() => {
@@ -193,15 +334,15 @@ export class WebSocketClient {
                         }
 
                         this.missedPongs++;
-                        console.warn(`Missed pong response (${this.missedPongs}/${this.maxMissedPongs})`);
+                        log.warn(`Missed pong response (${this.missedPongs}/${this.maxMissedPongs})`);
 
                         if (this.missedPongs >= this.maxMissedPongs) {
-                            console.error('Connection appears dead, reconnecting...');
+                            log.error('Connection appears dead, reconnecting...');
                             this.ws?.close();
                         }
                     }, 5000);
                 } catch (error) {
-                    console.error('Failed to send ping:', error);
+                    log.error('Failed to send ping:', error);
                 }
             }
         }, 20000);
@@ -224,17 +365,26 @@ export class WebSocketClient {
     async send(message) {
         // Wait for connection if not connected
         if (this.ws?.readyState !== WebSocket.OPEN) {
-            console.log('WebSocket not open, waiting for connection...');
+            log.debug('WebSocket not open, waiting for connection...');
             await this.connect();
         }
 
         if (this.ws?.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify(message));
+            this.sendRaw(message);
         } else {
             throw new Error('WebSocket is not connected');
         }
     }
 
+    /**
+     * Serialize and send a frame on the open socket, recording it for the Inspector.
+     */
+    sendRaw(message) {
+        const raw = JSON.stringify(message);
+        this.ws.send(raw);
+        trafficStore.record(this.endpoint.replace(/^\/+/, ''), 'sent', raw, message);
+    }
+
     /**
      * Send a session replay request to restore conversation context on the server
      * @param {Array} messages - Array of {role, content} objects to replay
@@ -279,6 +429,7 @@ export class WebSocketClient {
     removeAllHandlers() {
         this.messageHandlers.clear();
         this.statusChangeHandlers = [];
+        this.reconnectChangeHandlers = [];
     }
 
     onStatusChange(handler) {
@@ -304,7 +455,7 @@ export class WebSocketClient {
     handleMessage(message) {
         const handlers = this.messageHandlers.get(message.type);
         const handlerCount = handlers?.length || 0;
-        console.log(`[WebSocket] handleMessage: type=${message.type}, specific handlers=${handlerCount}`);
+        log.debug(`[WebSocket] handleMessage: type=${message.type}, specific handlers=${handlerCount}`);
         if (handlers) {
             handlers.forEach(handler => handler(message));
         }
@@ -312,23 +463,70 @@ export class WebSocketClient {
         // Also handle generic 'message' handlers
         const allHandlers = this.messageHandlers.get('message');
         const allHandlerCount = allHandlers?.length || 0;
-        console.log(`[WebSocket] handleMessage: generic 'message' handlers=${allHandlerCount}`);
+        log.debug(`[WebSocket] handleMessage: generic 'message' handlers=${allHandlerCount}`);
         if (allHandlers) {
             allHandlers.forEach(handler => handler(message));
         }
     }
 
+    /**
+     * Register a handler for reconnect scheduling.
+     * Called with { attempt, nextReconnectAt } when a retry is scheduled, or null once it is cancelled or connected.
+     */
+    onReconnectChange(handler) {
+        this.reconnectChangeHandlers.push(handler);
+    }
+
+    _emitReconnectChange() {
+        const info = this.reconnectTimer
+            ? { attempt: this.reconnectAttempts, nextReconnectAt: this.nextReconnectAt }
+            : null;
+        this.reconnectChangeHandlers.forEach(handler => handler(info));
+    }
+
+    /**
+     * Schedule the next reconnect with exponential backoff and jitter. Retries never give up;
+     * only an explicit disconnect() stops them.
+     */
     attemptReconnect() {
-        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            console.log('Max reconnection attempts reached');
-            return;
-        }
+        if (this.manualDisconnect || this.reconnectTimer) return;
+
+        // Exponential backoff capped at reconnectMaxDelay, with "equal jitter" so many clients
+        // dropped by the same server restart don't reconnect in lockstep
+        const exponential = Math.min(this.reconnectMaxDelay, this.reconnectBaseDelay * 2 ** this.reconnectAttempts);
+        const delay = Math.round(exponential / 2 + Math.random() * exponential / 2);
 
         this.reconnectAttempts++;
-        console.log(`Reconnecting... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+        this.nextReconnectAt = Date.now() + delay;
+        log.info(`Reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.reconnectAttempts})`);
+
+        this.reconnectTimer = setTimeout(() => this.reconnectNow(), delay);
+        window.addEventListener('online', this._onNetworkHint);
+        document.addEventListener('visibilitychange', this._onNetworkHint);
+        this._emitReconnectChange();
+    }
+
+    /**
+     * Skip the remaining backoff and try to reconnect immediately.
+     */
+    reconnectNow() {
+        this.cancelReconnect();
+        this.connect().catch(() => {
+            // onclose schedules the next attempt
+        });
+    }
 
-        setTimeout(() => {
-            this.connect();
-        }, this.reconnectDelay * this.reconnectAttempts);
+    cancelReconnect() {
+        const wasScheduled = !!this.reconnectTimer;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.nextReconnectAt = null;
+        window.removeEventListener('online', this._onNetworkHint);
+        document.removeEventListener('visibilitychange', this._onNetworkHint);
+        if (wasScheduled) {
+            this._emitReconnectChange();
+        }
     }
 }
@@ -0,0 +1,89 @@
+using System.Collections.Concurrent;
+using System.Security.Cryptography;
+
+namespace DraCode.KoboldLair.Server.Auth;
+
+/// <summary>
+/// In-memory store for single-use WebSocket connection tickets.
+/// Clients exchange their auth token for a ticket over an authenticated HTTP request and put
+/// only the ticket in the WebSocket URL, so the long-lived token never lands in access logs,
+/// proxies or browser history.
+/// </summary>
+public class ConnectionTicketStore : IDisposable
+{
+    /// <summary>
+    /// How long a ticket stays redeemable after it is issued
+    /// </summary>
+    public static readonly TimeSpan TicketLifetime = TimeSpan.FromSeconds(30);
+
+    private readonly ConcurrentDictionary<string, ConnectionTicket> _tickets = new();
+    private readonly TimeProvider _timeProvider;
+    private readonly Timer _cleanupTimer;
+
+    public ConnectionTicketStore() : this(TimeProvider.System)
+    {
+    }
+
+    public ConnectionTicketStore(TimeProvider timeProvider)
+    {
+        _timeProvider = timeProvider;
+
+        // Cleanup unredeemed tickets every minute
+        _cleanupTimer = new Timer(CleanupExpired, null, TimeSpan.FromMinutes(1), TimeSpan.FromMinutes(1));
+    }
+
+    private DateTime UtcNow => _timeProvider.GetUtcNow().UtcDateTime;
+
+    /// <summary>
+    /// Issues a ticket bound to the requesting client's IP address.
+    /// </summary>
+    public ConnectionTicket Issue(string? clientIp)
+    {
+        var ticket = new ConnectionTicket
+        {
+            Ticket = Convert.ToHexString(RandomNumberGenerator.GetBytes(32)).ToLowerInvariant(),
+            ClientIp = clientIp,
+            ExpiresAt = UtcNow.Add(TicketLifetime)
+        };
+        _tickets[ticket.Ticket] = ticket;
+        return ticket;
+    }
+
+    /// <summary>
+    /// Redeems a ticket. Tickets are single-use: the ticket is removed whether or not it is valid.
+    /// </summary>
+    public bool Redeem(string ticket, string? clientIp)
+    {
+        if (!_tickets.TryRemove(ticket, out var entry))
+            return false;
+
+        if (entry.ExpiresAt < UtcNow)
+            return false;
+
+        return entry.ClientIp == null || entry.ClientIp == clientIp;
+    }
+
+    private void CleanupExpired(object? state)
+    {
+        var now = UtcNow;
+        var expired = _tickets.Where(kvp => kvp.Value.ExpiresAt < now)
+            .Select(kvp => kvp.Key).ToList();
+
+        foreach (var ticket in expired)
+        {
+            _tickets.TryRemove(ticket, out _);
+        }
+    }
+
+    public void Dispose()
+    {
+        _cleanupTimer.Dispose();
+    }
+}
+
+public class ConnectionTicket
+{
+    public string Ticket { get; set; } = string.Empty;
+    public string? ClientIp { get; set; }
+    public DateTime ExpiresAt { get; set; }
+}
@@ -0,0 +1,107 @@
+using Birko.Communication.WebSocket.Services;
+
+namespace DraCode.KoboldLair.Server.Auth;
+
+/// <summary>
+/// Authenticates WebSocket upgrades without putting the auth token in the URL.
+/// Browsers exchange the token for a short-lived ticket (<c>POST /auth/ticket</c> with
+/// <c>Authorization: Bearer</c>) and connect with <c>?ticket=</c>; other clients can send the
+/// Authorization header on the upgrade request itself. Unauthenticated upgrades are rejected
+/// with 401 before any frame is exchanged.
+/// </summary>
+public static class WebSocketHandshakeAuthentication
+{
+    public static void MapConnectionTicketEndpoints(this WebApplication app)
+    {
+        app.MapPost("/auth/ticket", HandleIssueTicket);
+    }
+
+    /// <summary>
+    /// Rejects unauthenticated WebSocket upgrades on the given paths.
+    /// Must be registered after UseWebSockets.
+    /// </summary>
+    /// <param name="app">Application</param>
+    /// <param name="allowQueryToken">Accept the legacy <c>?token=</c> query parameter (not recommended)</param>
+    /// <param name="paths">WebSocket endpoint paths to protect</param>
+    public static void UseWebSocketHandshakeAuthentication(this WebApplication app, bool allowQueryToken, params string[] paths)
+    {
+        app.Use(async (context, next) =>
+        {
+            if (!context.WebSockets.IsWebSocketRequest ||
+                !paths.Any(path => context.Request.Path.StartsWithSegments(path)))
+            {
+                await next();
+                return;
+            }
+
+            var authService = context.RequestServices.GetRequiredService<WebSocketAuthenticationService>();
+            if (!authService.IsAuthenticationEnabled() || IsAuthenticated(context, authService, allowQueryToken))
+            {
+                await next();
+                return;
+            }
+
+            var logger = context.RequestServices.GetRequiredService<ILoggerFactory>()
+                .CreateLogger(typeof(WebSocketHandshakeAuthentication));
+            logger.LogWarning("Rejected unauthenticated WebSocket upgrade on {Path} from {ClientIp}",
+                context.Request.Path, authService.GetClientIpAddress(context) ?? "unknown");
+
+            context.Response.StatusCode = StatusCodes.Status401Unauthorized;
+            await context.Response.WriteAsync("Unauthorized: missing or invalid connection ticket");
+        });
+    }
+
+    private static bool IsAuthenticated(HttpContext context, WebSocketAuthenticationService authService, bool allowQueryToken)
+    {
+        var clientIp = authService.GetClientIpAddress(context);
+
+        var ticket = context.Request.Query["ticket"].FirstOrDefault();
+        if (!string.IsNullOrEmpty(ticket))
+        {
+            var ticketStore = context.RequestServices.GetRequiredService<ConnectionTicketStore>();
+            return ticketStore.Redeem(ticket, clientIp);
+        }
+
+        var bearerToken = ExtractBearerToken(context);
+        if (bearerToken != null)
+        {
+            return authService.ValidateToken(bearerToken, clientIp);
+        }
+
+        return allowQueryToken && authService.ValidateToken(authService.ExtractTokenFromQuery(context), clientIp);
+    }
+
+    private static IResult HandleIssueTicket(
+        HttpContext context,
+        WebSocketAuthenticationService authService,
+        ConnectionTicketStore ticketStore)
+    {
+        var clientIp = authService.GetClientIpAddress(context);
+
+        if (authService.IsAuthenticationEnabled() && !authService.ValidateToken(ExtractBearerToken(context), clientIp))
+            return Results.Unauthorized();
+
+        var ticket = ticketStore.Issue(clientIp);
+        return Results.Ok(new ConnectionTicketResponse
+        {
+            Ticket = ticket.Ticket,
+            ExpiresAt = ticket.ExpiresAt
+        });
+    }
+
+    private static string? ExtractBearerToken(HttpContext context)
+    {
+        var header = context.Request.Headers.Authorization.FirstOrDefault();
+        if (header == null || !header.StartsWith("Bearer ", StringComparison.OrdinalIgnoreCase))
+            return null;
+
+        var token = header["Bearer ".Length..].Trim();
+        return token.Length > 0 ? token : null;
+    }
+}
+
+public class ConnectionTicketResponse
+{
+    public string Ticket { get; set; } = string.Empty;
+    public DateTime ExpiresAt { get; set; }
+}
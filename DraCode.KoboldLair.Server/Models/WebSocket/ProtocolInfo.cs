@@ -0,0 +1,46 @@
+namespace DraCode.KoboldLair.Server.Models.WebSocket
+{
+    /// <summary>
+    /// Protocol version and capability flags exchanged in the client_ready / server_hello handshake.
+    /// Bump <see cref="Version"/> when frames change incompatibly; add a capability flag when a
+    /// feature is added that older servers don't have. Version 1 is the pre-handshake protocol.
+    /// </summary>
+    public static class ProtocolInfo
+    {
+        public const int Version = 2;
+
+        /// <summary>
+        /// Oldest client protocol version this server still talks to
+        /// </summary>
+        public const int MinClientVersion = 1;
+
+        public const string Streaming = "streaming";
+        public const string Replay = "replay";
+        public const string Subscriptions = "subscriptions";
+        public const string CouncilTools = "council_tools";
+        public const string Multiplex = "multiplex";
+        public const string Cancel = "cancel";
+
+        public static readonly IReadOnlyList<string> WyvernCapabilities = [Subscriptions, Cancel];
+
+        public static readonly IReadOnlyList<string> DragonCapabilities = [Streaming, Replay, CouncilTools, Multiplex, Cancel];
+
+        /// <summary>
+        /// Builds the server_hello reply to a client_ready frame.
+        /// </summary>
+        /// <param name="capabilities">Capabilities of the endpoint the client connected to</param>
+        /// <param name="clientVersion">Protocol version sent by the client (null for pre-handshake clients)</param>
+        public static object CreateHello(IReadOnlyList<string> capabilities, int? clientVersion)
+        {
+            return new
+            {
+                type = "server_hello",
+                protocolVersion = Version,
+                minClientVersion = MinClientVersion,
+                capabilities,
+                compatible = (clientVersion ?? 1) >= MinClientVersion,
+                timestamp = DateTime.UtcNow
+            };
+        }
+    }
+}
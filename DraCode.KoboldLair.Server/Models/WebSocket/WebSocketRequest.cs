@@ -1,10 +1,19 @@
+using System.Text.Json;
+
 namespace DraCode.KoboldLair.Server.Models.WebSocket
 {
     public class WebSocketRequest
     {
+        public string? Id { get; set; }
+        public string? Type { get; set; }
         public string? Action { get; set; }
         public string? Command { get; set; }
         public string? Task { get; set; }
         public string? TaskId { get; set; }
+        public JsonElement? Data { get; set; }
+        /// <summary>
+        /// Client protocol version (client_ready handshake)
+        /// </summary>
+        public int? ProtocolVersion { get; set; }
     }
 }
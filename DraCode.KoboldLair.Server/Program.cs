@@ -70,6 +70,7 @@ builder.Services.AddSingleton<IPasswordHasher>(new Pbkdf2PasswordHasher());
 builder.Services.AddSingleton<IRoleProvider, KoboldLairRoleProvider>();
 builder.Services.AddSingleton<IPermissionChecker, KoboldLairPermissionChecker>();
 builder.Services.AddSingleton<RefreshTokenStore>();
+builder.Services.AddSingleton<ConnectionTicketStore>();
 
 // Register Birko.Validation validators
 builder.Services.AddSingleton<IValidator<Specification>, SpecificationValidator>();
@@ -277,6 +278,7 @@ builder.Services.AddSingleton<DrakeFactory>(sp =>
             new Dictionary<string, string>
             {
                 ["taskId"] = alert.TaskId ?? "",
+                ["escalationId"] = alert.Id,
                 ["escalationType"] = alert.Type.ToString(),
                 ["source"] = alert.Source.ToString(),
                 ["resolution"] = resolution
@@ -329,6 +331,14 @@ builder.Services.AddSingleton<ProjectNotificationService>(sp =>
     return new ProjectNotificationService(logger, config.ProjectsPath ?? "./projects");
 });
 
+// Register server-push subscription service (shared topic snapshots for /wyvern clients)
+builder.Services.AddSingleton<SubscriptionService>(sp =>
+{
+    var logger = sp.GetRequiredService<ILogger<SubscriptionService>>();
+    return new SubscriptionService(logger, intervalSeconds: 2);
+});
+builder.Services.AddHostedService(sp => sp.GetRequiredService<SubscriptionService>());
+
 // Register services (DragonRequestQueue must be registered first)
 builder.Services.AddSingleton<WebSocketCommandHandler>(sp =>
 {
@@ -343,7 +353,12 @@ builder.Services.AddSingleton<WebSocketCommandHandler>(sp =>
     var costTracker = sp.GetRequiredService<CostTrackingService>();
     var rateLimiter = sp.GetRequiredService<ProviderRateLimiter>();
     var planService = sp.GetRequiredService<KoboldPlanService>();
-    return new WebSocketCommandHandler(logger, projectService, dragonService, providerConfigService, projectRepository, drakeFactory, wyvernFactory, dragonRequestQueue, costTracker, rateLimiter, planService);
+    var subscriptions = sp.GetRequiredService<SubscriptionService>();
+    var gitService = sp.GetRequiredService<GitService>();
+    var specEventService = sp.GetService<SpecificationEventService>();
+    var koboldFactory = sp.GetRequiredService<KoboldFactory>();
+    var notificationService = sp.GetRequiredService<ProjectNotificationService>();
+    return new WebSocketCommandHandler(logger, projectService, dragonService, providerConfigService, projectRepository, drakeFactory, wyvernFactory, dragonRequestQueue, costTracker, rateLimiter, planService, subscriptions, gitService, specEventService, koboldFactory, notificationService);
 });
 builder.Services.AddSingleton<WyrmService>(sp =>
 {
@@ -351,7 +366,8 @@ builder.Services.AddSingleton<WyrmService>(sp =>
     var providerConfigService = sp.GetRequiredService<ProviderConfigurationService>();
     var config = sp.GetRequiredService<Microsoft.Extensions.Options.IOptions<KoboldLairConfiguration>>().Value;
     var commandHandler = sp.GetRequiredService<WebSocketCommandHandler>();
-    return new WyrmService(logger, providerConfigService, config, commandHandler);
+    var subscriptions = sp.GetRequiredService<SubscriptionService>();
+    return new WyrmService(logger, providerConfigService, config, commandHandler, subscriptions);
 });
 
 // Register SQL history repository (null when not using SQLite)
@@ -522,6 +538,7 @@ builder.Services.AddHostedService(sp =>
 builder.Services.AddEventBus();
 builder.Services.AddEventHandler<TaskStatusChangedEvent, TaskStatusChangedHandler>();
 builder.Services.AddEventHandler<KoboldLifecycleEvent, KoboldLifecycleHandler>();
+builder.Services.AddEventHandler<TaskStatusChangedEvent, TaskFailureNotificationHandler>();
 
 // Register Birko.MessageQueue (InMemory for dev, MQTT for production)
 {
@@ -770,6 +787,9 @@ app.UseCors();
     }
 }
 
+// Map WebSocket connection ticket endpoint (token -> short-lived ticket)
+app.MapConnectionTicketEndpoints();
+
 // Enable WebSocket with keep-alive
 var webSocketOptions = new WebSocketOptions
 {
@@ -777,22 +797,35 @@ var webSocketOptions = new WebSocketOptions
 };
 app.UseWebSockets(webSocketOptions);
 
-// WebSocket endpoint for Wyvern (project analysis) with authentication using Birko.Communication
+// Authenticate WebSocket upgrades by connection ticket or Authorization header - keeps tokens out of URLs.
+// The legacy ?token= query parameter is only honored when Authentication:AllowQueryToken is true.
+app.UseWebSocketHandshakeAuthentication(
+    builder.Configuration.GetValue<bool>("Authentication:AllowQueryToken"),
+    "/wyvern", "/dragon");
+
+// WebSocket endpoint for Wyvern (project analysis), authenticated by the handshake middleware above
 app.MapWebSocket("/wyvern", async (webSocket, context) =>
 {
     var wyrmService = context.RequestServices.GetRequiredService<WyrmService>();
     await wyrmService.HandleWebSocketAsync(webSocket);
-}, requireAuthentication: true);
+}, requireAuthentication: false);
 
-// WebSocket endpoint for Dragon (requirements gathering) with authentication using Birko.Communication
+// WebSocket endpoint for Dragon (requirements gathering), authenticated by the handshake middleware above
 app.MapWebSocket("/dragon", async (webSocket, context) =>
 {
+    var dragonService = context.RequestServices.GetRequiredService<DragonService>();
+
+    // ?mux=1 - one socket carries all client tabs as channels
+    if (context.Request.Query["mux"].FirstOrDefault() == "1")
+    {
+        await dragonService.HandleMultiplexedWebSocketAsync(webSocket);
+        return;
+    }
+
     // Extract sessionId from query string for session resumption
     var sessionId = context.Request.Query["sessionId"].FirstOrDefault();
-
-    var dragonService = context.RequestServices.GetRequiredService<DragonService>();
     await dragonService.HandleWebSocketAsync(webSocket, sessionId);
-}, requireAuthentication: true);
+}, requireAuthentication: false);
 
 // Health check endpoint
 app.MapGet("/", () => new { status = "running", endpoints = new[] { "/wyvern", "/dragon" } });
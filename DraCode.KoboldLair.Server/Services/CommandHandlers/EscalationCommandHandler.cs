@@ -0,0 +1,205 @@
+using DraCode.KoboldLair.Factories;
+using DraCode.KoboldLair.Models.Agents;
+using DraCode.KoboldLair.Services;
+using System.Text.Json;
+
+namespace DraCode.KoboldLair.Server.Services.CommandHandlers
+{
+    /// <summary>
+    /// Handles WebSocket commands for the escalation inbox. Escalations are stored with the Kobold
+    /// implementation plans, read from the plan service's cache. A running Kobold's in-memory plan wins
+    /// over the saved copy, and reviews of it are saved through the same debounced queue as the Kobold's
+    /// own plan saves so the two never write the plan at once.
+    /// </summary>
+    public class EscalationCommandHandler
+    {
+        private readonly ProjectService _projectService;
+        private readonly KoboldPlanService? _planService;
+        private readonly KoboldFactory? _koboldFactory;
+
+        public EscalationCommandHandler(
+            ProjectService projectService,
+            KoboldPlanService? planService = null,
+            KoboldFactory? koboldFactory = null)
+        {
+            _projectService = projectService;
+            _planService = planService;
+            _koboldFactory = koboldFactory;
+        }
+
+        /// <summary>
+        /// Lists escalations, newest first. Optional filters: projectId, includeClosed (default true).
+        /// openCount is the number still waiting for the user (Review = Open).
+        /// </summary>
+        public async Task<object> GetEscalationsAsync(JsonElement? data)
+        {
+            var projectId = OptionalString(data, "projectId");
+            var includeClosed = data == null
+                || !data.Value.TryGetProperty("includeClosed", out var closedElement)
+                || closedElement.ValueKind != JsonValueKind.False;
+
+            var projects = string.IsNullOrEmpty(projectId)
+                ? _projectService.GetAllProjects()
+                : new[] { _projectService.GetProject(projectId) ?? throw new InvalidOperationException($"Project not found: {projectId}") }.ToList();
+
+            var escalations = new List<(EscalationAlert Alert, KoboldImplementationPlan Plan, string ProjectName)>();
+            foreach (var project in projects)
+            {
+                foreach (var plan in await GetPlansAsync(project.Id))
+                {
+                    escalations.AddRange(plan.Escalations.Select(alert => (alert, plan, project.Name)));
+                }
+            }
+
+            return new
+            {
+                escalations = escalations
+                    .Where(e => includeClosed || e.Alert.Review is EscalationReview.Open or EscalationReview.Acknowledged)
+                    .OrderByDescending(e => e.Alert.CreatedAt)
+                    .Select(e => ToDto(e.Alert, e.Plan, e.ProjectName))
+                    .ToList(),
+                openCount = escalations.Count(e => e.Alert.Review == EscalationReview.Open)
+            };
+        }
+
+        /// <summary>
+        /// Applies a review action: acknowledge, resolve (with note), dismiss or reopen.
+        /// </summary>
+        public async Task<object> UpdateEscalationAsync(JsonElement? data)
+        {
+            if (_planService == null)
+                throw new InvalidOperationException("Plan persistence is not available");
+
+            var projectId = RequireString(data, "projectId");
+            var escalationId = RequireString(data, "escalationId");
+            var action = RequireString(data, "action").ToLowerInvariant();
+            var note = OptionalString(data, "note")?.Trim();
+
+            var project = _projectService.GetProject(projectId)
+                ?? throw new InvalidOperationException($"Project not found: {projectId}");
+            var found = (await GetPlansAsync(project.Id)).FirstOrDefault(p => p.Escalations.Any(e => e.Id == escalationId))
+                ?? throw new InvalidOperationException($"Escalation not found: {escalationId}");
+
+            // Cached plans are shared snapshots - change the running Kobold's plan or a freshly loaded copy
+            var live = GetLivePlans(project.Id).GetValueOrDefault(found.TaskId);
+            var plan = live ?? await _planService.LoadPlanAsync(project.Id, found.TaskId)
+                ?? throw new InvalidOperationException($"Escalation not found: {escalationId}");
+            var alert = plan.Escalations.FirstOrDefault(e => e.Id == escalationId)
+                ?? throw new InvalidOperationException($"Escalation not found: {escalationId}");
+
+            if (action == "resolve" && string.IsNullOrEmpty(note))
+                throw new InvalidOperationException("A note is required to resolve an escalation");
+
+            alert.Review = action switch
+            {
+                "acknowledge" => EscalationReview.Acknowledged,
+                "resolve" => EscalationReview.Resolved,
+                "dismiss" => EscalationReview.Dismissed,
+                "reopen" => EscalationReview.Open,
+                _ => throw new InvalidOperationException($"Unknown escalation action: {action}")
+            };
+            alert.ReviewNote = string.IsNullOrEmpty(note) ? alert.ReviewNote : note;
+            alert.ReviewedAt = action == "reopen" ? null : DateTime.UtcNow;
+
+            if (live != null)
+                await _planService.SavePlanDebouncedAsync(plan);
+            else
+                await _planService.SavePlanAsync(plan);
+
+            return new
+            {
+                success = true,
+                escalation = ToDto(alert, plan, project.Name)
+            };
+        }
+
+        /// <summary>
+        /// Cached plans of a project, with running Kobolds' in-memory plans substituted
+        /// </summary>
+        private async Task<List<KoboldImplementationPlan>> GetPlansAsync(string projectId)
+        {
+            if (_planService == null) return new List<KoboldImplementationPlan>();
+
+            IReadOnlyList<KoboldImplementationPlan> plans;
+            try
+            {
+                plans = await _planService.GetCachedPlansForProjectAsync(projectId);
+            }
+            catch (InvalidOperationException)
+            {
+                // Project without an output folder has no plans yet
+                return new List<KoboldImplementationPlan>();
+            }
+
+            var live = GetLivePlans(projectId);
+            return plans.Select(p => live.GetValueOrDefault(p.TaskId) ?? p).ToList();
+        }
+
+        /// <summary>
+        /// In-memory plans of the project's Kobolds, by task ID
+        /// </summary>
+        private Dictionary<string, KoboldImplementationPlan> GetLivePlans(string projectId)
+        {
+            var live = new Dictionary<string, KoboldImplementationPlan>();
+            if (_koboldFactory != null)
+            {
+                foreach (var kobold in _koboldFactory.GetAllKobolds())
+                {
+                    var plan = kobold.ImplementationPlan;
+                    if (plan != null && plan.ProjectId == projectId) live.TryAdd(plan.TaskId, plan);
+                }
+            }
+            return live;
+        }
+
+        private static object ToDto(EscalationAlert alert, KoboldImplementationPlan plan, string projectName) => new
+        {
+            id = alert.Id,
+            projectId = plan.ProjectId,
+            projectName,
+            taskId = alert.TaskId,
+            taskDescription = plan.TaskDescription,
+            koboldId = alert.KoboldId,
+            agentType = alert.AgentType,
+            source = alert.Source.ToString(),
+            type = alert.Type.ToString(),
+            summary = alert.Summary,
+            status = alert.Status.ToString(),
+            resolution = alert.Resolution,
+            suggestedResolution = SuggestedResolution(alert.Type),
+            review = alert.Review.ToString(),
+            reviewNote = alert.ReviewNote,
+            reviewedAt = alert.ReviewedAt,
+            createdAt = alert.CreatedAt,
+            resolvedAt = alert.ResolvedAt
+        };
+
+        /// <summary>
+        /// What the Drake's escalation routing does for each type (see Drake.HandleEscalationAsync)
+        /// </summary>
+        private static string SuggestedResolution(EscalationType type) => type switch
+        {
+            EscalationType.WrongApproach => "Revise the implementation plan (Planner)",
+            EscalationType.TaskInfeasible => "Refine or replace the task (Wyvern)",
+            EscalationType.NeedsSplit => "Split the task into smaller tasks (Wyvern)",
+            EscalationType.MissingDependency => "Add the missing dependency task (Wyvern)",
+            EscalationType.WrongAgentType => "Reassign the task to a different agent type",
+            _ => "Review the task"
+        };
+
+        private static string RequireString(JsonElement? data, string name)
+        {
+            var value = OptionalString(data, name);
+            if (string.IsNullOrWhiteSpace(value))
+                throw new InvalidOperationException($"{name} is required");
+            return value;
+        }
+
+        private static string? OptionalString(JsonElement? data, string name)
+        {
+            return data != null && data.Value.TryGetProperty(name, out var element) && element.ValueKind == JsonValueKind.String
+                ? element.GetString()
+                : null;
+        }
+    }
+}
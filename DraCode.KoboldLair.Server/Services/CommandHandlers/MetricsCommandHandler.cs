@@ -1,5 +1,6 @@
 using DraCode.KoboldLair.Data.Repositories.Sql;
 using DraCode.KoboldLair.Factories;
+using DraCode.KoboldLair.Models.Agents;
 using DraCode.KoboldLair.Models.Tasks;
 using DraCode.KoboldLair.Services;
 using System.Text.Json;
@@ -18,6 +19,10 @@ namespace DraCode.KoboldLair.Server.Services.CommandHandlers
         private readonly DrakeFactory? _drakeFactory;
         private readonly KoboldPlanService? _planService;
 
+        // Logged to the plan by every Kobold run (Kobold.cs)
+        private static readonly System.Text.RegularExpressions.Regex KoboldStartedPattern =
+            new(@"^Kobold ([0-9a-f]{8}) started working", System.Text.RegularExpressions.RegexOptions.Compiled);
+
         public MetricsCommandHandler(
             ProjectService projectService,
             CostTrackingService? costTracker = null,
@@ -35,7 +40,7 @@ namespace DraCode.KoboldLair.Server.Services.CommandHandlers
         /// <summary>
         /// Gets aggregated metrics for the UI dashboard.
         /// </summary>
-        public async Task<object> GetMetricsAsync(JsonElement? data)
+        public async Task<object> GetMetricsAsync(JsonElement? data, CancellationToken cancellationToken = default)
         {
             var hours = 24;
             if (data.HasValue && data.Value.TryGetProperty("timeRangeHours", out var h))
@@ -61,6 +66,7 @@ namespace DraCode.KoboldLair.Server.Services.CommandHandlers
             {
                 foreach (var project in projects.Take(20)) // Limit to avoid heavy queries
                 {
+                    cancellationToken.ThrowIfCancellationRequested();
                     var usage = await _costTracker.GetProjectUsageAsync(project.Id, from, to);
                     if (usage != null && usage.RequestCount > 0)
                     {
@@ -114,6 +120,7 @@ namespace DraCode.KoboldLair.Server.Services.CommandHandlers
             {
                 for (int i = 0; i < 7; i++)
                 {
+                    cancellationToken.ThrowIfCancellationRequested();
                     var dayStart = DateTime.UtcNow.Date.AddDays(-i);
                     var dayEnd = dayStart.AddDays(1);
                     var daySummary = await _costTracker.GetUsageSummaryAsync(dayStart, dayEnd);
@@ -155,8 +162,9 @@ namespace DraCode.KoboldLair.Server.Services.CommandHandlers
 
         /// <summary>
         /// Gets task comparison data for a project — shows all tasks with execution metrics side-by-side.
+        /// Checks <paramref name="cancellationToken"/> between tasks since every task loads its plan.
         /// </summary>
-        public async Task<object> GetComparisonAsync(JsonElement? data)
+        public async Task<object> GetComparisonAsync(JsonElement? data, CancellationToken cancellationToken = default)
         {
             string? projectId = null;
             if (data.HasValue && data.Value.TryGetProperty("projectId", out var pid))
@@ -179,6 +187,7 @@ namespace DraCode.KoboldLair.Server.Services.CommandHandlers
                 {
                     foreach (var task in drake.GetAllTasks())
                     {
+                        cancellationToken.ThrowIfCancellationRequested();
                         var planMetrics = await LoadPlanMetricsAsync(task, project.Id);
                         tasks.Add(BuildTaskComparison(task, planMetrics));
                     }
@@ -187,12 +196,12 @@ namespace DraCode.KoboldLair.Server.Services.CommandHandlers
                 // Fall back to file if no Drakes
                 if (drakes.Count == 0)
                 {
-                    tasks.AddRange(await LoadTasksFromFilesAsync(project));
+                    tasks.AddRange(await LoadTasksFromFilesAsync(project, cancellationToken));
                 }
             }
             else
             {
-                tasks.AddRange(await LoadTasksFromFilesAsync(project));
+                tasks.AddRange(await LoadTasksFromFilesAsync(project, cancellationToken));
             }
 
             // Group by status for summary
@@ -207,7 +216,313 @@ namespace DraCode.KoboldLair.Server.Services.CommandHandlers
             };
         }
 
-        private async Task<List<object>> LoadTasksFromFilesAsync(DraCode.KoboldLair.Models.Projects.Project project)
+        /// <summary>
+        /// A task's implementation plan with its steps, for the task board's "open plan" action.
+        /// plan is null when the task has no plan yet.
+        /// </summary>
+        public async Task<object> GetTaskPlanAsync(JsonElement? data)
+        {
+            string? projectId = null;
+            string? taskId = null;
+            if (data.HasValue && data.Value.TryGetProperty("projectId", out var pid))
+                projectId = pid.GetString();
+            if (data.HasValue && data.Value.TryGetProperty("taskId", out var tid))
+                taskId = tid.GetString();
+
+            if (string.IsNullOrEmpty(projectId) || string.IsNullOrEmpty(taskId))
+                throw new InvalidOperationException("projectId and taskId are required");
+
+            var project = _projectService.GetProject(projectId)
+                ?? throw new InvalidOperationException($"Project '{projectId}' not found");
+
+            var plan = _planService != null ? await _planService.LoadPlanAsync(project.Id, taskId) : null;
+            if (plan == null)
+                return new { projectId = project.Id, taskId, plan = (object?)null };
+
+            return new
+            {
+                projectId = project.Id,
+                taskId,
+                plan = new
+                {
+                    status = plan.Status.ToString(),
+                    taskDescription = plan.TaskDescription,
+                    featureName = plan.FeatureName,
+                    currentStepIndex = plan.CurrentStepIndex,
+                    progressPercentage = plan.ProgressPercentage,
+                    errorMessage = plan.ErrorMessage,
+                    createdAt = plan.CreatedAt,
+                    updatedAt = plan.UpdatedAt,
+                    escalationCount = plan.Escalations?.Count ?? 0,
+                    steps = plan.Steps.Select(step => new
+                    {
+                        index = step.Index,
+                        title = step.Title,
+                        description = step.Description,
+                        status = step.Status.ToString(),
+                        filesToCreate = step.FilesToCreate,
+                        filesToModify = step.FilesToModify,
+                        retryCount = step.RetryCount,
+                        lastErrorMessage = step.LastErrorMessage,
+                        startedAt = step.StartedAt,
+                        completedAt = step.CompletedAt,
+                        durationSeconds = step.DurationSeconds
+                    }).ToList(),
+                    recentLog = plan.ExecutionLog
+                        .TakeLast(20)
+                        .Select(entry => new { timestamp = entry.Timestamp, message = entry.Message })
+                        .ToList()
+                }
+            };
+        }
+
+        /// <summary>
+        /// Task dependency graph of a project: one node per task and an edge from each dependency to
+        /// its dependent task. Dependencies are Wyvern task keys ("frontend-1"), matched against the
+        /// "[key]" prefix of task descriptions across all areas, as the Drake does.
+        /// </summary>
+        public Task<object> GetTaskGraphAsync(JsonElement? data)
+        {
+            string? projectId = null;
+            if (data.HasValue && data.Value.TryGetProperty("projectId", out var pid))
+                projectId = pid.GetString();
+
+            if (string.IsNullOrEmpty(projectId))
+                throw new InvalidOperationException("projectId is required");
+
+            var project = _projectService.GetProject(projectId)
+                ?? throw new InvalidOperationException($"Project '{projectId}' not found");
+
+            var tasks = GetProjectTasks(project);
+            var (edges, unresolved) = BuildDependencyEdges(tasks.Select(t => t.Task).ToList());
+
+            return Task.FromResult<object>(new
+            {
+                projectId = project.Id,
+                projectName = project.Name,
+                nodes = tasks.Select(t => new
+                {
+                    id = t.Task.Id,
+                    key = GetTaskKey(t.Task.Task),
+                    description = t.Task.Task,
+                    status = t.Task.Status.ToString(),
+                    priority = t.Task.Priority.ToString(),
+                    agentType = t.Task.AssignedAgent,
+                    provider = t.Task.Provider,
+                    area = t.Area,
+                    featureId = t.Task.FeatureId,
+                    retryCount = t.Task.RetryCount,
+                    errorMessage = t.Task.ErrorMessage
+                }).ToList(),
+                edges,
+                unresolved
+            });
+        }
+
+        /// <summary>
+        /// Edges from each dependency to its dependent task. A dependency that matches no other task
+        /// (missing key, or only the task itself) is reported as unresolved instead.
+        /// </summary>
+        internal static (List<object> Edges, List<object> Unresolved) BuildDependencyEdges(List<TaskRecord> tasks)
+        {
+            var idsByKey = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+            foreach (var task in tasks)
+            {
+                var key = GetTaskKey(task.Task);
+                if (key != null) idsByKey.TryAdd(key, task.Id);
+            }
+
+            var edges = new List<object>();
+            var unresolved = new List<object>();
+            foreach (var task in tasks)
+            {
+                foreach (var dependency in GetDependencies(task))
+                {
+                    var dependencyId = idsByKey.GetValueOrDefault(dependency)
+                        ?? tasks.FirstOrDefault(t => t.Task.Contains($"[{dependency}]", StringComparison.OrdinalIgnoreCase))?.Id;
+
+                    if (dependencyId != null && dependencyId != task.Id)
+                        edges.Add(new { from = dependencyId, to = task.Id });
+                    else
+                        unresolved.Add(new { taskId = task.Id, dependency });
+                }
+            }
+            return (edges, unresolved);
+        }
+
+        /// <summary>
+        /// Execution timeline of a project: per task its Kobold runs, plan step intervals, and retries
+        /// and escalations as markers, with the project's Kobold limit to measure utilization against.
+        /// Tasks without a plan never ran and are only counted.
+        /// </summary>
+        public async Task<object> GetTaskTimelineAsync(JsonElement? data, CancellationToken cancellationToken = default)
+        {
+            string? projectId = null;
+            if (data.HasValue && data.Value.TryGetProperty("projectId", out var pid))
+                projectId = pid.GetString();
+
+            if (string.IsNullOrEmpty(projectId))
+                throw new InvalidOperationException("projectId is required");
+
+            var project = _projectService.GetProject(projectId)
+                ?? throw new InvalidOperationException($"Project '{projectId}' not found");
+
+            // Polled every few seconds per subscriber - served from the plan cache, not read from disk
+            var plans = new Dictionary<string, KoboldImplementationPlan>();
+            if (_planService != null)
+            {
+                try
+                {
+                    plans = (await _planService.GetCachedPlansForProjectAsync(project.Id)).ToDictionary(p => p.TaskId);
+                }
+                catch (InvalidOperationException)
+                {
+                    // Project without an output folder has no plans yet
+                }
+            }
+
+            var entries = new List<object>();
+            var notStarted = 0;
+            foreach (var (task, area) in GetProjectTasks(project))
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+
+                if (plans.TryGetValue(task.Id, out var plan))
+                    entries.Add(BuildTimelineEntry(task, area, plan));
+                else
+                    notStarted++;
+            }
+
+            return new
+            {
+                projectId = project.Id,
+                projectName = project.Name,
+                maxParallelKobolds = project.Agents.Kobold.MaxParallel,
+                notStarted,
+                tasks = entries
+            };
+        }
+
+        /// <summary>
+        /// Tasks of a project with their area, from its Drakes (in-memory) or the task files
+        /// </summary>
+        private List<(TaskRecord Task, string Area)> GetProjectTasks(DraCode.KoboldLair.Models.Projects.Project project)
+        {
+            var tasks = new List<(TaskRecord Task, string Area)>();
+            var drakeCount = 0;
+            if (_drakeFactory != null)
+            {
+                foreach (var (drake, drakeName) in _drakeFactory.GetDrakesForProject(project.Id))
+                {
+                    // Drake names are "{project}:{area}"
+                    var area = drakeName[(drakeName.IndexOf(':') + 1)..];
+                    tasks.AddRange(drake.GetAllTasks().Select(task => (task, area)));
+                    drakeCount++;
+                }
+            }
+            if (drakeCount == 0)
+            {
+                foreach (var (area, filePath) in project.Paths.TaskFiles)
+                {
+                    var tracker = new TaskTracker();
+                    tracker.LoadFromFile(filePath);
+                    tasks.AddRange(tracker.GetAllTasks().Select(task => (task, area)));
+                }
+            }
+            return tasks;
+        }
+
+        /// <summary>
+        /// Every Kobold run logs "Kobold {id} started working" to the plan; a run ends with the last
+        /// plan activity (log entry, step start or end) before the next run starts.
+        /// </summary>
+        internal static object BuildTimelineEntry(TaskRecord task, string area, KoboldImplementationPlan plan)
+        {
+            var starts = new List<(string? KoboldId, DateTime StartedAt)>();
+            foreach (var entry in plan.ExecutionLog)
+            {
+                var match = KoboldStartedPattern.Match(entry.Message);
+                if (match.Success)
+                    starts.Add((match.Groups[1].Value, entry.Timestamp));
+            }
+            // Plans without run entries: one run over the plan's lifetime
+            if (starts.Count == 0)
+                starts.Add((null, plan.CreatedAt));
+
+            var activity = plan.ExecutionLog.Select(entry => entry.Timestamp)
+                .Concat(plan.Steps.Where(step => step.StartedAt.HasValue).Select(step => step.StartedAt!.Value))
+                .Concat(plan.Steps.Where(step => step.CompletedAt.HasValue).Select(step => step.CompletedAt!.Value))
+                .Append(plan.UpdatedAt)
+                .ToList();
+
+            var runs = starts.Select((start, i) =>
+            {
+                var nextStart = i + 1 < starts.Count ? starts[i + 1].StartedAt : DateTime.MaxValue;
+                // The last run of a working task is still going
+                DateTime? endedAt = i + 1 == starts.Count && task.Status == TaskStatus.Working
+                    ? null
+                    : activity.Where(t => t >= start.StartedAt && t < nextStart).DefaultIfEmpty(start.StartedAt).Max();
+                return new { koboldId = start.KoboldId, startedAt = start.StartedAt, endedAt };
+            }).ToList();
+
+            var markers = starts.Skip(1)
+                .Select((start, i) => new { type = "retry", at = start.StartedAt, label = $"Retry {i + 1}" })
+                .Concat(plan.ExecutionLog
+                    .Where(entry => entry.Message.Contains("scheduled for retry"))
+                    .Select(entry => new { type = "retry", at = entry.Timestamp, label = entry.Message }))
+                .Concat(plan.Escalations
+                    .Select(escalation => new { type = "escalation", at = escalation.CreatedAt, label = $"{escalation.Type}: {escalation.Summary}" }))
+                .OrderBy(marker => marker.at)
+                .ToList();
+
+            return new
+            {
+                id = task.Id,
+                key = GetTaskKey(task.Task),
+                description = task.Task,
+                status = task.Status.ToString(),
+                area,
+                agentType = task.AssignedAgent,
+                retryCount = task.RetryCount,
+                runs,
+                steps = plan.Steps
+                    .Where(step => step.StartedAt.HasValue)
+                    .Select(step => new
+                    {
+                        index = step.Index,
+                        title = step.Title,
+                        status = step.Status.ToString(),
+                        startedAt = step.StartedAt,
+                        completedAt = step.CompletedAt
+                    }).ToList(),
+                markers
+            };
+        }
+
+        /// <summary>
+        /// Wyvern task key from the "[key] description" task text, or null
+        /// </summary>
+        internal static string? GetTaskKey(string taskText)
+        {
+            var match = System.Text.RegularExpressions.Regex.Match(taskText, @"^\s*\[([^\]]+)\]");
+            return match.Success ? match.Groups[1].Value.Trim() : null;
+        }
+
+        /// <summary>
+        /// Structured dependencies, falling back to "(depends on: a, b)" in the description like the Drake
+        /// </summary>
+        internal static List<string> GetDependencies(TaskRecord task)
+        {
+            if (task.Dependencies.Count > 0)
+                return task.Dependencies;
+
+            var match = System.Text.RegularExpressions.Regex.Match(task.Task, @"\(depends on:\s*([^)]+)\)");
+            return match.Success
+                ? match.Groups[1].Value.Split(',').Select(d => d.Trim()).Where(d => d.Length > 0).ToList()
+                : new List<string>();
+        }
+
+        private async Task<List<object>> LoadTasksFromFilesAsync(DraCode.KoboldLair.Models.Projects.Project project, CancellationToken cancellationToken)
         {
             var result = new List<object>();
             foreach (var (area, filePath) in project.Paths.TaskFiles)
@@ -216,6 +531,7 @@ namespace DraCode.KoboldLair.Server.Services.CommandHandlers
                 tracker.LoadFromFile(filePath);
                 foreach (var task in tracker.GetAllTasks())
                 {
+                    cancellationToken.ThrowIfCancellationRequested();
                     var planMetrics = await LoadPlanMetricsAsync(task, project.Id);
                     result.Add(BuildTaskComparison(task, planMetrics));
                 }
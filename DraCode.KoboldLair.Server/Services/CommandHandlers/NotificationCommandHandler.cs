@@ -0,0 +1,148 @@
+using DraCode.KoboldLair.Services;
+using System.Text.Json;
+
+namespace DraCode.KoboldLair.Server.Services.CommandHandlers
+{
+    /// <summary>
+    /// Handles WebSocket commands for the notification center: project notifications (escalations,
+    /// feature branches ready, project completion, task failures) from all projects, with read state.
+    /// </summary>
+    public class NotificationCommandHandler
+    {
+        private const int DefaultLimit = 100;
+        private const int MaxLimit = 500;
+        private const int DefaultRecentLimit = 50;
+        private const int MaxRecentLimit = 100;
+
+        private readonly ProjectService _projectService;
+        private readonly ProjectNotificationService? _notificationService;
+
+        public NotificationCommandHandler(ProjectService projectService, ProjectNotificationService? notificationService = null)
+        {
+            _projectService = projectService;
+            _notificationService = notificationService;
+        }
+
+        /// <summary>
+        /// Latest notifications since server start, newest first. Optional: limit.
+        /// </summary>
+        public Task<object> GetRecentNotificationsAsync(JsonElement? data)
+        {
+            var limit = data != null && data.Value.TryGetProperty("limit", out var limitElement) && limitElement.TryGetInt32(out var value)
+                ? Math.Clamp(value, 1, MaxRecentLimit)
+                : DefaultRecentLimit;
+
+            var notifications = _notificationService?.GetRecentNotifications(limit) ?? new List<ProjectNotification>();
+            var projectIds = _projectService.GetAllProjects()
+                .GroupBy(p => p.Name, StringComparer.OrdinalIgnoreCase)
+                .ToDictionary(g => g.Key, g => g.First().Id, StringComparer.OrdinalIgnoreCase);
+
+            return Task.FromResult<object>(new
+            {
+                notifications = notifications.Select(n => new
+                {
+                    id = n.Id,
+                    projectName = n.ProjectName,
+                    projectId = projectIds.GetValueOrDefault(n.ProjectName),
+                    type = n.Type,
+                    message = n.Message,
+                    metadata = n.Metadata,
+                    createdAt = n.CreatedAt
+                }).ToList()
+            });
+        }
+
+        /// <summary>
+        /// Notification history, newest first. Optional: projectName, limit.
+        /// unreadCount covers all notifications of the selected projects, not just the returned page.
+        /// </summary>
+        public Task<object> GetNotificationsAsync(JsonElement? data)
+        {
+            var projectName = OptionalString(data, "projectName");
+            var limit = data != null && data.Value.TryGetProperty("limit", out var limitElement) && limitElement.TryGetInt32(out var value)
+                ? Math.Clamp(value, 1, MaxLimit)
+                : DefaultLimit;
+
+            var projects = _projectService.GetAllProjects()
+                .Where(p => string.IsNullOrEmpty(projectName) || string.Equals(p.Name, projectName, StringComparison.OrdinalIgnoreCase))
+                .GroupBy(p => p.Name, StringComparer.OrdinalIgnoreCase)
+                .ToDictionary(g => g.Key, g => g.First().Id, StringComparer.OrdinalIgnoreCase);
+
+            if (_notificationService == null)
+                return Task.FromResult<object>(new { notifications = Array.Empty<object>(), unreadCount = 0 });
+
+            var notifications = _notificationService.GetHistory(projects.Keys, limit);
+            var unreadCount = projects.Keys.Sum(name => _notificationService.GetPendingNotifications(name).Count);
+
+            return Task.FromResult<object>(new
+            {
+                notifications = notifications.Select(n => new
+                {
+                    id = n.Id,
+                    projectName = n.ProjectName,
+                    projectId = projects.GetValueOrDefault(n.ProjectName),
+                    type = n.Type,
+                    message = n.Message,
+                    metadata = n.Metadata,
+                    createdAt = n.CreatedAt,
+                    read = n.Read,
+                    readAt = n.ReadAt
+                }).ToList(),
+                unreadCount
+            });
+        }
+
+        /// <summary>
+        /// Changes read state. action: read | unread (items: [{ projectName, id }]) or read_all (optional projectName).
+        /// </summary>
+        public Task<object> UpdateNotificationsAsync(JsonElement? data)
+        {
+            if (_notificationService == null)
+                throw new InvalidOperationException("Notifications are not available");
+
+            var action = OptionalString(data, "action")?.ToLowerInvariant()
+                ?? throw new InvalidOperationException("action is required");
+
+            if (action == "read_all")
+            {
+                var projectName = OptionalString(data, "projectName");
+                var projectNames = string.IsNullOrEmpty(projectName)
+                    ? _projectService.GetAllProjects().Select(p => p.Name)
+                    : new[] { projectName };
+                foreach (var name in projectNames)
+                    _notificationService.MarkAsRead(name);
+
+                return Task.FromResult<object>(new { success = true });
+            }
+
+            if (action != "read" && action != "unread")
+                throw new InvalidOperationException($"Unknown notification action: {action}");
+
+            if (data == null || !data.Value.TryGetProperty("items", out var itemsElement) || itemsElement.ValueKind != JsonValueKind.Array)
+                throw new InvalidOperationException("items is required");
+
+            var byProject = itemsElement.EnumerateArray()
+                .Select(item => (Project: OptionalString(item, "projectName"), Id: OptionalString(item, "id")))
+                .Where(item => !string.IsNullOrEmpty(item.Project) && !string.IsNullOrEmpty(item.Id))
+                .GroupBy(item => item.Project!, item => item.Id!);
+
+            foreach (var group in byProject)
+            {
+                if (action == "read")
+                    _notificationService.MarkAsRead(group.Key, group);
+                else
+                    _notificationService.MarkAsUnread(group.Key, group);
+            }
+
+            return Task.FromResult<object>(new { success = true });
+        }
+
+        private static string? OptionalString(JsonElement? data, string name)
+        {
+            return data != null && data.Value.ValueKind == JsonValueKind.Object
+                && data.Value.TryGetProperty(name, out var element) && element.ValueKind == JsonValueKind.String
+                ? element.GetString()
+                : null;
+        }
+    }
+}
@@ -60,7 +60,7 @@ namespace DraCode.KoboldLair.Server.Services.CommandHandlers
             };
         }
 
-        public async Task<object> GetImplementationSummaryAsync(JsonElement? data)
+        public async Task<object> GetImplementationSummaryAsync(JsonElement? data, CancellationToken cancellationToken = default)
         {
             if (data == null) throw new ArgumentNullException(nameof(data));
 
@@ -83,7 +83,7 @@ namespace DraCode.KoboldLair.Server.Services.CommandHandlers
 
             try
             {
-                var json = await File.ReadAllTextAsync(summaryPath);
+                var json = await File.ReadAllTextAsync(summaryPath, cancellationToken);
                 var summary = JsonSerializer.Deserialize<object>(json, new JsonSerializerOptions
                 {
                     PropertyNameCaseInsensitive = true,
@@ -92,6 +92,10 @@ namespace DraCode.KoboldLair.Server.Services.CommandHandlers
 
                 return new { exists = true, summary };
             }
+            catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+            {
+                throw;
+            }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Failed to read implementation summary from {Path}", summaryPath);
@@ -0,0 +1,234 @@
+using DraCode.KoboldLair.Agents.Tools;
+using DraCode.KoboldLair.Factories;
+using DraCode.KoboldLair.Models.Tasks;
+using DraCode.KoboldLair.Services;
+using System.Text.Json;
+using TaskStatus = DraCode.KoboldLair.Models.Tasks.TaskStatus;
+
+namespace DraCode.KoboldLair.Server.Services.CommandHandlers
+{
+    /// <summary>
+    /// Handles WebSocket commands that control project execution: pause/resume/suspend/cancel, failed task retry,
+    /// task priority and branch merges. Runs the same tools the Dragon council uses, so results match
+    /// what the Dragon would report, but without an LLM round trip (Dragon slash commands).
+    /// Task commands check the task first and throw, because the tools report a missing task or a
+    /// wrong state as ❌/⚠️ text rather than "Error".
+    /// </summary>
+    public class ProjectControlCommandHandler
+    {
+        private readonly ProjectService _projectService;
+        private readonly DrakeFactory _drakeFactory;
+        private readonly GitService? _gitService;
+
+        public ProjectControlCommandHandler(
+            ProjectService projectService,
+            DrakeFactory drakeFactory,
+            GitService? gitService = null)
+        {
+            _projectService = projectService;
+            _drakeFactory = drakeFactory;
+            _gitService = gitService;
+        }
+
+        public async Task<object> PauseProjectAsync(JsonElement? data)
+        {
+            var input = new Dictionary<string, object> { ["project_name"] = RequireString(data, "project") };
+            var reason = OptionalString(data, "reason");
+            if (!string.IsNullOrEmpty(reason)) input["reason"] = reason;
+
+            return ToResult(await new PauseProjectTool(_projectService.SetExecutionState).ExecuteAsync("", input));
+        }
+
+        public async Task<object> ResumeProjectAsync(JsonElement? data)
+        {
+            var input = new Dictionary<string, object> { ["project_name"] = RequireString(data, "project") };
+            return ToResult(await new ResumeProjectTool(_projectService.SetExecutionState).ExecuteAsync("", input));
+        }
+
+        public async Task<object> SuspendProjectAsync(JsonElement? data)
+        {
+            var input = new Dictionary<string, object> { ["project_name"] = RequireString(data, "project") };
+            var reason = OptionalString(data, "reason");
+            if (!string.IsNullOrEmpty(reason)) input["reason"] = reason;
+
+            return ToResult(await new SuspendProjectTool(_projectService.SetExecutionState).ExecuteAsync("", input));
+        }
+
+        /// <summary>
+        /// Cancels a project permanently. The client confirms with the user before sending the command.
+        /// </summary>
+        public async Task<object> CancelProjectAsync(JsonElement? data)
+        {
+            var input = new Dictionary<string, object>
+            {
+                ["project_name"] = RequireString(data, "project"),
+                ["confirmation"] = "confirmed"
+            };
+            return ToResult(await new CancelProjectTool(_projectService.SetExecutionState).ExecuteAsync("", input));
+        }
+
+        /// <summary>
+        /// Retries one failed task (taskId), all failed tasks of a project (projectId), or lists failed tasks (neither).
+        /// </summary>
+        public async Task<object> RetryFailedTaskAsync(JsonElement? data)
+        {
+            var taskId = OptionalString(data, "taskId");
+            var projectId = OptionalString(data, "projectId");
+
+            var input = new Dictionary<string, object>();
+            if (!string.IsNullOrEmpty(taskId))
+            {
+                EnsureCanRetry(FindTask(taskId), taskId);
+                input["action"] = "retry";
+                input["task_id"] = taskId;
+            }
+            else if (!string.IsNullOrEmpty(projectId))
+            {
+                var project = _projectService.GetProject(projectId) ?? _projectService.FindProjectByName(projectId)
+                    ?? throw new InvalidOperationException($"Project not found: {projectId}");
+                input["action"] = "retry_all";
+                input["project_id"] = project.Id;
+            }
+            else
+            {
+                input["action"] = "list";
+            }
+
+            return ToResult(await new RetryFailedTaskTool(_drakeFactory, _projectService).ExecuteAsync("", input));
+        }
+
+        public async Task<object> SetTaskPriorityAsync(JsonElement? data)
+        {
+            var taskId = RequireString(data, "taskId");
+            EnsureCanSetPriority(FindTask(taskId), taskId);
+
+            var input = new Dictionary<string, object>
+            {
+                ["task_id"] = taskId,
+                ["priority"] = RequireString(data, "priority")
+            };
+            return ToResult(await new SetTaskPriorityTool(_drakeFactory, _projectService).ExecuteAsync("", input));
+        }
+
+        /// <summary>
+        /// Merges a branch into main. Without a project, the project is found by its unmerged branches.
+        /// </summary>
+        public async Task<object> GitMergeAsync(JsonElement? data)
+        {
+            if (_gitService == null)
+                throw new InvalidOperationException("Git integration is not available");
+
+            var branchName = RequireString(data, "branchName");
+            var projectName = OptionalString(data, "project");
+
+            if (string.IsNullOrEmpty(projectName))
+            {
+                var candidates = new List<string>();
+                foreach (var project in _projectService.GetAllProjects())
+                {
+                    var folder = GetProjectFolder(project.Name);
+                    if (folder == null || !await _gitService.IsRepositoryAsync(folder)) continue;
+
+                    var branches = await _gitService.GetUnmergedBranchesAsync(folder);
+                    if (branches.Any(b => b.Name == branchName)) candidates.Add(project.Name);
+                }
+
+                projectName = candidates.Count switch
+                {
+                    0 => throw new InvalidOperationException($"No project has an unmerged branch '{branchName}'"),
+                    1 => candidates[0],
+                    _ => throw new InvalidOperationException(
+                        $"Branch '{branchName}' exists in several projects ({string.Join(", ", candidates)}) - specify the project")
+                };
+            }
+
+            var input = new Dictionary<string, object>
+            {
+                ["action"] = "merge",
+                ["project_name"] = projectName,
+                ["branch_name"] = branchName
+            };
+            var result = await new GitMergeTool(_gitService, GetProjectFolder).ExecuteAsync("", input);
+
+            return new
+            {
+                success = result.Contains("**Merge successful!**"),
+                message = result,
+                project = projectName
+            };
+        }
+
+        /// <summary>
+        /// Looks the folder up only - merging must never create a project folder or a repository
+        /// </summary>
+        private string? GetProjectFolder(string projectName) => _projectService.GetProjectFolder(projectName);
+
+        /// <summary>
+        /// Finds a task in any project: in its Drakes, or in its task files when no Drake is loaded (as the tools do)
+        /// </summary>
+        private TaskRecord? FindTask(string taskId)
+        {
+            foreach (var project in _projectService.GetAllProjects())
+            {
+                var drakes = _drakeFactory.GetDrakesForProject(project.Id);
+                foreach (var (drake, _) in drakes)
+                {
+                    var task = drake.GetAllTasks().FirstOrDefault(t => t.Id == taskId);
+                    if (task != null) return task;
+                }
+
+                if (drakes.Count > 0) continue;
+                foreach (var (_, filePath) in project.Paths.TaskFiles)
+                {
+                    var tracker = new TaskTracker();
+                    tracker.LoadFromFile(filePath);
+                    var task = tracker.GetTaskById(taskId);
+                    if (task != null) return task;
+                }
+            }
+            return null;
+        }
+
+        internal static void EnsureCanRetry(TaskRecord? task, string taskId)
+        {
+            if (task == null)
+                throw new InvalidOperationException($"Task not found: {taskId}");
+            if (task.Status != TaskStatus.Failed)
+                throw new InvalidOperationException($"Task {ShortId(taskId)} is not in Failed status (current: {task.Status})");
+        }
+
+        internal static void EnsureCanSetPriority(TaskRecord? task, string taskId)
+        {
+            if (task == null)
+                throw new InvalidOperationException($"Task not found: {taskId}");
+            if (task.Status == TaskStatus.Done)
+                throw new InvalidOperationException($"Task {ShortId(taskId)} is already completed. Cannot change priority.");
+        }
+
+        private static string ShortId(string taskId) => taskId[..Math.Min(8, taskId.Length)];
+
+        /// <summary>
+        /// Tools report failures as text starting with "Error"
+        /// </summary>
+        private static object ToResult(string result) => new
+        {
+            success = !result.StartsWith("Error", StringComparison.OrdinalIgnoreCase),
+            message = result
+        };
+
+        private static string RequireString(JsonElement? data, string name)
+        {
+            var value = OptionalString(data, name);
+            if (string.IsNullOrWhiteSpace(value))
+                throw new InvalidOperationException($"{name} is required");
+            return value;
+        }
+
+        private static string? OptionalString(JsonElement? data, string name)
+        {
+            return data != null && data.Value.TryGetProperty(name, out var element) && element.ValueKind == JsonValueKind.String
+                ? element.GetString()
+                : null;
+        }
+    }
+}
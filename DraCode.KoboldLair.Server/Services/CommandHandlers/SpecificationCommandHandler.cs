@@ -0,0 +1,149 @@
+using DraCode.KoboldLair.Agents.Tools;
+using DraCode.KoboldLair.Models.Projects;
+using DraCode.KoboldLair.Services;
+using DraCode.KoboldLair.Services.EventSourcing;
+using System.Text.Json;
+
+namespace DraCode.KoboldLair.Server.Services.CommandHandlers
+{
+    /// <summary>
+    /// Handles WebSocket commands for reviewing a project specification outside the Dragon chat:
+    /// reading the current specification, its version history and approving it.
+    /// History and approval run the same tools the Sage uses (view_specification_history, approve_specification).
+    /// </summary>
+    public class SpecificationCommandHandler
+    {
+        private const string ApprovalCommentKey = "ApprovalComment";
+        private const string ApprovedAtKey = "ApprovedAt";
+
+        private readonly ProjectService _projectService;
+        private readonly SpecificationEventService? _eventService;
+
+        public SpecificationCommandHandler(ProjectService projectService, SpecificationEventService? eventService = null)
+        {
+            _projectService = projectService;
+            _eventService = eventService;
+        }
+
+        public async Task<object> GetSpecificationAsync(JsonElement? data)
+        {
+            var (project, spec) = await LoadSpecificationAsync(RequireString(data, "project"));
+            var file = new FileInfo(spec.FilePath);
+
+            return new
+            {
+                projectId = project?.Id,
+                projectName = project?.Name ?? spec.Name,
+                status = project?.Status.ToString(),
+                canApprove = project?.Status == ProjectStatus.Prototype,
+                path = spec.FilePath,
+                content = spec.Content,
+                version = spec.Version,
+                contentHash = spec.ContentHash,
+                features = spec.Features.Count,
+                updatedAt = file.LastWriteTimeUtc,
+                approvalComment = project?.Metadata.GetValueOrDefault(ApprovalCommentKey),
+                approvedAt = project?.Metadata.GetValueOrDefault(ApprovedAtKey)
+            };
+        }
+
+        public async Task<object> GetSpecificationHistoryAsync(JsonElement? data)
+        {
+            var (_, spec) = await LoadSpecificationAsync(RequireString(data, "project"));
+            var specifications = new Dictionary<string, Specification> { [spec.Name] = spec };
+
+            var input = new Dictionary<string, object> { ["name"] = spec.Name };
+            return ToResult(await new SpecificationHistoryTool(specifications, _eventService).ExecuteAsync("", input));
+        }
+
+        /// <summary>
+        /// Approves the specification (Prototype -> New). The optional comment is kept in the project metadata.
+        /// </summary>
+        public async Task<object> ApproveSpecificationAsync(JsonElement? data)
+        {
+            var name = RequireString(data, "project");
+            var project = FindProject(name)
+                ?? throw new InvalidOperationException($"Project not found: {name}");
+
+            var input = new Dictionary<string, object>
+            {
+                ["project_name"] = project.Id,
+                ["confirmation"] = "approved"
+            };
+            var result = await new ProjectApprovalTool(id => _projectService.ApproveProject(id)).ExecuteAsync("", input);
+
+            var comment = OptionalString(data, "comment")?.Trim();
+            if (!result.StartsWith("Error", StringComparison.OrdinalIgnoreCase))
+            {
+                // Re-read: approval updated the stored project
+                project = _projectService.GetProject(project.Id) ?? project;
+                project.Metadata[ApprovedAtKey] = DateTime.UtcNow.ToString("o");
+                if (!string.IsNullOrEmpty(comment)) project.Metadata[ApprovalCommentKey] = comment;
+                _projectService.UpdateProject(project);
+            }
+
+            return ToResult(result);
+        }
+
+        private Project? FindProject(string name)
+        {
+            return _projectService.GetProject(name) ?? _projectService.FindProjectByName(name);
+        }
+
+        /// <summary>
+        /// Reads specification.md of a project. Falls back to the project folder by name, because
+        /// specification_created is sent before the project is registered. Never creates a folder.
+        /// </summary>
+        private async Task<(Project? Project, Specification Spec)> LoadSpecificationAsync(string name)
+        {
+            var project = FindProject(name);
+            var folder = _projectService.GetProjectFolder(project?.Name ?? name);
+            if (folder == null)
+                throw new InvalidOperationException($"Specification not found for project: {name}");
+
+            var path = Path.Combine(folder, "specification.md");
+            if (!File.Exists(path))
+                throw new InvalidOperationException($"Specification not found for project: {name}");
+
+            var spec = new Specification
+            {
+                Name = project?.Name ?? name,
+                FilePath = path,
+                ProjectFolder = folder,
+                ProjectId = project?.Id ?? "",
+                Content = await File.ReadAllTextAsync(path)
+            };
+
+            // Version and hash are persisted next to the features
+            await FeatureManagementTool.LoadFeaturesAsync(spec, folder);
+            if (string.IsNullOrEmpty(spec.ContentHash))
+                spec.ContentHash = Specification.ComputeHash(spec.Content);
+
+            return (project, spec);
+        }
+
+        /// <summary>
+        /// Tools report failures as text starting with "Error"
+        /// </summary>
+        private static object ToResult(string result) => new
+        {
+            success = !result.StartsWith("Error", StringComparison.OrdinalIgnoreCase),
+            message = result
+        };
+
+        private static string RequireString(JsonElement? data, string name)
+        {
+            var value = OptionalString(data, name);
+            if (string.IsNullOrWhiteSpace(value))
+                throw new InvalidOperationException($"{name} is required");
+            return value;
+        }
+
+        private static string? OptionalString(JsonElement? data, string name)
+        {
+            return data != null && data.Value.TryGetProperty(name, out var element) && element.ValueKind == JsonValueKind.String
+                ? element.GetString()
+                : null;
+        }
+    }
+}
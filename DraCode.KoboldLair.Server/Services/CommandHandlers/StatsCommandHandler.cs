@@ -1,4 +1,5 @@
 using DraCode.KoboldLair.Factories;
+using DraCode.KoboldLair.Models.Configuration;
 using DraCode.KoboldLair.Models.Projects;
 using DraCode.KoboldLair.Services;
 using System.Text.Json;
@@ -100,9 +101,38 @@ namespace DraCode.KoboldLair.Server.Services.CommandHandlers
             };
         }
 
+        /// <summary>
+        /// Project list snapshot (get_projects and the projects topic): what the list views show,
+        /// including execution state and live agent counts, so the Projects page needs no
+        /// per-project subscription.
+        /// </summary>
         public Task<object> GetProjectsAsync()
         {
-            var projects = _projectService.GetAllProjects();
+            var projects = _projectService.GetAllProjects().Select(project =>
+            {
+                var drakes = _drakeFactory.GetDrakesForProject(project.Id);
+                return new
+                {
+                    id = project.Id,
+                    name = project.Name,
+                    status = project.Status.ToString(),
+                    executionState = project.ExecutionState.ToString(),
+                    verificationStatus = project.VerificationStatus.ToString(),
+                    errorMessage = project.Tracking.ErrorMessage,
+                    specificationPath = project.Paths.Specification,
+                    outputPath = project.Paths.Output,
+                    taskFiles = project.Paths.TaskFiles,
+                    createdAt = project.Timestamps.CreatedAt,
+                    analyzedAt = project.Timestamps.AnalyzedAt,
+                    maxParallelKobolds = project.Agents.Kobold.MaxParallel,
+                    agents = new
+                    {
+                        wyverns = _wyvernFactory.GetWyvern(project.Name) != null ? 1 : 0,
+                        drakes = drakes.Count,
+                        kobolds = drakes.Sum(d => d.Drake.GetStatistics().WorkingKobolds)
+                    }
+                };
+            }).ToList();
             return Task.FromResult<object>(projects);
         }
 
@@ -134,6 +164,75 @@ namespace DraCode.KoboldLair.Server.Services.CommandHandlers
             });
         }
 
+        /// <summary>
+        /// Everything the project detail page shows in one snapshot: state, paths, per-agent
+        /// configuration, live agent counts and task counts summed over the project's Drakes.
+        /// </summary>
+        public Task<object> GetProjectDetailAsync(JsonElement? data)
+        {
+            if (data == null) throw new ArgumentNullException(nameof(data));
+
+            var projectId = data.Value.GetProperty("projectId").GetString();
+            var project = _projectService.GetProject(projectId!)
+                ?? throw new InvalidOperationException($"Project not found: {projectId}");
+
+            var drakeStats = _drakeFactory.GetDrakesForProject(project.Id)
+                .Select(d => d.Drake.GetStatistics())
+                .ToList();
+            var wyvern = _wyvernFactory.GetWyvern(project.Name);
+
+            var agentConfigs = new Dictionary<string, AgentConfig>
+            {
+                ["wyrm"] = project.Agents.Wyrm,
+                ["wyvern"] = project.Agents.Wyvern,
+                ["drake"] = project.Agents.Drake,
+                ["koboldPlanner"] = project.Agents.KoboldPlanner,
+                ["kobold"] = project.Agents.Kobold
+            };
+
+            return Task.FromResult<object>(new
+            {
+                id = project.Id,
+                name = project.Name,
+                status = project.Status.ToString(),
+                executionState = project.ExecutionState.ToString(),
+                verificationStatus = project.VerificationStatus.ToString(),
+                errorMessage = project.Tracking.ErrorMessage,
+                specificationPath = project.Paths.Specification,
+                outputPath = project.Paths.Output,
+                taskFiles = project.Paths.TaskFiles,
+                createdAt = project.Timestamps.CreatedAt,
+                updatedAt = project.Timestamps.UpdatedAt,
+                analyzedAt = project.Timestamps.AnalyzedAt,
+                lastProcessedAt = project.Timestamps.LastProcessedAt,
+                maxParallelKobolds = project.Agents.Kobold.MaxParallel,
+                config = agentConfigs.Select(kvp => new
+                {
+                    agentType = kvp.Key,
+                    enabled = kvp.Value.Enabled,
+                    provider = kvp.Value.Provider,
+                    model = kvp.Value.Model,
+                    maxParallel = kvp.Value.MaxParallel,
+                    timeout = kvp.Value.Timeout
+                }).ToList(),
+                agents = new
+                {
+                    wyverns = wyvern != null ? 1 : 0,
+                    drakes = drakeStats.Count,
+                    kobolds = drakeStats.Sum(s => s.WorkingKobolds)
+                },
+                tasks = new
+                {
+                    total = drakeStats.Sum(s => s.TotalTasks),
+                    unassigned = drakeStats.Sum(s => s.UnassignedTasks),
+                    working = drakeStats.Sum(s => s.WorkingTasks),
+                    done = drakeStats.Sum(s => s.DoneTasks),
+                    failed = drakeStats.Sum(s => s.FailedTasks),
+                    blocked = drakeStats.Sum(s => s.BlockedTasks)
+                }
+            });
+        }
+
         public Task<object> GetStatsAsync()
         {
             var projectStats = _projectService.GetStatistics();
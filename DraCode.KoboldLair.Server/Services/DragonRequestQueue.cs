@@ -101,6 +101,16 @@ namespace DraCode.KoboldLair.Server.Services
             return false;
         }
 
+        /// <summary>
+        /// Whether a session has a request waiting or running. A cancelled request counts until it
+        /// has actually stopped.
+        /// </summary>
+        public bool IsSessionBusy(string sessionId)
+        {
+            return _cancellationTokens.ContainsKey(sessionId) ||
+                _activeRequests.Values.Any(r => r.SessionId == sessionId);
+        }
+
         /// <summary>
         /// Gets the current number of queued requests
         /// </summary>
@@ -153,6 +163,8 @@ namespace DraCode.KoboldLair.Server.Services
                 if (request.IsCancelled)
                 {
                     _logger.LogDebug("Skipping cancelled request: {RequestId}", request.RequestId);
+                    // Still end it, so the client knows nothing more is coming for it
+                    await SendStatusAsync(request, DragonStatusUpdate.STATUS_ERROR, "Request was cancelled");
                     continue;
                 }
 
@@ -219,8 +231,11 @@ namespace DraCode.KoboldLair.Server.Services
                 {
                     // Remove from active requests
                     _activeRequests.TryRemove(request.RequestId, out _);
-                    _cancellationTokens.TryRemove(request.SessionId, out var cts);
-                    cts?.Dispose();
+                    // Only this request's token - a newer request for the session may be queued already
+                    if (_cancellationTokens.TryRemove(new KeyValuePair<string, CancellationTokenSource>(request.SessionId, request.CancellationTokenSource)))
+                    {
+                        request.CancellationTokenSource.Dispose();
+                    }
                     _concurrencyLimiter.Release();
                 }
             }
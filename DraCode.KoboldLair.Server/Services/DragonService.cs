@@ -12,6 +12,7 @@ using DraCode.KoboldLair.Models.Configuration;
 using DraCode.KoboldLair.Models.Projects;
 using DraCode.KoboldLair.Data.Repositories;
 using DraCode.KoboldLair.Services;
+using DraCode.KoboldLair.Server.Models.WebSocket;
 
 namespace DraCode.KoboldLair.Server.Services
 {
@@ -51,6 +52,12 @@ namespace DraCode.KoboldLair.Server.Services
         /// </summary>
         public bool StreamingResponseSent { get; set; }
 
+        /// <summary>
+        /// ID of the latest chat request. Streamed chunks and thinking updates carry it so the
+        /// client can drop frames of a request it has stopped.
+        /// </summary>
+        public string? ActiveRequestId { get; set; }
+
         /// <summary>
         /// Tracks whether the welcome message has been sent to the client.
         /// Welcome is only sent after client sends client_ready to prevent race conditions.
@@ -316,7 +323,201 @@ namespace DraCode.KoboldLair.Server.Services
             }
         }
 
+        /// <summary>
+        /// Handles a single-session /dragon socket. The session is resumed from
+        /// <paramref name="existingSessionId"/> when possible.
+        /// </summary>
         public async Task HandleWebSocketAsync(WebSocket webSocket, string? existingSessionId = null)
+        {
+            var sender = new WebSocketSender(webSocket, _logger);
+            DragonSession? session = null;
+
+            try
+            {
+                session = await AttachSessionAsync(webSocket, sender, existingSessionId);
+
+                var buffer = new byte[1024 * 64]; // 64KB buffer for large messages
+                while (webSocket.State == WebSocketState.Open)
+                {
+                    var result = await webSocket.ReceiveAsync(new ArraySegment<byte>(buffer), CancellationToken.None);
+
+                    if (result.MessageType == WebSocketMessageType.Close)
+                    {
+                        await webSocket.CloseAsync(WebSocketCloseStatus.NormalClosure, "Closing", CancellationToken.None);
+                        break;
+                    }
+
+                    var messageText = Encoding.UTF8.GetString(buffer, 0, result.Count);
+                    session.LastActivity = DateTime.UtcNow;
+
+                    await HandleMessageAsync(webSocket, session, messageText);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in Dragon WebSocket session {SessionId}", session?.SessionId);
+            }
+            finally
+            {
+                if (session != null)
+                {
+                    DetachSession(session, webSocket, sender);
+                    _logger.LogInformation("Dragon WebSocket disconnected (session preserved): {SessionId}", session.SessionId);
+                }
+                sender.Dispose();
+            }
+        }
+
+        /// <summary>
+        /// Handles a multiplexed /dragon socket carrying any number of sessions (client tabs).
+        /// The client opens a logical channel per tab with <c>channel_open</c>; every later frame
+        /// carries its channel ID (older clients send only the session ID). Channels are keyed by
+        /// channel ID, so two tabs on the same session don't replace each other. One sender
+        /// serializes writes for all channels.
+        /// </summary>
+        public async Task HandleMultiplexedWebSocketAsync(WebSocket webSocket)
+        {
+            var sender = new WebSocketSender(webSocket, _logger);
+
+            // Channel ID -> session; only touched from the receive loop
+            var channels = new Dictionary<string, DragonSession>();
+            // Per-session message chains: keeps each session's messages in order without
+            // letting a slow session (e.g. welcome LLM call) block the others
+            var sessionTails = new Dictionary<string, Task>();
+
+            try
+            {
+                var buffer = new byte[1024 * 64]; // 64KB buffer for large messages
+                while (webSocket.State == WebSocketState.Open)
+                {
+                    var result = await webSocket.ReceiveAsync(new ArraySegment<byte>(buffer), CancellationToken.None);
+
+                    if (result.MessageType == WebSocketMessageType.Close)
+                    {
+                        await webSocket.CloseAsync(WebSocketCloseStatus.NormalClosure, "Closing", CancellationToken.None);
+                        break;
+                    }
+
+                    var messageText = Encoding.UTF8.GetString(buffer, 0, result.Count);
+
+                    DragonMessage? message;
+                    try
+                    {
+                        message = JsonSerializer.Deserialize<DragonMessage>(messageText, s_readOptions);
+                    }
+                    catch (JsonException)
+                    {
+                        message = null;
+                    }
+                    if (message == null) continue;
+
+                    var messageType = message.Type ?? message.Action;
+
+                    // Transport heartbeat keeps every session on this socket alive
+                    if (messageType?.Equals("ping", StringComparison.OrdinalIgnoreCase) == true)
+                    {
+                        foreach (var attached in channels.Values)
+                        {
+                            attached.LastActivity = DateTime.UtcNow;
+                        }
+                        await SendMessageAsync(webSocket, new { type = "pong" }, sender);
+                        continue;
+                    }
+
+                    if (messageType == "channel_open")
+                    {
+                        var session = await AttachSessionAsync(webSocket, sender, message.SessionId, message.Channel ?? "");
+                        channels[string.IsNullOrEmpty(message.Channel) ? session.SessionId : message.Channel] = session;
+                        continue;
+                    }
+
+                    var sessionId = message.SessionId;
+                    var channelId = FindChannel(channels, message.Channel, sessionId);
+                    if (channelId == null || !channels.TryGetValue(channelId, out var target))
+                    {
+                        // Transport-level client_ready carries no session - only the handshake applies
+                        if (messageType == "client_ready" && string.IsNullOrEmpty(sessionId) && string.IsNullOrEmpty(message.Channel))
+                        {
+                            await SendMessageAsync(webSocket, ProtocolInfo.CreateHello(ProtocolInfo.DragonCapabilities, message.ProtocolVersion), sender);
+                            continue;
+                        }
+
+                        await SendMessageAsync(webSocket, new
+                        {
+                            type = "error",
+                            errorType = "unknown_channel",
+                            channel = message.Channel,
+                            sessionId,
+                            message = "Session is not open on this connection. Open a channel first.",
+                            timestamp = DateTime.UtcNow
+                        }, sender);
+                        continue;
+                    }
+
+                    if (messageType == "channel_close")
+                    {
+                        channels.Remove(channelId);
+                        // Another tab may still have the same session open on this socket
+                        if (!channels.Values.Contains(target))
+                        {
+                            sessionTails.Remove(target.SessionId);
+                            DetachSession(target, webSocket, sender);
+                        }
+                        continue;
+                    }
+
+                    target.LastActivity = DateTime.UtcNow;
+                    var tail = sessionTails.GetValueOrDefault(target.SessionId) ?? Task.CompletedTask;
+                    sessionTails[target.SessionId] = RunAfterAsync(tail, () => HandleMessageAsync(webSocket, target, messageText));
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error in multiplexed Dragon WebSocket ({Count} sessions)", channels.Count);
+            }
+            finally
+            {
+                foreach (var session in channels.Values.Distinct())
+                {
+                    DetachSession(session, webSocket, sender);
+                }
+                _logger.LogInformation("Multiplexed Dragon WebSocket disconnected ({Count} sessions preserved)", channels.Count);
+                sender.Dispose();
+            }
+        }
+
+        /// <summary>
+        /// Resolves the channel a frame belongs to: by channel ID, or for clients that don't send one,
+        /// the first channel attached to <paramref name="sessionId"/>.
+        /// </summary>
+        private static string? FindChannel(Dictionary<string, DragonSession> channels, string? channel, string? sessionId)
+        {
+            if (!string.IsNullOrEmpty(channel))
+                return channels.ContainsKey(channel) ? channel : null;
+            if (string.IsNullOrEmpty(sessionId))
+                return null;
+            return channels.FirstOrDefault(c => c.Value.SessionId == sessionId).Key;
+        }
+
+        private static async Task RunAfterAsync(Task previous, Func<Task> next)
+        {
+            try
+            {
+                await previous;
+            }
+            catch
+            {
+                // HandleMessageAsync reports its own errors - don't break the chain
+            }
+            await next();
+        }
+
+        /// <summary>
+        /// Binds a session to a connection: resumes <paramref name="existingSessionId"/> if it is still
+        /// alive, otherwise starts a new session. On a multiplexed socket <paramref name="channel"/> is
+        /// echoed back in <c>channel_opened</c> so the client can map its tab to the session ID.
+        /// </summary>
+        private async Task<DragonSession> AttachSessionAsync(WebSocket webSocket, WebSocketSender sender, string? existingSessionId, string? channel = null)
         {
             DragonSession? session = null;
             var isResuming = false;
@@ -330,7 +531,6 @@ namespace DraCode.KoboldLair.Server.Services
                     {
                         isResuming = true;
                         session.LastActivity = DateTime.UtcNow;
-                        _sessionWebSockets[existingSessionId] = webSocket;
                         _logger.LogInformation("Dragon session resumed: {SessionId}", existingSessionId);
                     }
                     else
@@ -352,151 +552,161 @@ namespace DraCode.KoboldLair.Server.Services
                 session = new DragonSession
                 {
                     SessionId = sessionId,
-                    Sender = new WebSocketSender(webSocket, _logger)
+                    Sender = sender
                 };
                 _sessions[sessionId] = session;
-                _sessionWebSockets[sessionId] = webSocket;
                 _logger.LogInformation("Dragon session started: {SessionId}", sessionId);
             }
-            else if (session.Sender == null || isResuming)
+            else
             {
-                // Create new sender for resumed session
-                session.Sender = new WebSocketSender(webSocket, _logger);
+                // Resumed session now sends through this connection
+                session.Sender = sender;
             }
 
             var currentSessionId = session.SessionId;
+            _sessionWebSockets[currentSessionId] = webSocket;
 
-            if (!isResuming && !string.IsNullOrEmpty(existingSessionId) && sessionNotFoundReason != null)
+            if (!isResuming && sessionNotFoundReason != null)
             {
                 await SendMessageAsync(webSocket, new
                 {
                     type = "session_not_found",
+                    channel,
                     requestedSessionId = existingSessionId,
                     newSessionId = currentSessionId,
                     reason = sessionNotFoundReason,
                     timestamp = DateTime.UtcNow
-                }, session.Sender);
+                }, sender);
             }
 
-            try
+            if (channel != null)
             {
-                if (isResuming && session.Dragon != null)
+                await SendMessageAsync(webSocket, new
                 {
-                    _logger.LogInformation("[Dragon] Resuming session {SessionId}", currentSessionId);
-
-                    int messageCount;
-                    List<SessionMessage> messagesToReplay;
-                    lock (session._historyLock)
-                    {
-                        messageCount = session.MessageHistory.Count;
-                        messagesToReplay = new List<SessionMessage>(session.MessageHistory);
-                    }
-
-                    await SendTrackedMessageAsync(webSocket, session, "session_resumed", new
-                    {
-                        type = "session_resumed",
-                        sessionId = currentSessionId,
-                        messageCount,
-                        timestamp = DateTime.UtcNow
-                    });
+                    type = "channel_opened",
+                    channel,
+                    sessionId = currentSessionId,
+                    resumed = isResuming,
+                    timestamp = DateTime.UtcNow
+                }, sender);
+            }
 
-                    foreach (var msg in messagesToReplay)
-                    {
-                        var replayData = new Dictionary<string, object>(msg.Data)
-                        {
-                            ["type"] = msg.Type,
-                            ["messageId"] = msg.MessageId,
-                            ["isReplay"] = true,
-                            ["sessionId"] = currentSessionId,
-                            ["timestamp"] = msg.Timestamp
-                        };
+            if (isResuming && session.Dragon != null)
+            {
+                _logger.LogInformation("[Dragon] Resuming session {SessionId}", currentSessionId);
 
-                        await SendMessageAsync(webSocket, replayData, session.Sender);
-                    }
+                int messageCount;
+                List<SessionMessage> messagesToReplay;
+                lock (session._historyLock)
+                {
+                    messageCount = session.MessageHistory.Count;
+                    messagesToReplay = new List<SessionMessage>(session.MessageHistory);
                 }
-                else
+
+                await SendTrackedMessageAsync(webSocket, session, "session_resumed", new
                 {
-                    // Create all agents for this session
-                    CreateSessionAgents(session);
+                    type = "session_resumed",
+                    sessionId = currentSessionId,
+                    messageCount,
+                    timestamp = DateTime.UtcNow
+                });
 
-                    // Set message callback for Dragon (handles final response)
-                    Action<string, string> dragonCallback = (type, content) =>
+                foreach (var msg in messagesToReplay)
+                {
+                    var replayData = new Dictionary<string, object>(msg.Data)
                     {
-                        _logger.LogInformation("[Dragon] [{Type}] {Content}", type, content);
-                        if (type == "tool_call" || type == "tool_result" || type == "info" || type == "debug" || type == "warning")
-                        {
-                            _ = SendThinkingUpdateAsync(webSocket, session, currentSessionId, type, content, agentSource: "Dragon");
-                        }
-                        else if (type == "assistant_stream")
-                        {
-                            // Forward streaming chunks to client in real-time
-                            _ = SendStreamingChunkAsync(webSocket, session, currentSessionId, content);
-                        }
-                        else if (type == "assistant_final")
-                        {
-                            // Mark that streaming occurred - final message will be sent by HandleMessageAsync
-                            // to avoid fire-and-forget race conditions where SendStreamCompleteAsync fails
-                            // after the fallback check has already been skipped
-                            session.StreamingResponseSent = true;
-                        }
+                        ["type"] = msg.Type,
+                        ["messageId"] = msg.MessageId,
+                        ["isReplay"] = true,
+                        ["sessionId"] = currentSessionId,
+                        ["timestamp"] = msg.Timestamp
                     };
 
-                    // Create named callbacks for each council member so the client knows who's working
-                    Action<string, string> MakeCouncilCallback(string memberName) => (type, content) =>
-                    {
-                        _logger.LogDebug("[{Member}] [{Type}] {Content}", memberName, type, content);
-                        if (type == "tool_call" || type == "tool_result" || type == "info" || type == "debug" || type == "warning")
-                        {
-                            _ = SendThinkingUpdateAsync(webSocket, session, currentSessionId, type, content, agentSource: memberName);
-                        }
-                        else if (type == "assistant_final")
-                        {
-                            // Forward council member final responses so client knows they're done
-                            _ = SendThinkingUpdateAsync(webSocket, session, currentSessionId, type, content, agentSource: memberName);
-                        }
-                        // Note: assistant_stream is intentionally not forwarded for council members
-                    };
+                    await SendMessageAsync(webSocket, replayData, sender);
+                }
+            }
+            else
+            {
+                // Create all agents for this session
+                CreateSessionAgents(session);
+                WireAgentCallbacks(session);
 
-                    session.Dragon!.SetMessageCallback(dragonCallback);
-                    session.Sage!.SetMessageCallback(MakeCouncilCallback("Sage"));
-                    session.Seeker!.SetMessageCallback(MakeCouncilCallback("Seeker"));
-                    session.Sentinel!.SetMessageCallback(MakeCouncilCallback("Sentinel"));
-                    session.Warden!.SetMessageCallback(MakeCouncilCallback("Warden"));
+                // Welcome will be sent after client sends client_ready message
+                // This prevents race condition where server sends messages before client is ready
+                _logger.LogInformation("[Dragon] Session initialized, waiting for client_ready...");
+            }
 
-                    // Welcome will be sent after client sends client_ready message
-                    // This prevents race condition where server sends messages before client is ready
-                    _logger.LogInformation("[Dragon] Session initialized, waiting for client_ready...");
-                }
+            return session;
+        }
 
-                var buffer = new byte[1024 * 64]; // 64KB buffer for large messages
-                while (webSocket.State == WebSocketState.Open)
-                {
-                    var result = await webSocket.ReceiveAsync(new ArraySegment<byte>(buffer), CancellationToken.None);
+        /// <summary>
+        /// Releases a session from a closed connection. The session itself is preserved for resumption.
+        /// Skipped if a newer connection has already picked the session up.
+        /// </summary>
+        private void DetachSession(DragonSession session, WebSocket webSocket, WebSocketSender sender)
+        {
+            if (ReferenceEquals(session.Sender, sender))
+            {
+                session.Sender = null;
+            }
+            _sessionWebSockets.TryRemove(new KeyValuePair<string, WebSocket>(session.SessionId, webSocket));
+        }
 
-                    if (result.MessageType == WebSocketMessageType.Close)
-                    {
-                        await webSocket.CloseAsync(WebSocketCloseStatus.NormalClosure, "Closing", CancellationToken.None);
-                        break;
-                    }
+        /// <summary>
+        /// Forwards Dragon and council agent events to the client. The socket is resolved per event
+        /// so callbacks keep working after the session is resumed on a new connection.
+        /// </summary>
+        private void WireAgentCallbacks(DragonSession session)
+        {
+            var sessionId = session.SessionId;
 
-                    var messageText = Encoding.UTF8.GetString(buffer, 0, result.Count);
-                    session.LastActivity = DateTime.UtcNow;
+            // Set message callback for Dragon (handles final response)
+            Action<string, string> dragonCallback = (type, content) =>
+            {
+                _logger.LogInformation("[Dragon] [{Type}] {Content}", type, content);
+                if (!_sessionWebSockets.TryGetValue(sessionId, out var webSocket)) return;
 
-                    await HandleMessageAsync(webSocket, session, messageText);
+                if (type == "tool_call" || type == "tool_result" || type == "info" || type == "debug" || type == "warning")
+                {
+                    _ = SendThinkingUpdateAsync(webSocket, session, sessionId, type, content, agentSource: "Dragon");
                 }
-            }
-            catch (Exception ex)
-            {
-                _logger.LogError(ex, "Error in Dragon WebSocket session {SessionId}", currentSessionId);
-            }
-            finally
+                else if (type == "assistant_stream")
+                {
+                    // Forward streaming chunks to client in real-time
+                    _ = SendStreamingChunkAsync(webSocket, session, sessionId, content);
+                }
+                else if (type == "assistant_final")
+                {
+                    // Mark that streaming occurred - final message will be sent by HandleMessageAsync
+                    // to avoid fire-and-forget race conditions where SendStreamCompleteAsync fails
+                    // after the fallback check has already been skipped
+                    session.StreamingResponseSent = true;
+                }
+            };
+
+            // Create named callbacks for each council member so the client knows who's working
+            Action<string, string> MakeCouncilCallback(string memberName) => (type, content) =>
             {
-                session.Sender?.Dispose();
-                session.Sender = null;
+                _logger.LogDebug("[{Member}] [{Type}] {Content}", memberName, type, content);
+                if (!_sessionWebSockets.TryGetValue(sessionId, out var webSocket)) return;
 
-                _sessionWebSockets.TryRemove(currentSessionId, out _);
-                _logger.LogInformation("Dragon WebSocket disconnected (session preserved): {SessionId}", currentSessionId);
-            }
+                if (type == "tool_call" || type == "tool_result" || type == "info" || type == "debug" || type == "warning")
+                {
+                    _ = SendThinkingUpdateAsync(webSocket, session, sessionId, type, content, agentSource: memberName);
+                }
+                else if (type == "assistant_final")
+                {
+                    // Forward council member final responses so client knows they're done
+                    _ = SendThinkingUpdateAsync(webSocket, session, sessionId, type, content, agentSource: memberName);
+                }
+                // Note: assistant_stream is intentionally not forwarded for council members
+            };
+
+            session.Dragon!.SetMessageCallback(dragonCallback);
+            session.Sage!.SetMessageCallback(MakeCouncilCallback("Sage"));
+            session.Seeker!.SetMessageCallback(MakeCouncilCallback("Seeker"));
+            session.Sentinel!.SetMessageCallback(MakeCouncilCallback("Sentinel"));
+            session.Warden!.SetMessageCallback(MakeCouncilCallback("Warden"));
         }
 
         /// <summary>
@@ -1021,6 +1231,12 @@ namespace DraCode.KoboldLair.Server.Services
                     return;
                 }
 
+                // Handshake: a versioned client_ready gets the protocol version and capabilities
+                if (message.Type == "client_ready" && message.ProtocolVersion.HasValue)
+                {
+                    await SendMessageAsync(webSocket, ProtocolInfo.CreateHello(ProtocolInfo.DragonCapabilities, message.ProtocolVersion), session.Sender);
+                }
+
                 // Handle client_ready signal - send welcome message only after client is prepared
                 if (message.Type == "client_ready" && !session.WelcomeSent && session.Dragon != null)
                 {
@@ -1084,6 +1300,18 @@ namespace DraCode.KoboldLair.Server.Services
                     return;
                 }
 
+                if (message.Type == "session_replay")
+                {
+                    await ReplaySessionAsync(webSocket, session, message.Messages, message.Reset);
+                    return;
+                }
+
+                if (message.Type == "cancel_request")
+                {
+                    await CancelRequestAsync(webSocket, session, message.RequestId);
+                    return;
+                }
+
                 _logger.LogInformation("Dragon received: {Message}", message.Message);
                 TrackMessage(session, "user_message", new Dictionary<string, object> { ["role"] = "user", ["content"] = message.Message! });
 
@@ -1095,6 +1323,7 @@ namespace DraCode.KoboldLair.Server.Services
                     await SendMessageAsync(webSocket, new
                     {
                         type = "error",
+                        sessionId,
                         error = "session_not_ready",
                         message = "Session is not ready. Please try reconnecting.",
                         timestamp = DateTime.UtcNow
@@ -1102,10 +1331,13 @@ namespace DraCode.KoboldLair.Server.Services
                     return;
                 }
 
-                await SendMessageAsync(webSocket, new { type = "dragon_typing", sessionId }, session.Sender);
+                // Clients tag each message so they can tell its frames from those of a stopped request
+                var requestId = string.IsNullOrEmpty(message.RequestId) ? Guid.NewGuid().ToString() : message.RequestId;
+                session.ActiveRequestId = requestId;
+
+                await SendMessageAsync(webSocket, new { type = "dragon_typing", requestId, sessionId }, session.Sender);
 
                 // Create a request for non-blocking processing
-                var requestId = Guid.NewGuid().ToString();
                 var cts = new CancellationTokenSource();
 
                 var dragonRequest = new DraCode.KoboldLair.Server.Models.Dragon.DragonRequest
@@ -1363,6 +1595,7 @@ namespace DraCode.KoboldLair.Server.Services
                 await SendMessageAsync(webSocket, new
                 {
                     type = "dragon_thinking",
+                    requestId = session.ActiveRequestId,
                     sessionId,
                     eventType,
                     toolName,
@@ -1501,6 +1734,7 @@ namespace DraCode.KoboldLair.Server.Services
                 await SendMessageAsync(webSocket, new
                 {
                     type = "dragon_stream",
+                    requestId = session.ActiveRequestId,
                     sessionId,
                     chunk,
                     timestamp = DateTime.UtcNow
@@ -1565,7 +1799,7 @@ namespace DraCode.KoboldLair.Server.Services
                 if (string.IsNullOrEmpty(projectName))
                     return;
 
-                var notifications = _notificationService.GetPendingNotifications(projectName);
+                var notifications = _notificationService.GetUndeliveredNotifications(projectName);
                 if (notifications.Count == 0)
                     return;
 
@@ -1582,8 +1816,8 @@ namespace DraCode.KoboldLair.Server.Services
                     });
                 }
 
-                // Mark as read after sending
-                _notificationService.MarkAsRead(projectName);
+                // Don't replay them on the next reconnect; they stay unread in the notification center
+                _notificationService.MarkAsDelivered(projectName, notifications.Select(n => n.Id));
                 _logger.LogInformation("Sent {Count} pending notifications for project {Project}", notifications.Count, projectName);
             }
             catch (Exception ex)
@@ -1689,35 +1923,7 @@ namespace DraCode.KoboldLair.Server.Services
                     session.MessageHistory.Clear();
                 }
 
-                // Set message callback for Dragon (handles final response)
-                Action<string, string> dragonCallback = (type, content) =>
-                {
-                    if (type == "tool_call" || type == "tool_result" || type == "info" || type == "debug" || type == "warning")
-                        _ = SendThinkingUpdateAsync(webSocket, session, sessionId, type, content, agentSource: "Dragon");
-                    else if (type == "assistant_stream")
-                        _ = SendStreamingChunkAsync(webSocket, session, sessionId, content);
-                    else if (type == "assistant_final")
-                    {
-                        // Mark that streaming occurred - final message sent by awaited path below
-                        session.StreamingResponseSent = true;
-                    }
-                };
-
-                // Create named callbacks for each council member
-                Action<string, string> MakeReloadCouncilCallback(string memberName) => (type, content) =>
-                {
-                    if (type == "tool_call" || type == "tool_result" || type == "info" || type == "debug" || type == "warning")
-                        _ = SendThinkingUpdateAsync(webSocket, session, sessionId, type, content, agentSource: memberName);
-                    else if (type == "assistant_final")
-                        // Forward council member final responses so client knows they're done
-                        _ = SendThinkingUpdateAsync(webSocket, session, sessionId, type, content, agentSource: memberName);
-                };
-
-                session.Dragon!.SetMessageCallback(dragonCallback);
-                session.Sage!.SetMessageCallback(MakeReloadCouncilCallback("Sage"));
-                session.Seeker!.SetMessageCallback(MakeReloadCouncilCallback("Seeker"));
-                session.Sentinel!.SetMessageCallback(MakeReloadCouncilCallback("Sentinel"));
-                session.Warden!.SetMessageCallback(MakeReloadCouncilCallback("Warden"));
+                WireAgentCallbacks(session);
 
                 // Reset streaming flag before processing
                 session.StreamingResponseSent = false;
@@ -1768,6 +1974,91 @@ namespace DraCode.KoboldLair.Server.Services
             });
         }
 
+        /// <summary>
+        /// Stops the session's request in flight (client Stop button). A cancel naming an older request
+        /// is ignored, so it can't stop the message sent after it.
+        /// </summary>
+        private async Task CancelRequestAsync(WebSocket webSocket, DragonSession session, string? requestId)
+        {
+            var sessionId = session.SessionId;
+            var cancelled = (string.IsNullOrEmpty(requestId) || requestId == session.ActiveRequestId)
+                && await _requestQueue.CancelSessionRequestAsync(sessionId);
+
+            await SendMessageAsync(webSocket, new
+            {
+                type = "request_cancelled",
+                requestId,
+                sessionId,
+                cancelled,
+                timestamp = DateTime.UtcNow
+            }, session.Sender);
+        }
+
+        /// <summary>
+        /// Restores a conversation kept by the client into the Dragon's context, e.g. after the
+        /// server lost the session in a restart. Nothing is sent to the LLM; the turns are not added
+        /// to the session's replay history because the client already has them.
+        /// With reset the current context is dropped first, so the client can rewind the conversation
+        /// to an earlier message (edit, regenerate).
+        /// </summary>
+        private async Task ReplaySessionAsync(WebSocket webSocket, DragonSession session, List<DragonReplayMessage>? messages, bool reset = false)
+        {
+            var sessionId = session.SessionId;
+
+            if (session.Dragon == null)
+            {
+                await SendMessageAsync(webSocket, new
+                {
+                    type = "session_replay_error",
+                    sessionId,
+                    error = "Session is not ready",
+                    timestamp = DateTime.UtcNow
+                }, session.Sender);
+                return;
+            }
+
+            // Clearing the context under a running (or stopped but still unwinding) request would mix
+            // its answer into the rewritten conversation
+            if (reset && _requestQueue.IsSessionBusy(sessionId))
+            {
+                await SendMessageAsync(webSocket, new
+                {
+                    type = "session_replay_error",
+                    sessionId,
+                    error = "The Dragon is still working on a request - wait for it to finish",
+                    reset,
+                    timestamp = DateTime.UtcNow
+                }, session.Sender);
+                return;
+            }
+
+            var turns = (messages ?? new List<DragonReplayMessage>())
+                .Where(m => (m.Role == "user" || m.Role == "assistant") && !string.IsNullOrWhiteSpace(m.Content))
+                .Select(m => (m.Role, m.Content))
+                .ToList();
+
+            if (reset)
+            {
+                session.Dragon.ClearContext();
+                lock (session._historyLock)
+                {
+                    session.MessageHistory.Clear();
+                }
+            }
+
+            session.Dragon.RestoreContext(turns);
+            _logger.LogInformation("[Dragon] Session {SessionId} restored {Count} messages from client replay (reset: {Reset})", sessionId, turns.Count, reset);
+
+            await SendMessageAsync(webSocket, new
+            {
+                type = "session_replay_complete",
+                sessionId,
+                messagesProcessed = turns.Count,
+                reset,
+                timestamp = DateTime.UtcNow
+            }, session.Sender);
+        }
+
         private async Task<List<ProjectInfo>> GetProjectInfoListAsync()
         {
             var projects = _projectService.GetAllProjects();
@@ -5,14 +5,29 @@ namespace DraCode.KoboldLair.Server.Services
 {
     /// <summary>
     /// Notification service for project events with persistence.
-    /// Notifications are stored to disk so they survive server restarts
-    /// and are available when the user reconnects.
+    /// Notifications are stored to disk (notifications.json per project) with their read state,
+    /// so they survive server restarts and form the history shown in the notification center.
     /// </summary>
     public class ProjectNotificationService
     {
         private readonly ILogger<ProjectNotificationService> _logger;
         private readonly string _projectsPath;
-        private readonly ConcurrentDictionary<string, List<ProjectNotification>> _pendingNotifications = new();
+        private readonly ConcurrentDictionary<string, List<ProjectNotification>> _notifications = new();
+
+        private static readonly JsonSerializerOptions s_saveOptions = new()
+        {
+            WriteIndented = true,
+            PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+        };
+
+        /// <summary>
+        /// History kept per project; the oldest read notifications are dropped first
+        /// </summary>
+        public const int MaxNotificationsPerProject = 200;
+
+        // Every notification since startup (read or not), across projects, for client-side alerts
+        private const int MaxRecentNotifications = 100;
+        private readonly LinkedList<ProjectNotification> _recentNotifications = new();
 
         /// <summary>
         /// Raised when a new notification is added (for real-time push to connected clients).
@@ -34,17 +49,25 @@ namespace DraCode.KoboldLair.Server.Services
             var notification = new ProjectNotification
             {
                 Id = Guid.NewGuid().ToString(),
+                ProjectName = projectName,
                 Type = type,
                 Message = message,
                 Metadata = metadata ?? new(),
                 CreatedAt = DateTime.UtcNow
             };
 
-            // Add to in-memory pending list
-            var list = _pendingNotifications.GetOrAdd(projectName, _ => new List<ProjectNotification>());
+            var list = GetList(projectName);
             lock (list)
             {
                 list.Add(notification);
+                TrimHistory(list);
+            }
+
+            lock (_recentNotifications)
+            {
+                _recentNotifications.AddLast(notification);
+                if (_recentNotifications.Count > MaxRecentNotifications)
+                    _recentNotifications.RemoveFirst();
             }
 
             // Persist to disk
@@ -68,44 +91,128 @@ namespace DraCode.KoboldLair.Server.Services
         /// </summary>
         public List<ProjectNotification> GetPendingNotifications(string projectName)
         {
-            // Try in-memory first
-            if (_pendingNotifications.TryGetValue(projectName, out var list))
+            var list = GetList(projectName);
+            lock (list)
             {
-                lock (list)
-                {
-                    return new List<ProjectNotification>(list);
-                }
+                return list.Where(n => !n.Read).ToList();
             }
+        }
 
-            // Load from disk
-            var loaded = LoadNotifications(projectName);
-            if (loaded.Count > 0)
+        /// <summary>
+        /// Gets unread notifications not yet replayed to a Dragon session (see <see cref="MarkAsDelivered"/>).
+        /// </summary>
+        public List<ProjectNotification> GetUndeliveredNotifications(string projectName)
+        {
+            var list = GetList(projectName);
+            lock (list)
             {
-                _pendingNotifications[projectName] = loaded;
+                return list.Where(n => !n.Read && !n.Delivered).ToList();
             }
-            return loaded;
         }
 
         /// <summary>
-        /// Marks notifications as read (removes them).
+        /// Gets the latest notifications across all projects, newest first, whether or not they were read.
+        /// Only covers notifications raised since the server started.
         /// </summary>
-        public void MarkAsRead(string projectName, IEnumerable<string>? notificationIds = null)
+        public List<ProjectNotification> GetRecentNotifications(int max = 50)
+        {
+            lock (_recentNotifications)
+            {
+                return _recentNotifications.Reverse().Take(max).ToList();
+            }
+        }
+
+        /// <summary>
+        /// Gets the notification history of the given projects (read and unread), newest first.
+        /// </summary>
+        public List<ProjectNotification> GetHistory(IEnumerable<string> projectNames, int max = 100)
         {
-            if (_pendingNotifications.TryGetValue(projectName, out var list))
+            var history = new List<ProjectNotification>();
+            foreach (var projectName in projectNames.Distinct(StringComparer.OrdinalIgnoreCase))
             {
+                var list = GetList(projectName);
                 lock (list)
                 {
-                    if (notificationIds == null)
-                    {
-                        list.Clear();
-                    }
-                    else
-                    {
-                        var ids = new HashSet<string>(notificationIds);
-                        list.RemoveAll(n => ids.Contains(n.Id));
-                    }
+                    history.AddRange(list);
                 }
+            }
+            return history.OrderByDescending(n => n.CreatedAt).Take(max).ToList();
+        }
+
+        /// <summary>
+        /// Marks notifications as read (all of the project's when no IDs are given).
+        /// </summary>
+        public void MarkAsRead(string projectName, IEnumerable<string>? notificationIds = null)
+        {
+            SetRead(projectName, notificationIds, true);
+        }
+
+        /// <summary>
+        /// Marks notifications as unread again.
+        /// </summary>
+        public void MarkAsUnread(string projectName, IEnumerable<string> notificationIds)
+        {
+            SetRead(projectName, notificationIds, false);
+        }
+
+        /// <summary>
+        /// Marks notifications as replayed to a Dragon session, so reconnecting doesn't repeat them.
+        /// They stay unread until the user reads them.
+        /// </summary>
+        public void MarkAsDelivered(string projectName, IEnumerable<string> notificationIds)
+        {
+            var ids = new HashSet<string>(notificationIds);
+            var list = GetList(projectName);
+            int changed;
+            lock (list)
+            {
+                var notifications = list.Where(n => ids.Contains(n.Id) && !n.Delivered).ToList();
+                notifications.ForEach(n => n.Delivered = true);
+                changed = notifications.Count;
+            }
+            if (changed > 0)
                 SaveNotifications(projectName, list);
+        }
+
+        private void SetRead(string projectName, IEnumerable<string>? notificationIds, bool read)
+        {
+            var ids = notificationIds != null ? new HashSet<string>(notificationIds) : null;
+            var list = GetList(projectName);
+            int changed;
+            lock (list)
+            {
+                var notifications = list.Where(n => n.Read != read && (ids == null || ids.Contains(n.Id))).ToList();
+                foreach (var notification in notifications)
+                {
+                    notification.Read = read;
+                    notification.ReadAt = read ? DateTime.UtcNow : null;
+                }
+                changed = notifications.Count;
+            }
+            if (changed > 0)
+                SaveNotifications(projectName, list);
+        }
+
+        /// <summary>
+        /// In-memory list for a project, loaded from disk the first time
+        /// </summary>
+        private List<ProjectNotification> GetList(string projectName)
+        {
+            return _notifications.GetOrAdd(projectName, name =>
+            {
+                var loaded = LoadNotifications(name);
+                foreach (var notification in loaded.Where(n => string.IsNullOrEmpty(n.ProjectName)))
+                    notification.ProjectName = name;
+                return loaded;
+            });
+        }
+
+        private static void TrimHistory(List<ProjectNotification> list)
+        {
+            while (list.Count > MaxNotificationsPerProject)
+            {
+                var oldestRead = list.FindIndex(n => n.Read);
+                list.RemoveAt(oldestRead >= 0 ? oldestRead : 0);
             }
         }
 
@@ -123,6 +230,24 @@ namespace DraCode.KoboldLair.Server.Services
                 });
         }
 
+        /// <summary>
+        /// Helper to create a task-failed notification.
+        /// </summary>
+        public void NotifyTaskFailed(string projectName, string projectId, string taskId, string? errorMessage)
+        {
+            var shortId = taskId.Length > 8 ? taskId[..8] : taskId;
+            Notify(projectName, "task_failed",
+                string.IsNullOrEmpty(errorMessage)
+                    ? $"Task {shortId} failed."
+                    : $"Task {shortId} failed: {errorMessage}",
+                new Dictionary<string, string>
+                {
+                    ["projectId"] = projectId,
+                    ["taskId"] = taskId,
+                    ["error"] = errorMessage ?? ""
+                });
+        }
+
         /// <summary>
         /// Helper to create a project-complete notification.
         /// </summary>
@@ -137,7 +262,7 @@ namespace DraCode.KoboldLair.Server.Services
         /// </summary>
         public void PersistAll()
         {
-            foreach (var (projectName, list) in _pendingNotifications)
+            foreach (var (projectName, list) in _notifications)
             {
                 if (list.Count > 0)
                 {
@@ -164,18 +289,13 @@ namespace DraCode.KoboldLair.Server.Services
                 if (!string.IsNullOrEmpty(dir) && !Directory.Exists(dir))
                     Directory.CreateDirectory(dir);
 
-                List<ProjectNotification> copy;
+                // Serialize and write under the lock: read state changes under it, and a later
+                // save must not be overwritten by an earlier one finishing last
                 lock (notifications)
                 {
-                    copy = new List<ProjectNotification>(notifications);
+                    var json = JsonSerializer.Serialize(notifications, s_saveOptions);
+                    File.WriteAllText(path, json);
                 }
-
-                var json = JsonSerializer.Serialize(copy, new JsonSerializerOptions
-                {
-                    WriteIndented = true,
-                    PropertyNamingPolicy = JsonNamingPolicy.CamelCase
-                });
-                File.WriteAllText(path, json);
             }
             catch (Exception ex)
             {
@@ -208,9 +328,17 @@ namespace DraCode.KoboldLair.Server.Services
     public class ProjectNotification
     {
         public string Id { get; set; } = "";
+        public string ProjectName { get; set; } = "";
         public string Type { get; set; } = "";
         public string Message { get; set; } = "";
         public Dictionary<string, string> Metadata { get; set; } = new();
         public DateTime CreatedAt { get; set; }
+        public bool Read { get; set; }
+        public DateTime? ReadAt { get; set; }
+
+        /// <summary>
+        /// Replayed to a Dragon session when it opened the project
+        /// </summary>
+        public bool Delivered { get; set; }
     }
 }
@@ -0,0 +1,183 @@
+using System.Collections.Concurrent;
+using System.Text;
+using System.Text.Json;
+
+namespace DraCode.KoboldLair.Server.Services
+{
+    /// <summary>
+    /// Server-push subscriptions for the /wyvern socket.
+    /// Clients subscribe to a topic (stats, projects, hierarchy, ...) once and receive
+    /// <c>subscription_update</c> frames only when the topic snapshot actually changes.
+    /// Snapshots are computed once per topic/params per cycle and shared by all subscribers,
+    /// replacing per-view client polling.
+    /// Subscription IDs are chosen by the client, so subscriptions are keyed by connection and ID:
+    /// connections cannot overwrite or remove each other's subscriptions.
+    /// </summary>
+    public class SubscriptionService : PeriodicBackgroundService
+    {
+        private static readonly JsonSerializerOptions s_writeOptions = new()
+        {
+            PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+            WriteIndented = false
+        };
+
+        private readonly ILogger<SubscriptionService> _logger;
+        private readonly ConcurrentDictionary<(WebSocketSender Sender, string SubscriptionId), Subscription> _subscriptions = new();
+
+        protected override ILogger Logger => _logger;
+
+        public SubscriptionService(ILogger<SubscriptionService> logger, int intervalSeconds = 2)
+            : base(TimeSpan.FromSeconds(intervalSeconds))
+        {
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Number of active subscriptions across all connections.
+        /// </summary>
+        public int Count => _subscriptions.Count;
+
+        /// <summary>
+        /// Registers a subscription and pushes the initial snapshot immediately.
+        /// </summary>
+        /// <param name="sender">Sender of the subscribing connection</param>
+        /// <param name="subscriptionId">Client-generated subscription ID (unique per connection)</param>
+        /// <param name="topic">Topic name</param>
+        /// <param name="paramsKey">Canonical params string used to share snapshots between subscribers</param>
+        /// <param name="snapshotFactory">Produces the current topic snapshot</param>
+        public async Task SubscribeAsync(
+            WebSocketSender sender,
+            string subscriptionId,
+            string topic,
+            string paramsKey,
+            Func<Task<object?>> snapshotFactory)
+        {
+            var subscription = new Subscription(sender, subscriptionId, topic, $"{topic}|{paramsKey}", snapshotFactory);
+            _subscriptions[(sender, subscriptionId)] = subscription;
+
+            _logger.LogDebug("Subscription {SubscriptionId} added for topic {Topic}", subscriptionId, topic);
+
+            var json = await ComputeSnapshotJsonAsync(subscription);
+            if (json != null)
+            {
+                await PushAsync(subscription, json);
+            }
+        }
+
+        /// <summary>
+        /// Removes a single subscription of a connection. Returns false if the connection has no
+        /// subscription with that ID.
+        /// </summary>
+        public bool Unsubscribe(WebSocketSender sender, string subscriptionId)
+        {
+            return _subscriptions.TryRemove((sender, subscriptionId), out _);
+        }
+
+        /// <summary>
+        /// Removes all subscriptions owned by a connection. Called when the socket closes.
+        /// </summary>
+        public void RemoveAll(WebSocketSender sender)
+        {
+            foreach (var key in _subscriptions.Keys)
+            {
+                if (ReferenceEquals(key.Sender, sender))
+                {
+                    _subscriptions.TryRemove(key, out _);
+                }
+            }
+        }
+
+        protected override async Task ExecuteCycleAsync(CancellationToken stoppingToken)
+        {
+            if (_subscriptions.IsEmpty) return;
+
+            // Drop subscriptions whose connection went away without a clean close
+            foreach (var key in _subscriptions.Keys)
+            {
+                if (!key.Sender.IsConnected)
+                {
+                    _subscriptions.TryRemove(key, out _);
+                }
+            }
+
+            // Compute each distinct topic/params snapshot once and fan out to its subscribers
+            var groups = _subscriptions.Values.GroupBy(s => s.GroupKey);
+            foreach (var group in groups)
+            {
+                if (stoppingToken.IsCancellationRequested) break;
+
+                var subscribers = group.ToList();
+                var json = await ComputeSnapshotJsonAsync(subscribers[0]);
+                if (json == null) continue;
+
+                foreach (var subscription in subscribers)
+                {
+                    if (subscription.LastJson != json)
+                    {
+                        await PushAsync(subscription, json);
+                    }
+                }
+            }
+        }
+
+        private async Task<string?> ComputeSnapshotJsonAsync(Subscription subscription)
+        {
+            try
+            {
+                var snapshot = await subscription.SnapshotFactory();
+                return JsonSerializer.Serialize(snapshot, s_writeOptions);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to compute snapshot for topic {Topic}", subscription.Topic);
+                return null;
+            }
+        }
+
+        private async Task PushAsync(Subscription subscription, string snapshotJson)
+        {
+            subscription.LastJson = snapshotJson;
+
+            // Snapshot is already serialized - splice it in rather than serializing twice
+            var frame = new StringBuilder()
+                .Append("{\"type\":\"subscription_update\",\"subscriptionId\":")
+                .Append(JsonSerializer.Serialize(subscription.SubscriptionId))
+                .Append(",\"topic\":")
+                .Append(JsonSerializer.Serialize(subscription.Topic))
+                .Append(",\"data\":")
+                .Append(snapshotJson)
+                .Append(",\"timestamp\":")
+                .Append(JsonSerializer.Serialize(DateTime.UtcNow))
+                .Append('}')
+                .ToString();
+
+            try
+            {
+                await subscription.Sender.SendAsync(Encoding.UTF8.GetBytes(frame));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogDebug(ex, "Failed to push update for subscription {SubscriptionId}", subscription.SubscriptionId);
+            }
+        }
+
+        private class Subscription
+        {
+            public Subscription(WebSocketSender sender, string subscriptionId, string topic, string groupKey, Func<Task<object?>> snapshotFactory)
+            {
+                Sender = sender;
+                SubscriptionId = subscriptionId;
+                Topic = topic;
+                GroupKey = groupKey;
+                SnapshotFactory = snapshotFactory;
+            }
+
+            public WebSocketSender Sender { get; }
+            public string SubscriptionId { get; }
+            public string Topic { get; }
+            public string GroupKey { get; }
+            public Func<Task<object?>> SnapshotFactory { get; }
+            public string? LastJson { get; set; }
+        }
+    }
+}
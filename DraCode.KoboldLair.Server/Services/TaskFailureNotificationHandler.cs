@@ -0,0 +1,43 @@
+using Birko.EventBus;
+using DraCode.KoboldLair.Events;
+using DraCode.KoboldLair.Services;
+
+namespace DraCode.KoboldLair.Server.Services
+{
+    /// <summary>
+    /// Raises a project notification when a task transitions to Failed, so clients can alert the user
+    /// (desktop notifications) the same way as for escalations and completed features.
+    /// </summary>
+    public class TaskFailureNotificationHandler : IEventHandler<TaskStatusChangedEvent>
+    {
+        private readonly ProjectNotificationService _notificationService;
+        private readonly ProjectService _projectService;
+        private readonly ILogger<TaskFailureNotificationHandler> _logger;
+
+        public TaskFailureNotificationHandler(
+            ProjectNotificationService notificationService,
+            ProjectService projectService,
+            ILogger<TaskFailureNotificationHandler> logger)
+        {
+            _notificationService = notificationService;
+            _projectService = projectService;
+            _logger = logger;
+        }
+
+        public Task HandleAsync(TaskStatusChangedEvent @event, EventContext context, CancellationToken cancellationToken = default)
+        {
+            if (@event.NewStatus != "Failed")
+                return Task.CompletedTask;
+
+            var project = _projectService.GetProject(@event.ProjectId);
+            if (project == null)
+            {
+                _logger.LogDebug("No project {ProjectId} for failed task {TaskId}, skipping notification", @event.ProjectId, @event.TaskId);
+                return Task.CompletedTask;
+            }
+
+            _notificationService.NotifyTaskFailed(project.Name, project.Id, @event.TaskId, @event.ErrorMessage);
+            return Task.CompletedTask;
+        }
+    }
+}
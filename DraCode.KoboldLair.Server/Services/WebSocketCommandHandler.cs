@@ -3,7 +3,7 @@ using DraCode.KoboldLair.Server.Models.WebSocket;
 using DraCode.KoboldLair.Server.Services.CommandHandlers;
 using DraCode.KoboldLair.Data.Repositories;
 using DraCode.KoboldLair.Services;
-using System.Net.WebSockets;
+using DraCode.KoboldLair.Services.EventSourcing;
 using System.Text;
 using System.Text.Json;
 
@@ -31,7 +31,12 @@ namespace DraCode.KoboldLair.Server.Services
         private readonly ProviderCommandHandler _providers;
         private readonly ProjectConfigCommandHandler _projectConfig;
         private readonly OperationsCommandHandler _operations;
+        private readonly ProjectControlCommandHandler _projectControl;
+        private readonly SpecificationCommandHandler _specifications;
+        private readonly EscalationCommandHandler _escalations;
+        private readonly NotificationCommandHandler _notifications;
         private readonly MetricsCommandHandler _metrics;
+        private readonly SubscriptionService? _subscriptions;
 
         public WebSocketCommandHandler(
             ILogger<WebSocketCommandHandler> logger,
@@ -44,7 +49,12 @@ namespace DraCode.KoboldLair.Server.Services
             DragonRequestQueue? dragonRequestQueue = null,
             CostTrackingService? costTracker = null,
             ProviderRateLimiter? rateLimiter = null,
-            KoboldPlanService? planService = null)
+            KoboldPlanService? planService = null,
+            SubscriptionService? subscriptions = null,
+            GitService? gitService = null,
+            SpecificationEventService? specEventService = null,
+            KoboldFactory? koboldFactory = null,
+            ProjectNotificationService? notificationService = null)
         {
             _logger = logger;
 
@@ -55,18 +65,24 @@ namespace DraCode.KoboldLair.Server.Services
                 logger,
                 projectService,
                 dragonRequestQueue ?? throw new ArgumentNullException(nameof(dragonRequestQueue)));
+            _projectControl = new ProjectControlCommandHandler(projectService, drakeFactory, gitService);
+            _specifications = new SpecificationCommandHandler(projectService, specEventService);
+            _escalations = new EscalationCommandHandler(projectService, planService, koboldFactory);
+            _notifications = new NotificationCommandHandler(projectService, notificationService);
             _metrics = new MetricsCommandHandler(projectService, costTracker, rateLimiter, drakeFactory, planService);
+            _subscriptions = subscriptions;
         }
 
-        public async Task HandleCommandAsync(WebSocket webSocket, string messageText)
+        public async Task HandleCommandAsync(WebSocketSender sender, string messageText, CancellationToken cancellationToken = default)
         {
+            WebSocketCommand? message = null;
             try
             {
                 _logger.LogDebug("Received command message: {Message}", messageText);
-                var message = JsonSerializer.Deserialize<WebSocketCommand>(messageText, s_camelCaseOptions);
+                message = JsonSerializer.Deserialize<WebSocketCommand>(messageText, s_camelCaseOptions);
                 if (message == null)
                 {
-                    await SendErrorAsync(webSocket, null, "Invalid message format");
+                    await SendErrorAsync(sender, null, "Invalid message format");
                     return;
                 }
 
@@ -78,6 +94,7 @@ namespace DraCode.KoboldLair.Server.Services
                     "get_hierarchy" => await _stats.GetHierarchyAsync(),
                     "get_projects" => await _stats.GetProjectsAsync(),
                     "get_project_agents" => await _stats.GetProjectAgentsAsync(message.Data),
+                    "get_project_detail" => await _stats.GetProjectDetailAsync(message.Data),
                     "get_stats" => await _stats.GetStatsAsync(),
 
                     // Provider configuration
@@ -103,27 +120,114 @@ namespace DraCode.KoboldLair.Server.Services
                     // Operations
                     "retry_analysis" => await _operations.RetryAnalysisAsync(message.Data),
                     "cancel_dragon_request" => await _operations.CancelDragonRequestAsync(message.Data),
-                    "get_implementation_summary" => await _operations.GetImplementationSummaryAsync(message.Data),
+                    "get_implementation_summary" => await _operations.GetImplementationSummaryAsync(message.Data, cancellationToken),
+
+                    // Project control (Dragon slash commands)
+                    "pause_project" => await _projectControl.PauseProjectAsync(message.Data),
+                    "resume_project" => await _projectControl.ResumeProjectAsync(message.Data),
+                    "suspend_project" => await _projectControl.SuspendProjectAsync(message.Data),
+                    "cancel_project" => await _projectControl.CancelProjectAsync(message.Data),
+                    "retry_failed_task" => await _projectControl.RetryFailedTaskAsync(message.Data),
+                    "set_task_priority" => await _projectControl.SetTaskPriorityAsync(message.Data),
+                    "git_merge" => await _projectControl.GitMergeAsync(message.Data),
+
+                    // Specification review
+                    "get_specification" => await _specifications.GetSpecificationAsync(message.Data),
+                    "get_specification_history" => await _specifications.GetSpecificationHistoryAsync(message.Data),
+                    "approve_specification" => await _specifications.ApproveSpecificationAsync(message.Data),
+
+                    // Escalation inbox
+                    "get_escalations" => await _escalations.GetEscalationsAsync(message.Data),
+                    "update_escalation" => await _escalations.UpdateEscalationAsync(message.Data),
+
+                    // Project notifications
+                    "get_recent_notifications" => await _notifications.GetRecentNotificationsAsync(message.Data),
+                    "get_notifications" => await _notifications.GetNotificationsAsync(message.Data),
+                    "update_notifications" => await _notifications.UpdateNotificationsAsync(message.Data),
 
                     // Metrics & Cost Tracking
-                    "get_metrics" => await _metrics.GetMetricsAsync(message.Data),
-                    "get_comparison" => await _metrics.GetComparisonAsync(message.Data),
+                    "get_metrics" => await _metrics.GetMetricsAsync(message.Data, cancellationToken),
+                    "get_comparison" => await _metrics.GetComparisonAsync(message.Data, cancellationToken),
+                    "get_task_plan" => await _metrics.GetTaskPlanAsync(message.Data),
+                    "get_task_graph" => await _metrics.GetTaskGraphAsync(message.Data),
+                    "get_task_timeline" => await _metrics.GetTaskTimelineAsync(message.Data, cancellationToken),
+
+                    // Server-push subscriptions
+                    "subscribe" => await SubscribeAsync(sender, message.Data),
+                    "unsubscribe" => Unsubscribe(sender, message.Data),
 
                     _ => throw new InvalidOperationException($"Unknown command: {message.Command}")
                 };
 
-                await SendResponseAsync(webSocket, message.Id, responseData);
+                await SendResponseAsync(sender, message.Id, responseData);
+            }
+            catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+            {
+                // Cancelled by the client or the socket closed - nobody is waiting for a response
+                _logger.LogDebug("Command {Command} (ID: {RequestId}) cancelled", message?.Command, message?.Id);
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error handling command");
-                await SendErrorAsync(webSocket, null, ex.Message);
+                await SendErrorAsync(sender, message?.Id, ex.Message);
             }
         }
 
-        private async Task SendResponseAsync(WebSocket webSocket, string? requestId, object? data)
+        /// <summary>
+        /// Registers a server-push subscription. The initial snapshot is pushed immediately,
+        /// later snapshots only when they differ from the last one sent.
+        /// </summary>
+        private async Task<object> SubscribeAsync(WebSocketSender sender, JsonElement? data)
+        {
+            if (_subscriptions == null)
+                throw new InvalidOperationException("Subscriptions are not enabled on this server");
+            if (data == null) throw new ArgumentNullException(nameof(data));
+
+            var subscriptionId = data.Value.GetProperty("subscriptionId").GetString();
+            var topic = data.Value.GetProperty("topic").GetString()?.ToLowerInvariant();
+            if (string.IsNullOrEmpty(subscriptionId) || string.IsNullOrEmpty(topic))
+                throw new InvalidOperationException("subscriptionId and topic are required");
+
+            JsonElement? topicParams = data.Value.TryGetProperty("params", out var p) && p.ValueKind == JsonValueKind.Object
+                ? p.Clone()
+                : null;
+
+            Func<Task<object?>> snapshotFactory = topic switch
+            {
+                "stats" => async () => await _stats.GetStatsAsync(),
+                "projects" => async () => await _stats.GetProjectsAsync(),
+                "hierarchy" => async () => await _stats.GetHierarchyAsync(),
+                "project_agents" => async () => await _stats.GetProjectAgentsAsync(topicParams),
+                "project_detail" => async () => await _stats.GetProjectDetailAsync(topicParams),
+                "project_tasks" => async () => await _metrics.GetComparisonAsync(topicParams),
+                "task_graph" => async () => await _metrics.GetTaskGraphAsync(topicParams),
+                "task_timeline" => async () => await _metrics.GetTaskTimelineAsync(topicParams),
+                "implementation_summary" => async () => await _operations.GetImplementationSummaryAsync(topicParams),
+                "metrics" => async () => await _metrics.GetMetricsAsync(topicParams),
+                "escalations" => async () => await _escalations.GetEscalationsAsync(topicParams),
+                "notifications" => async () => await _notifications.GetNotificationsAsync(topicParams),
+                _ => throw new InvalidOperationException($"Unknown subscription topic: {topic}")
+            };
+
+            var paramsKey = topicParams?.GetRawText() ?? "";
+            await _subscriptions.SubscribeAsync(sender, subscriptionId!, topic!, paramsKey, snapshotFactory);
+
+            return new { subscriptionId, topic, subscribed = true };
+        }
+
+        private object Unsubscribe(WebSocketSender sender, JsonElement? data)
+        {
+            if (data == null) throw new ArgumentNullException(nameof(data));
+
+            var subscriptionId = data.Value.GetProperty("subscriptionId").GetString();
+            var removed = !string.IsNullOrEmpty(subscriptionId) && _subscriptions?.Unsubscribe(sender, subscriptionId!) == true;
+
+            return new { subscriptionId, unsubscribed = removed };
+        }
+
+        private async Task SendResponseAsync(WebSocketSender sender, string? requestId, object? data)
         {
-            if (webSocket.State != WebSocketState.Open) return;
+            if (!sender.IsConnected) return;
 
             var response = new
             {
@@ -135,13 +239,12 @@ namespace DraCode.KoboldLair.Server.Services
 
             var json = JsonSerializer.Serialize(response, s_writeOptions);
             _logger.LogDebug("Sending response: {Response}", json);
-            var bytes = Encoding.UTF8.GetBytes(json);
-            await webSocket.SendAsync(new ArraySegment<byte>(bytes), WebSocketMessageType.Text, true, CancellationToken.None);
+            await sender.SendAsync(Encoding.UTF8.GetBytes(json));
         }
 
-        private async Task SendErrorAsync(WebSocket webSocket, string? requestId, string error)
+        private async Task SendErrorAsync(WebSocketSender sender, string? requestId, string error)
         {
-            if (webSocket.State != WebSocketState.Open) return;
+            if (!sender.IsConnected) return;
 
             var response = new
             {
@@ -153,8 +256,7 @@ namespace DraCode.KoboldLair.Server.Services
 
             var json = JsonSerializer.Serialize(response, s_writeOptions);
             _logger.LogWarning("Sending error: {Error}", json);
-            var bytes = Encoding.UTF8.GetBytes(json);
-            await webSocket.SendAsync(new ArraySegment<byte>(bytes), WebSocketMessageType.Text, true, CancellationToken.None);
+            await sender.SendAsync(Encoding.UTF8.GetBytes(json));
         }
     }
 }
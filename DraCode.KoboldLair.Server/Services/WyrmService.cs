@@ -5,9 +5,11 @@ using DraCode.KoboldLair.Models.Tasks;
 using DraCode.KoboldLair.Server.Models.WebSocket;
 using DraCode.KoboldLair.Orchestrators;
 using DraCode.KoboldLair.Services;
+using System.Collections.Concurrent;
 using System.Net.WebSockets;
 using System.Text;
 using System.Text.Json;
+using System.Threading.Channels;
 using TaskStatus = DraCode.KoboldLair.Models.Tasks.TaskStatus;
 
 namespace DraCode.KoboldLair.Server.Services
@@ -27,18 +29,21 @@ namespace DraCode.KoboldLair.Server.Services
         private readonly ProviderConfigurationService _providerConfigService;
         private readonly KoboldLairConfiguration _koboldLairConfig;
         private readonly WebSocketCommandHandler? _commandHandler;
+        private readonly SubscriptionService? _subscriptions;
 
         public WyrmService(
             ILogger<WyrmService> logger,
             ProviderConfigurationService providerConfigService,
             KoboldLairConfiguration koboldLairConfig,
-            WebSocketCommandHandler? commandHandler = null)
+            WebSocketCommandHandler? commandHandler = null,
+            SubscriptionService? subscriptions = null)
         {
             _logger = logger;
             _taskTracker = new TaskTracker();
             _providerConfigService = providerConfigService;
             _koboldLairConfig = koboldLairConfig;
             _commandHandler = commandHandler;
+            _subscriptions = subscriptions;
         }
 
         public TaskTracker TaskTracker => _taskTracker;
@@ -47,6 +52,20 @@ namespace DraCode.KoboldLair.Server.Services
         {
             var buffer = new byte[1024 * 64]; // 64KB buffer for large messages
 
+            // All sends go through the queue-based sender so command responses and
+            // subscription pushes never write to the socket concurrently
+            var sender = new WebSocketSender(webSocket, _logger);
+
+            // API commands in flight on this connection, keyed by request ID, so a 'cancel'
+            // frame can stop them. Closing the socket cancels everything still running.
+            var inFlight = new ConcurrentDictionary<string, CancellationTokenSource>();
+            using var connectionCts = new CancellationTokenSource();
+
+            // API commands run one at a time in arrival order, off the receive loop so a
+            // 'cancel' frame is handled while a command is still running
+            var commands = Channel.CreateUnbounded<QueuedCommand>(new UnboundedChannelOptions { SingleReader = true, SingleWriter = true });
+            var commandLoop = RunCommandLoopAsync(sender, commands.Reader, inFlight);
+
             try
             {
                 while (webSocket.State == WebSocketState.Open)
@@ -63,27 +82,49 @@ namespace DraCode.KoboldLair.Server.Services
                     var message = Encoding.UTF8.GetString(buffer, 0, result.Count);
                     _logger.LogDebug("Wyrm received message ({Count} bytes): {Message}", result.Count, message);
 
-                    await ProcessMessageAsync(webSocket, message);
+                    await ProcessMessageAsync(sender, message, commands.Writer, inFlight, connectionCts.Token);
                 }
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "WebSocket error");
-                if (webSocket.State == WebSocketState.Open)
+                if (sender.IsConnected)
                 {
-                    await SendErrorAsync(webSocket, ex.Message);
+                    await SendErrorAsync(sender, ex.Message);
                 }
             }
+            finally
+            {
+                commands.Writer.TryComplete();
+                connectionCts.Cancel();
+                _subscriptions?.RemoveAll(sender);
+
+                // Queued commands are skipped once cancelled; wait so none outlives the sender
+                await commandLoop;
+                sender.Dispose();
+            }
         }
 
-        private async Task ProcessMessageAsync(WebSocket webSocket, string message)
+        private async Task ProcessMessageAsync(
+            WebSocketSender sender,
+            string message,
+            ChannelWriter<QueuedCommand> commands,
+            ConcurrentDictionary<string, CancellationTokenSource> inFlight,
+            CancellationToken connectionToken)
         {
             try
             {
                 var request = JsonSerializer.Deserialize<WebSocketRequest>(message, s_jsonOptions);
                 if (request == null)
                 {
-                    await SendErrorAsync(webSocket, "Invalid request format");
+                    await SendErrorAsync(sender, "Invalid request format");
+                    return;
+                }
+
+                // Handshake: reply with protocol version and capabilities
+                if (request.Type == "client_ready")
+                {
+                    await SendMessageAsync(sender, ProtocolInfo.CreateHello(ProtocolInfo.WyvernCapabilities, request.ProtocolVersion));
                     return;
                 }
 
@@ -93,34 +134,44 @@ namespace DraCode.KoboldLair.Server.Services
                 switch (actionOrCommand)
                 {
                     case "ping":
-                        await SendMessageAsync(webSocket, new { type = "pong" });
+                        await SendMessageAsync(sender, new { type = "pong" });
                         break;
 
                     case "submit_task":
-                        await HandleSubmitTaskAsync(webSocket, request);
+                        await HandleSubmitTaskAsync(sender, request);
                         break;
 
                     case "get_tasks":
-                        await HandleGetTasksAsync(webSocket);
+                        await HandleGetTasksAsync(sender);
                         break;
 
                     case "get_task":
-                        await HandleGetTaskAsync(webSocket, request);
+                        await HandleGetTaskAsync(sender, request);
                         break;
 
                     case "get_markdown":
-                        await HandleGetMarkdownAsync(webSocket);
+                        await HandleGetMarkdownAsync(sender);
+                        break;
+
+                    case "cancel":
+                        HandleCancel(request, inFlight);
                         break;
 
                     default:
                         // Try to handle as API command if command handler is available
                         if (_commandHandler != null && actionOrCommand != null)
                         {
-                            await _commandHandler.HandleCommandAsync(webSocket, message);
+                            // Registered before it is queued, so it can be cancelled while waiting
+                            var cts = CancellationTokenSource.CreateLinkedTokenSource(connectionToken);
+                            if (!string.IsNullOrEmpty(request.Id))
+                            {
+                                inFlight[request.Id] = cts;
+                            }
+                            commands.TryWrite(new QueuedCommand(message, request.Id, cts));
                         }
                         else
                         {
-                            await SendErrorAsync(webSocket, $"Unknown action: {actionOrCommand}");
+                            await SendErrorAsync(sender, $"Unknown action: {actionOrCommand}");
                         }
                         break;
                 }
@@ -128,21 +179,82 @@ namespace DraCode.KoboldLair.Server.Services
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error processing message");
-                await SendErrorAsync(webSocket, ex.Message);
+                await SendErrorAsync(sender, ex.Message);
+            }
+        }
+
+        /// <summary>
+        /// Runs a connection's API commands one after another, so two quick updates are applied
+        /// in the order the client sent them.
+        /// </summary>
+        private async Task RunCommandLoopAsync(
+            WebSocketSender sender,
+            ChannelReader<QueuedCommand> commands,
+            ConcurrentDictionary<string, CancellationTokenSource> inFlight)
+        {
+            await foreach (var command in commands.ReadAllAsync())
+            {
+                try
+                {
+                    // Cancelled while queued - the client has given up on it
+                    if (!command.Cts.IsCancellationRequested)
+                    {
+                        await _commandHandler!.HandleCommandAsync(sender, command.Message, command.Cts.Token);
+                    }
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error processing command {RequestId}", command.RequestId);
+                }
+                finally
+                {
+                    // Remove before disposing so a later 'cancel' cannot find a disposed source
+                    if (!string.IsNullOrEmpty(command.RequestId))
+                    {
+                        inFlight.TryRemove(new KeyValuePair<string, CancellationTokenSource>(command.RequestId, command.Cts));
+                    }
+                    command.Cts.Dispose();
+                }
             }
         }
 
-        private async Task HandleSubmitTaskAsync(WebSocket webSocket, WebSocketRequest request)
+        /// <summary>
+        /// Cancels an in-flight API command. The client has already given up on the request,
+        /// so no response is sent.
+        /// </summary>
+        private void HandleCancel(WebSocketRequest request, ConcurrentDictionary<string, CancellationTokenSource> inFlight)
+        {
+            string? requestId = null;
+            if (request.Data.HasValue && request.Data.Value.TryGetProperty("requestId", out var rid))
+                requestId = rid.GetString();
+
+            if (!string.IsNullOrEmpty(requestId) && inFlight.TryRemove(requestId, out var cts))
+            {
+                try
+                {
+                    cts.Cancel();
+                    _logger.LogDebug("Cancelled command {RequestId}", requestId);
+                }
+                catch (ObjectDisposedException)
+                {
+                    // The command finished between the lookup and the cancel
+                }
+            }
+        }
+
+        private sealed record QueuedCommand(string Message, string? RequestId, CancellationTokenSource Cts);
+
+        private async Task HandleSubmitTaskAsync(WebSocketSender sender, WebSocketRequest request)
         {
             if (string.IsNullOrWhiteSpace(request.Task))
             {
-                await SendErrorAsync(webSocket, "Task description is required");
+                await SendErrorAsync(sender, "Task description is required");
                 return;
             }
 
             var taskRecord = _taskTracker.AddTask(request.Task);
 
-            await SendMessageAsync(webSocket, new
+            await SendMessageAsync(sender, new
             {
                 type = "task_created",
                 taskId = taskRecord.Id,
@@ -151,10 +263,10 @@ namespace DraCode.KoboldLair.Server.Services
             });
 
             // Run Wyrm in background
-            _ = Task.Run(async () => await RunWyrmAsync(webSocket, taskRecord));
+            _ = Task.Run(async () => await RunWyrmAsync(sender, taskRecord));
         }
 
-        private async Task RunWyrmAsync(WebSocket webSocket, TaskRecord taskRecord)
+        private async Task RunWyrmAsync(WebSocketSender sender, TaskRecord taskRecord)
         {
             try
             {
@@ -171,9 +283,9 @@ namespace DraCode.KoboldLair.Server.Services
                     // Log all agent messages to console for debugging
                     _logger.LogInformation("[Wyrm Agent] [{Type}] {Content}", type, content);
 
-                    if (webSocket.State == WebSocketState.Open)
+                    if (sender.IsConnected)
                     {
-                        await SendMessageAsync(webSocket, new
+                        await SendMessageAsync(sender, new
                         {
                             type = "agent_message",
                             taskId = taskRecord.Id,
@@ -202,32 +314,32 @@ namespace DraCode.KoboldLair.Server.Services
                 if (agentType != null)
                 {
                     _taskTracker.UpdateTask(taskRecord, TaskStatus.NotInitialized, agentType);
-                    await SendStatusUpdateAsync(webSocket, taskRecord);
+                    await SendStatusUpdateAsync(sender, taskRecord);
 
                     _taskTracker.UpdateTask(taskRecord, TaskStatus.Working);
-                    await SendStatusUpdateAsync(webSocket, taskRecord);
+                    await SendStatusUpdateAsync(sender, taskRecord);
 
                     _taskTracker.UpdateTask(taskRecord, TaskStatus.Done);
-                    await SendStatusUpdateAsync(webSocket, taskRecord);
+                    await SendStatusUpdateAsync(sender, taskRecord);
                 }
                 else
                 {
                     _taskTracker.SetError(taskRecord, "Failed to select agent");
-                    await SendStatusUpdateAsync(webSocket, taskRecord);
+                    await SendStatusUpdateAsync(sender, taskRecord);
                 }
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error running Wyrm for task {TaskId}", taskRecord.Id);
                 _taskTracker.SetError(taskRecord, ex.Message);
-                await SendStatusUpdateAsync(webSocket, taskRecord);
+                await SendStatusUpdateAsync(sender, taskRecord);
             }
         }
 
-        private async Task HandleGetTasksAsync(WebSocket webSocket)
+        private async Task HandleGetTasksAsync(WebSocketSender sender)
         {
             var tasks = _taskTracker.GetAllTasks();
-            await SendMessageAsync(webSocket, new
+            await SendMessageAsync(sender, new
             {
                 type = "tasks_list",
                 tasks = tasks.Select(t => new
@@ -243,22 +355,22 @@ namespace DraCode.KoboldLair.Server.Services
             });
         }
 
-        private async Task HandleGetTaskAsync(WebSocket webSocket, WebSocketRequest request)
+        private async Task HandleGetTaskAsync(WebSocketSender sender, WebSocketRequest request)
         {
             if (string.IsNullOrWhiteSpace(request.TaskId))
             {
-                await SendErrorAsync(webSocket, "Task ID is required");
+                await SendErrorAsync(sender, "Task ID is required");
                 return;
             }
 
             var task = _taskTracker.GetTaskById(request.TaskId);
             if (task == null)
             {
-                await SendErrorAsync(webSocket, $"Task not found: {request.TaskId}");
+                await SendErrorAsync(sender, $"Task not found: {request.TaskId}");
                 return;
             }
 
-            await SendMessageAsync(webSocket, new
+            await SendMessageAsync(sender, new
             {
                 type = "task_detail",
                 id = task.Id,
@@ -271,21 +383,21 @@ namespace DraCode.KoboldLair.Server.Services
             });
         }
 
-        private async Task HandleGetMarkdownAsync(WebSocket webSocket)
+        private async Task HandleGetMarkdownAsync(WebSocketSender sender)
         {
             var markdown = _taskTracker.GenerateMarkdown("KoboldLair Wyrm Tasks");
-            await SendMessageAsync(webSocket, new
+            await SendMessageAsync(sender, new
             {
                 type = "markdown_report",
                 markdown
             });
         }
 
-        private async Task SendStatusUpdateAsync(WebSocket webSocket, TaskRecord task)
+        private async Task SendStatusUpdateAsync(WebSocketSender sender, TaskRecord task)
         {
-            if (webSocket.State == WebSocketState.Open)
+            if (sender.IsConnected)
             {
-                await SendMessageAsync(webSocket, new
+                await SendMessageAsync(sender, new
                 {
                     type = "status_update",
                     taskId = task.Id,
@@ -296,19 +408,18 @@ namespace DraCode.KoboldLair.Server.Services
             }
         }
 
-        private async Task SendMessageAsync(WebSocket webSocket, object data)
+        private async Task SendMessageAsync(WebSocketSender sender, object data)
         {
-            if (webSocket.State != WebSocketState.Open) return;
+            if (!sender.IsConnected) return;
 
             var json = JsonSerializer.Serialize(data, s_jsonOptions);
             _logger.LogDebug("Wyrm sending message: {Message}", json);
-            var bytes = Encoding.UTF8.GetBytes(json);
-            await webSocket.SendAsync(new ArraySegment<byte>(bytes), WebSocketMessageType.Text, true, CancellationToken.None);
+            await sender.SendAsync(Encoding.UTF8.GetBytes(json));
         }
 
-        private async Task SendErrorAsync(WebSocket webSocket, string error)
+        private async Task SendErrorAsync(WebSocketSender sender, string error)
         {
-            await SendMessageAsync(webSocket, new { type = "error", error });
+            await SendMessageAsync(sender, new { type = "error", error });
         }
     }
 }
@@ -0,0 +1,94 @@
+using DraCode.KoboldLair.Server.Auth;
+using FluentAssertions;
+
+namespace DraCode.KoboldLair.Tests.Server;
+
+/// <summary>
+/// Unit tests for ConnectionTicketStore: single-use tickets, expiry and client IP binding.
+/// </summary>
+public class ConnectionTicketStoreTests : IDisposable
+{
+    private readonly ManualTimeProvider _time = new();
+    private readonly ConnectionTicketStore _store;
+
+    public ConnectionTicketStoreTests()
+    {
+        _store = new ConnectionTicketStore(_time);
+    }
+
+    public void Dispose()
+    {
+        _store.Dispose();
+    }
+
+    [Fact]
+    public void Redeem_ShouldSucceedOnce()
+    {
+        var ticket = _store.Issue("10.0.0.1");
+
+        _store.Redeem(ticket.Ticket, "10.0.0.1").Should().BeTrue();
+        _store.Redeem(ticket.Ticket, "10.0.0.1").Should().BeFalse();
+    }
+
+    [Fact]
+    public void Redeem_UnknownTicket_ShouldFail()
+    {
+        _store.Redeem("not-a-ticket", "10.0.0.1").Should().BeFalse();
+    }
+
+    [Fact]
+    public void Redeem_AfterLifetime_ShouldFail()
+    {
+        var ticket = _store.Issue("10.0.0.1");
+
+        _time.Advance(ConnectionTicketStore.TicketLifetime + TimeSpan.FromSeconds(1));
+
+        _store.Redeem(ticket.Ticket, "10.0.0.1").Should().BeFalse();
+    }
+
+    [Fact]
+    public void Redeem_WithinLifetime_ShouldSucceed()
+    {
+        var ticket = _store.Issue("10.0.0.1");
+
+        _time.Advance(ConnectionTicketStore.TicketLifetime - TimeSpan.FromSeconds(1));
+
+        _store.Redeem(ticket.Ticket, "10.0.0.1").Should().BeTrue();
+    }
+
+    [Fact]
+    public void Redeem_FromOtherIp_ShouldFailAndConsumeTicket()
+    {
+        var ticket = _store.Issue("10.0.0.1");
+
+        _store.Redeem(ticket.Ticket, "10.0.0.2").Should().BeFalse();
+        _store.Redeem(ticket.Ticket, "10.0.0.1").Should().BeFalse();
+    }
+
+    [Fact]
+    public void Redeem_TicketWithoutIp_ShouldAcceptAnyClient()
+    {
+        var ticket = _store.Issue(null);
+
+        _store.Redeem(ticket.Ticket, "10.0.0.2").Should().BeTrue();
+    }
+
+    [Fact]
+    public void Issue_ShouldReturnUniqueTickets()
+    {
+        var first = _store.Issue("10.0.0.1");
+        var second = _store.Issue("10.0.0.1");
+
+        first.Ticket.Should().NotBe(second.Ticket);
+        first.Ticket.Should().HaveLength(64);
+    }
+
+    private class ManualTimeProvider : TimeProvider
+    {
+        private DateTimeOffset _now = DateTimeOffset.UtcNow;
+
+        public override DateTimeOffset GetUtcNow() => _now;
+
+        public void Advance(TimeSpan by) => _now += by;
+    }
+}
@@ -0,0 +1,42 @@
+using System.Collections.Concurrent;
+using System.Net.WebSockets;
+using System.Text;
+
+namespace DraCode.KoboldLair.Tests.Server;
+
+/// <summary>
+/// In-memory WebSocket that records every text frame sent through it.
+/// </summary>
+public class FakeWebSocket : WebSocket
+{
+    private WebSocketState _state = WebSocketState.Open;
+
+    public ConcurrentQueue<string> Sent { get; } = new();
+
+    public override WebSocketCloseStatus? CloseStatus => null;
+    public override string? CloseStatusDescription => null;
+    public override WebSocketState State => _state;
+    public override string? SubProtocol => null;
+
+    public override void Abort() => _state = WebSocketState.Aborted;
+
+    public override Task CloseAsync(WebSocketCloseStatus closeStatus, string? statusDescription, CancellationToken cancellationToken)
+    {
+        _state = WebSocketState.Closed;
+        return Task.CompletedTask;
+    }
+
+    public override Task CloseOutputAsync(WebSocketCloseStatus closeStatus, string? statusDescription, CancellationToken cancellationToken)
+        => CloseAsync(closeStatus, statusDescription, cancellationToken);
+
+    public override void Dispose() => _state = WebSocketState.Closed;
+
+    public override Task<WebSocketReceiveResult> ReceiveAsync(ArraySegment<byte> buffer, CancellationToken cancellationToken)
+        => Task.FromResult(new WebSocketReceiveResult(0, WebSocketMessageType.Close, true));
+
+    public override Task SendAsync(ArraySegment<byte> buffer, WebSocketMessageType messageType, bool endOfMessage, CancellationToken cancellationToken)
+    {
+        Sent.Enqueue(Encoding.UTF8.GetString(buffer.Array!, buffer.Offset, buffer.Count));
+        return Task.CompletedTask;
+    }
+}
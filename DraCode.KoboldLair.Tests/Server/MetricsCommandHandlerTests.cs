@@ -0,0 +1,245 @@
+using System.Text.Json;
+using DraCode.KoboldLair.Models.Agents;
+using DraCode.KoboldLair.Models.Tasks;
+using DraCode.KoboldLair.Server.Services.CommandHandlers;
+using FluentAssertions;
+using TaskStatus = DraCode.KoboldLair.Models.Tasks.TaskStatus;
+
+namespace DraCode.KoboldLair.Tests.Server;
+
+/// <summary>
+/// Unit tests for the task graph and timeline of MetricsCommandHandler: task keys, structured and
+/// "(depends on: …)" dependencies, how dependencies resolve to edges, and how plans become Kobold runs
+/// and markers.
+/// </summary>
+public class MetricsCommandHandlerTests
+{
+    private static readonly DateTime T0 = new(2026, 1, 1, 10, 0, 0, DateTimeKind.Utc);
+
+    private static TaskRecord Task(string id, string text, params string[] dependencies) =>
+        new() { Id = id, Task = text, Dependencies = dependencies.ToList() };
+
+    private static List<(string From, string To)> Edges(List<object> edges) =>
+        edges.Select(edge => JsonSerializer.SerializeToElement(edge))
+            .Select(edge => (edge.GetProperty("from").GetString()!, edge.GetProperty("to").GetString()!))
+            .ToList();
+
+    private static List<(string TaskId, string Dependency)> Unresolved(List<object> unresolved) =>
+        unresolved.Select(entry => JsonSerializer.SerializeToElement(entry))
+            .Select(entry => (entry.GetProperty("taskId").GetString()!, entry.GetProperty("dependency").GetString()!))
+            .ToList();
+
+    [Theory]
+    [InlineData("[api-1] Build the API", "api-1")]
+    [InlineData("  [ api-2 ] Padded key", "api-2")]
+    [InlineData("No key here", null)]
+    [InlineData("Key [api-3] not at the start", null)]
+    public void GetTaskKey_ShouldReadLeadingBracketKey(string text, string? expected)
+    {
+        MetricsCommandHandler.GetTaskKey(text).Should().Be(expected);
+    }
+
+    [Fact]
+    public void GetDependencies_Structured_ShouldWinOverText()
+    {
+        var task = Task("b", "[api-2] Client (depends on: api-9)", "api-1");
+
+        MetricsCommandHandler.GetDependencies(task).Should().Equal("api-1");
+    }
+
+    [Fact]
+    public void GetDependencies_Text_ShouldBeSplitAndTrimmed()
+    {
+        var task = Task("c", "[api-3] Docs (depends on: api-1,  api-2 , )");
+
+        MetricsCommandHandler.GetDependencies(task).Should().Equal("api-1", "api-2");
+    }
+
+    [Fact]
+    public void GetDependencies_None_ShouldBeEmpty()
+    {
+        MetricsCommandHandler.GetDependencies(Task("a", "[api-1] Build")).Should().BeEmpty();
+    }
+
+    [Fact]
+    public void BuildDependencyEdges_StructuredDependency_ShouldLinkByKey()
+    {
+        var tasks = new List<TaskRecord>
+        {
+            Task("a", "[api-1] Build"),
+            Task("b", "[api-2] Client", "API-1")
+        };
+
+        var (edges, unresolved) = MetricsCommandHandler.BuildDependencyEdges(tasks);
+
+        Edges(edges).Should().Equal(("a", "b"));
+        unresolved.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void BuildDependencyEdges_TextDependencies_ShouldLinkEach()
+    {
+        var tasks = new List<TaskRecord>
+        {
+            Task("a", "[api-1] Build"),
+            Task("b", "[ui-1] Screens"),
+            Task("c", "[ui-2] Wire up (depends on: api-1, ui-1)")
+        };
+
+        var (edges, unresolved) = MetricsCommandHandler.BuildDependencyEdges(tasks);
+
+        Edges(edges).Should().Equal(("a", "c"), ("b", "c"));
+        unresolved.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void BuildDependencyEdges_KeyNotAtStart_ShouldFallBackToContains()
+    {
+        var tasks = new List<TaskRecord>
+        {
+            Task("a", "Setup [infra-1] database"),
+            Task("b", "[api-1] Build", "infra-1")
+        };
+
+        var (edges, _) = MetricsCommandHandler.BuildDependencyEdges(tasks);
+
+        Edges(edges).Should().Equal(("a", "b"));
+    }
+
+    [Fact]
+    public void BuildDependencyEdges_UnknownDependency_ShouldBeUnresolved()
+    {
+        var tasks = new List<TaskRecord>
+        {
+            Task("a", "[api-1] Build"),
+            Task("b", "[api-2] Client (depends on: api-1, api-9)")
+        };
+
+        var (edges, unresolved) = MetricsCommandHandler.BuildDependencyEdges(tasks);
+
+        Edges(edges).Should().Equal(("a", "b"));
+        Unresolved(unresolved).Should().Equal(("b", "api-9"));
+    }
+
+    [Fact]
+    public void BuildDependencyEdges_SelfReference_ShouldBeUnresolvedWithoutEdge()
+    {
+        var tasks = new List<TaskRecord> { Task("a", "[api-1] Build", "api-1") };
+
+        var (edges, unresolved) = MetricsCommandHandler.BuildDependencyEdges(tasks);
+
+        edges.Should().BeEmpty();
+        Unresolved(unresolved).Should().Equal(("a", "api-1"));
+    }
+
+    private static PlanLogEntry Log(int minutes, string message) => new() { Timestamp = T0.AddMinutes(minutes), Message = message };
+
+    private static JsonElement Timeline(TaskStatus status, KoboldImplementationPlan plan) =>
+        JsonSerializer.SerializeToElement(MetricsCommandHandler.BuildTimelineEntry(
+            new TaskRecord { Id = "t1", Task = "[api-1] Build", Status = status }, "backend", plan));
+
+    private static List<(string? KoboldId, DateTime StartedAt, DateTime? EndedAt)> Runs(JsonElement entry) =>
+        entry.GetProperty("runs").EnumerateArray()
+            .Select(run => (
+                run.GetProperty("koboldId").GetString(),
+                run.GetProperty("startedAt").GetDateTime(),
+                run.GetProperty("endedAt").ValueKind == JsonValueKind.Null ? (DateTime?)null : run.GetProperty("endedAt").GetDateTime()))
+            .ToList();
+
+    private static List<(string Type, DateTime At, string Label)> Markers(JsonElement entry) =>
+        entry.GetProperty("markers").EnumerateArray()
+            .Select(marker => (
+                marker.GetProperty("type").GetString()!,
+                marker.GetProperty("at").GetDateTime(),
+                marker.GetProperty("label").GetString()!))
+            .ToList();
+
+    [Fact]
+    public void BuildTimelineEntry_SingleRun_ShouldEndAtLastActivity()
+    {
+        var plan = new KoboldImplementationPlan
+        {
+            CreatedAt = T0.AddMinutes(-5),
+            UpdatedAt = T0.AddMinutes(6),
+            ExecutionLog = { Log(0, "Kobold 0123abcd started working"), Log(1, "Plan created") },
+            Steps =
+            {
+                new ImplementationStep { Index = 1, Title = "Write", Status = StepStatus.Completed, StartedAt = T0.AddMinutes(2), CompletedAt = T0.AddMinutes(5) },
+                new ImplementationStep { Index = 2, Title = "Later", Status = StepStatus.Pending }
+            }
+        };
+
+        var entry = Timeline(TaskStatus.Done, plan);
+
+        Runs(entry).Should().Equal(("0123abcd", T0, T0.AddMinutes(6)));
+        Markers(entry).Should().BeEmpty();
+        entry.GetProperty("steps").GetArrayLength().Should().Be(1);
+    }
+
+    [Fact]
+    public void BuildTimelineEntry_MultipleRuns_ShouldSplitAtEachStartAndMarkRetries()
+    {
+        var plan = new KoboldImplementationPlan
+        {
+            UpdatedAt = T0.AddMinutes(15),
+            ExecutionLog =
+            {
+                Log(0, "Kobold aaaaaaaa started working"),
+                Log(3, "Step 1 (Write) failed with transient error, scheduled for retry (1/3)"),
+                Log(10, "Kobold bbbbbbbb started working (enhanced mode)")
+            }
+        };
+
+        var entry = Timeline(TaskStatus.Done, plan);
+
+        Runs(entry).Should().Equal(
+            ("aaaaaaaa", T0, T0.AddMinutes(3)),
+            ("bbbbbbbb", T0.AddMinutes(10), T0.AddMinutes(15)));
+        Markers(entry).Should().Equal(
+            ("retry", T0.AddMinutes(3), "Step 1 (Write) failed with transient error, scheduled for retry (1/3)"),
+            ("retry", T0.AddMinutes(10), "Retry 1"));
+    }
+
+    [Fact]
+    public void BuildTimelineEntry_WorkingTask_ShouldLeaveLastRunOpen()
+    {
+        var plan = new KoboldImplementationPlan
+        {
+            UpdatedAt = T0.AddMinutes(12),
+            ExecutionLog = { Log(0, "Kobold aaaaaaaa started working"), Log(10, "Kobold bbbbbbbb started working") }
+        };
+
+        var entry = Timeline(TaskStatus.Working, plan);
+
+        Runs(entry).Should().Equal(
+            ("aaaaaaaa", T0, T0),
+            ("bbbbbbbb", T0.AddMinutes(10), (DateTime?)null));
+    }
+
+    [Fact]
+    public void BuildTimelineEntry_NoRunEntries_ShouldSpanThePlan()
+    {
+        var plan = new KoboldImplementationPlan { CreatedAt = T0, UpdatedAt = T0.AddMinutes(20) };
+
+        var entry = Timeline(TaskStatus.Failed, plan);
+
+        Runs(entry).Should().Equal(((string?)null, T0, T0.AddMinutes(20)));
+    }
+
+    [Fact]
+    public void BuildTimelineEntry_Escalation_ShouldBeMarkedInOrder()
+    {
+        var plan = new KoboldImplementationPlan
+        {
+            UpdatedAt = T0.AddMinutes(15),
+            ExecutionLog = { Log(0, "Kobold aaaaaaaa started working"), Log(10, "Kobold bbbbbbbb started working") },
+            Escalations = { new EscalationAlert { Type = EscalationType.WrongApproach, Summary = "Use the queue", CreatedAt = T0.AddMinutes(5) } }
+        };
+
+        var entry = Timeline(TaskStatus.Done, plan);
+
+        Markers(entry).Should().Equal(
+            ("escalation", T0.AddMinutes(5), "WrongApproach: Use the queue"),
+            ("retry", T0.AddMinutes(10), "Retry 1"));
+    }
+}
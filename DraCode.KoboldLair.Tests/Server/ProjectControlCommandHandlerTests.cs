@@ -0,0 +1,69 @@
+using DraCode.KoboldLair.Models.Tasks;
+using DraCode.KoboldLair.Server.Services.CommandHandlers;
+using FluentAssertions;
+using TaskStatus = DraCode.KoboldLair.Models.Tasks.TaskStatus;
+
+namespace DraCode.KoboldLair.Tests.Server;
+
+/// <summary>
+/// Unit tests for the task checks of ProjectControlCommandHandler: a missing task or a wrong state
+/// must fail the command instead of coming back as a successful tool message.
+/// </summary>
+public class ProjectControlCommandHandlerTests
+{
+    private static TaskRecord Task(TaskStatus status) => new() { Id = "0123456789abcdef", Task = "[api-1] Build", Status = status };
+
+    [Fact]
+    public void EnsureCanRetry_MissingTask_ShouldThrow()
+    {
+        var act = () => ProjectControlCommandHandler.EnsureCanRetry(null, "0123456789abcdef");
+
+        act.Should().Throw<InvalidOperationException>().WithMessage("Task not found: 0123456789abcdef");
+    }
+
+    [Theory]
+    [InlineData(TaskStatus.Unassigned)]
+    [InlineData(TaskStatus.Working)]
+    [InlineData(TaskStatus.Done)]
+    public void EnsureCanRetry_TaskNotFailed_ShouldThrow(TaskStatus status)
+    {
+        var act = () => ProjectControlCommandHandler.EnsureCanRetry(Task(status), "0123456789abcdef");
+
+        act.Should().Throw<InvalidOperationException>().WithMessage($"*not in Failed status (current: {status})");
+    }
+
+    [Fact]
+    public void EnsureCanRetry_FailedTask_ShouldPass()
+    {
+        var act = () => ProjectControlCommandHandler.EnsureCanRetry(Task(TaskStatus.Failed), "0123456789abcdef");
+
+        act.Should().NotThrow();
+    }
+
+    [Fact]
+    public void EnsureCanSetPriority_MissingTask_ShouldThrow()
+    {
+        var act = () => ProjectControlCommandHandler.EnsureCanSetPriority(null, "0123456789abcdef");
+
+        act.Should().Throw<InvalidOperationException>().WithMessage("Task not found: 0123456789abcdef");
+    }
+
+    [Fact]
+    public void EnsureCanSetPriority_DoneTask_ShouldThrow()
+    {
+        var act = () => ProjectControlCommandHandler.EnsureCanSetPriority(Task(TaskStatus.Done), "0123456789abcdef");
+
+        act.Should().Throw<InvalidOperationException>().WithMessage("Task 01234567 is already completed*");
+    }
+
+    [Theory]
+    [InlineData(TaskStatus.Unassigned)]
+    [InlineData(TaskStatus.Working)]
+    [InlineData(TaskStatus.Failed)]
+    public void EnsureCanSetPriority_OpenTask_ShouldPass(TaskStatus status)
+    {
+        var act = () => ProjectControlCommandHandler.EnsureCanSetPriority(Task(status), "0123456789abcdef");
+
+        act.Should().NotThrow();
+    }
+}
@@ -0,0 +1,154 @@
+using DraCode.KoboldLair.Server.Services;
+using FluentAssertions;
+using Microsoft.Extensions.Logging.Abstractions;
+
+namespace DraCode.KoboldLair.Tests.Server;
+
+/// <summary>
+/// Unit tests for ProjectNotificationService: read state, Dragon delivery, history trimming and persistence.
+/// </summary>
+public class ProjectNotificationServiceTests : IDisposable
+{
+    private const string Project = "Demo Project";
+
+    private readonly string _projectsPath;
+    private readonly ProjectNotificationService _service;
+
+    public ProjectNotificationServiceTests()
+    {
+        _projectsPath = Path.Combine(Path.GetTempPath(), $"notifications_test_{Guid.NewGuid()}");
+        Directory.CreateDirectory(_projectsPath);
+        _service = CreateService();
+    }
+
+    public void Dispose()
+    {
+        if (Directory.Exists(_projectsPath))
+            Directory.Delete(_projectsPath, recursive: true);
+    }
+
+    private ProjectNotificationService CreateService() =>
+        new(NullLogger<ProjectNotificationService>.Instance, _projectsPath);
+
+    private List<ProjectNotification> History(ProjectNotificationService? service = null) =>
+        (service ?? _service).GetHistory(new[] { Project }, int.MaxValue);
+
+    [Fact]
+    public void Notify_ShouldStartUnreadAndUndelivered()
+    {
+        _service.Notify(Project, "task_failed", "Task failed");
+
+        _service.GetPendingNotifications(Project).Should().ContainSingle();
+        _service.GetUndeliveredNotifications(Project).Should().ContainSingle();
+    }
+
+    [Fact]
+    public void MarkAsRead_WithIds_ShouldOnlyMarkThose()
+    {
+        _service.Notify(Project, "task_failed", "First");
+        _service.Notify(Project, "task_failed", "Second");
+        var first = History().Single(n => n.Message == "First");
+
+        _service.MarkAsRead(Project, new[] { first.Id });
+
+        _service.GetPendingNotifications(Project).Should().ContainSingle()
+            .Which.Message.Should().Be("Second");
+        first.Read.Should().BeTrue();
+        first.ReadAt.Should().NotBeNull();
+    }
+
+    [Fact]
+    public void MarkAsRead_WithoutIds_ShouldMarkAllOfTheProject()
+    {
+        _service.Notify(Project, "task_failed", "First");
+        _service.Notify(Project, "task_failed", "Second");
+        _service.Notify("Other", "task_failed", "Elsewhere");
+
+        _service.MarkAsRead(Project);
+
+        _service.GetPendingNotifications(Project).Should().BeEmpty();
+        _service.GetPendingNotifications("Other").Should().ContainSingle();
+    }
+
+    [Fact]
+    public void MarkAsUnread_ShouldClearReadAt()
+    {
+        _service.Notify(Project, "task_failed", "First");
+        var notification = History().Single();
+        _service.MarkAsRead(Project);
+
+        _service.MarkAsUnread(Project, new[] { notification.Id });
+
+        notification.Read.Should().BeFalse();
+        notification.ReadAt.Should().BeNull();
+        _service.GetPendingNotifications(Project).Should().ContainSingle();
+    }
+
+    [Fact]
+    public void MarkAsDelivered_ShouldKeepNotificationUnread()
+    {
+        _service.Notify(Project, "task_failed", "First");
+        var notification = History().Single();
+
+        _service.MarkAsDelivered(Project, new[] { notification.Id });
+
+        _service.GetUndeliveredNotifications(Project).Should().BeEmpty();
+        _service.GetPendingNotifications(Project).Should().ContainSingle();
+    }
+
+    [Fact]
+    public void Notify_OverLimit_ShouldDropOldestReadFirst()
+    {
+        for (var i = 0; i < ProjectNotificationService.MaxNotificationsPerProject; i++)
+            _service.Notify(Project, "task_failed", $"Message {i}");
+        var read = History().Single(n => n.Message == "Message 5");
+        _service.MarkAsRead(Project, new[] { read.Id });
+
+        _service.Notify(Project, "task_failed", "Newest");
+
+        var history = History();
+        history.Should().HaveCount(ProjectNotificationService.MaxNotificationsPerProject);
+        history.Should().NotContain(n => n.Id == read.Id);
+        history.Should().Contain(n => n.Message == "Message 0");
+    }
+
+    [Fact]
+    public void Notify_OverLimitWithoutRead_ShouldDropOldest()
+    {
+        for (var i = 0; i <= ProjectNotificationService.MaxNotificationsPerProject; i++)
+            _service.Notify(Project, "task_failed", $"Message {i}");
+
+        var history = History();
+        history.Should().HaveCount(ProjectNotificationService.MaxNotificationsPerProject);
+        history.Should().NotContain(n => n.Message == "Message 0");
+        history.Should().Contain(n => n.Message == "Message 1");
+    }
+
+    [Fact]
+    public void ReadAndDeliveredState_ShouldSurviveRestart()
+    {
+        _service.Notify(Project, "task_failed", "Read");
+        _service.Notify(Project, "task_failed", "Delivered");
+        var history = History();
+        _service.MarkAsRead(Project, new[] { history.Single(n => n.Message == "Read").Id });
+        _service.MarkAsDelivered(Project, new[] { history.Single(n => n.Message == "Delivered").Id });
+
+        var restarted = CreateService();
+
+        restarted.GetPendingNotifications(Project).Should().ContainSingle()
+            .Which.Message.Should().Be("Delivered");
+        restarted.GetUndeliveredNotifications(Project).Should().BeEmpty();
+        History(restarted).Should().HaveCount(2)
+            .And.OnlyContain(n => n.ProjectName == Project);
+    }
+
+    [Fact]
+    public void GetRecentNotifications_ShouldReturnNewestFirstAcrossProjects()
+    {
+        _service.Notify(Project, "task_failed", "First");
+        _service.Notify("Other", "project_complete", "Second");
+
+        _service.GetRecentNotifications().Select(n => n.Message)
+            .Should().Equal("Second", "First");
+    }
+}
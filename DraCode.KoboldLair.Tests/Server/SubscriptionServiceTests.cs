@@ -0,0 +1,111 @@
+using DraCode.KoboldLair.Server.Services;
+using FluentAssertions;
+using Microsoft.Extensions.Logging.Abstractions;
+
+namespace DraCode.KoboldLair.Tests.Server;
+
+/// <summary>
+/// Unit tests for SubscriptionService: per-connection ownership and change-only pushes.
+/// </summary>
+public class SubscriptionServiceTests : IDisposable
+{
+    private readonly TestableSubscriptionService _service = new();
+    private readonly FakeWebSocket _socketA = new();
+    private readonly FakeWebSocket _socketB = new();
+    private readonly WebSocketSender _senderA;
+    private readonly WebSocketSender _senderB;
+
+    public SubscriptionServiceTests()
+    {
+        _senderA = new WebSocketSender(_socketA);
+        _senderB = new WebSocketSender(_socketB);
+    }
+
+    public void Dispose()
+    {
+        _senderA.Dispose();
+        _senderB.Dispose();
+        _service.Dispose();
+    }
+
+    private static Func<Task<object?>> Snapshot(object value) => () => Task.FromResult<object?>(value);
+
+    [Fact]
+    public async Task Subscribe_ShouldPushInitialSnapshot()
+    {
+        await _service.SubscribeAsync(_senderA, "sub-1", "stats", "", Snapshot(new { total = 1 }));
+
+        _socketA.Sent.Should().ContainSingle()
+            .Which.Should().Contain("\"type\":\"subscription_update\"")
+            .And.Contain("\"subscriptionId\":\"sub-1\"")
+            .And.Contain("\"total\":1");
+    }
+
+    [Fact]
+    public async Task Subscribe_SameIdOnTwoConnections_ShouldKeepBoth()
+    {
+        await _service.SubscribeAsync(_senderA, "sub-1", "stats", "", Snapshot(new { total = 1 }));
+        await _service.SubscribeAsync(_senderB, "sub-1", "projects", "", Snapshot(new { total = 2 }));
+
+        _service.Count.Should().Be(2);
+    }
+
+    [Fact]
+    public async Task Unsubscribe_FromOtherConnection_ShouldNotRemove()
+    {
+        await _service.SubscribeAsync(_senderA, "sub-1", "stats", "", Snapshot(new { total = 1 }));
+
+        _service.Unsubscribe(_senderB, "sub-1").Should().BeFalse();
+        _service.Count.Should().Be(1);
+
+        _service.Unsubscribe(_senderA, "sub-1").Should().BeTrue();
+        _service.Count.Should().Be(0);
+    }
+
+    [Fact]
+    public async Task RemoveAll_ShouldOnlyRemoveThatConnection()
+    {
+        await _service.SubscribeAsync(_senderA, "sub-1", "stats", "", Snapshot(new { total = 1 }));
+        await _service.SubscribeAsync(_senderA, "sub-2", "projects", "", Snapshot(new { total = 1 }));
+        await _service.SubscribeAsync(_senderB, "sub-1", "stats", "", Snapshot(new { total = 1 }));
+
+        _service.RemoveAll(_senderA);
+
+        _service.Count.Should().Be(1);
+        _service.Unsubscribe(_senderB, "sub-1").Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task Cycle_ShouldPushOnlyWhenSnapshotChanges()
+    {
+        var total = 1;
+        await _service.SubscribeAsync(_senderA, "sub-1", "stats", "", () => Task.FromResult<object?>(new { total }));
+
+        await _service.RunCycleAsync();
+        _socketA.Sent.Should().HaveCount(1);
+
+        total = 2;
+        await _service.RunCycleAsync();
+        _socketA.Sent.Should().HaveCount(2);
+        _socketA.Sent.Last().Should().Contain("\"total\":2");
+    }
+
+    [Fact]
+    public async Task Cycle_ShouldDropSubscriptionsOfClosedConnections()
+    {
+        await _service.SubscribeAsync(_senderA, "sub-1", "stats", "", Snapshot(new { total = 1 }));
+        await _service.SubscribeAsync(_senderB, "sub-1", "stats", "", Snapshot(new { total = 1 }));
+
+        _socketB.Abort();
+        await _service.RunCycleAsync();
+
+        _service.Count.Should().Be(1);
+    }
+
+    private class TestableSubscriptionService : SubscriptionService
+    {
+        public TestableSubscriptionService() : base(NullLogger<SubscriptionService>.Instance) { }
+
+        public Task RunCycleAsync() => ExecuteCycleAsync(CancellationToken.None);
+    }
+}
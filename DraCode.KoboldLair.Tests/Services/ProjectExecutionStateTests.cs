@@ -0,0 +1,92 @@
+using DraCode.KoboldLair.Models.Projects;
+using DraCode.KoboldLair.Services;
+using FluentAssertions;
+
+namespace DraCode.KoboldLair.Tests.Services;
+
+/// <summary>
+/// Unit tests for ProjectService.CanChangeExecutionState. The allowed transitions must stay in line
+/// with LIFECYCLE_ACTIONS in the client's project-lifecycle.js, which only offers these buttons.
+/// </summary>
+public class ProjectExecutionStateTests
+{
+    [Theory]
+    // pause: from Running
+    [InlineData(ProjectExecutionState.Running, ProjectExecutionState.Paused)]
+    // resume: from Paused, Suspended
+    [InlineData(ProjectExecutionState.Paused, ProjectExecutionState.Running)]
+    [InlineData(ProjectExecutionState.Suspended, ProjectExecutionState.Running)]
+    // suspend: from Running, Paused
+    [InlineData(ProjectExecutionState.Running, ProjectExecutionState.Suspended)]
+    [InlineData(ProjectExecutionState.Paused, ProjectExecutionState.Suspended)]
+    // cancel: from Running, Paused, Suspended
+    [InlineData(ProjectExecutionState.Running, ProjectExecutionState.Cancelled)]
+    [InlineData(ProjectExecutionState.Paused, ProjectExecutionState.Cancelled)]
+    [InlineData(ProjectExecutionState.Suspended, ProjectExecutionState.Cancelled)]
+    public void CanChangeExecutionState_ClientAction_ShouldBeAllowed(ProjectExecutionState from, ProjectExecutionState to)
+    {
+        ProjectService.CanChangeExecutionState(from, to, ProjectStatus.InProgress).Should().BeTrue();
+    }
+
+    [Theory]
+    [InlineData(ProjectExecutionState.Suspended, ProjectExecutionState.Paused)]
+    [InlineData(ProjectExecutionState.Cancelled, ProjectExecutionState.Running)]
+    [InlineData(ProjectExecutionState.Cancelled, ProjectExecutionState.Paused)]
+    [InlineData(ProjectExecutionState.Cancelled, ProjectExecutionState.Suspended)]
+    public void CanChangeExecutionState_OtherTransition_ShouldBeRejected(ProjectExecutionState from, ProjectExecutionState to)
+    {
+        ProjectService.CanChangeExecutionState(from, to, ProjectStatus.InProgress).Should().BeFalse();
+    }
+
+    [Fact]
+    public void CanChangeExecutionState_ShouldCoverEveryTransition()
+    {
+        var allowed = new HashSet<(ProjectExecutionState, ProjectExecutionState)>
+        {
+            (ProjectExecutionState.Running, ProjectExecutionState.Paused),
+            (ProjectExecutionState.Paused, ProjectExecutionState.Running),
+            (ProjectExecutionState.Suspended, ProjectExecutionState.Running),
+            (ProjectExecutionState.Running, ProjectExecutionState.Suspended),
+            (ProjectExecutionState.Paused, ProjectExecutionState.Suspended),
+            (ProjectExecutionState.Running, ProjectExecutionState.Cancelled),
+            (ProjectExecutionState.Paused, ProjectExecutionState.Cancelled),
+            (ProjectExecutionState.Suspended, ProjectExecutionState.Cancelled)
+        };
+
+        foreach (var from in Enum.GetValues<ProjectExecutionState>())
+        {
+            foreach (var to in Enum.GetValues<ProjectExecutionState>().Where(to => to != from))
+            {
+                ProjectService.CanChangeExecutionState(from, to, ProjectStatus.InProgress)
+                    .Should().Be(allowed.Contains((from, to)), $"{from} -> {to}");
+            }
+        }
+    }
+
+    [Fact]
+    public void CanChangeExecutionState_SameState_ShouldBeNoOp()
+    {
+        foreach (var state in Enum.GetValues<ProjectExecutionState>())
+        {
+            ProjectService.CanChangeExecutionState(state, state, ProjectStatus.InProgress).Should().BeTrue();
+        }
+    }
+
+    [Theory]
+    [InlineData(ProjectStatus.Completed, ProjectExecutionState.Paused)]
+    [InlineData(ProjectStatus.Completed, ProjectExecutionState.Suspended)]
+    [InlineData(ProjectStatus.Failed, ProjectExecutionState.Paused)]
+    [InlineData(ProjectStatus.Failed, ProjectExecutionState.Suspended)]
+    public void CanChangeExecutionState_FinishedProject_ShouldNotPauseOrSuspend(ProjectStatus status, ProjectExecutionState to)
+    {
+        ProjectService.CanChangeExecutionState(ProjectExecutionState.Running, to, status).Should().BeFalse();
+    }
+
+    [Theory]
+    [InlineData(ProjectStatus.Completed)]
+    [InlineData(ProjectStatus.Failed)]
+    public void CanChangeExecutionState_FinishedProject_ShouldStillCancel(ProjectStatus status)
+    {
+        ProjectService.CanChangeExecutionState(ProjectExecutionState.Running, ProjectExecutionState.Cancelled, status).Should().BeTrue();
+    }
+}
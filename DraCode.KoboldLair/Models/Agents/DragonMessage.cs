@@ -12,6 +12,26 @@ namespace DraCode.KoboldLair.Models.Agents
         public string? Action { get; set; }
         public string Message { get; set; } = "";
         public string? SessionId { get; set; }
+        /// <summary>
+        /// Client channel ID on a multiplexed socket (sent with channel_open and every later frame)
+        /// </summary>
+        public string? Channel { get; set; }
+        /// <summary>
+        /// Client-chosen ID of a chat message, echoed on every frame of the request it starts
+        /// </summary>
+        public string? RequestId { get; set; }
         public string? Provider { get; set; }
+        /// <summary>
+        /// Client protocol version (client_ready handshake)
+        /// </summary>
+        public int? ProtocolVersion { get; set; }
+        /// <summary>
+        /// Conversation to restore into the session (session_replay)
+        /// </summary>
+        public List<DragonReplayMessage>? Messages { get; set; }
+        /// <summary>
+        /// session_replay: replace the Dragon's context instead of appending to it (edit, regenerate)
+        /// </summary>
+        public bool Reset { get; set; }
     }
 }
@@ -0,0 +1,14 @@
+namespace DraCode.KoboldLair.Models.Agents
+{
+    /// <summary>
+    /// A conversation turn sent by the client in a session_replay request
+    /// </summary>
+    public class DragonReplayMessage
+    {
+        /// <summary>
+        /// "user" or "assistant"
+        /// </summary>
+        public string Role { get; set; } = "";
+        public string Content { get; set; } = "";
+    }
+}
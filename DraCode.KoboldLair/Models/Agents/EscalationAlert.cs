@@ -19,7 +19,15 @@ public class EscalationAlert
     public string? Resolution { get; set; }
     public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
     public DateTime? ResolvedAt { get; set; }
+
+    /// <summary>
+    /// User triage in the Escalations view. Independent of Status, which tracks the Drake's automatic routing.
+    /// </summary>
+    public EscalationReview Review { get; set; } = EscalationReview.Open;
+    public string? ReviewNote { get; set; }
+    public DateTime? ReviewedAt { get; set; }
 }
 
 public enum EscalationSource { ReflectionTool, ReasoningMonitor }
 public enum EscalationStatus { Pending, InProgress, Resolved, Failed }
+public enum EscalationReview { Open, Acknowledged, Resolved, Dismissed }
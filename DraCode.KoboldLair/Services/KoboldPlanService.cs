@@ -1,3 +1,4 @@
+using System.Collections.Concurrent;
 using System.Security.Cryptography;
 using System.Text;
 using System.Text.Json;
@@ -31,6 +32,9 @@ namespace DraCode.KoboldLair.Services
         private readonly Dictionary<string, PlanSaveQueue> _saveQueues = new();
         private readonly object _saveQueuesLock = new();
 
+        // Saved plans per project, read from disk once and kept current by SavePlanAsync/DeletePlanAsync
+        private readonly ConcurrentDictionary<string, PlanCache> _planCache = new();
+
         private const string IndexFileName = "plan-index.json";
         private const int MaxFilenameDescriptionLength = 40;
         private const int DefaultDebounceIntervalMs = 2500; // 2.5 seconds to coalesce rapid updates
@@ -314,6 +318,12 @@ namespace DraCode.KoboldLair.Services
             var markdown = GeneratePlanMarkdown(plan);
             await File.WriteAllTextAsync(mdPath, markdown);
 
+            if (_planCache.TryGetValue(plan.ProjectId, out var cache))
+            {
+                var snapshot = JsonSerializer.Deserialize<KoboldImplementationPlan>(json, _jsonOptions);
+                if (snapshot != null) cache.Put(snapshot);
+            }
+
             // Update index
             var index = await LoadPlanIndexAsync(plan.ProjectId);
             index[plan.TaskId] = plan.PlanFilename;
@@ -417,6 +427,11 @@ namespace DraCode.KoboldLair.Services
                 await SavePlanIndexAsync(projectId, index);
             }
 
+            if (_planCache.TryGetValue(projectId, out var cache))
+            {
+                cache.Plans.TryRemove(taskId, out _);
+            }
+
             _logger?.LogDebug("Deleted plan for task {TaskId} in project {ProjectId}",
                 taskId[..Math.Min(8, taskId.Length)], projectId);
         }
@@ -454,6 +469,41 @@ namespace DraCode.KoboldLair.Services
             return plans.OrderByDescending(p => p.UpdatedAt).ToList();
         }
 
+        /// <summary>
+        /// Gets all saved plans for a project from memory, reading them from disk only on the first call.
+        /// Meant for polling readers (escalation inbox, timeline). The plans are shared snapshots of the
+        /// last save: don't modify them - load the plan with LoadPlanAsync to change it.
+        /// </summary>
+        public async Task<IReadOnlyList<KoboldImplementationPlan>> GetCachedPlansForProjectAsync(string projectId)
+        {
+            var cache = _planCache.GetOrAdd(projectId, _ => new PlanCache());
+            Task loaded;
+            lock (cache)
+            {
+                loaded = cache.Loaded ??= LoadPlanCacheAsync(projectId, cache);
+            }
+
+            await loaded;
+            return cache.Plans.Values.OrderByDescending(p => p.UpdatedAt).ToList();
+        }
+
+        private async Task LoadPlanCacheAsync(string projectId, PlanCache cache)
+        {
+            try
+            {
+                foreach (var plan in await GetPlansForProjectAsync(projectId))
+                {
+                    cache.Put(plan);
+                }
+            }
+            catch
+            {
+                // E.g. no output folder yet - try again on the next call
+                _planCache.TryRemove(new KeyValuePair<string, PlanCache>(projectId, cache));
+                throw;
+            }
+        }
+
         /// <summary>
         /// Generates a human-readable Markdown representation of the plan
         /// </summary>
@@ -811,6 +861,15 @@ namespace DraCode.KoboldLair.Services
             if (queue != null)
             {
                 await queue.FlushAsync();
+
+                // A flushed queue no longer processes saves; the next debounced save starts a new one
+                bool removed;
+                lock (_saveQueuesLock)
+                {
+                    removed = _saveQueues.TryGetValue(planKey, out var current) && current == queue
+                        && _saveQueues.Remove(planKey);
+                }
+                if (removed) queue.Dispose();
             }
         }
 
@@ -846,6 +905,21 @@ namespace DraCode.KoboldLair.Services
             _indexLock.Dispose();
         }
 
+        /// <summary>
+        /// Cached plans of one project, keyed by task ID. A save racing the initial disk read
+        /// keeps whichever copy was saved last.
+        /// </summary>
+        private class PlanCache
+        {
+            public ConcurrentDictionary<string, KoboldImplementationPlan> Plans { get; } = new();
+            public Task? Loaded { get; set; }
+
+            public void Put(KoboldImplementationPlan plan)
+            {
+                Plans.AddOrUpdate(plan.TaskId, plan, (_, existing) => plan.UpdatedAt >= existing.UpdatedAt ? plan : existing);
+            }
+        }
+
         /// <summary>
         /// Manages a debounced save queue for a single plan.
         /// Coalesces rapid save requests into a single write operation.
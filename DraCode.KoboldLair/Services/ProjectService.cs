@@ -135,6 +135,26 @@ namespace DraCode.KoboldLair.Services
             return CreateProjectFolderAsync(projectName).ConfigureAwait(false).GetAwaiter().GetResult();
         }
 
+        /// <summary>
+        /// Finds an existing project folder without creating anything: the project's output folder,
+        /// else its specification folder, else ./projects/{sanitized-name}/ if that exists.
+        /// </summary>
+        /// <param name="projectName">Name of the project</param>
+        /// <returns>The full path to the project folder, or null if there is none</returns>
+        public string? GetProjectFolder(string projectName)
+        {
+            var project = _repository.GetByName(projectName);
+            if (project != null)
+            {
+                if (!string.IsNullOrEmpty(project.Paths.Output) && Directory.Exists(project.Paths.Output))
+                    return project.Paths.Output;
+                return ResolveProjectFolder(project);
+            }
+
+            var folder = Path.Combine(_projectsPath, SanitizeProjectName(projectName));
+            return Directory.Exists(folder) ? folder : null;
+        }
+
         /// <summary>
         /// Initializes a git repository in the project folder if git is available
         /// </summary>
@@ -476,20 +496,10 @@ namespace DraCode.KoboldLair.Services
 
             // Validate state transition
             var currentState = project.ExecutionState;
-
-            // Cannot resume from Cancelled state
-            if (currentState == ProjectExecutionState.Cancelled && state == ProjectExecutionState.Running)
+            if (!CanChangeExecutionState(currentState, state, project.Status))
             {
-                _logger.LogWarning("Cannot resume cancelled project {ProjectName}", project.Name);
-                return false;
-            }
-
-            // Cannot pause/suspend completed or failed projects
-            if ((project.Status == ProjectStatus.Completed || project.Status == ProjectStatus.Failed) &&
-                (state == ProjectExecutionState.Paused || state == ProjectExecutionState.Suspended))
-            {
-                _logger.LogWarning("Cannot pause/suspend project {ProjectName} with status {Status}", 
-                    project.Name, project.Status);
+                _logger.LogWarning("Cannot change execution state of project {ProjectName} from {OldState} to {NewState} (status {Status})",
+                    project.Name, currentState, state, project.Status);
                 return false;
             }
 
@@ -502,6 +512,34 @@ namespace DraCode.KoboldLair.Services
             return true;
         }
 
+        /// <summary>
+        /// Execution states each state can change to; the client's LIFECYCLE_ACTIONS (project-lifecycle.js)
+        /// offer the same transitions. Cancelled is terminal.
+        /// </summary>
+        private static readonly Dictionary<ProjectExecutionState, ProjectExecutionState[]> s_executionStateTransitions = new()
+        {
+            [ProjectExecutionState.Running] = new[] { ProjectExecutionState.Paused, ProjectExecutionState.Suspended, ProjectExecutionState.Cancelled },
+            [ProjectExecutionState.Paused] = new[] { ProjectExecutionState.Running, ProjectExecutionState.Suspended, ProjectExecutionState.Cancelled },
+            [ProjectExecutionState.Suspended] = new[] { ProjectExecutionState.Running, ProjectExecutionState.Cancelled },
+            [ProjectExecutionState.Cancelled] = Array.Empty<ProjectExecutionState>()
+        };
+
+        /// <summary>
+        /// Whether a project in the given state and status may change to the target execution state.
+        /// Setting the current state again is a no-op and allowed; completed or failed projects
+        /// cannot be paused or suspended.
+        /// </summary>
+        public static bool CanChangeExecutionState(ProjectExecutionState current, ProjectExecutionState target, ProjectStatus status)
+        {
+            if (current == target) return true;
+
+            if ((status == ProjectStatus.Completed || status == ProjectStatus.Failed) &&
+                (target == ProjectExecutionState.Paused || target == ProjectExecutionState.Suspended))
+                return false;
+
+            return s_executionStateTransitions.TryGetValue(current, out var allowed) && allowed.Contains(target);
+        }
+
         /// <summary>
         /// Gets the current execution state of a project
         /// </summary>